@@ -265,14 +265,14 @@ class ApiController {
     }
 
     /**
-     * Get view counts for multiple sets
+     * Get view counts for multiple sets from the daily view rollups
      */
     async getBatchViews(ids) {
         try {
 
-            const views = await this.model.sequelize.models.History.findAll({
+            const views = await this.model.sequelize.models.SetViewDaily.findAll({
                 attributes: [
-                    'set_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+                    'set_id', [sequelize.fn('SUM', sequelize.col('views')), 'count']
                 ],
                 where: {
                     set_id: {
@@ -369,6 +369,29 @@ class ApiController {
 
         return result;
     }
+
+    /**
+     * Send a service error as JSON. Errors that carry an HTTP status below 500
+     * (StudyError, SetAccessError) are sent with that status and message;
+     * anything else is logged and sent as a 500 with the controller's
+     * serviceErrorMessage.
+     * @param {Error} err
+     * @param {Object} res - Express response
+     * @param {string} method - Name of the failing handler, for the log
+     */
+    handleServiceError(err, res, method) {
+        if (err.status && err.status < 500) {
+            return res.status(err.status).json(responseFormatter.formatError({
+                message: err.message
+            }));
+        }
+
+        console.error(`${this.constructor.name}.${method} - Error:`, err);
+        return res.status(500).json(responseFormatter.formatError({
+            message: this.serviceErrorMessage || 'Failed to process request',
+            error: process.env.NODE_ENV === 'development' ? err.message : undefined
+        }));
+    }
 }
 
 module.exports = ApiController;
\ No newline at end of file
@@ -2,6 +2,7 @@ const db = require('../db');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const authService = require('../services/AuthService');
+const guestStudyService = require('../services/study/GuestStudyService');
 const ApiController = require('./ApiController');
 const { Op } = require('sequelize');
 
@@ -27,8 +28,10 @@ class AuthController extends ApiController {
                 return res.status(400).json({ error: 'Email and password are required' });
             }
             const result = await authService.login(email, password);
+            result.guestMerge = await this.mergeGuest(req, result.user.id);
             res.json(result);
         } catch (err) {
+            console.error('Login error:', err);
             res.status(401).json({ error: err.message || 'Invalid credentials' });
         }
     }
@@ -37,6 +40,7 @@ class AuthController extends ApiController {
     async register(req, res) {
         try {
             const result = await authService.register(req.body);
+            result.guestMerge = await this.mergeGuest(req, result.user.id);
             res.status(201).json(result);
         } catch (err) {
             if (err.message === 'Email already registered') {
@@ -123,6 +127,27 @@ class AuthController extends ApiController {
         }
     }
 
+    /**
+     * Merge the progress of a guest (guestToken in the body or X-Guest-Token
+     * header) into the user who just signed in. Sign-in never fails because of
+     * the guest: a failed merge keeps the guest progress, is reported in the
+     * response and can be retried with POST /study/guest/merge.
+     * @returns {Promise<Object|null>} Merge summary, { error } or null without a guest token
+     */
+    async mergeGuest(req, userId) {
+        const guestToken = (req.body && req.body.guestToken) || req.headers['x-guest-token'];
+        if (!guestToken) return null;
+
+        try {
+            return await guestStudyService.mergeIntoUser(guestToken, userId);
+        } catch (err) {
+            if (!err.status || err.status >= 500) {
+                console.error('AuthController.mergeGuest - Error:', err);
+            }
+            return { error: err.status && err.status < 500 ? err.message : 'Failed to merge guest progress' };
+        }
+    }
+
     async handleGoogleAuth(req, res) {
         try {
             const { googleId, email, name, image } = req.body;
@@ -179,6 +204,7 @@ class AuthController extends ApiController {
 
             res.json({
                 token,
+                guestMerge: await this.mergeGuest(req, user.id),
                 user: {
                     id: user.id,
                     name: user.name,
@@ -0,0 +1,175 @@
+const ApiController = require('./ApiController');
+const responseFormatter = require('../services/ResponseFormatter');
+const ttsService = require('../services/tts/TtsService');
+const cardAudioService = require('../services/CardAudioService');
+const nodeMemoryCache = require('../services/cache/NodeMemoryCache');
+const { clear: clearApiCache } = require('../services/cache/ApicacheWrapper');
+
+const AUDIO_ERRORS = ['CardAudioError', 'AudioFileError', 'TtsError'];
+
+class CardAudioController extends ApiController {
+    constructor() {
+        super('Card');
+    }
+
+    /**
+     * Upload the audio clip of a card face. Set normalize to true to
+     * re-encode it to mp3 with normalized loudness.
+     * POST /cards/:cardId/:side/audio
+     */
+    async uploadAudio(req, res) {
+        try {
+            const cardId = parseInt(req.params.cardId, 10);
+            if (isNaN(cardId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid card ID'
+                }));
+            }
+            if (!req.file) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'No audio file provided'
+                }));
+            }
+
+            // Multipart fields arrive as strings
+            const normalize = req.body && (req.body.normalize === true || req.body.normalize === 'true');
+            const result = await cardAudioService.upload(cardId, req.params.side, req.user.id, req.file.buffer, { normalize });
+
+            this.clearCardCaches(result.setId);
+            res.json({
+                ...result,
+                message: `${result.side} audio uploaded successfully`
+            });
+        } catch (err) {
+            return this.handleAudioError(err, res, 'uploadAudio');
+        }
+    }
+
+    /**
+     * Remove the audio clip of a card face
+     * DELETE /cards/:cardId/:side/audio
+     */
+    async removeAudio(req, res) {
+        try {
+            const cardId = parseInt(req.params.cardId, 10);
+            if (isNaN(cardId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid card ID'
+                }));
+            }
+
+            const result = await cardAudioService.remove(cardId, req.params.side, req.user.id);
+
+            this.clearCardCaches(result.setId);
+            res.json(responseFormatter.formatSuccess(`${result.side} audio removed successfully`));
+        } catch (err) {
+            return this.handleAudioError(err, res, 'removeAudio');
+        }
+    }
+
+    /**
+     * Voices of the configured speech provider
+     * GET /cards/audio/voices?locale=
+     */
+    async getVoices(req, res) {
+        try {
+            res.json(ttsService.getVoices(req.query.locale));
+        } catch (err) {
+            return this.handleAudioError(err, res, 'getVoices');
+        }
+    }
+
+    /**
+     * Generate the audio of a card face with text-to-speech
+     * POST /cards/:cardId/:side/audio/generate
+     */
+    async generateCardAudio(req, res) {
+        try {
+            const cardId = parseInt(req.params.cardId, 10);
+            if (isNaN(cardId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid card ID'
+                }));
+            }
+
+            const { voice, locale } = req.body || {};
+            const result = await ttsService.generateForCard(cardId, req.params.side, req.user.id, { voice, locale });
+
+            this.clearCardCaches(result.setId);
+            res.json(result);
+        } catch (err) {
+            return this.handleAudioError(err, res, 'generateCardAudio');
+        }
+    }
+
+    /**
+     * Start generating audio for every card of a set
+     * POST /sets/:id/audio/generate
+     */
+    async generateSetAudio(req, res) {
+        try {
+            const setId = parseInt(req.params.id, 10);
+            if (isNaN(setId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid set ID'
+                }));
+            }
+
+            const { side, voice, locale, overwrite } = req.body || {};
+            const job = await ttsService.startSetJob(setId, req.user.id, { side, voice, locale, overwrite });
+            res.status(202).json(job);
+        } catch (err) {
+            return this.handleAudioError(err, res, 'generateSetAudio');
+        }
+    }
+
+    /**
+     * Progress of a set audio job
+     * GET /sets/:id/audio/jobs/:jobId
+     */
+    async getSetAudioJob(req, res) {
+        try {
+            const setId = parseInt(req.params.id, 10);
+            if (isNaN(setId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid set ID'
+                }));
+            }
+
+            const job = ttsService.getJob(req.params.jobId, setId, req.user.id);
+            // Cached card data is stale once cards got their audio
+            if (job.generated) {
+                this.clearCardCaches(setId);
+            }
+            res.json(job);
+        } catch (err) {
+            return this.handleAudioError(err, res, 'getSetAudioJob');
+        }
+    }
+
+    /**
+     * Drop cached cards and the cached set after card audio changed
+     */
+    clearCardCaches(setId) {
+        nodeMemoryCache.deleteByPrefix(`${this.model.name}:list:`);
+        nodeMemoryCache.deleteByPrefix(`${this.model.name}:get:`);
+        nodeMemoryCache.delete(`Set:get:${setId}`);
+        clearApiCache(`/api/sets/${setId}`);
+    }
+
+    handleAudioError(err, res, method) {
+        // Errors of the audio services carry their own HTTP status
+        if (AUDIO_ERRORS.includes(err.name) && err.status !== 500) {
+            return res.status(err.status).json(responseFormatter.formatError({
+                message: err.message
+            }));
+        }
+        console.error(`CardAudioController.${method} - Error:`, err);
+        return res.status(500).json(responseFormatter.formatError({
+            message: 'Failed to process audio',
+            error: process.env.NODE_ENV === 'development' ? err.message : undefined
+        }));
+    }
+}
+
+module.exports = CardAudioController;
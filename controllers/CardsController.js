@@ -1,10 +1,35 @@
+const _ = require('lodash')
 const ApiController = require('./ApiController')
 const CloudinaryService = require('../services/CloudinaryService')
 const responseFormatter = require('../services/ResponseFormatter')
+const cardOrderService = require('../services/CardOrderService')
+const ClozeService = require('../services/ClozeService')
+const CardContentService = require('../services/CardContentService')
+const CardFormatService = require('../services/CardFormatService')
+const CardValidationService = require('../services/CardValidationService')
+const cardItemService = require('../services/study/CardItemService')
+const cardRevisionService = require('../services/CardRevisionService')
+const camelToSnakeKeys = require('../utils/camelToSnakeKeys')
+const toCamel = require('../utils/toCamel')
+const nodeMemoryCache = require('../services/cache/NodeMemoryCache')
+const { clear: clearApiCache } = require('../services/cache/ApicacheWrapper')
+
+// Card columns that create and update take from the request body; the set,
+// position, audio and IDs are managed by their own endpoints
+const EDITABLE_FIELDS = ['type', 'format', 'front', 'back', 'content', 'hint', 'front_image', 'back_image', 'layout_front', 'layout_back', 'accepted_answers']
+
+class CardError extends Error {
+    constructor(message, status = 400) {
+        super(message)
+        this.name = 'CardError'
+        this.status = status
+    }
+}
 
 class CardsController extends ApiController {
     constructor() {
         super('Card')
+        this.serviceErrorMessage = 'Failed to process card'
     }
 
     /**
@@ -91,7 +116,9 @@ class CardsController extends ApiController {
                 [oldImageField]: uploadResult.secure_url
             }
 
+            const before = cardRevisionService.snapshot(card)
             await card.update(updateData)
+            await cardRevisionService.record('update', card, { userId: req.user.id, before })
 
             // Return the new image URL and metadata
             res.json({
@@ -187,7 +214,9 @@ class CardsController extends ApiController {
                 [imageField]: null
             }
 
+            const before = cardRevisionService.snapshot(card)
             await card.update(updateData)
+            await cardRevisionService.record('update', card, { userId: req.user.id, before })
 
             res.json(responseFormatter.formatSuccess(`${side} image removed successfully`))
 
@@ -218,7 +247,7 @@ class CardsController extends ApiController {
                 include: [{
                     model: this.model.sequelize.models.Set,
                     as: 'set',
-                    attributes: ['id', 'title', 'user_id']
+                    attributes: ['id', 'title', 'user_id', 'study_direction']
                 }]
             })
 
@@ -235,16 +264,32 @@ class CardsController extends ApiController {
                 }))
             }
 
+            const html = CardFormatService.renderCard(card)
+            const items = cardItemService.getItems(card, card.set.study_direction)
             res.json({
                 id: card.id,
                 set_id: card.set_id,
+                type: card.type,
+                format: card.format,
                 front: card.front,
                 back: card.back,
+                front_html: html.front,
+                back_html: html.back,
+                content: card.content || null,
                 hint: card.hint,
                 front_image: card.front_image,
                 back_image: card.back_image,
+                has_audio: Boolean(card.has_audio),
+                audio_url: card.audio_url,
+                back_audio: card.back_audio,
                 layout_front: card.layout_front,
                 layout_back: card.layout_back,
+                accepted_answers: card.accepted_answers || [],
+                position: card.position,
+                // Items of cards studied as something else than their front and back
+                items: items.length > 1 || items[0] !== cardItemService.MAIN_ITEM ?
+                    items.map(item => cardItemService.render(card, item)) :
+                    undefined,
                 created_at: card.created_at,
                 updated_at: card.updated_at
             })
@@ -272,6 +317,7 @@ class CardsController extends ApiController {
             const cards = await this.model.findAll({
                     where: { set_id: setId },
                     order: [
+                        ['position', 'ASC'],
                         ['id', 'ASC']
                     ]
                 })
@@ -282,6 +328,272 @@ class CardsController extends ApiController {
             return res.status(500).json({ error: 'Failed to fetch cards' })
         }
     }
+
+    /**
+     * Create a card, at the end of its set or at the given position
+     * POST /cards/set/:setId (or POST /cards with setId in the body)
+     */
+    async create(req, res) {
+        try {
+            const { position, ...body } = req.body
+            const fields = camelToSnakeKeys(body)
+            const setId = parseInt(req.params.setId || fields.set_id, 10)
+            if (isNaN(setId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid set ID'
+                }))
+            }
+
+            const set = await this.model.sequelize.models.Set.findByPk(setId, {
+                attributes: ['id', 'educator_id']
+            })
+            if (!set) {
+                return res.status(404).json(responseFormatter.formatError({
+                    message: 'Set not found'
+                }))
+            }
+            if (set.educator_id !== req.user.id) {
+                return res.status(403).json(responseFormatter.formatError({
+                    message: 'Not authorized to add cards to this set'
+                }))
+            }
+
+            const data = _.pick(fields, EDITABLE_FIELDS)
+            await this.validateCreate(data)
+            data.content = CardContentService.normalize(data.type || 'basic', data.content)
+            data.accepted_answers = CardValidationService.cleanAcceptedAnswers(data.accepted_answers)
+            const card = await cardOrderService.insertCard(setId, data, position, {
+                onWrite: (created, transaction) =>
+                    cardRevisionService.record('create', created, { userId: req.user.id }, transaction)
+            })
+
+            this.clearCardCaches(setId)
+            res.status(201).json(toCamel(card))
+        } catch (error) {
+            return this.handleServiceError(error, res, 'create')
+        }
+    }
+
+    /**
+     * Update a card of a set of the user, recording the change as a revision
+     * PUT /cards/:id
+     */
+    async update(req, res) {
+        try {
+            const card = await this.model.findByPk(req.params.id)
+            if (!card) return res.status(404).json({ error: 'Not found' })
+
+            const set = await this.model.sequelize.models.Set.findByPk(card.set_id, {
+                attributes: ['id', 'educator_id']
+            })
+            if (!set || set.educator_id !== req.user.id) {
+                return res.status(403).json(responseFormatter.formatError({
+                    message: 'Not authorized to modify this card'
+                }))
+            }
+
+            await this.validateUpdate(req.body, card)
+            const data = _.pick(camelToSnakeKeys(req.body), EDITABLE_FIELDS)
+            if (data.accepted_answers !== undefined) {
+                data.accepted_answers = CardValidationService.cleanAcceptedAnswers(data.accepted_answers)
+            }
+            const before = cardRevisionService.snapshot(card)
+
+            const transaction = await this.model.sequelize.transaction()
+            try {
+                await card.update(data, { transaction })
+                await cardRevisionService.record('update', card, { userId: req.user.id, before }, transaction)
+                await transaction.commit()
+            } catch (error) {
+                await transaction.rollback()
+                throw error
+            }
+
+            this.clearCardCaches(card.set_id)
+            res.json(toCamel(card))
+        } catch (error) {
+            return this.handleServiceError(error, res, 'update')
+        }
+    }
+
+    /**
+     * Revisions of a card, newest first; also works for deleted cards
+     * GET /cards/:id/revisions?limit=&offset=
+     */
+    async listRevisions(req, res) {
+        try {
+            const cardId = parseInt(req.params.id, 10)
+            if (isNaN(cardId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid card ID'
+                }))
+            }
+
+            const result = await cardRevisionService.listRevisions(cardId, req.user.id, {
+                limit: req.query.limit,
+                offset: req.query.offset
+            })
+            res.json(result)
+        } catch (error) {
+            return this.handleServiceError(error, res, 'listRevisions')
+        }
+    }
+
+    /**
+     * Bring a card back to the state of a revision, recreating it if it was
+     * deleted
+     * POST /cards/:id/revisions/:revId/restore
+     */
+    async restoreRevision(req, res) {
+        try {
+            const cardId = parseInt(req.params.id, 10)
+            const revisionId = parseInt(req.params.revId, 10)
+            if (isNaN(cardId) || isNaN(revisionId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid card or revision ID'
+                }))
+            }
+
+            const { card, revision } = await cardRevisionService.restore(cardId, revisionId, req.user.id)
+
+            this.clearCardCaches(card.set_id)
+            res.json({
+                card: toCamel(card),
+                revision
+            })
+        } catch (error) {
+            return this.handleServiceError(error, res, 'restoreRevision')
+        }
+    }
+
+    /**
+     * Card type, and the cloze text in front or the content of the types
+     * that need them
+     */
+    async validateCreate(data) {
+        this.validateFormat(data.format)
+        this.validateType(data.type || 'basic', data.front, data.content)
+        this.validateLayouts(data)
+        this.validateAcceptedAnswers(data.accepted_answers)
+    }
+
+    /**
+     * Positions only change through the set's reorder endpoint, which keeps
+     * them dense
+     */
+    async validateUpdate(data, item) {
+        if (data.position !== undefined) {
+            throw new CardError('position cannot be updated here. Use PATCH /api/sets/:id/cards/order')
+        }
+        // Cards stay in their set, which owns their history
+        const setId = data.setId !== undefined ? data.setId : data.set_id
+        if ((data.id !== undefined && Number(data.id) !== item.id) ||
+            (setId !== undefined && Number(setId) !== item.set_id)) {
+            throw new CardError('id and setId cannot be updated')
+        }
+        this.validateFormat(data.format)
+        this.validateLayouts(camelToSnakeKeys(data))
+        this.validateAcceptedAnswers(data.acceptedAnswers !== undefined ? data.acceptedAnswers : data.accepted_answers)
+        if (data.type !== undefined || data.front !== undefined || data.content !== undefined) {
+            const type = data.type !== undefined ? data.type : item.type
+            this.validateType(
+                type,
+                data.front !== undefined ? data.front : item.front,
+                data.content !== undefined ? data.content : item.content
+            )
+            // Content is saved in its stored shape
+            if (data.content !== undefined) {
+                data.content = CardContentService.normalize(type, data.content)
+            }
+        }
+    }
+
+    validateFormat(format) {
+        if (format !== undefined && !CardFormatService.isValid(format)) {
+            throw new CardError(`Format must be one of: ${CardFormatService.FORMATS.join(', ')}`)
+        }
+    }
+
+    validateLayouts(data) {
+        const layouts = CardValidationService.LAYOUTS
+        for (const [field, label] of [['layout_front', 'Front'], ['layout_back', 'Back']]) {
+            if (data[field] !== undefined && !layouts.includes(data[field])) {
+                throw new CardError(`${label} layout must be one of: ${layouts.join(', ')}`)
+            }
+        }
+    }
+
+    validateAcceptedAnswers(acceptedAnswers) {
+        const errors = CardValidationService.acceptedAnswerErrors(acceptedAnswers)
+        if (errors.length) {
+            throw new CardError(errors.join(', '))
+        }
+    }
+
+    validateType(type, front, content) {
+        if (!cardItemService.CARD_TYPES.includes(type)) {
+            throw new CardError(`Type must be one of: ${cardItemService.CARD_TYPES.join(', ')}`)
+        }
+        if (type === 'cloze') {
+            const errors = ClozeService.validate(front)
+            if (errors.length) {
+                throw new CardError(errors.join(', '))
+            }
+        }
+        const contentErrors = CardContentService.validate(type, content)
+        if (contentErrors.length) {
+            throw new CardError(contentErrors.join(', '))
+        }
+    }
+
+    /**
+     * Delete a card and close the gap it leaves in the set order
+     * DELETE /cards/:id
+     */
+    async delete(req, res) {
+        try {
+            const card = await this.model.findByPk(req.params.id, {
+                include: [{
+                    model: this.model.sequelize.models.Set,
+                    as: 'set',
+                    attributes: ['id', 'educator_id']
+                }]
+            })
+            if (!card) return res.status(404).json({ error: 'Not found' })
+
+            if (card.set.educator_id !== req.user.id) {
+                return res.status(403).json(responseFormatter.formatError({
+                    message: 'Not authorized to delete this card'
+                }))
+            }
+
+            await cardOrderService.removeCard(card, {
+                onWrite: (deleted, transaction) =>
+                    cardRevisionService.record('delete', deleted, { userId: req.user.id }, transaction)
+            })
+
+            this.clearCardCaches(card.set_id)
+            res.status(204).end()
+        } catch (error) {
+            if (error.name === 'CardOrderError') {
+                return res.status(error.status).json(responseFormatter.formatError({
+                    message: error.message
+                }))
+            }
+            console.error('CardsController.delete - Error:', error)
+            res.status(500).json({ error: error.message })
+        }
+    }
+
+    /**
+     * Drop cached card lists and the cached set after its cards changed
+     */
+    clearCardCaches(setId) {
+        nodeMemoryCache.deleteByPrefix(`${this.model.name}:list:`)
+        nodeMemoryCache.deleteByPrefix(`${this.model.name}:get:`)
+        nodeMemoryCache.delete(`Set:get:${setId}`)
+        clearApiCache(`/api/sets/${setId}`)
+    }
 }
 
 module.exports = CardsController;
\ No newline at end of file
@@ -0,0 +1,156 @@
+const ApiController = require('./ApiController');
+const examService = require('../services/study/ExamService');
+
+class ExamsController extends ApiController {
+    constructor() {
+        super('Exam');
+        this.serviceErrorMessage = 'Failed to process exam request';
+    }
+
+    /**
+     * Exams created by the current user
+     * GET /exams
+     */
+    async listMine(req, res) {
+        try {
+            const exams = await examService.listExams(req.user.id);
+            res.json(exams);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'listMine');
+        }
+    }
+
+    /**
+     * Create an exam definition
+     * POST /exams
+     */
+    async createExam(req, res) {
+        try {
+            const exam = await examService.createExam(req.user.id, req.body);
+            res.status(201).json(exam);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'createExam');
+        }
+    }
+
+    /**
+     * Get an exam definition with the current user's attempt count
+     * GET /exams/:id
+     */
+    async getExam(req, res) {
+        try {
+            const exam = await examService.getExam(req.user.id, this.parseId(req.params.id));
+            res.json(exam);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'getExam');
+        }
+    }
+
+    /**
+     * Update an exam definition
+     * PATCH /exams/:id
+     */
+    async updateExam(req, res) {
+        try {
+            const exam = await examService.updateExam(req.user.id, this.parseId(req.params.id), req.body);
+            res.json(exam);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'updateExam');
+        }
+    }
+
+    /**
+     * Delete an exam with its attempts
+     * DELETE /exams/:id
+     */
+    async deleteExam(req, res) {
+        try {
+            await examService.deleteExam(req.user.id, this.parseId(req.params.id));
+            res.status(204).send();
+        } catch (err) {
+            return this.handleServiceError(err, res, 'deleteExam');
+        }
+    }
+
+    /**
+     * Attempt history of an exam
+     * GET /exams/:id/attempts
+     */
+    async listAttempts(req, res) {
+        try {
+            const result = await examService.listAttempts(req.user.id, this.parseId(req.params.id));
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'listAttempts');
+        }
+    }
+
+    /**
+     * Start an attempt, or resume the one in progress
+     * POST /exams/:id/attempts
+     */
+    async startAttempt(req, res) {
+        try {
+            const { created, ...result } = await examService.startAttempt(req.user.id, this.parseId(req.params.id));
+            res.status(created ? 201 : 200).json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'startAttempt');
+        }
+    }
+
+    /**
+     * Get an attempt; the score report once it has ended
+     * GET /exams/:id/attempts/:attemptId
+     */
+    async getAttempt(req, res) {
+        try {
+            const result = await examService.getAttempt(req.user.id, this.parseId(req.params.id), this.parseId(req.params.attemptId));
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'getAttempt');
+        }
+    }
+
+    /**
+     * Save answers while the attempt is in progress
+     * PUT /exams/:id/attempts/:attemptId/answers
+     */
+    async saveAnswers(req, res) {
+        try {
+            const result = await examService.saveAnswers(
+                req.user.id,
+                this.parseId(req.params.id),
+                this.parseId(req.params.attemptId),
+                req.body.answers
+            );
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'saveAnswers');
+        }
+    }
+
+    /**
+     * Submit an attempt and get the score report
+     * POST /exams/:id/attempts/:attemptId/submit
+     */
+    async submitAttempt(req, res) {
+        try {
+            const result = await examService.submitAttempt(
+                req.user.id,
+                this.parseId(req.params.id),
+                this.parseId(req.params.attemptId),
+                req.body.answers
+            );
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'submitAttempt');
+        }
+    }
+
+    parseId(value) {
+        const id = parseInt(value, 10);
+        return isNaN(id) ? 0 : id;
+    }
+}
+
+module.exports = ExamsController;
@@ -4,6 +4,7 @@ const camelToSnakeKeys = require('../utils/camelToSnakeKeys');
 const db = require('../db');
 const responseFormatter = require('../services/ResponseFormatter');
 const { Op } = require('sequelize');
+const masteryService = require('../services/study/MasteryService');
 
 class HistoryController extends ApiController {
     constructor() {
@@ -41,7 +42,7 @@ class HistoryController extends ApiController {
     }
 
     /**
-     * Get history by set ID
+     * Get history by set ID with the learner's mastery summary for the set
      */
     async getBySetId(req, res) {
         try {
@@ -59,7 +60,12 @@ class HistoryController extends ApiController {
                 return res.status(404).json({ error: 'History not found' });
             }
 
-            res.json(toCamel(history));
+            const mastery = await masteryService.getSummary(userId, history.set_id);
+
+            res.json({
+                ...toCamel(history),
+                mastery
+            });
         } catch (err) {
             res.status(500).json({ error: err.message });
         }
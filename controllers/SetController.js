@@ -1,5 +1,6 @@
 const ApiController = require('./ApiController');
 const SetService = require('../services/SetService');
+const cardOrderService = require('../services/CardOrderService');
 const SetTransformer = require('../services/SetTransformer');
 const responseFormatter = require('../services/ResponseFormatter');
 const PaginationService = require('../services/PaginationService');
@@ -28,6 +29,7 @@ class SetController extends ApiController {
                 price: req.body.price,
                 isPublic: req.body.isPublic === 'true',
                 isSubscriberOnly: req.body.isSubscriberOnly === 'true',
+                studyDirection: req.body.studyDirection,
                 educator_id: req.user.id
             };
 
@@ -100,9 +102,12 @@ class SetController extends ApiController {
                 price: parseFloat(req.body.price || '0'),
                 is_subscriber_only: req.body.isSubscriberOnly === 'true',
                 hidden: req.body.isPublic !== 'true', // Inverted: isPublic=true means hidden=false
+                // Left as it is when not sent
+                study_direction: req.body.studyDirection,
                 educator_id: req.user.id
             };
-            const cards = req.body.cards ? JSON.parse(req.body.cards) : [];
+            // Without a cards field the cards are left as they are
+            const cards = req.body.cards ? JSON.parse(req.body.cards) : undefined;
             const tags = req.body.tags ? JSON.parse(req.body.tags) : [];
 
             // Handle thumbnail if provided
@@ -121,7 +126,7 @@ class SetController extends ApiController {
             }
 
             // Process card images if any
-            if (req.files) {
+            if (cards && req.files) {
                 // Check if there are any actual card image files to upload
                 const hasCardImages = Object.keys(req.files).some(key =>
                     key.startsWith('card_') && key.endsWith('_image') && req.files[key] && req.files[key].length > 0
@@ -135,13 +140,17 @@ class SetController extends ApiController {
             // Call the service to perform the update
             const updatedSet = await this.setService.updateSet(setId, setData, cards, tags);
 
-            // Invalidate in-memory cache for this set
+            // Invalidate in-memory cache for this set and its card lists
             NodeMemoryCache.delete(`Set:get:${setId}`);
+            NodeMemoryCache.deleteByPrefix('Card:list:');
             // Invalidate HTTP response cache for this set and the sets list
             clearApiCache(`/api/sets/${setId}`);
             clearApiCache('/api/sets');
 
-            res.json(updatedSet);
+            res.json({
+                ...updatedSet.toJSON(),
+                cardChanges: updatedSet.cardChanges || null
+            });
         } catch (error) {
             console.error('[SetsController] Error updating set:', {
                 error: error.message,
@@ -204,6 +213,31 @@ class SetController extends ApiController {
         }
     }
 
+    /**
+     * Reorder the cards of a set from the full, ordered list of its card IDs
+     * PATCH /sets/:id/cards/order
+     */
+    async reorderCards(req, res) {
+        try {
+            const setId = parseInt(req.params.id, 10);
+            if (isNaN(setId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid set ID'
+                }));
+            }
+
+            const cards = await cardOrderService.reorder(setId, req.body.cardIds);
+
+            NodeMemoryCache.delete(`Set:get:${setId}`);
+            NodeMemoryCache.deleteByPrefix('Card:list:');
+            clearApiCache(`/api/sets/${setId}`);
+
+            return res.json({ setId, cards });
+        } catch (err) {
+            return this.handleError(err, res);
+        }
+    }
+
     async get(req, res) {
         try {
             // Validate and parse the set ID
@@ -229,7 +263,7 @@ class SetController extends ApiController {
                     {
                         model: this.model.sequelize.models.Card,
                         as: 'cards',
-                        attributes: ['id', 'set_id', 'front', 'back', 'hint', 'front_image', 'back_image', 'layout_front', 'layout_back'],
+                        attributes: ['id', 'set_id', 'type', 'format', 'front', 'back', 'content', 'hint', 'front_image', 'back_image', 'has_audio', 'audio_url', 'back_audio', 'layout_front', 'layout_back', 'accepted_answers', 'position'],
                         required: false
                     },
                     {
@@ -238,6 +272,10 @@ class SetController extends ApiController {
                         through: { attributes: [] },
                         attributes: ['id', 'name']
                     }
+                ],
+                order: [
+                    [{ model: this.model.sequelize.models.Card, as: 'cards' }, 'position', 'ASC'],
+                    [{ model: this.model.sequelize.models.Card, as: 'cards' }, 'id', 'ASC']
                 ]
             });
 
@@ -660,6 +698,12 @@ class SetController extends ApiController {
             }));
         }
 
+        if (err.name === 'CardOrderError') {
+            return res.status(err.status).json(responseFormatter.formatError({
+                message: err.message
+            }));
+        }
+
         return res.status(500).json(responseFormatter.formatError({
             message: err.message,
             stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
@@ -0,0 +1,56 @@
+const ApiController = require('./ApiController');
+const responseFormatter = require('../services/ResponseFormatter');
+const quizService = require('../services/study/QuizService');
+
+class SetQuizController extends ApiController {
+    constructor() {
+        super('Quiz');
+        this.serviceErrorMessage = 'Failed to process quiz';
+    }
+
+    /**
+     * Build a multiple-choice quiz from a set
+     * GET /sets/:id/quiz
+     */
+    async getQuiz(req, res) {
+        try {
+            const setId = parseInt(req.params.id, 10);
+            if (isNaN(setId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid set ID'
+                }));
+            }
+
+            const quiz = await quizService.createQuiz(req.user.id, setId, {
+                count: req.query.count,
+                choices: req.query.choices
+            });
+            res.json(quiz);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'getQuiz');
+        }
+    }
+
+    /**
+     * Grade submitted quiz answers
+     * POST /sets/:id/quiz/:quizId/submit
+     */
+    async submitQuiz(req, res) {
+        try {
+            const setId = parseInt(req.params.id, 10);
+            const quizId = parseInt(req.params.quizId, 10);
+            if (isNaN(setId) || isNaN(quizId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid set or quiz ID'
+                }));
+            }
+
+            const result = await quizService.submitQuiz(req.user.id, setId, quizId, req.body.answers);
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'submitQuiz');
+        }
+    }
+}
+
+module.exports = SetQuizController;
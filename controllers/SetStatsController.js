@@ -1,5 +1,11 @@
 const ApiController = require('./ApiController');
 const responseFormatter = require('../services/ResponseFormatter');
+const setViewService = require('../services/SetViewService');
+const authService = require('../services/AuthService');
+const { Op } = require('sequelize');
+
+// Most common wrong typed answers listed per card
+const MAX_WRONG_ANSWERS_PER_CARD = 5;
 
 class SetStatsController extends ApiController {
     constructor() {
@@ -42,16 +48,15 @@ class SetStatsController extends ApiController {
 
                 switch (type) {
                     case 'views':
-                        if (this.model.sequelize.models.History) {
-                            results = await this.model.sequelize.models.History.unscoped().findAll({
+                        if (this.model.sequelize.models.SetViewDaily) {
+                            results = await this.model.sequelize.models.SetViewDaily.findAll({
                                 attributes: [
-                                    'set_id', [this.model.sequelize.fn('COUNT', this.model.sequelize.col('id')), 'count']
+                                    'set_id', [this.model.sequelize.fn('SUM', this.model.sequelize.col('views')), 'count']
                                 ],
                                 where: {
                                     set_id: ids
                                 },
                                 group: ['set_id'],
-                                order: [],
                                 raw: true
                             });
                         }
@@ -152,8 +157,25 @@ class SetStatsController extends ApiController {
         }
     }
 
+    // Views are summed from the daily rollups kept by SetViewService
     async getViewsCount(req, res) {
-        return this.getStatsCount(req, res, this.model.sequelize.models.History, 'Views');
+        try {
+            const setId = parseInt(req.params.id, 10);
+            if (isNaN(setId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid set ID'
+                }));
+            }
+
+            const count = await setViewService.getViewCount(setId);
+            return res.json({ count });
+        } catch (err) {
+            console.error('SetsController.getViewsCount - Error:', err);
+            return res.status(500).json(responseFormatter.formatError({
+                message: 'Failed to get Views count',
+                error: process.env.NODE_ENV === 'development' ? err.message : undefined
+            }));
+        }
     }
 
     async getLikesCount(req, res) {
@@ -190,14 +212,18 @@ class SetStatsController extends ApiController {
                 }));
             }
 
-            // Add view record
-            await this.model.sequelize.models.History.create({
-                set_id: setId,
-                user_id: req.user ? req.user.id : null,
-                action: 'view'
+            // Repeat views by the same visitor are deduplicated by the service
+            const { counted } = await setViewService.recordView(setId, {
+                userId: this.getOptionalUserId(req),
+                visitorId: req.body && req.body.visitorId ? req.body.visitorId : req.headers['x-visitor-id'],
+                ip: req.ip,
+                userAgent: req.headers['user-agent']
             });
 
-            return res.json(responseFormatter.formatSuccess('View recorded successfully'));
+            return res.json({
+                ...responseFormatter.formatSuccess('View recorded successfully'),
+                counted
+            });
         } catch (err) {
             console.error('SetsController.addView - Error:', err);
             return res.status(500).json(responseFormatter.formatError({
@@ -206,6 +232,123 @@ class SetStatsController extends ApiController {
             }));
         }
     }
+
+    /**
+     * User ID from a valid bearer token, if any. The view route is public, so
+     * a missing or invalid token just makes the view anonymous.
+     */
+    getOptionalUserId(req) {
+        const header = req.headers.authorization;
+        if (!header || !header.startsWith('Bearer ')) return null;
+
+        const { valid, decoded } = authService.verifyToken(header.split(' ')[1]);
+        return valid && decoded ? decoded.id : null;
+    }
+
+    /**
+     * Per-card answer analytics for the set owner, hardest cards first
+     * GET /sets/:id/card-stats
+     */
+    async getCardStats(req, res) {
+        try {
+            const setId = parseInt(req.params.id, 10);
+            if (isNaN(setId)) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Invalid set ID'
+                }));
+            }
+
+            const { Card, ReviewLog } = this.model.sequelize.models;
+            const sequelize = this.model.sequelize;
+
+            const [cards, answerStats, wrongAnswers] = await Promise.all([
+                Card.findAll({
+                    where: { set_id: setId },
+                    attributes: ['id', 'front', 'back'],
+                    order: [
+                        ['position', 'ASC'],
+                        ['id', 'ASC']
+                    ]
+                }),
+                ReviewLog.findAll({
+                    attributes: [
+                        'card_id', [sequelize.fn('COUNT', sequelize.col('id')), 'attempts'],
+                        [sequelize.literal("SUM(CASE WHEN grade = 'again' THEN 0 ELSE 1 END)"), 'correct'],
+                        [sequelize.fn('AVG', sequelize.col('duration_ms')), 'average_response_ms'],
+                        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('user_id'))), 'learners']
+                    ],
+                    where: { set_id: setId },
+                    group: ['card_id'],
+                    raw: true
+                }),
+                ReviewLog.findAll({
+                    attributes: [
+                        'card_id', [sequelize.fn('LOWER', sequelize.fn('TRIM', sequelize.col('typed_answer'))), 'answer'],
+                        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+                    ],
+                    where: {
+                        set_id: setId,
+                        answer_result: 'wrong',
+                        typed_answer: {
+                            [Op.ne]: ''
+                        }
+                    },
+                    group: ['card_id', 'answer'],
+                    order: [
+                        [sequelize.literal('`count`'), 'DESC']
+                    ],
+                    raw: true
+                })
+            ]);
+
+            const statsByCard = new Map(answerStats.map(row => [row.card_id, row]));
+            const wrongByCard = wrongAnswers.reduce((acc, row) => {
+                const list = acc.get(row.card_id) || [];
+                if (row.answer && list.length < MAX_WRONG_ANSWERS_PER_CARD) {
+                    list.push({ answer: row.answer, count: parseInt(row.count, 10) });
+                }
+                acc.set(row.card_id, list);
+                return acc;
+            }, new Map());
+
+            const cardStats = cards.map(card => {
+                const stats = statsByCard.get(card.id);
+                const attempts = stats ? parseInt(stats.attempts, 10) : 0;
+                const correct = stats ? parseInt(stats.correct, 10) : 0;
+                return {
+                    cardId: card.id,
+                    front: card.front,
+                    back: card.back,
+                    attempts,
+                    correct,
+                    percentCorrect: attempts ? Math.round((correct / attempts) * 100) : null,
+                    averageResponseMs: stats && stats.average_response_ms !== null ?
+                        Math.round(parseFloat(stats.average_response_ms)) : null,
+                    learners: stats ? parseInt(stats.learners, 10) : 0,
+                    commonWrongAnswers: wrongByCard.get(card.id) || []
+                };
+            });
+
+            // Hardest first; cards nobody has answered yet go last
+            cardStats.sort((a, b) => {
+                if (a.percentCorrect === null) return b.percentCorrect === null ? 0 : 1;
+                if (b.percentCorrect === null) return -1;
+                return a.percentCorrect - b.percentCorrect;
+            });
+
+            return res.json({
+                setId,
+                totalAttempts: cardStats.reduce((sum, card) => sum + card.attempts, 0),
+                cards: cardStats
+            });
+        } catch (err) {
+            console.error('SetsController.getCardStats - Error:', err);
+            return res.status(500).json(responseFormatter.formatError({
+                message: 'Failed to get card stats',
+                error: process.env.NODE_ENV === 'development' ? err.message : undefined
+            }));
+        }
+    }
 }
 
 module.exports = SetStatsController;
\ No newline at end of file
@@ -2,6 +2,7 @@ const ApiController = require('./ApiController');
 const SetController = require('./SetController');
 const SetStatsController = require('./SetStatsController');
 const SetMetaController = require('./SetMetaController');
+const SetQuizController = require('./SetQuizController');
 const SetService = require('../services/SetService');
 const SetTransformer = require('../services/SetTransformer');
 const responseFormatter = require('../services/ResponseFormatter');
@@ -12,10 +13,12 @@ const toCamel = require('../utils/toCamel');
 const CloudinaryService = require('../services/CloudinaryService');
 const NodeMemoryCache = require('../services/cache/NodeMemoryCache');
 const { clear: clearApiCache } = require('../services/cache/ApicacheWrapper');
+const masteryService = require('../services/study/MasteryService');
 
 const setController = new SetController();
 const setStatsController = new SetStatsController();
 const setMetaController = new SetMetaController();
+const setQuizController = new SetQuizController();
 
 class SetsController extends ApiController {
     constructor() {
@@ -105,16 +108,15 @@ class SetsController extends ApiController {
 
                 switch (type) {
                     case 'views':
-                        if (this.model.sequelize.models.History) {
-                            results = await this.model.sequelize.models.History.unscoped().findAll({
+                        if (this.model.sequelize.models.SetViewDaily) {
+                            results = await this.model.sequelize.models.SetViewDaily.findAll({
                                 attributes: [
-                                    'set_id', [this.model.sequelize.fn('COUNT', this.model.sequelize.col('id')), 'count']
+                                    'set_id', [this.model.sequelize.fn('SUM', this.model.sequelize.col('views')), 'count']
                                 ],
                                 where: {
                                     set_id: ids
                                 },
                                 group: ['set_id'],
-                                order: [],
                                 raw: true
                             });
                         }
@@ -147,6 +149,14 @@ class SetsController extends ApiController {
                             });
                         }
                         break;
+                    case 'mastery':
+                        // Per-user summaries, served by the uncached /batch/mastery route
+                        if (!req.user) {
+                            return res.status(401).json(responseFormatter.formatError({
+                                message: 'Authentication required'
+                            }));
+                        }
+                        return res.json(await masteryService.getAccessibleSummaries(req.user.id, ids));
                     default:
                         console.warn(`[${requestId}] Invalid batch type: ${type}`);
                         return res.json(formattedResults);
@@ -192,6 +202,12 @@ class SetsController extends ApiController {
         }
     }
 
+    // Batch mastery summaries for the authenticated user (GET /sets/batch/mastery)
+    async batchGetMastery(req, res) {
+        req.params.type = 'mastery';
+        return this.batchGet(req, res);
+    }
+
     // Convert relative path to full URL
     convertPathToUrl(path) {
         if (!path) return null;
@@ -383,6 +399,7 @@ class SetsController extends ApiController {
     async getCardsCount(req, res) { return setStatsController.getCardsCount(req, res); }
     async count(req, res) { return setStatsController.count(req, res); }
     async addView(req, res) { return setStatsController.addView(req, res); }
+    async getCardStats(req, res) { return setStatsController.getCardStats(req, res); }
 
     async toggleLikeSet(req, res) { return setMetaController.toggleLikeSet(req, res); }
     async getUserLikeStatus(req, res) { return setMetaController.getUserLikeStatus(req, res); }
@@ -390,6 +407,10 @@ class SetsController extends ApiController {
     async getLikedSets(req, res) { return setMetaController.getLikedSets(req, res); }
     async getRelatedSets(req, res) { return setMetaController.getRelatedSets(req, res); }
     async toggleHidden(req, res) { return setController.toggleHidden(req, res); }
+    async reorderCards(req, res) { return setController.reorderCards(req, res); }
+
+    async getQuiz(req, res) { return setQuizController.getQuiz(req, res); }
+    async submitQuiz(req, res) { return setQuizController.submitQuiz(req, res); }
 
     /**
      * Process image files from FormData and upload to Cloudinary
@@ -0,0 +1,317 @@
+const ApiController = require('./ApiController');
+const responseFormatter = require('../services/ResponseFormatter');
+const studySessionService = require('../services/study/StudySessionService');
+const studyQueueService = require('../services/study/StudyQueueService');
+const syncService = require('../services/study/SyncService');
+const cardFlagService = require('../services/study/CardFlagService');
+const studyPlanService = require('../services/study/StudyPlanService');
+const guestStudyService = require('../services/study/GuestStudyService');
+
+class StudyController extends ApiController {
+    constructor() {
+        super('StudySession');
+        this.serviceErrorMessage = 'Failed to process study request';
+    }
+
+    /**
+     * Start a study session for a set, or a custom session from a filter
+     * POST /study/sessions
+     */
+    async startSession(req, res) {
+        try {
+            const { setId, filter, newLimit, reviewLimit } = req.body;
+            if (!setId && !filter) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Set ID or filter is required'
+                }));
+            }
+
+            const result = filter ?
+                await studySessionService.startFilteredSession(req.user.id, filter, { setId }) :
+                await studySessionService.startSession(req.user.id, setId, { newLimit, reviewLimit });
+            res.status(201).json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'startSession');
+        }
+    }
+
+    /**
+     * Get a study session with its remaining queue
+     * GET /study/sessions/:id
+     */
+    async getSession(req, res) {
+        try {
+            const result = await studySessionService.getSession(req.user.id, parseInt(req.params.id, 10));
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'getSession');
+        }
+    }
+
+    /**
+     * Record a graded answer
+     * POST /study/sessions/:id/answers
+     */
+    async answer(req, res) {
+        try {
+            const result = await studySessionService.answer(req.user.id, parseInt(req.params.id, 10), req.body);
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'answer');
+        }
+    }
+
+    /**
+     * End a study session
+     * POST /study/sessions/:id/end
+     */
+    async endSession(req, res) {
+        try {
+            const result = await studySessionService.endSession(req.user.id, parseInt(req.params.id, 10));
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'endSession');
+        }
+    }
+
+    /**
+     * Interleaved queue of due and new cards across every accessible set
+     * GET /study/due
+     */
+    async getDueQueue(req, res) {
+        try {
+            const { maxReviews, maxNew, categoryId, tag } = req.query;
+            const result = await studyQueueService.getDueQueue(req.user.id, { maxReviews, maxNew, categoryId, tag });
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'getDueQueue');
+        }
+    }
+
+    /**
+     * Record an answer outside of a study session
+     * POST /study/reviews
+     */
+    async reviewCard(req, res) {
+        try {
+            const result = await studySessionService.reviewCard(req.user.id, req.body);
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'reviewCard');
+        }
+    }
+
+    /**
+     * Upload review events recorded offline and pull state changes
+     * POST /study/sync
+     */
+    async sync(req, res) {
+        try {
+            const { events, cursor, deviceId } = req.body || {};
+            const result = await syncService.sync(req.user.id, { events, cursor, deviceId });
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'sync');
+        }
+    }
+
+    /**
+     * Check a typed answer against a card without recording a review
+     * POST /study/check
+     */
+    async checkAnswer(req, res) {
+        try {
+            const { cardId, answer, item } = req.body;
+            if (!cardId) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Card ID is required'
+                }));
+            }
+
+            const result = await studySessionService.checkAnswer(req.user.id, cardId, answer, item);
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'checkAnswer');
+        }
+    }
+
+    /**
+     * Star, suspend or bury a card for the current user, or lift the flag
+     * POST|DELETE /study/cards/:cardId/star
+     * POST|DELETE /study/cards/:cardId/suspend
+     * POST|DELETE /study/cards/:cardId/bury
+     */
+    async starCard(req, res) {
+        return this.updateCardFlag(req, res, 'star');
+    }
+
+    async unstarCard(req, res) {
+        return this.updateCardFlag(req, res, 'unstar');
+    }
+
+    async suspendCard(req, res) {
+        return this.updateCardFlag(req, res, 'suspend');
+    }
+
+    async unsuspendCard(req, res) {
+        return this.updateCardFlag(req, res, 'unsuspend');
+    }
+
+    async buryCard(req, res) {
+        return this.updateCardFlag(req, res, 'bury');
+    }
+
+    async unburyCard(req, res) {
+        return this.updateCardFlag(req, res, 'unbury');
+    }
+
+    async updateCardFlag(req, res, action) {
+        try {
+            const flags = await cardFlagService[action](req.user.id, req.params.cardId);
+            res.json(flags);
+        } catch (err) {
+            return this.handleServiceError(err, res, action);
+        }
+    }
+
+    /**
+     * Cards the current user keeps forgetting
+     * GET /study/leeches
+     */
+    async getLeeches(req, res) {
+        try {
+            const leeches = await cardFlagService.getLeeches(req.user.id, { setId: req.query.setId });
+            res.json(leeches);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'getLeeches');
+        }
+    }
+
+    /**
+     * Study plans of the current user
+     * GET /study/plans
+     */
+    async listPlans(req, res) {
+        try {
+            const plans = await studyPlanService.listPlans(req.user.id, { status: req.query.status });
+            res.json(plans);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'listPlans');
+        }
+    }
+
+    /**
+     * Create a study plan for an exam date
+     * POST /study/plans
+     */
+    async createPlan(req, res) {
+        try {
+            const plan = await studyPlanService.createPlan(req.user.id, req.body);
+            res.status(201).json(plan);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'createPlan');
+        }
+    }
+
+    /**
+     * Get a study plan with its daily schedule
+     * GET /study/plans/:id
+     */
+    async getPlan(req, res) {
+        try {
+            const plan = await studyPlanService.getPlan(req.user.id, parseInt(req.params.id, 10));
+            res.json(plan);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'getPlan');
+        }
+    }
+
+    /**
+     * Update a study plan
+     * PATCH /study/plans/:id
+     */
+    async updatePlan(req, res) {
+        try {
+            const plan = await studyPlanService.updatePlan(req.user.id, parseInt(req.params.id, 10), req.body);
+            res.json(plan);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'updatePlan');
+        }
+    }
+
+    /**
+     * Delete a study plan
+     * DELETE /study/plans/:id
+     */
+    async deletePlan(req, res) {
+        try {
+            await studyPlanService.deletePlan(req.user.id, parseInt(req.params.id, 10));
+            res.status(204).send();
+        } catch (err) {
+            return this.handleServiceError(err, res, 'deletePlan');
+        }
+    }
+
+    /**
+     * Create a guest identity for studying free sets without an account
+     * POST /study/guest
+     */
+    async createGuest(req, res) {
+        try {
+            const guest = await guestStudyService.createGuest();
+            res.status(201).json(guest);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'createGuest');
+        }
+    }
+
+    /**
+     * Queue of a free set for the guest
+     * GET /study/guest/sets/:setId/queue
+     */
+    async getGuestQueue(req, res) {
+        try {
+            const queue = await guestStudyService.getQueue(req.guest, req.params.setId, {
+                newLimit: req.query.newLimit
+            });
+            res.json({ queue });
+        } catch (err) {
+            return this.handleServiceError(err, res, 'getGuestQueue');
+        }
+    }
+
+    /**
+     * Record a graded answer of the guest
+     * POST /study/guest/reviews
+     */
+    async reviewGuestCard(req, res) {
+        try {
+            const result = await guestStudyService.reviewCard(req.guest, req.body);
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'reviewGuestCard');
+        }
+    }
+
+    /**
+     * Merge the progress of a guest into the current user
+     * POST /study/guest/merge
+     */
+    async mergeGuest(req, res) {
+        try {
+            const guestToken = req.body.guestToken || req.headers['x-guest-token'];
+            if (!guestToken) {
+                return res.status(400).json(responseFormatter.formatError({
+                    message: 'Guest token is required'
+                }));
+            }
+
+            const result = await guestStudyService.mergeIntoUser(guestToken, req.user.id);
+            res.json(result);
+        } catch (err) {
+            return this.handleServiceError(err, res, 'mergeGuest');
+        }
+    }
+}
+
+module.exports = StudyController;
@@ -5,6 +5,8 @@ const responseFormatter = require('../services/ResponseFormatter');
 const path = require('path');
 const fs = require('fs');
 const { Op } = require('sequelize');
+const streakService = require('../services/study/StreakService');
+const statsService = require('../services/study/StatsService');
 
 class UsersController extends ApiController {
     constructor() {
@@ -247,6 +249,40 @@ class UsersController extends ApiController {
             res.status(500).json({ message: 'Failed to fetch newest user' });
         }
     }
+
+    async getStreak(req, res) {
+        try {
+            const streak = await streakService.getSummary(req.user.id);
+            res.json(streak);
+        } catch (err) {
+            console.error('Error fetching streak:', err);
+            res.status(500).json({ message: 'Failed to fetch streak' });
+        }
+    }
+
+    async getStats(req, res) {
+        try {
+            const stats = await statsService.getStats(req.user.id);
+            res.json(stats);
+        } catch (err) {
+            console.error('Error fetching stats:', err);
+            res.status(500).json({ message: 'Failed to fetch stats' });
+        }
+    }
+
+    async updateStreakSettings(req, res) {
+        try {
+            const { dailyGoal, timezone } = req.body;
+            const streak = await streakService.updateSettings(req.user.id, { dailyGoal, timezone });
+            res.json(streak);
+        } catch (err) {
+            if (err.status && err.status < 500) {
+                return res.status(err.status).json({ message: err.message });
+            }
+            console.error('Error updating streak settings:', err);
+            res.status(500).json({ message: 'Failed to update streak settings' });
+        }
+    }
 }
 
 module.exports = UsersController;
\ No newline at end of file
@@ -6,6 +6,8 @@ const SalesController = require('./SalesController')
 const CardsController = require('./CardsController')
 const AuthController = require('./AuthController')
 const HistoryController = require('./HistoryController')
+const StudyController = require('./StudyController')
+const ExamsController = require('./ExamsController')
 
 module.exports = {
     UsersController,
@@ -15,5 +17,7 @@ module.exports = {
     SalesController,
     CardsController,
     AuthController,
-    HistoryController
+    HistoryController,
+    StudyController,
+    ExamsController
 }
\ No newline at end of file
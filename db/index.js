@@ -47,6 +47,24 @@ const GenerationSession = require('./models/GenerationSession')(sequelize);
 const NewsletterSubscriber = require('./models/NewsletterSubscriber')(sequelize);
 const StockImage = require('./models/stockImage')(sequelize);
 const Cloudinary = require('./models/cloudinary')(sequelize);
+const CardReview = require('./models/cardReview')(sequelize);
+const ReviewLog = require('./models/reviewLog')(sequelize);
+const StudySession = require('./models/studySession')(sequelize);
+const Quiz = require('./models/quiz')(sequelize);
+const DailyActivity = require('./models/dailyActivity')(sequelize);
+const UserStreak = require('./models/userStreak')(sequelize);
+const UserCardFlag = require('./models/userCardFlag')(sequelize);
+const Exam = require('./models/exam')(sequelize);
+const ExamAttempt = require('./models/examAttempt')(sequelize);
+const ExamAnswer = require('./models/examAnswer')(sequelize);
+const SetView = require('./models/setView')(sequelize);
+const SetViewDaily = require('./models/setViewDaily')(sequelize);
+const StudyPlan = require('./models/studyPlan')(sequelize);
+const Guest = require('./models/guest')(sequelize);
+const GuestCardReview = require('./models/guestCardReview')(sequelize);
+const GuestReviewLog = require('./models/guestReviewLog')(sequelize);
+const CardRevision = require('./models/cardRevision')(sequelize);
+const ReviewSyncCounter = require('./models/reviewSyncCounter')(sequelize);
 
 // Create models object for associations
 const models = {
@@ -66,7 +84,25 @@ const models = {
     GenerationSession,
     NewsletterSubscriber,
     StockImage,
-    Cloudinary
+    Cloudinary,
+    CardReview,
+    ReviewLog,
+    StudySession,
+    Quiz,
+    DailyActivity,
+    UserStreak,
+    UserCardFlag,
+    Exam,
+    ExamAttempt,
+    ExamAnswer,
+    SetView,
+    SetViewDaily,
+    StudyPlan,
+    Guest,
+    GuestCardReview,
+    GuestReviewLog,
+    CardRevision,
+    ReviewSyncCounter
 };
 
 // Set up associations
@@ -104,6 +140,41 @@ History.belongsTo(User, { foreignKey: 'user_id' });
 Set.hasMany(History, { foreignKey: 'set_id' });
 History.belongsTo(Set, { foreignKey: 'set_id' });
 
+// Review associations
+User.hasMany(CardReview, { foreignKey: 'user_id' });
+Card.hasMany(CardReview, { foreignKey: 'card_id' });
+User.hasMany(ReviewLog, { foreignKey: 'user_id' });
+Card.hasMany(ReviewLog, { foreignKey: 'card_id' });
+User.hasMany(StudySession, { foreignKey: 'user_id' });
+StudySession.hasMany(ReviewLog, { foreignKey: 'session_id' });
+
+// Quiz associations
+User.hasMany(Quiz, { foreignKey: 'user_id' });
+Set.hasMany(Quiz, { foreignKey: 'set_id' });
+
+// Streak associations
+User.hasMany(DailyActivity, { foreignKey: 'user_id' });
+User.hasOne(UserStreak, { foreignKey: 'user_id' });
+
+// Card flag associations
+User.hasMany(UserCardFlag, { foreignKey: 'user_id' });
+Card.hasMany(UserCardFlag, { foreignKey: 'card_id' });
+
+// Exam associations
+User.hasMany(Exam, { foreignKey: 'creator_id' });
+User.hasMany(ExamAttempt, { foreignKey: 'user_id' });
+
+// View tracking associations
+Set.hasMany(SetView, { foreignKey: 'set_id' });
+Set.hasMany(SetViewDaily, { foreignKey: 'set_id' });
+
+// Study plan associations
+User.hasMany(StudyPlan, { foreignKey: 'user_id' });
+
+// Guest study associations
+Card.hasMany(GuestCardReview, { foreignKey: 'card_id' });
+Card.hasMany(GuestReviewLog, { foreignKey: 'card_id' });
+
 // Initialize model associations
 Object.values(models).forEach(model => {
     if (model.associate) {
@@ -0,0 +1,189 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('card_reviews', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            card_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'cards',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            state: {
+                type: Sequelize.ENUM('new', 'learning', 'review', 'relearning'),
+                allowNull: false,
+                defaultValue: 'new'
+            },
+            step: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            ease_factor: {
+                type: Sequelize.DECIMAL(4, 2),
+                allowNull: false,
+                defaultValue: 2.5
+            },
+            interval_days: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            repetitions: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            lapses: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            due_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            last_reviewed_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('card_reviews', ['user_id', 'card_id'], {
+            name: 'user_card_unique',
+            unique: true
+        });
+
+        await queryInterface.addIndex('card_reviews', ['user_id', 'due_at'], {
+            name: 'idx_card_reviews_user_due'
+        });
+
+        await queryInterface.addIndex('card_reviews', ['user_id', 'set_id'], {
+            name: 'idx_card_reviews_user_set'
+        });
+
+        await queryInterface.createTable('review_logs', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            card_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'cards',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            grade: {
+                type: Sequelize.ENUM('again', 'hard', 'good', 'easy'),
+                allowNull: false
+            },
+            state_before: {
+                type: Sequelize.ENUM('new', 'learning', 'review', 'relearning'),
+                allowNull: false
+            },
+            interval_before: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            interval_after: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            ease_factor: {
+                type: Sequelize.DECIMAL(4, 2),
+                allowNull: false
+            },
+            due_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            duration_ms: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: true
+            },
+            reviewed_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('review_logs', ['user_id', 'reviewed_at'], {
+            name: 'idx_review_logs_user_reviewed'
+        });
+
+        await queryInterface.addIndex('review_logs', ['card_id'], {
+            name: 'idx_review_logs_card'
+        });
+
+        await queryInterface.addIndex('review_logs', ['set_id'], {
+            name: 'idx_review_logs_set'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('review_logs');
+        await queryInterface.dropTable('card_reviews');
+    }
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('study_sessions', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            status: {
+                type: Sequelize.ENUM('active', 'completed'),
+                allowNull: false,
+                defaultValue: 'active'
+            },
+            new_limit: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 20
+            },
+            review_limit: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 200
+            },
+            cards_reviewed: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            cards_correct: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            started_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            ended_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            }
+        });
+
+        await queryInterface.addIndex('study_sessions', ['user_id', 'started_at'], {
+            name: 'idx_study_sessions_user_started'
+        });
+
+        await queryInterface.addColumn('review_logs', 'session_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'study_sessions',
+                key: 'id'
+            },
+            onDelete: 'SET NULL',
+            after: 'set_id'
+        });
+
+        await queryInterface.addIndex('review_logs', ['session_id'], {
+            name: 'idx_review_logs_session'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeIndex('review_logs', 'idx_review_logs_session');
+        await queryInterface.removeColumn('review_logs', 'session_id');
+        await queryInterface.dropTable('study_sessions');
+    }
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('quizzes', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            questions: {
+                type: Sequelize.JSON,
+                allowNull: false
+            },
+            answers: {
+                type: Sequelize.JSON,
+                allowNull: true
+            },
+            status: {
+                type: Sequelize.ENUM('pending', 'submitted'),
+                allowNull: false,
+                defaultValue: 'pending'
+            },
+            question_count: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            correct_count: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            submitted_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            }
+        });
+
+        await queryInterface.addIndex('quizzes', ['user_id', 'set_id'], {
+            name: 'idx_quizzes_user_set'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('quizzes');
+    }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('cards', 'accepted_answers', {
+            type: Sequelize.JSON,
+            allowNull: true
+        });
+
+        await queryInterface.addColumn('review_logs', 'typed_answer', {
+            type: Sequelize.TEXT,
+            allowNull: true,
+            after: 'duration_ms'
+        });
+
+        await queryInterface.addColumn('review_logs', 'answer_result', {
+            type: Sequelize.ENUM('correct', 'almost', 'wrong'),
+            allowNull: true,
+            after: 'typed_answer'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeColumn('review_logs', 'answer_result');
+        await queryInterface.removeColumn('review_logs', 'typed_answer');
+        await queryInterface.removeColumn('cards', 'accepted_answers');
+    }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('review_logs', 'client_event_id', {
+            type: Sequelize.STRING(64),
+            allowNull: true
+        });
+
+        await queryInterface.addColumn('review_logs', 'device_id', {
+            type: Sequelize.STRING(64),
+            allowNull: true
+        });
+
+        await queryInterface.addIndex('review_logs', ['user_id', 'client_event_id'], {
+            unique: true,
+            name: 'user_event_unique'
+        });
+
+        // Change sequence of each review row, the cursor of incremental pulls
+        await queryInterface.addColumn('card_reviews', 'sync_seq', {
+            type: Sequelize.BIGINT,
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        await queryInterface.addIndex('card_reviews', ['user_id', 'sync_seq'], {
+            name: 'idx_card_reviews_user_sync'
+        });
+
+        await queryInterface.createTable('review_sync_counters', {
+            user_id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            seq: {
+                type: Sequelize.BIGINT,
+                allowNull: false,
+                defaultValue: 0
+            }
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('review_sync_counters');
+        await queryInterface.removeIndex('card_reviews', 'idx_card_reviews_user_sync');
+        await queryInterface.removeColumn('card_reviews', 'sync_seq');
+        await queryInterface.removeIndex('review_logs', 'user_event_unique');
+        await queryInterface.removeColumn('review_logs', 'device_id');
+        await queryInterface.removeColumn('review_logs', 'client_event_id');
+    }
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('card_reviews', 'is_leech', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            after: 'lapses'
+        });
+
+        // Flag existing leeches with the default threshold of SchedulerService
+        await queryInterface.sequelize.query('UPDATE card_reviews SET is_leech = TRUE WHERE lapses >= 8');
+
+        await queryInterface.createTable('user_card_flags', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            card_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'cards',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            suspended: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            buried_until: {
+                type: Sequelize.DATEONLY,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('user_card_flags', ['user_id', 'card_id'], {
+            unique: true,
+            name: 'user_card_flag_unique'
+        });
+
+        await queryInterface.addIndex('user_card_flags', ['user_id', 'set_id'], {
+            name: 'idx_user_card_flags_user_set'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('user_card_flags');
+        await queryInterface.removeColumn('card_reviews', 'is_leech');
+    }
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('user_card_flags', 'starred', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            after: 'set_id'
+        });
+
+        await queryInterface.changeColumn('study_sessions', 'set_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true
+        });
+
+        await queryInterface.addColumn('study_sessions', 'filter', {
+            type: Sequelize.STRING(500),
+            allowNull: true,
+            after: 'set_id'
+        });
+
+        await queryInterface.addColumn('study_sessions', 'card_ids', {
+            type: Sequelize.JSON,
+            allowNull: true,
+            after: 'filter'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeColumn('study_sessions', 'card_ids');
+        await queryInterface.removeColumn('study_sessions', 'filter');
+        await queryInterface.sequelize.query('DELETE FROM study_sessions WHERE set_id IS NULL');
+        await queryInterface.changeColumn('study_sessions', 'set_id', {
+            type: Sequelize.INTEGER,
+            allowNull: false
+        });
+        await queryInterface.removeColumn('user_card_flags', 'starred');
+    }
+};
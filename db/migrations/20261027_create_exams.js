@@ -0,0 +1,207 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('exams', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            creator_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            title: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            description: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            set_ids: {
+                type: Sequelize.JSON,
+                allowNull: false
+            },
+            question_count: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            question_type: {
+                type: Sequelize.ENUM('multiple_choice', 'typed'),
+                allowNull: false,
+                defaultValue: 'multiple_choice'
+            },
+            choice_count: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 4
+            },
+            time_limit_seconds: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            max_attempts: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('exams', ['creator_id'], {
+            name: 'idx_exams_creator'
+        });
+
+        await queryInterface.createTable('exam_attempts', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            exam_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'exams',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            status: {
+                type: Sequelize.ENUM('in_progress', 'submitted', 'expired'),
+                allowNull: false,
+                defaultValue: 'in_progress'
+            },
+            question_count: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            correct_count: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            score_percent: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            started_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            deadline_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            submitted_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            }
+        });
+
+        await queryInterface.addIndex('exam_attempts', ['exam_id', 'user_id'], {
+            name: 'idx_exam_attempts_exam_user'
+        });
+
+        await queryInterface.createTable('exam_answers', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            attempt_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'exam_attempts',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            position: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            card_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'cards',
+                    key: 'id'
+                },
+                onDelete: 'SET NULL'
+            },
+            prompt: {
+                type: Sequelize.TEXT,
+                allowNull: false
+            },
+            prompt_image: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            expected_answer: {
+                type: Sequelize.TEXT,
+                allowNull: false
+            },
+            choices: {
+                type: Sequelize.JSON,
+                allowNull: true
+            },
+            answer_index: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            choice_index: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            typed_answer: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            correct: {
+                type: Sequelize.BOOLEAN,
+                allowNull: true
+            },
+            answered_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            }
+        });
+
+        await queryInterface.addIndex('exam_answers', ['attempt_id', 'position'], {
+            unique: true,
+            name: 'attempt_position_unique'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('exam_answers');
+        await queryInterface.dropTable('exam_attempts');
+        await queryInterface.dropTable('exams');
+    }
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('set_views', {
+            id: {
+                type: Sequelize.BIGINT,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'SET NULL'
+            },
+            visitor_key: {
+                type: Sequelize.CHAR(64),
+                allowNull: false
+            },
+            viewed_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('set_views', ['set_id', 'visitor_key', 'viewed_at'], {
+            name: 'idx_set_views_visitor'
+        });
+
+        await queryInterface.addIndex('set_views', ['viewed_at'], {
+            name: 'idx_set_views_viewed_at'
+        });
+
+        await queryInterface.createTable('set_view_daily', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            view_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            views: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            unique_visitors: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            }
+        });
+
+        await queryInterface.addIndex('set_view_daily', ['set_id', 'view_date'], {
+            unique: true,
+            name: 'set_date_unique'
+        });
+
+        // View counts used to be the number of learner history rows; carry
+        // them over so the counters shown on sets do not reset
+        await queryInterface.sequelize.query(`
+            INSERT INTO set_view_daily (set_id, view_date, views, unique_visitors)
+            SELECT set_id, DATE(started_at), COUNT(*), COUNT(DISTINCT user_id)
+            FROM view_history
+            GROUP BY set_id, DATE(started_at)
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('set_view_daily');
+        await queryInterface.dropTable('set_views');
+    }
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('study_plans', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            name: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            set_ids: {
+                type: Sequelize.JSON,
+                allowNull: false
+            },
+            target_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.ENUM('active', 'archived'),
+                allowNull: false,
+                defaultValue: 'active'
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('study_plans', ['user_id', 'status'], {
+            name: 'idx_study_plans_user_status'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('study_plans');
+    }
+};
@@ -0,0 +1,224 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('guests', {
+            id: {
+                type: Sequelize.CHAR(36),
+                primaryKey: true
+            },
+            merged_user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'SET NULL'
+            },
+            merged_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            last_seen_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.createTable('guest_card_reviews', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            guest_id: {
+                type: Sequelize.CHAR(36),
+                allowNull: false,
+                references: {
+                    model: 'guests',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            card_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'cards',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            state: {
+                type: Sequelize.ENUM('new', 'learning', 'review', 'relearning'),
+                allowNull: false,
+                defaultValue: 'new'
+            },
+            step: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            ease_factor: {
+                type: Sequelize.DECIMAL(4, 2),
+                allowNull: false,
+                defaultValue: 2.5
+            },
+            interval_days: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            repetitions: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            lapses: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            is_leech: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            due_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            last_reviewed_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('guest_card_reviews', ['guest_id', 'card_id'], {
+            unique: true,
+            name: 'guest_card_unique'
+        });
+        await queryInterface.addIndex('guest_card_reviews', ['guest_id', 'set_id'], {
+            name: 'idx_guest_card_reviews_guest_set'
+        });
+
+        await queryInterface.createTable('guest_review_logs', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            guest_id: {
+                type: Sequelize.CHAR(36),
+                allowNull: false,
+                references: {
+                    model: 'guests',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            card_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'cards',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            grade: {
+                type: Sequelize.ENUM('again', 'hard', 'good', 'easy'),
+                allowNull: false
+            },
+            state_before: {
+                type: Sequelize.ENUM('new', 'learning', 'review', 'relearning'),
+                allowNull: false
+            },
+            interval_before: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            interval_after: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            ease_factor: {
+                type: Sequelize.DECIMAL(4, 2),
+                allowNull: false
+            },
+            due_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            duration_ms: {
+                type: Sequelize.INTEGER.UNSIGNED,
+                allowNull: true
+            },
+            typed_answer: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            answer_result: {
+                type: Sequelize.ENUM('correct', 'almost', 'wrong'),
+                allowNull: true
+            },
+            reviewed_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('guest_review_logs', ['guest_id', 'reviewed_at'], {
+            name: 'idx_guest_review_logs_guest_reviewed'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('guest_review_logs');
+        await queryInterface.dropTable('guest_card_reviews');
+        await queryInterface.dropTable('guests');
+    }
+};
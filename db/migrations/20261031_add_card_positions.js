@@ -0,0 +1,30 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('cards', 'position', {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        });
+
+        // Existing cards keep their current order (by ID) within each set
+        await queryInterface.sequelize.query(`
+            UPDATE cards
+            JOIN (
+                SELECT id, ROW_NUMBER() OVER (PARTITION BY set_id ORDER BY id) - 1 AS row_position
+                FROM cards
+            ) ordered ON ordered.id = cards.id
+            SET cards.position = ordered.row_position
+        `);
+
+        await queryInterface.addIndex('cards', ['set_id', 'position'], {
+            name: 'idx_cards_set_position'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeIndex('cards', 'idx_cards_set_position');
+        await queryInterface.removeColumn('cards', 'position');
+    }
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('cards', 'type', {
+            type: Sequelize.STRING(16),
+            allowNull: false,
+            defaultValue: 'basic',
+            after: 'set_id'
+        });
+
+        // Review state and logs are kept per reviewable item of a card;
+        // existing rows belong to the single item of basic cards
+        await queryInterface.addColumn('card_reviews', 'item', {
+            type: Sequelize.STRING(16),
+            allowNull: false,
+            defaultValue: 'main',
+            after: 'card_id'
+        });
+        await queryInterface.addColumn('review_logs', 'item', {
+            type: Sequelize.STRING(16),
+            allowNull: false,
+            defaultValue: 'main',
+            after: 'card_id'
+        });
+        await queryInterface.addColumn('guest_card_reviews', 'item', {
+            type: Sequelize.STRING(16),
+            allowNull: false,
+            defaultValue: 'main',
+            after: 'card_id'
+        });
+        await queryInterface.addColumn('guest_review_logs', 'item', {
+            type: Sequelize.STRING(16),
+            allowNull: false,
+            defaultValue: 'main',
+            after: 'card_id'
+        });
+
+        // The new unique keys are added first: they also serve the foreign
+        // keys on user_id and guest_id
+        await queryInterface.addIndex('card_reviews', ['user_id', 'card_id', 'item'], {
+            unique: true,
+            name: 'user_card_item_unique'
+        });
+        await queryInterface.removeIndex('card_reviews', 'user_card_unique');
+
+        await queryInterface.addIndex('guest_card_reviews', ['guest_id', 'card_id', 'item'], {
+            unique: true,
+            name: 'guest_card_item_unique'
+        });
+        await queryInterface.removeIndex('guest_card_reviews', 'guest_card_unique');
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.sequelize.query("DELETE FROM card_reviews WHERE item <> 'main'");
+        await queryInterface.sequelize.query("DELETE FROM guest_card_reviews WHERE item <> 'main'");
+
+        await queryInterface.addIndex('card_reviews', ['user_id', 'card_id'], {
+            unique: true,
+            name: 'user_card_unique'
+        });
+        await queryInterface.removeIndex('card_reviews', 'user_card_item_unique');
+
+        await queryInterface.addIndex('guest_card_reviews', ['guest_id', 'card_id'], {
+            unique: true,
+            name: 'guest_card_unique'
+        });
+        await queryInterface.removeIndex('guest_card_reviews', 'guest_card_item_unique');
+
+        await queryInterface.removeColumn('guest_review_logs', 'item');
+        await queryInterface.removeColumn('guest_card_reviews', 'item');
+        await queryInterface.removeColumn('review_logs', 'item');
+        await queryInterface.removeColumn('card_reviews', 'item');
+        await queryInterface.removeColumn('cards', 'type');
+    }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        // Structured content of multiple-choice and true/false cards
+        // (see CardContentService)
+        await queryInterface.addColumn('cards', 'content', {
+            type: Sequelize.JSON,
+            allowNull: true,
+            after: 'back'
+        });
+    },
+
+    async down(queryInterface) {
+        // Keep structured cards as basic cards answered by their correct option
+        await queryInterface.sequelize.query(`
+            UPDATE cards
+            SET back = CASE
+                    WHEN back <> '' THEN back
+                    WHEN type = 'true_false' THEN IF(JSON_EXTRACT(content, '$.answer') = true, 'True', 'False')
+                    ELSE JSON_UNQUOTE(JSON_EXTRACT(content, CONCAT('$.options[', JSON_EXTRACT(content, '$.correct_index'), ']')))
+                END,
+                type = 'basic'
+            WHERE type IN ('multiple_choice', 'true_false')
+        `);
+        await queryInterface.removeColumn('cards', 'content');
+    }
+};
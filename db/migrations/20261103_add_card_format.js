@@ -0,0 +1,17 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        // How the text of the card faces is rendered (see CardFormatService)
+        await queryInterface.addColumn('cards', 'format', {
+            type: Sequelize.STRING(16),
+            allowNull: false,
+            defaultValue: 'plain',
+            after: 'type'
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn('cards', 'format');
+    }
+};
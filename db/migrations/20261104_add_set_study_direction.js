@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        // Direction basic cards of the set are studied in: forward, reverse or both
+        await queryInterface.addColumn('sets', 'study_direction', {
+            type: Sequelize.STRING(16),
+            allowNull: false,
+            defaultValue: 'forward',
+            after: 'hidden'
+        });
+    },
+
+    async down(queryInterface) {
+        // Review state of reverse items has no place without the option
+        await queryInterface.sequelize.query("DELETE FROM card_reviews WHERE item = 'reverse'");
+        await queryInterface.sequelize.query("DELETE FROM review_logs WHERE item = 'reverse'");
+        await queryInterface.sequelize.query("DELETE FROM guest_card_reviews WHERE item = 'reverse'");
+        await queryInterface.sequelize.query("DELETE FROM guest_review_logs WHERE item = 'reverse'");
+        await queryInterface.removeColumn('sets', 'study_direction');
+    }
+};
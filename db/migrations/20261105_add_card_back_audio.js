@@ -0,0 +1,16 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        // Clip of the back face; audio_url holds the clip of the front
+        await queryInterface.addColumn('cards', 'back_audio', {
+            type: Sequelize.STRING(255),
+            allowNull: true,
+            after: 'audio_url'
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.removeColumn('cards', 'back_audio');
+    }
+};
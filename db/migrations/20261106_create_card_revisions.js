@@ -0,0 +1,73 @@
+'use strict';
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('card_revisions', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            // No foreign key: revisions outlive the card so it can be restored
+            card_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            set_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sets',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onDelete: 'SET NULL'
+            },
+            action: {
+                type: Sequelize.ENUM('create', 'update', 'delete', 'restore'),
+                allowNull: false
+            },
+            before_data: {
+                type: Sequelize.JSON,
+                allowNull: true
+            },
+            after_data: {
+                type: Sequelize.JSON,
+                allowNull: true
+            },
+            changed_fields: {
+                type: Sequelize.JSON,
+                allowNull: true
+            },
+            restored_from: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            created_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('card_revisions', ['card_id', 'id'], {
+            name: 'idx_card_revisions_card'
+        });
+
+        await queryInterface.addIndex('card_revisions', ['set_id'], {
+            name: 'idx_card_revisions_set'
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('card_revisions');
+    }
+};
@@ -1,4 +1,5 @@
 const { Model, DataTypes } = require('sequelize');
+const CardContentService = require('../../services/CardContentService');
 
 module.exports = (sequelize) => {
     class Card extends Model {
@@ -21,6 +22,22 @@ module.exports = (sequelize) => {
             allowNull: false,
             field: 'set_id'
         },
+        // basic, cloze, multiple_choice or true_false; a cloze card holds the
+        // cloze text in front and optional extra text in back (see ClozeService)
+        type: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            defaultValue: 'basic',
+            field: 'type'
+        },
+        // plain or markdown; markdown faces are rendered to sanitized HTML
+        // when read (see CardFormatService)
+        format: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            defaultValue: 'plain',
+            field: 'format'
+        },
         front: {
             type: DataTypes.TEXT,
             allowNull: false,
@@ -31,6 +48,13 @@ module.exports = (sequelize) => {
             allowNull: false,
             field: 'back'
         },
+        // Options and answer of multiple-choice and true/false cards, null on
+        // other types (see CardContentService)
+        content: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            field: 'content'
+        },
         front_image: {
             type: DataTypes.STRING(255),
             allowNull: true,
@@ -54,16 +78,23 @@ module.exports = (sequelize) => {
             allowNull: true,
             field: 'hint'
         },
+        // Set while either face has an audio clip
         has_audio: {
             type: DataTypes.TINYINT(1),
             defaultValue: 0,
             field: 'has_audio'
         },
+        // Audio clips of the faces (see CardAudioService)
         audio_url: {
             type: DataTypes.STRING(255),
             allowNull: true,
             field: 'audio_url'
         },
+        back_audio: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            field: 'back_audio'
+        },
         layout_front: {
             type: DataTypes.STRING(32),
             allowNull: true,
@@ -73,6 +104,19 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING(32),
             allowNull: true,
             field: 'layout_back'
+        },
+        // Alternate answers accepted when the learner types the answer
+        accepted_answers: {
+            type: DataTypes.JSON,
+            allowNull: true,
+            field: 'accepted_answers'
+        },
+        // Zero-based place of the card in its set, kept dense by CardOrderService
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            field: 'position'
         }
     }, {
         sequelize,
@@ -80,7 +124,21 @@ module.exports = (sequelize) => {
         tableName: 'cards',
         timestamps: false,
         underscored: true,
-        freezeTableName: true
+        freezeTableName: true,
+        indexes: [{
+            fields: ['set_id', 'position'],
+            name: 'idx_cards_set_position'
+        }],
+        validate: {
+            validContent() {
+                // Bulk updates that leave the type alone are not checked
+                if (!('type' in this.dataValues)) return;
+                const errors = CardContentService.validate(this.type || 'basic', this.content);
+                if (errors.length) {
+                    throw new Error(errors.join(', '));
+                }
+            }
+        }
     });
 
     return Card;
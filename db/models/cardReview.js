@@ -0,0 +1,155 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class CardReview extends Model {
+        static associate(models) {
+            CardReview.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+            CardReview.belongsTo(models.Card, {
+                foreignKey: 'card_id',
+                as: 'card'
+            });
+            CardReview.belongsTo(models.Set, {
+                foreignKey: 'set_id',
+                as: 'set'
+            });
+        }
+    }
+
+    CardReview.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        card_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'cards',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Reviewable item of the card (see CardItemService)
+        item: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            defaultValue: 'main'
+        },
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        state: {
+            type: DataTypes.ENUM('new', 'learning', 'review', 'relearning'),
+            allowNull: false,
+            defaultValue: 'new'
+        },
+        step: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        ease_factor: {
+            type: DataTypes.DECIMAL(4, 2),
+            allowNull: false,
+            defaultValue: 2.5,
+            get() {
+                const rawValue = this.getDataValue('ease_factor');
+                return rawValue === null || rawValue === undefined ? null : parseFloat(rawValue);
+            }
+        },
+        interval_days: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        repetitions: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        lapses: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Set once lapses reach the scheduler's leech threshold
+        is_leech: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        due_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        last_reviewed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        updated_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        // Change sequence of the row among the user's reviews, the sync cursor
+        // (see ReviewService.nextSyncSeq)
+        sync_seq: {
+            type: DataTypes.BIGINT,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        sequelize,
+        modelName: 'CardReview',
+        tableName: 'card_reviews',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        underscored: true,
+        indexes: [{
+                unique: true,
+                fields: ['user_id', 'card_id', 'item'],
+                name: 'user_card_item_unique'
+            },
+            {
+                fields: ['user_id', 'due_at'],
+                name: 'idx_card_reviews_user_due'
+            },
+            {
+                fields: ['user_id', 'set_id'],
+                name: 'idx_card_reviews_user_set'
+            },
+            {
+                fields: ['user_id', 'sync_seq'],
+                name: 'idx_card_reviews_user_sync'
+            }
+        ]
+    });
+
+    return CardReview;
+};
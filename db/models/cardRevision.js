@@ -0,0 +1,93 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class CardRevision extends Model {
+        static associate(models) {
+            CardRevision.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+            CardRevision.belongsTo(models.Set, {
+                foreignKey: 'set_id',
+                as: 'set'
+            });
+        }
+    }
+
+    CardRevision.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        // No foreign key: revisions outlive the card so it can be restored
+        card_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Who made the change
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        action: {
+            type: DataTypes.ENUM('create', 'update', 'delete', 'restore'),
+            allowNull: false
+        },
+        // Card fields before and after the change (see CardRevisionService);
+        // before is null on create, after is null on delete
+        before_data: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        after_data: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        changed_fields: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        // Revision a restore went back to
+        restored_from: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        sequelize,
+        modelName: 'CardRevision',
+        tableName: 'card_revisions',
+        timestamps: false,
+        underscored: true,
+        indexes: [{
+                fields: ['card_id', 'id'],
+                name: 'idx_card_revisions_card'
+            },
+            {
+                fields: ['set_id'],
+                name: 'idx_card_revisions_set'
+            }
+        ]
+    });
+
+    return CardRevision;
+};
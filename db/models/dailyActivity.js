@@ -0,0 +1,80 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class DailyActivity extends Model {
+        static associate(models) {
+            DailyActivity.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+        }
+    }
+
+    DailyActivity.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Calendar day in the user's time zone
+        activity_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        cards_reviewed: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        study_ms: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: false,
+            defaultValue: 0
+        },
+        sets_completed: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        xp: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        goal_met: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // The day was missed but a streak-freeze token kept the streak alive
+        freeze_used: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        }
+    }, {
+        sequelize,
+        modelName: 'DailyActivity',
+        tableName: 'daily_activities',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        underscored: true,
+        indexes: [{
+            unique: true,
+            fields: ['user_id', 'activity_date'],
+            name: 'user_date_unique'
+        }]
+    });
+
+    return DailyActivity;
+};
@@ -0,0 +1,84 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class Exam extends Model {
+        static associate(models) {
+            Exam.belongsTo(models.User, {
+                foreignKey: 'creator_id',
+                as: 'creator'
+            });
+            Exam.hasMany(models.ExamAttempt, {
+                foreignKey: 'exam_id',
+                as: 'attempts'
+            });
+        }
+    }
+
+    Exam.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        creator_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        title: {
+            type: DataTypes.STRING(255),
+            allowNull: false
+        },
+        description: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        // Sets the questions are drawn from
+        set_ids: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        question_count: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        question_type: {
+            type: DataTypes.ENUM('multiple_choice', 'typed'),
+            allowNull: false,
+            defaultValue: 'multiple_choice'
+        },
+        // Choices per multiple-choice question
+        choice_count: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 4
+        },
+        time_limit_seconds: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        // Null for unlimited attempts
+        max_attempts: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'Exam',
+        tableName: 'exams',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        underscored: true,
+        indexes: [{
+            fields: ['creator_id'],
+            name: 'idx_exams_creator'
+        }]
+    });
+
+    return Exam;
+};
@@ -0,0 +1,98 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class ExamAnswer extends Model {
+        static associate(models) {
+            ExamAnswer.belongsTo(models.ExamAttempt, {
+                foreignKey: 'attempt_id',
+                as: 'attempt'
+            });
+            ExamAnswer.belongsTo(models.Card, {
+                foreignKey: 'card_id',
+                as: 'card'
+            });
+        }
+    }
+
+    ExamAnswer.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        attempt_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'exam_attempts',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Question number within the attempt, from 0
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        card_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'cards',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        // Question as shown, kept so reports survive card edits
+        prompt: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        prompt_image: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        expected_answer: {
+            type: DataTypes.TEXT,
+            allowNull: false
+        },
+        // Multiple-choice options and the index of the correct one
+        choices: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        answer_index: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        choice_index: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        typed_answer: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        correct: {
+            type: DataTypes.BOOLEAN,
+            allowNull: true
+        },
+        answered_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'ExamAnswer',
+        tableName: 'exam_answers',
+        timestamps: false,
+        underscored: true,
+        indexes: [{
+            unique: true,
+            fields: ['attempt_id', 'position'],
+            name: 'attempt_position_unique'
+        }]
+    });
+
+    return ExamAnswer;
+};
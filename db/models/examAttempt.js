@@ -0,0 +1,90 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class ExamAttempt extends Model {
+        static associate(models) {
+            ExamAttempt.belongsTo(models.Exam, {
+                foreignKey: 'exam_id',
+                as: 'exam'
+            });
+            ExamAttempt.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+            ExamAttempt.hasMany(models.ExamAnswer, {
+                foreignKey: 'attempt_id',
+                as: 'answers'
+            });
+        }
+    }
+
+    ExamAttempt.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        exam_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'exams',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // expired: the time limit ran out before the attempt was submitted
+        status: {
+            type: DataTypes.ENUM('in_progress', 'submitted', 'expired'),
+            allowNull: false,
+            defaultValue: 'in_progress'
+        },
+        question_count: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        correct_count: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        score_percent: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        // started_at plus the exam's time limit, fixed when the attempt starts
+        deadline_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        submitted_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'ExamAttempt',
+        tableName: 'exam_attempts',
+        timestamps: false,
+        underscored: true,
+        indexes: [{
+            fields: ['exam_id', 'user_id'],
+            name: 'idx_exam_attempts_exam_user'
+        }]
+    });
+
+    return ExamAttempt;
+};
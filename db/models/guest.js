@@ -0,0 +1,52 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class Guest extends Model {
+        static associate(models) {
+            Guest.hasMany(models.GuestCardReview, {
+                foreignKey: 'guest_id',
+                as: 'reviews'
+            });
+            Guest.belongsTo(models.User, {
+                foreignKey: 'merged_user_id',
+                as: 'mergedUser'
+            });
+        }
+    }
+
+    Guest.init({
+        // Random UUID carried by the signed guest token
+        id: {
+            type: DataTypes.CHAR(36),
+            primaryKey: true
+        },
+        // Account the guest's progress was merged into; the token stops working
+        merged_user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        merged_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        last_seen_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'Guest',
+        tableName: 'guests',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        underscored: true
+    });
+
+    return Guest;
+};
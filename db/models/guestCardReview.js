@@ -0,0 +1,126 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class GuestCardReview extends Model {
+        static associate(models) {
+            GuestCardReview.belongsTo(models.Guest, {
+                foreignKey: 'guest_id',
+                as: 'guest'
+            });
+            GuestCardReview.belongsTo(models.Card, {
+                foreignKey: 'card_id',
+                as: 'card'
+            });
+        }
+    }
+
+    // Same scheduling state as CardReview, for a guest instead of a user
+    GuestCardReview.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        guest_id: {
+            type: DataTypes.CHAR(36),
+            allowNull: false,
+            references: {
+                model: 'guests',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        card_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'cards',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Reviewable item of the card (see CardItemService)
+        item: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            defaultValue: 'main'
+        },
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        state: {
+            type: DataTypes.ENUM('new', 'learning', 'review', 'relearning'),
+            allowNull: false,
+            defaultValue: 'new'
+        },
+        step: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        ease_factor: {
+            type: DataTypes.DECIMAL(4, 2),
+            allowNull: false,
+            defaultValue: 2.5,
+            get() {
+                const rawValue = this.getDataValue('ease_factor');
+                return rawValue === null || rawValue === undefined ? null : parseFloat(rawValue);
+            }
+        },
+        interval_days: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        repetitions: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        lapses: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        is_leech: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        due_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        last_reviewed_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'GuestCardReview',
+        tableName: 'guest_card_reviews',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        underscored: true,
+        indexes: [{
+                unique: true,
+                fields: ['guest_id', 'card_id', 'item'],
+                name: 'guest_card_item_unique'
+            },
+            {
+                fields: ['guest_id', 'set_id'],
+                name: 'idx_guest_card_reviews_guest_set'
+            }
+        ]
+    });
+
+    return GuestCardReview;
+};
@@ -0,0 +1,113 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class GuestReviewLog extends Model {
+        static associate(models) {
+            GuestReviewLog.belongsTo(models.Guest, {
+                foreignKey: 'guest_id',
+                as: 'guest'
+            });
+        }
+    }
+
+    // Graded answers of a guest, moved to ReviewLog when the guest signs up
+    GuestReviewLog.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        guest_id: {
+            type: DataTypes.CHAR(36),
+            allowNull: false,
+            references: {
+                model: 'guests',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        card_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'cards',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Reviewable item of the card (see CardItemService)
+        item: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            defaultValue: 'main'
+        },
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        grade: {
+            type: DataTypes.ENUM('again', 'hard', 'good', 'easy'),
+            allowNull: false
+        },
+        state_before: {
+            type: DataTypes.ENUM('new', 'learning', 'review', 'relearning'),
+            allowNull: false
+        },
+        interval_before: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        interval_after: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        ease_factor: {
+            type: DataTypes.DECIMAL(4, 2),
+            allowNull: false,
+            get() {
+                const rawValue = this.getDataValue('ease_factor');
+                return rawValue === null || rawValue === undefined ? null : parseFloat(rawValue);
+            }
+        },
+        due_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        duration_ms: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: true
+        },
+        typed_answer: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        answer_result: {
+            type: DataTypes.ENUM('correct', 'almost', 'wrong'),
+            allowNull: true
+        },
+        reviewed_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        sequelize,
+        modelName: 'GuestReviewLog',
+        tableName: 'guest_review_logs',
+        timestamps: false,
+        underscored: true,
+        indexes: [{
+            fields: ['guest_id', 'reviewed_at'],
+            name: 'idx_guest_review_logs_guest_reviewed'
+        }]
+    });
+
+    return GuestReviewLog;
+};
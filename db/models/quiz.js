@@ -0,0 +1,87 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class Quiz extends Model {
+        static associate(models) {
+            Quiz.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+            Quiz.belongsTo(models.Set, {
+                foreignKey: 'set_id',
+                as: 'set'
+            });
+        }
+    }
+
+    Quiz.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Answer key: [{ cardId, choices: [text], answerIndex }]. Never sent to the client.
+        questions: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        // Submitted choices: [{ questionId, choiceId, correct }]
+        answers: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        status: {
+            type: DataTypes.ENUM('pending', 'submitted'),
+            allowNull: false,
+            defaultValue: 'pending'
+        },
+        question_count: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        correct_count: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        created_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        submitted_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'Quiz',
+        tableName: 'quizzes',
+        timestamps: false,
+        underscored: true,
+        indexes: [{
+            fields: ['user_id', 'set_id'],
+            name: 'idx_quizzes_user_set'
+        }]
+    });
+
+    return Quiz;
+};
@@ -0,0 +1,152 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class ReviewLog extends Model {
+        static associate(models) {
+            ReviewLog.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+            ReviewLog.belongsTo(models.Card, {
+                foreignKey: 'card_id',
+                as: 'card'
+            });
+        }
+    }
+
+    ReviewLog.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        card_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'cards',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Reviewable item of the card (see CardItemService)
+        item: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            defaultValue: 'main'
+        },
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        session_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'study_sessions',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        grade: {
+            type: DataTypes.ENUM('again', 'hard', 'good', 'easy'),
+            allowNull: false
+        },
+        state_before: {
+            type: DataTypes.ENUM('new', 'learning', 'review', 'relearning'),
+            allowNull: false
+        },
+        interval_before: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        interval_after: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        ease_factor: {
+            type: DataTypes.DECIMAL(4, 2),
+            allowNull: false,
+            get() {
+                const rawValue = this.getDataValue('ease_factor');
+                return rawValue === null || rawValue === undefined ? null : parseFloat(rawValue);
+            }
+        },
+        due_at: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        duration_ms: {
+            type: DataTypes.INTEGER.UNSIGNED,
+            allowNull: true
+        },
+        typed_answer: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        answer_result: {
+            type: DataTypes.ENUM('correct', 'almost', 'wrong'),
+            allowNull: true
+        },
+        reviewed_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        // Idempotency key of an event uploaded through the offline sync
+        client_event_id: {
+            type: DataTypes.STRING(64),
+            allowNull: true
+        },
+        device_id: {
+            type: DataTypes.STRING(64),
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'ReviewLog',
+        tableName: 'review_logs',
+        timestamps: false,
+        underscored: true,
+        indexes: [{
+                fields: ['user_id', 'reviewed_at'],
+                name: 'idx_review_logs_user_reviewed'
+            },
+            {
+                fields: ['card_id'],
+                name: 'idx_review_logs_card'
+            },
+            {
+                fields: ['set_id'],
+                name: 'idx_review_logs_set'
+            },
+            {
+                fields: ['session_id'],
+                name: 'idx_review_logs_session'
+            },
+            {
+                unique: true,
+                fields: ['user_id', 'client_event_id'],
+                name: 'user_event_unique'
+            }
+        ]
+    });
+
+    return ReviewLog;
+};
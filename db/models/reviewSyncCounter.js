@@ -0,0 +1,38 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class ReviewSyncCounter extends Model {
+        static associate(models) {
+            ReviewSyncCounter.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+        }
+    }
+
+    ReviewSyncCounter.init({
+        user_id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Last sync sequence given to a card review of the user
+        seq: {
+            type: DataTypes.BIGINT,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        sequelize,
+        modelName: 'ReviewSyncCounter',
+        tableName: 'review_sync_counters',
+        timestamps: false,
+        underscored: true
+    });
+
+    return ReviewSyncCounter;
+};
@@ -85,6 +85,13 @@ module.exports = (sequelize) => {
             type: DataTypes.BOOLEAN,
             defaultValue: false
         },
+        // forward (front to back), reverse or both; in both, every basic card
+        // is studied as two separately scheduled items (see CardItemService)
+        study_direction: {
+            type: DataTypes.STRING(16),
+            allowNull: false,
+            defaultValue: 'forward'
+        },
         download_url: {
             type: DataTypes.STRING(255),
             allowNull: true
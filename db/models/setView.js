@@ -0,0 +1,66 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class SetView extends Model {
+        static associate(models) {
+            SetView.belongsTo(models.Set, {
+                foreignKey: 'set_id',
+                as: 'set'
+            });
+        }
+    }
+
+    SetView.init({
+        id: {
+            type: DataTypes.BIGINT,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Null for anonymous visitors
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'SET NULL'
+        },
+        // SHA-256 of the user, visitor ID or IP and user agent
+        visitor_key: {
+            type: DataTypes.CHAR(64),
+            allowNull: false
+        },
+        viewed_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        }
+    }, {
+        sequelize,
+        modelName: 'SetView',
+        tableName: 'set_views',
+        timestamps: false,
+        underscored: true,
+        indexes: [{
+                fields: ['set_id', 'visitor_key', 'viewed_at'],
+                name: 'idx_set_views_visitor'
+            },
+            {
+                fields: ['viewed_at'],
+                name: 'idx_set_views_viewed_at'
+            }
+        ]
+    });
+
+    return SetView;
+};
@@ -0,0 +1,57 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class SetViewDaily extends Model {
+        static associate(models) {
+            SetViewDaily.belongsTo(models.Set, {
+                foreignKey: 'set_id',
+                as: 'set'
+            });
+        }
+    }
+
+    SetViewDaily.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // UTC day
+        view_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        views: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        unique_visitors: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        }
+    }, {
+        sequelize,
+        modelName: 'SetViewDaily',
+        tableName: 'set_view_daily',
+        timestamps: false,
+        underscored: true,
+        indexes: [{
+            unique: true,
+            fields: ['set_id', 'view_date'],
+            name: 'set_date_unique'
+        }]
+    });
+
+    return SetViewDaily;
+};
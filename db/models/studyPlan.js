@@ -0,0 +1,62 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class StudyPlan extends Model {
+        static associate(models) {
+            StudyPlan.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+        }
+    }
+
+    StudyPlan.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        name: {
+            type: DataTypes.STRING(255),
+            allowNull: true
+        },
+        // Sets to master by the target date
+        set_ids: {
+            type: DataTypes.JSON,
+            allowNull: false
+        },
+        // Day of the exam, in the learner's time zone
+        target_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: false
+        },
+        status: {
+            type: DataTypes.ENUM('active', 'archived'),
+            allowNull: false,
+            defaultValue: 'active'
+        }
+    }, {
+        sequelize,
+        modelName: 'StudyPlan',
+        tableName: 'study_plans',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        underscored: true,
+        indexes: [{
+            fields: ['user_id', 'status'],
+            name: 'idx_study_plans_user_status'
+        }]
+    });
+
+    return StudyPlan;
+};
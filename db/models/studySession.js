@@ -0,0 +1,99 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class StudySession extends Model {
+        static associate(models) {
+            StudySession.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+            StudySession.belongsTo(models.Set, {
+                foreignKey: 'set_id',
+                as: 'set'
+            });
+        }
+    }
+
+    StudySession.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Null for a filtered session across several sets
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        // Filter expression of a custom study session, e.g. "starred tag:spanish"
+        filter: {
+            type: DataTypes.STRING(500),
+            allowNull: true
+        },
+        // Cards picked by the filter when the session started, in queue order
+        card_ids: {
+            type: DataTypes.JSON,
+            allowNull: true
+        },
+        status: {
+            type: DataTypes.ENUM('active', 'completed'),
+            allowNull: false,
+            defaultValue: 'active'
+        },
+        new_limit: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 20
+        },
+        review_limit: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 200
+        },
+        cards_reviewed: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        cards_correct: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        started_at: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            defaultValue: DataTypes.NOW
+        },
+        ended_at: {
+            type: DataTypes.DATE,
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'StudySession',
+        tableName: 'study_sessions',
+        timestamps: false,
+        underscored: true,
+        indexes: [{
+            fields: ['user_id', 'started_at'],
+            name: 'idx_study_sessions_user_started'
+        }]
+    });
+
+    return StudySession;
+};
@@ -0,0 +1,91 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class UserCardFlag extends Model {
+        static associate(models) {
+            UserCardFlag.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+            UserCardFlag.belongsTo(models.Card, {
+                foreignKey: 'card_id',
+                as: 'card'
+            });
+            UserCardFlag.belongsTo(models.Set, {
+                foreignKey: 'set_id',
+                as: 'set'
+            });
+        }
+    }
+
+    UserCardFlag.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        card_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'cards',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        set_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            references: {
+                model: 'sets',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        starred: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // Suspended cards are never shown until unsuspended
+        suspended: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        // Buried cards are skipped until this day in the learner's time zone
+        buried_until: {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        }
+    }, {
+        sequelize,
+        modelName: 'UserCardFlag',
+        tableName: 'user_card_flags',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        underscored: true,
+        indexes: [{
+                unique: true,
+                fields: ['user_id', 'card_id'],
+                name: 'user_card_flag_unique'
+            },
+            {
+                fields: ['user_id', 'set_id'],
+                name: 'idx_user_card_flags_user_set'
+            }
+        ]
+    });
+
+    return UserCardFlag;
+};
@@ -0,0 +1,77 @@
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+    class UserStreak extends Model {
+        static associate(models) {
+            UserStreak.belongsTo(models.User, {
+                foreignKey: 'user_id',
+                as: 'user'
+            });
+        }
+    }
+
+    UserStreak.init({
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        user_id: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            unique: true,
+            references: {
+                model: 'users',
+                key: 'id'
+            },
+            onDelete: 'CASCADE'
+        },
+        current_streak: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        longest_streak: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // Last day on which the daily goal was met
+        last_goal_date: {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        },
+        // Cards to review per day to extend the streak
+        daily_goal: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 20
+        },
+        freeze_tokens: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        total_xp: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
+        // IANA time zone used to decide where a day starts and ends
+        timezone: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            defaultValue: 'UTC'
+        }
+    }, {
+        sequelize,
+        modelName: 'UserStreak',
+        tableName: 'user_streaks',
+        timestamps: true,
+        createdAt: 'created_at',
+        updatedAt: 'updated_at',
+        underscored: true
+    });
+
+    return UserStreak;
+};
@@ -65,6 +65,7 @@ CREATE TABLE sets (
     featured TINYINT(1) DEFAULT 0,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     hidden TINYINT(1) DEFAULT 0,
+    study_direction VARCHAR(16) NOT NULL DEFAULT 'forward',
     download_url VARCHAR(255),
     FOREIGN KEY (educator_id) REFERENCES users(id),
     FOREIGN KEY (category_id) REFERENCES categories(id)
@@ -74,15 +75,21 @@ CREATE TABLE sets (
 CREATE TABLE cards (
     id INT AUTO_INCREMENT PRIMARY KEY,
     set_id INT NOT NULL,
+    type VARCHAR(16) NOT NULL DEFAULT 'basic',
+    format VARCHAR(16) NOT NULL DEFAULT 'plain',
     front TEXT NOT NULL,
     back TEXT NOT NULL,
+    content JSON,
     hint TEXT,
     layout_front VARCHAR(32) DEFAULT 'default',
     layout_back VARCHAR(32) DEFAULT 'default',
     has_audio TINYINT(1) DEFAULT 0,
     audio_url VARCHAR(255),
+    back_audio VARCHAR(255),
     front_image VARCHAR(255),
     back_image VARCHAR(255),
+    accepted_answers JSON,
+    position INT NOT NULL DEFAULT 0,
     FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE
 );
 
@@ -162,6 +169,7 @@ CREATE TABLE view_history (
 
 -- Indexes
 CREATE INDEX idx_cards_set_id ON cards(set_id);
+CREATE INDEX idx_cards_set_position ON cards(set_id, position);
 CREATE INDEX idx_likes_user_id ON user_likes(user_id);
 CREATE INDEX idx_likes_set_id ON user_likes(set_id);
 
@@ -223,3 +231,326 @@ CREATE TABLE IF NOT EXISTS `cloudinary` (
   KEY `idx_cloudinary_folder` (`folder`),
   KEY `idx_cloudinary_resource_type` (`resource_type`)
 );
+
+-- CARD REVIEWS (per-user spaced-repetition state)
+CREATE TABLE IF NOT EXISTS card_reviews (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    card_id INT NOT NULL,
+    item VARCHAR(16) NOT NULL DEFAULT 'main',
+    set_id INT NOT NULL,
+    state ENUM('new', 'learning', 'review', 'relearning') NOT NULL DEFAULT 'new',
+    step INT NOT NULL DEFAULT 0,
+    ease_factor DECIMAL(4,2) NOT NULL DEFAULT 2.50,
+    interval_days INT NOT NULL DEFAULT 0,
+    repetitions INT NOT NULL DEFAULT 0,
+    lapses INT NOT NULL DEFAULT 0,
+    is_leech BOOLEAN NOT NULL DEFAULT FALSE,
+    due_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_reviewed_at DATETIME,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    sync_seq BIGINT NOT NULL DEFAULT 0,
+    UNIQUE KEY user_card_item_unique (user_id, card_id, item),
+    KEY idx_card_reviews_user_due (user_id, due_at),
+    KEY idx_card_reviews_user_set (user_id, set_id),
+    KEY idx_card_reviews_user_sync (user_id, sync_seq),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE,
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE
+);
+
+-- STUDY SESSIONS (one run through a set's due and new cards, or through the cards picked by a filter)
+CREATE TABLE IF NOT EXISTS study_sessions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    set_id INT,
+    filter VARCHAR(500),
+    card_ids JSON,
+    status ENUM('active', 'completed') NOT NULL DEFAULT 'active',
+    new_limit INT NOT NULL DEFAULT 20,
+    review_limit INT NOT NULL DEFAULT 200,
+    cards_reviewed INT NOT NULL DEFAULT 0,
+    cards_correct INT NOT NULL DEFAULT 0,
+    started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ended_at DATETIME,
+    KEY idx_study_sessions_user_started (user_id, started_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE
+);
+
+-- REVIEW LOGS (one row per graded answer)
+CREATE TABLE IF NOT EXISTS review_logs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    card_id INT NOT NULL,
+    item VARCHAR(16) NOT NULL DEFAULT 'main',
+    set_id INT NOT NULL,
+    session_id INT,
+    grade ENUM('again', 'hard', 'good', 'easy') NOT NULL,
+    state_before ENUM('new', 'learning', 'review', 'relearning') NOT NULL,
+    interval_before INT NOT NULL DEFAULT 0,
+    interval_after INT NOT NULL DEFAULT 0,
+    ease_factor DECIMAL(4,2) NOT NULL,
+    due_at DATETIME NOT NULL,
+    duration_ms INT UNSIGNED,
+    typed_answer TEXT,
+    answer_result ENUM('correct', 'almost', 'wrong'),
+    reviewed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    client_event_id VARCHAR(64),
+    device_id VARCHAR(64),
+    KEY idx_review_logs_user_reviewed (user_id, reviewed_at),
+    KEY idx_review_logs_card (card_id),
+    KEY idx_review_logs_set (set_id),
+    KEY idx_review_logs_session (session_id),
+    UNIQUE KEY user_event_unique (user_id, client_event_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE,
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE,
+    FOREIGN KEY (session_id) REFERENCES study_sessions(id) ON DELETE SET NULL
+);
+
+-- REVIEW SYNC COUNTERS (last change sequence given to a card review of each user)
+CREATE TABLE IF NOT EXISTS review_sync_counters (
+    user_id INT PRIMARY KEY,
+    seq BIGINT NOT NULL DEFAULT 0,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- QUIZZES (multiple-choice quizzes with a server-side answer key)
+CREATE TABLE IF NOT EXISTS quizzes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    set_id INT NOT NULL,
+    questions JSON NOT NULL,
+    answers JSON,
+    status ENUM('pending', 'submitted') NOT NULL DEFAULT 'pending',
+    question_count INT NOT NULL DEFAULT 0,
+    correct_count INT,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    submitted_at DATETIME,
+    KEY idx_quizzes_user_set (user_id, set_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE
+);
+
+-- DAILY ACTIVITIES (per-user study activity per calendar day)
+CREATE TABLE IF NOT EXISTS daily_activities (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    activity_date DATE NOT NULL,
+    cards_reviewed INT NOT NULL DEFAULT 0,
+    study_ms INT UNSIGNED NOT NULL DEFAULT 0,
+    sets_completed INT NOT NULL DEFAULT 0,
+    xp INT NOT NULL DEFAULT 0,
+    goal_met BOOLEAN NOT NULL DEFAULT FALSE,
+    freeze_used BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY user_date_unique (user_id, activity_date),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- USER STREAKS (streak, XP, daily goal and freeze tokens)
+CREATE TABLE IF NOT EXISTS user_streaks (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL UNIQUE,
+    current_streak INT NOT NULL DEFAULT 0,
+    longest_streak INT NOT NULL DEFAULT 0,
+    last_goal_date DATE,
+    daily_goal INT NOT NULL DEFAULT 20,
+    freeze_tokens INT NOT NULL DEFAULT 0,
+    total_xp INT NOT NULL DEFAULT 0,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- USER CARD FLAGS (per-learner star, suspend and bury, the educator's card is unchanged)
+CREATE TABLE IF NOT EXISTS user_card_flags (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    card_id INT NOT NULL,
+    set_id INT NOT NULL,
+    starred BOOLEAN NOT NULL DEFAULT FALSE,
+    suspended BOOLEAN NOT NULL DEFAULT FALSE,
+    buried_until DATE,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY user_card_flag_unique (user_id, card_id),
+    KEY idx_user_card_flags_user_set (user_id, set_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE,
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE
+);
+
+-- EXAMS (timed practice tests drawn from one or more sets)
+CREATE TABLE IF NOT EXISTS exams (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    creator_id INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    set_ids JSON NOT NULL,
+    question_count INT NOT NULL,
+    question_type ENUM('multiple_choice', 'typed') NOT NULL DEFAULT 'multiple_choice',
+    choice_count INT NOT NULL DEFAULT 4,
+    time_limit_seconds INT NOT NULL,
+    max_attempts INT,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_exams_creator (creator_id),
+    FOREIGN KEY (creator_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- EXAM ATTEMPTS (one timed run through an exam)
+CREATE TABLE IF NOT EXISTS exam_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    exam_id INT NOT NULL,
+    user_id INT NOT NULL,
+    status ENUM('in_progress', 'submitted', 'expired') NOT NULL DEFAULT 'in_progress',
+    question_count INT NOT NULL,
+    correct_count INT,
+    score_percent INT,
+    started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    deadline_at DATETIME NOT NULL,
+    submitted_at DATETIME,
+    KEY idx_exam_attempts_exam_user (exam_id, user_id),
+    FOREIGN KEY (exam_id) REFERENCES exams(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- EXAM ANSWERS (questions of an attempt with their answer key and the answer given)
+CREATE TABLE IF NOT EXISTS exam_answers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    attempt_id INT NOT NULL,
+    position INT NOT NULL,
+    card_id INT,
+    prompt TEXT NOT NULL,
+    prompt_image VARCHAR(255),
+    expected_answer TEXT NOT NULL,
+    choices JSON,
+    answer_index INT,
+    choice_index INT,
+    typed_answer TEXT,
+    correct BOOLEAN,
+    answered_at DATETIME,
+    UNIQUE KEY attempt_position_unique (attempt_id, position),
+    FOREIGN KEY (attempt_id) REFERENCES exam_attempts(id) ON DELETE CASCADE,
+    FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE SET NULL
+);
+
+-- SET VIEWS (page view events, deduplicated per visitor within a window)
+CREATE TABLE IF NOT EXISTS set_views (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    set_id INT NOT NULL,
+    user_id INT,
+    visitor_key CHAR(64) NOT NULL,
+    viewed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_set_views_visitor (set_id, visitor_key, viewed_at),
+    KEY idx_set_views_viewed_at (viewed_at),
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- SET VIEW DAILY (views and unique visitors per set and UTC day)
+CREATE TABLE IF NOT EXISTS set_view_daily (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    set_id INT NOT NULL,
+    view_date DATE NOT NULL,
+    views INT NOT NULL DEFAULT 0,
+    unique_visitors INT NOT NULL DEFAULT 0,
+    UNIQUE KEY set_date_unique (set_id, view_date),
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE
+);
+
+-- STUDY PLANS (sets to master by an exam date, paced per day)
+CREATE TABLE IF NOT EXISTS study_plans (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    name VARCHAR(255),
+    set_ids JSON NOT NULL,
+    target_date DATE NOT NULL,
+    status ENUM('active', 'archived') NOT NULL DEFAULT 'active',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    KEY idx_study_plans_user_status (user_id, status),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- GUESTS (anonymous study identities behind a signed guest token)
+CREATE TABLE IF NOT EXISTS guests (
+    id CHAR(36) PRIMARY KEY,
+    merged_user_id INT,
+    merged_at DATETIME,
+    last_seen_at DATETIME,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (merged_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- GUEST CARD REVIEWS (review state of a guest per card, merged into card_reviews on sign-up)
+CREATE TABLE IF NOT EXISTS guest_card_reviews (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    guest_id CHAR(36) NOT NULL,
+    card_id INT NOT NULL,
+    item VARCHAR(16) NOT NULL DEFAULT 'main',
+    set_id INT NOT NULL,
+    state ENUM('new', 'learning', 'review', 'relearning') NOT NULL DEFAULT 'new',
+    step INT NOT NULL DEFAULT 0,
+    ease_factor DECIMAL(4,2) NOT NULL DEFAULT 2.50,
+    interval_days INT NOT NULL DEFAULT 0,
+    repetitions INT NOT NULL DEFAULT 0,
+    lapses INT NOT NULL DEFAULT 0,
+    is_leech BOOLEAN NOT NULL DEFAULT FALSE,
+    due_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_reviewed_at DATETIME,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY guest_card_item_unique (guest_id, card_id, item),
+    KEY idx_guest_card_reviews_guest_set (guest_id, set_id),
+    FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+    FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE,
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE
+);
+
+-- GUEST REVIEW LOGS (graded answers of a guest, moved to review_logs on sign-up)
+CREATE TABLE IF NOT EXISTS guest_review_logs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    guest_id CHAR(36) NOT NULL,
+    card_id INT NOT NULL,
+    item VARCHAR(16) NOT NULL DEFAULT 'main',
+    set_id INT NOT NULL,
+    grade ENUM('again', 'hard', 'good', 'easy') NOT NULL,
+    state_before ENUM('new', 'learning', 'review', 'relearning') NOT NULL,
+    interval_before INT NOT NULL DEFAULT 0,
+    interval_after INT NOT NULL DEFAULT 0,
+    ease_factor DECIMAL(4,2) NOT NULL,
+    due_at DATETIME NOT NULL,
+    duration_ms INT UNSIGNED,
+    typed_answer TEXT,
+    answer_result ENUM('correct', 'almost', 'wrong'),
+    reviewed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_guest_review_logs_guest_reviewed (guest_id, reviewed_at),
+    FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE CASCADE,
+    FOREIGN KEY (card_id) REFERENCES cards(id) ON DELETE CASCADE,
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE
+);
+
+-- CARD REVISIONS (every create, update, delete and restore of a card with its full before and after)
+CREATE TABLE IF NOT EXISTS card_revisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    card_id INT NOT NULL,
+    set_id INT NOT NULL,
+    user_id INT,
+    action ENUM('create', 'update', 'delete', 'restore') NOT NULL,
+    before_data JSON,
+    after_data JSON,
+    changed_fields JSON,
+    restored_from INT,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    KEY idx_card_revisions_card (card_id, id),
+    KEY idx_card_revisions_set (set_id),
+    FOREIGN KEY (set_id) REFERENCES sets(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,23 @@
+const guestStudyService = require('../services/study/GuestStudyService');
+
+// Resolve the guest of the X-Guest-Token header for guest study routes
+module.exports = async(req, res, next) => {
+    try {
+        const token = req.headers['x-guest-token'];
+        if (!token) {
+            return res.status(401).json({ message: 'No guest token' });
+        }
+
+        req.guest = await guestStudyService.resolveGuest(token);
+        next();
+    } catch (err) {
+        if (err.status && err.status < 500) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error('Guest Auth - Error:', {
+            name: err.name,
+            message: err.message
+        });
+        return res.status(500).json({ message: 'Internal server error' });
+    }
+};
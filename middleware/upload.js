@@ -28,6 +28,23 @@ const multerInstance = multer({
     }
 });
 
+// Audio clips of card faces are kept in memory and checked by
+// AudioFileService, which reads the real format from the file contents
+const audioMulterInstance = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (!file.mimetype.startsWith('audio/') && file.mimetype !== 'application/octet-stream') {
+            console.error('[Upload Middleware] File rejected - not audio:', file.mimetype);
+            return cb(new Error('Only audio files are allowed!'), false);
+        }
+        cb(null, true);
+    },
+    limits: {
+        fileSize: 15 * 1024 * 1024, // 15MB max file size
+        files: 1
+    }
+});
+
 // Process uploaded files with Cloudinary
 const processUpload = async(req, res, next) => {
 
@@ -105,6 +122,25 @@ module.exports = {
             });
         };
     },
+    uploadAudio: (fieldName) => {
+
+        const uploadMiddleware = audioMulterInstance.single(fieldName);
+
+        return (req, res, next) => {
+
+            uploadMiddleware(req, res, (err) => {
+                if (err) {
+                    console.error('[Upload Middleware] Multer error in audio upload:', {
+                        message: err.message,
+                        code: err.code,
+                        field: err.field
+                    });
+                }
+                // The file is stored by the controller, not here
+                next(err);
+            });
+        };
+    },
     uploadMultiple: () => {
 
         const uploadMiddleware = multerInstance.any();
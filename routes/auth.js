@@ -17,7 +17,7 @@ router.use((req, res, next) => {
 
 // POST /auth/register
 // #swagger.tags = ['Auth']
-// #swagger.description = 'Register a new user'
+// #swagger.description = 'Register a new user. With a guestToken in the body, the progress of the guest is merged into the new account (see guestMerge in the response).'
 // #swagger.parameters['body'] = { in: 'body', description: 'User registration data', schema: { $ref: '#/definitions/UserRegistration' } }
 // #swagger.responses[201] = { description: 'User registered successfully', schema: { $ref: '#/definitions/User' } }
 // #swagger.responses[400] = { description: 'Invalid input data' }
@@ -27,23 +27,11 @@ router.post('/register', (req, res) => {
 
 // POST /auth/login
 // #swagger.tags = ['Auth']
-// #swagger.description = 'Login user'
+// #swagger.description = 'Login user. With a guestToken in the body, the progress of the guest is merged into the account (see guestMerge in the response).'
 // #swagger.parameters['body'] = { in: 'body', description: 'Login credentials', schema: { $ref: '#/definitions/UserLogin' } }
 // #swagger.responses[200] = { description: 'Login successful', schema: { $ref: '#/definitions/LoginResponse' } }
 // #swagger.responses[401] = { description: 'Invalid credentials' }
-router.post('/login', async(req, res) => {
-    try {
-        const { email, password } = req.body;
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password are required' });
-        }
-        const result = await authService.login(email, password);
-        res.json(result);
-    } catch (err) {
-        console.error('Login error:', err);
-        res.status(401).json({ error: err.message || 'Invalid credentials' });
-    }
-});
+router.post('/login', (req, res) => authController.login(req, res));
 
 // POST /auth/refresh-token
 // #swagger.tags = ['Auth']
@@ -107,6 +95,8 @@ router.get('/me', jwtAuth, async(req, res) => {
 });
 
 // POST /auth/google
+// #swagger.tags = ['Auth']
+// #swagger.description = 'Login or register with a Google account. With a guestToken in the body, the progress of the guest is merged into the account.'
 router.post('/google', authController.handleGoogleAuth.bind(authController));
 
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,12 @@
 const express = require('express');
 const CardsController = require('../controllers/CardsController');
+const CardAudioController = require('../controllers/CardAudioController');
 const jwtAuth = require('../middleware/jwtAuth');
-const { upload } = require('../middleware/upload');
+const { upload, uploadAudio, handleMulterError } = require('../middleware/upload');
 const requireAuth = require('../middleware/requireAuth');
 
 const cardsController = new CardsController();
+const cardAudioController = new CardAudioController();
 const router = express.Router();
 
 // GET /cards
@@ -51,6 +53,29 @@ router.put('/:id', jwtAuth, cardsController.update.bind(cardsController));
 // #swagger.responses[404] = { description: 'Card not found' }
 router.delete('/:id', jwtAuth, cardsController.delete.bind(cardsController));
 
+// GET /cards/:id/revisions
+// #swagger.tags = ['Cards']
+// #swagger.description = 'History of a card, newest first: every create, update, delete and restore with who made it and the card before and after. Deleted cards keep their history.'
+// #swagger.security = [{ "bearerAuth": [] }]
+// #swagger.parameters['id'] = { description: 'Card ID' }
+// #swagger.parameters['limit'] = { in: 'query', description: 'Revisions per page, up to 100', required: false, type: 'integer' }
+// #swagger.parameters['offset'] = { in: 'query', description: 'Revisions to skip', required: false, type: 'integer' }
+// #swagger.responses[200] = { description: '{ cardId, deleted, total, revisions }' }
+// #swagger.responses[403] = { description: 'Not the owner of the set' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.get('/:id/revisions', jwtAuth, cardsController.listRevisions.bind(cardsController));
+
+// POST /cards/:id/revisions/:revId/restore
+// #swagger.tags = ['Cards']
+// #swagger.description = 'Bring a card back to the state of a revision (before the change for a delete). A deleted card is recreated at its old position; an existing card keeps its position.'
+// #swagger.security = [{ "bearerAuth": [] }]
+// #swagger.parameters['id'] = { description: 'Card ID' }
+// #swagger.parameters['revId'] = { description: 'Revision ID' }
+// #swagger.responses[200] = { description: '{ card, revision }; revision is null when the card was already in that state' }
+// #swagger.responses[403] = { description: 'Not the owner of the set' }
+// #swagger.responses[404] = { description: 'Card or revision not found' }
+router.post('/:id/revisions/:revId/restore', jwtAuth, cardsController.restoreRevision.bind(cardsController));
+
 // GET /cards/set/:setId
 // #swagger.tags = ['Cards']
 // #swagger.description = 'Get all cards in a set'
@@ -74,7 +99,7 @@ router.get('/set/:setId', cardsController.list.bind(cardsController));
 //         properties: {
 //           front: { type: "string", example: "What is JavaScript?" },
 //           back: { type: "string", example: "A programming language that enables interactive web pages" },
-//           order: { type: "integer", example: 1 }
+//           position: { type: "integer", example: 0, description: "Zero-based position in the set; the card is appended when omitted" }
 //         }
 //       }
 //     }
@@ -103,6 +128,57 @@ router.delete('/:cardId/:side/image',
     cardsController.removeImage.bind(cardsController)
 );
 
+// POST /cards/:cardId/:side/audio
+// #swagger.tags = ['Cards']
+// #swagger.description = 'Upload the audio clip of a card face (mp3, ogg, wav or m4a, up to 2 minutes). The clip replaces the audio of that face only.'
+// #swagger.consumes = ['multipart/form-data']
+// #swagger.parameters['side'] = { in: 'path', description: 'front or back', required: true, type: 'string' }
+// #swagger.parameters['audio'] = { in: 'formData', type: 'file', required: true, description: 'Audio file' }
+// #swagger.parameters['normalize'] = { in: 'formData', type: 'boolean', required: false, description: 'Re-encode to mp3 with normalized loudness' }
+// #swagger.responses[200] = { description: '{ cardId, setId, side, url, format, duration }' }
+// #swagger.responses[400] = { description: 'Missing, unsupported, corrupt or too long audio file' }
+// #swagger.responses[403] = { description: 'Not the owner of the set' }
+// #swagger.responses[404] = { description: 'Card not found' }
+// #swagger.responses[501] = { description: 'normalize was asked for but the server has no ffmpeg' }
+router.post('/:cardId/:side/audio',
+    uploadAudio('audio'), // 'audio' is the field name for the file
+    handleMulterError,
+    cardAudioController.uploadAudio.bind(cardAudioController)
+);
+
+// DELETE /cards/:cardId/:side/audio
+// #swagger.tags = ['Cards']
+// #swagger.description = 'Remove the audio clip of a card face'
+// #swagger.parameters['side'] = { in: 'path', description: 'front or back', required: true, type: 'string' }
+// #swagger.responses[200] = { description: 'Audio removed' }
+// #swagger.responses[403] = { description: 'Not the owner of the set' }
+// #swagger.responses[404] = { description: 'Card not found, or the face has no audio' }
+router.delete('/:cardId/:side/audio',
+    cardAudioController.removeAudio.bind(cardAudioController)
+);
+
+// GET /cards/audio/voices
+// #swagger.tags = ['Cards']
+// #swagger.description = 'Voices of the text-to-speech provider, optionally only those speaking a locale'
+// #swagger.parameters['locale'] = { in: 'query', description: 'BCP 47 language tag, e.g. en-US', required: false, type: 'string' }
+// #swagger.responses[200] = { description: '{ provider, voices: [{ id, name, locales }] }' }
+router.get('/audio/voices',
+    cardAudioController.getVoices.bind(cardAudioController)
+);
+
+// POST /cards/:cardId/:side/audio/generate
+// #swagger.tags = ['Cards']
+// #swagger.description = 'Read a card face with text-to-speech. The clip replaces the audio of that face only.'
+// #swagger.parameters['side'] = { in: 'path', description: 'front or back', required: true, type: 'string' }
+// #swagger.parameters['body'] = { in: 'body', required: false, schema: { voice: 'standard', locale: 'en-US' } }
+// #swagger.responses[200] = { description: '{ cardId, setId, side, url, format, duration, voice, locale }' }
+// #swagger.responses[400] = { description: 'Invalid side, voice or locale, or the face has no text' }
+// #swagger.responses[403] = { description: 'Not the owner of the set' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.post('/:cardId/:side/audio/generate',
+    cardAudioController.generateCardAudio.bind(cardAudioController)
+);
+
 // Get card by ID
 // GET /cards/:cardId
 router.get('/:cardId',
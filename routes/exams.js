@@ -0,0 +1,156 @@
+const express = require('express');
+const ExamsController = require('../controllers/ExamsController');
+const jwtAuth = require('../middleware/jwtAuth');
+
+const examsController = new ExamsController();
+const router = express.Router();
+
+// GET /exams
+// #swagger.tags = ['Exams']
+// #swagger.description = 'Exams created by the current user, newest first'
+// #swagger.responses[200] = { description: 'List of exam definitions' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+router.get('/', jwtAuth, examsController.listMine.bind(examsController));
+
+// POST /exams
+// #swagger.tags = ['Exams']
+// #swagger.description = 'Create a timed exam drawing a fixed number of questions from one or more sets'
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   required: true,
+//   schema: {
+//     type: 'object',
+//     required: ['title', 'setIds', 'questionCount', 'timeLimitSeconds'],
+//     properties: {
+//       title: { type: 'string' },
+//       description: { type: 'string' },
+//       setIds: { type: 'array', items: { type: 'integer' }, maxItems: 10 },
+//       questionCount: { type: 'integer', minimum: 1, maximum: 100 },
+//       questionType: { type: 'string', enum: ['multiple_choice', 'typed'], default: 'multiple_choice' },
+//       choiceCount: { type: 'integer', minimum: 2, maximum: 6, default: 4 },
+//       timeLimitSeconds: { type: 'integer', minimum: 30, maximum: 14400 },
+//       maxAttempts: { type: 'integer', description: 'Attempts per learner. Omit for unlimited.' }
+//     }
+//   }
+// }
+// #swagger.responses[201] = { description: 'Exam created' }
+// #swagger.responses[400] = { description: 'Invalid exam definition' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to one of the sets' }
+router.post('/', jwtAuth, examsController.createExam.bind(examsController));
+
+// GET /exams/:id
+// #swagger.tags = ['Exams']
+// #swagger.description = 'Exam definition with the number of attempts the current user has used and has left'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Exam definition' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Exam not found' }
+router.get('/:id', jwtAuth, examsController.getExam.bind(examsController));
+
+// PATCH /exams/:id
+// #swagger.tags = ['Exams']
+// #swagger.description = 'Update an exam definition. Only the creator can update it; attempts already started keep their questions.'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Updated exam definition' }
+// #swagger.responses[400] = { description: 'Invalid exam definition' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'Not the creator of the exam' }
+// #swagger.responses[404] = { description: 'Exam not found' }
+router.patch('/:id', jwtAuth, examsController.updateExam.bind(examsController));
+
+// DELETE /exams/:id
+// #swagger.tags = ['Exams']
+// #swagger.description = 'Delete an exam and all of its attempts. Only the creator can delete it.'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[204] = { description: 'Exam deleted' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'Not the creator of the exam' }
+// #swagger.responses[404] = { description: 'Exam not found' }
+router.delete('/:id', jwtAuth, examsController.deleteExam.bind(examsController));
+
+// GET /exams/:id/attempts
+// #swagger.tags = ['Exams']
+// #swagger.description = 'Attempt history of an exam, newest first. The creator sees every attempt with the learner; others see their own attempts.'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Attempts with status, score and duration, plus best and average score' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Exam not found' }
+router.get('/:id/attempts', jwtAuth, examsController.listAttempts.bind(examsController));
+
+// POST /exams/:id/attempts
+// #swagger.tags = ['Exams']
+// #swagger.description = 'Start an attempt. The clock starts on the server; the deadline is returned with the questions. An attempt already in progress is resumed instead.'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[201] = { description: 'Attempt started with its questions, without the answer key' }
+// #swagger.responses[200] = { description: 'Attempt in progress resumed' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to one of the sets' }
+// #swagger.responses[404] = { description: 'Exam not found' }
+// #swagger.responses[409] = { description: 'No attempts left' }
+router.post('/:id/attempts', jwtAuth, examsController.startAttempt.bind(examsController));
+
+// GET /exams/:id/attempts/:attemptId
+// #swagger.tags = ['Exams']
+// #swagger.description = 'An attempt with its questions and saved answers. Once submitted or expired it is the score report with the correct answers.'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.parameters['attemptId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Attempt or score report' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Attempt not found' }
+router.get('/:id/attempts/:attemptId', jwtAuth, examsController.getAttempt.bind(examsController));
+
+// PUT /exams/:id/attempts/:attemptId/answers
+// #swagger.tags = ['Exams']
+// #swagger.description = 'Save answers while the attempt is in progress. Saved answers count if the time runs out before submitting.'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.parameters['attemptId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   required: true,
+//   schema: {
+//     type: 'object',
+//     properties: {
+//       answers: {
+//         type: 'array',
+//         items: {
+//           type: 'object',
+//           properties: {
+//             questionId: { type: 'integer' },
+//             choiceId: { type: 'integer', description: 'For multiple-choice questions' },
+//             typedAnswer: { type: 'string', description: 'For typed questions' }
+//           }
+//         }
+//       }
+//     }
+//   }
+// }
+// #swagger.responses[200] = { description: 'Number of answers saved and seconds left' }
+// #swagger.responses[400] = { description: 'Invalid answer' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Attempt not found' }
+// #swagger.responses[409] = { description: 'The attempt has ended or its time limit has passed' }
+router.put('/:id/attempts/:attemptId/answers', jwtAuth, examsController.saveAnswers.bind(examsController));
+
+// POST /exams/:id/attempts/:attemptId/submit
+// #swagger.tags = ['Exams']
+// #swagger.description = 'Submit an attempt with its final answers and get the score report. After the time limit the submitted answers are ignored and the attempt is graded as expired with the answers saved in time.'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.parameters['attemptId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   schema: {
+//     type: 'object',
+//     properties: {
+//       answers: { type: 'array', items: { type: 'object' }, description: 'Same shape as for saving answers' }
+//     }
+//   }
+// }
+// #swagger.responses[200] = { description: 'Score report with the correct answers' }
+// #swagger.responses[400] = { description: 'Invalid answer' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Attempt not found' }
+// #swagger.responses[409] = { description: 'The attempt has already been submitted' }
+router.post('/:id/attempts/:attemptId/submit', jwtAuth, examsController.submitAttempt.bind(examsController));
+
+module.exports = router;
@@ -60,7 +60,21 @@ router.get('/', jwtAuth, historyController.list.bind(historyController));
 //       num_cards_viewed: { type: 'integer' },
 //       completed: { type: 'boolean' },
 //       completed_at: { type: 'string', format: 'date-time' },
-//       started_at: { type: 'string', format: 'date-time' }
+//       started_at: { type: 'string', format: 'date-time' },
+//       mastery: {
+//         type: 'object',
+//         properties: {
+//           totalCards: { type: 'integer' },
+//           new: { type: 'integer' },
+//           learning: { type: 'integer' },
+//           young: { type: 'integer' },
+//           mastered: { type: 'integer' },
+//           percentMastered: { type: 'integer' },
+//           dueNow: { type: 'integer' },
+//           nextDueAt: { type: 'string', format: 'date-time' },
+//           estimatedMinutesToday: { type: 'integer' }
+//         }
+//       }
 //     }
 //   }
 // }
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const SetsController = require('../controllers/SetsController');
+const CardAudioController = require('../controllers/CardAudioController');
 const jwtAuth = require('../middleware/jwtAuth');
 const requireOwnership = require('../middleware/requireOwnership');
 const uploadMiddleware = require('../middleware/upload');
@@ -12,6 +13,7 @@ const requireAuth = require('../middleware/requireAuth');
 
 // Create a new instance of SetsController with the required model name
 const setsController = new SetsController('Set');
+const cardAudioController = new CardAudioController();
 
 // Image upload rate limiter - more restrictive than general API
 const imageUploadLimiter = rateLimit({
@@ -39,6 +41,9 @@ router.use('/batch/:type', (req, res, next) => {
 });
 
 // Batch routes
+// Mastery is per user, so it needs auth and must bypass the shared response cache
+router.get('/batch/mastery', jwtAuth, setsController.batchGetMastery.bind(setsController));
+
 router.get('/batch/:type',
     cache('1 minute'),
     (req, res, next) => {
@@ -107,6 +112,23 @@ router.get('/:id/related',
     setsController.getRelatedSets.bind(setsController)
 );
 
+// GET /sets/:id/card-stats
+// #swagger.tags = ['Sets']
+// #swagger.summary = 'Per-card answer analytics, owner only'
+// #swagger.description = 'Attempts, percent correct, average response time, learner count and the most common wrong typed answers of every card, hardest cards first. Cards nobody has answered yet come last.'
+// #swagger.security = [{ "bearerAuth": [] }]
+// #swagger.parameters['id'] = { in: 'path', description: 'Set ID', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: '{ setId, totalAttempts, cards: [{ cardId, front, back, attempts, correct, percentCorrect, averageResponseMs, learners, commonWrongAnswers }] }' }
+// #swagger.responses[400] = { description: 'Invalid set ID' }
+// #swagger.responses[401] = { description: 'Not signed in' }
+// #swagger.responses[403] = { description: 'Not the owner of the set' }
+// #swagger.responses[404] = { description: 'Set not found' }
+router.get('/:id/card-stats',
+    jwtAuth,
+    requireOwnership('id', 'set'),
+    setsController.getCardStats.bind(setsController)
+);
+
 // Protected routes
 router.get('/:id/likes/user', jwtAuth, setsController.getUserLikeStatus.bind(setsController));
 
@@ -151,13 +173,87 @@ router.delete('/:id',
     setsController.delete.bind(setsController)
 );
 
+// PATCH /sets/:id/cards/order
+// #swagger.tags = ['Sets']
+// #swagger.description = 'Reorder the cards of a set. cardIds must list every card of the set exactly once, in the new order.'
+// #swagger.security = [{ "bearerAuth": [] }]
+// #swagger.parameters['id'] = { in: 'path', description: 'Set ID', required: true, type: 'integer' }
+// #swagger.parameters['body'] = { in: 'body', required: true, schema: { cardIds: [12, 10, 11] } }
+// #swagger.responses[200] = { description: 'New order as [{ id, position }]' }
+// #swagger.responses[400] = { description: 'cardIds is not the full list of the set cards' }
+// #swagger.responses[403] = { description: 'Not the owner of the set' }
+// #swagger.responses[404] = { description: 'Set not found' }
+router.patch('/:id/cards/order',
+    jwtAuth,
+    requireOwnership('id', 'set'),
+    setsController.reorderCards.bind(setsController)
+);
+
+// POST /sets/:id/audio/generate
+// #swagger.tags = ['Sets']
+// #swagger.description = 'Start a background job reading one face of every card with text-to-speech. Cards whose face already has audio are skipped unless overwrite is true.'
+// #swagger.security = [{ "bearerAuth": [] }]
+// #swagger.parameters['id'] = { in: 'path', description: 'Set ID', required: true, type: 'integer' }
+// #swagger.parameters['body'] = { in: 'body', required: false, schema: { side: 'front', voice: 'standard', locale: 'en-US', overwrite: false } }
+// #swagger.responses[202] = { description: 'The job; poll GET /sets/:id/audio/jobs/:jobId for its progress' }
+// #swagger.responses[400] = { description: 'Invalid side, voice or locale, or the set has no cards' }
+// #swagger.responses[403] = { description: 'Not the owner of the set' }
+// #swagger.responses[409] = { description: 'A job for the set is already running' }
+router.post('/:id/audio/generate',
+    jwtAuth,
+    requireOwnership('id', 'set'),
+    cardAudioController.generateSetAudio.bind(cardAudioController)
+);
+
+// GET /sets/:id/audio/jobs/:jobId
+// #swagger.tags = ['Sets']
+// #swagger.description = 'Progress of a set audio job: status (queued, running, completed or failed) and card counts'
+// #swagger.security = [{ "bearerAuth": [] }]
+// #swagger.responses[404] = { description: 'Job not found or expired' }
+router.get('/:id/audio/jobs/:jobId',
+    jwtAuth,
+    cardAudioController.getSetAudioJob.bind(cardAudioController)
+);
+
 router.post('/:id/toggle-hidden', jwtAuth, setsController.toggleHidden.bind(setsController));
 
 router.post('/:id/like', jwtAuth, setsController.toggleLikeSet.bind(setsController));
 
 router.post('/:id/remove-tag', jwtAuth, setsController.removeTag.bind(setsController));
 
-// Public route for recording views (anonymous or authenticated)
+// GET /sets/:id/quiz
+// #swagger.tags = ['Sets']
+// #swagger.summary = 'Multiple-choice quiz built from the cards of a set'
+// #swagger.description = 'Questions are drawn from cards with an answer; wrong choices come from other cards of the set, then from sets of the same category. The answer key stays on the server until the quiz is submitted.'
+// #swagger.security = [{ "bearerAuth": [] }]
+// #swagger.parameters['id'] = { in: 'path', description: 'Set ID', required: true, type: 'integer' }
+// #swagger.parameters['count'] = { in: 'query', description: 'Number of questions, 1 to 50 (default 10)', required: false, type: 'integer' }
+// #swagger.parameters['choices'] = { in: 'query', description: 'Choices per question, 2 to 6 (default 4)', required: false, type: 'integer' }
+// #swagger.responses[200] = { description: 'The quiz ID and its questions, each with a prompt and choices as [{ id, text }]' }
+// #swagger.responses[400] = { description: 'Invalid count or choices, or the set has too few cards with answers' }
+// #swagger.responses[401] = { description: 'Not signed in' }
+// #swagger.responses[403] = { description: 'No access to the set' }
+// #swagger.responses[404] = { description: 'Set not found' }
+router.get('/:id/quiz', jwtAuth, setsController.getQuiz.bind(setsController));
+
+// POST /sets/:id/quiz/:quizId/submit
+// #swagger.tags = ['Sets']
+// #swagger.summary = 'Grade the answers of a quiz'
+// #swagger.description = 'Questions without an answer count as wrong. A quiz is graded once.'
+// #swagger.security = [{ "bearerAuth": [] }]
+// #swagger.parameters['id'] = { in: 'path', description: 'Set ID', required: true, type: 'integer' }
+// #swagger.parameters['quizId'] = { in: 'path', description: 'Quiz ID', required: true, type: 'integer' }
+// #swagger.parameters['body'] = { in: 'body', required: true, schema: { answers: [{ questionId: 0, choiceId: 2 }] } }
+// #swagger.responses[200] = { description: 'The score as { correct, total, percent } and, for every question, the chosen and the correct choice' }
+// #swagger.responses[400] = { description: 'Invalid IDs or answers is not an array' }
+// #swagger.responses[401] = { description: 'Not signed in' }
+// #swagger.responses[404] = { description: 'Quiz not found' }
+// #swagger.responses[409] = { description: 'Quiz has already been submitted' }
+router.post('/:id/quiz/:quizId/submit', jwtAuth, setsController.submitQuiz.bind(setsController));
+
+// Public route for recording views (anonymous or authenticated). Visitors
+// are identified by user, visitorId (body or X-Visitor-Id header) or IP and
+// user agent; repeat views within 30 minutes are not counted.
 router.post('/:id/view', setsController.addView.bind(setsController));
 
 // Get user's recent generation sessions
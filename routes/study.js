@@ -0,0 +1,355 @@
+const express = require('express');
+const StudyController = require('../controllers/StudyController');
+const jwtAuth = require('../middleware/jwtAuth');
+const guestAuth = require('../middleware/guestAuth');
+
+const studyController = new StudyController();
+const router = express.Router();
+
+// POST /study/sessions
+// #swagger.tags = ['Study']
+// #swagger.description = 'Start a study session for a set. Returns the ordered queue of due cards followed by new cards. With a filter, starts a custom session over the matching cards of the library (or of setId), due or not. Filter terms, all of which must match: starred, missed:<days>, tag:<name>, category:<name or ID>, set:<ID>, random:<count>. Quote values with spaces, e.g. tag:"spanish verbs".'
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   required: true,
+//   schema: {
+//     type: 'object',
+//     properties: {
+//       setId: { type: 'integer', description: 'Set to study. Required without a filter.' },
+//       filter: { type: 'string', description: 'Custom study filter', example: 'category:Languages random:20' },
+//       newLimit: { type: 'integer', description: 'Maximum new cards in the session. Defaults to the rest of the daily quota of a study plan covering the set, otherwise 20.' },
+//       reviewLimit: { type: 'integer', description: 'Maximum due cards in the session', default: 200 }
+//     }
+//   }
+// }
+// #swagger.responses[201] = { description: 'Session started with its queue, and the study plan whose quota was applied, if any' }
+// #swagger.responses[400] = { description: 'Missing set ID or invalid filter' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to the set' }
+// #swagger.responses[404] = { description: 'No cards match the filter, or the category does not exist' }
+router.post('/sessions', jwtAuth, studyController.startSession.bind(studyController));
+
+// GET /study/sessions/:id
+// #swagger.tags = ['Study']
+// #swagger.description = 'Get a study session and its remaining queue'
+// #swagger.parameters['id'] = { description: 'Study session ID', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Session and queue' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Study session not found' }
+router.get('/sessions/:id', jwtAuth, studyController.getSession.bind(studyController));
+
+// POST /study/sessions/:id/answers
+// #swagger.tags = ['Study']
+// #swagger.description = 'Record a graded answer for a card of the session'
+// #swagger.parameters['id'] = { description: 'Study session ID', required: true, type: 'integer' }
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   required: true,
+//   schema: {
+//     type: 'object',
+//     required: ['cardId'],
+//     properties: {
+//       cardId: { type: 'integer' },
+//       item: { type: 'string', description: 'Item of the card from the queue entry (e.g. c2 for a cloze card, reverse for a card studied back to front). Optional for cards with a single item.' },
+//       grade: { type: 'string', enum: ['again', 'hard', 'good', 'easy'], description: 'Self grade. Optional when typedAnswer is given.' },
+//       typedAnswer: { type: 'string', description: 'Typed answer, checked on the server against the card back and accepted answers' },
+//       responseTimeMs: { type: 'integer', description: 'Time taken to answer in milliseconds' }
+//     }
+//   }
+// }
+// #swagger.responses[200] = { description: 'Updated review state of the card and the typed-answer check, if any' }
+// #swagger.responses[400] = { description: 'Invalid grade or card' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Study session or card not found' }
+// #swagger.responses[409] = { description: 'Study session has already ended' }
+router.post('/sessions/:id/answers', jwtAuth, studyController.answer.bind(studyController));
+
+// POST /study/sessions/:id/end
+// #swagger.tags = ['Study']
+// #swagger.description = 'End a study session and update the set history (num_cards_viewed, completed, completed_at)'
+// #swagger.parameters['id'] = { description: 'Study session ID', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Ended session and updated history' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Study session not found' }
+// #swagger.responses[409] = { description: 'Study session has already ended' }
+router.post('/sessions/:id/end', jwtAuth, studyController.endSession.bind(studyController));
+
+// GET /study/due
+// #swagger.tags = ['Study']
+// #swagger.description = 'Interleaved queue of due reviews and new cards from every set the user can currently access (own, purchased, liked, studied and subscriber-only sets)'
+// #swagger.parameters['maxReviews'] = { in: 'query', description: 'Maximum due reviews', type: 'integer', default: 200 }
+// #swagger.parameters['maxNew'] = { in: 'query', description: 'Maximum new cards', type: 'integer', default: 20 }
+// #swagger.parameters['categoryId'] = { in: 'query', description: 'Only sets in this category', type: 'integer' }
+// #swagger.parameters['tag'] = { in: 'query', description: 'Only sets with this tag', type: 'string' }
+// #swagger.responses[200] = { description: 'Queue with per-set counts' }
+// #swagger.responses[400] = { description: 'Invalid limit or filter' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+router.get('/due', jwtAuth, studyController.getDueQueue.bind(studyController));
+
+// POST /study/reviews
+// #swagger.tags = ['Study']
+// #swagger.description = 'Record a graded or typed answer for a card outside of a study session (e.g. from the due queue)'
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   required: true,
+//   schema: {
+//     type: 'object',
+//     required: ['cardId'],
+//     properties: {
+//       cardId: { type: 'integer' },
+//       item: { type: 'string', description: 'Item of the card from the queue entry (e.g. c2 for a cloze card, reverse for a card studied back to front). Optional for cards with a single item.' },
+//       grade: { type: 'string', enum: ['again', 'hard', 'good', 'easy'], description: 'Self grade. Optional when typedAnswer is given.' },
+//       typedAnswer: { type: 'string' },
+//       responseTimeMs: { type: 'integer' }
+//     }
+//   }
+// }
+// #swagger.responses[200] = { description: 'Updated review state and the typed-answer check, if any' }
+// #swagger.responses[400] = { description: 'Invalid grade or answer' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to the set' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.post('/reviews', jwtAuth, studyController.reviewCard.bind(studyController));
+
+// POST /study/sync
+// #swagger.tags = ['Study']
+// #swagger.description = 'Upload review events recorded offline and pull review states changed since the cursor. Events are deduplicated by eventId, so a batch can be retried safely. Events older than answers already synced from another device are replayed in review order.'
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   required: true,
+//   schema: {
+//     type: 'object',
+//     properties: {
+//       deviceId: { type: 'string' },
+//       cursor: { type: 'string', description: 'Cursor returned by the previous sync. Omit to pull every review state.' },
+//       events: {
+//         type: 'array',
+//         maxItems: 500,
+//         items: {
+//           type: 'object',
+//           required: ['eventId', 'cardId', 'grade', 'reviewedAt'],
+//           properties: {
+//             eventId: { type: 'string', description: 'Client-generated idempotency key' },
+//             cardId: { type: 'integer' },
+//             item: { type: 'string', description: 'Item of the card. Optional for cards with a single item.' },
+//             grade: { type: 'string', enum: ['again', 'hard', 'good', 'easy'] },
+//             reviewedAt: { type: 'string', format: 'date-time' },
+//             typedAnswer: { type: 'string' },
+//             responseTimeMs: { type: 'integer' }
+//           }
+//         }
+//       }
+//     }
+//   }
+// }
+// #swagger.responses[200] = { description: 'Per-event results (applied, duplicate or rejected), authoritative states of the cards touched, changed states since the cursor, the next cursor and hasMore' }
+// #swagger.responses[400] = { description: 'Invalid batch or cursor' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[409] = { description: 'The same events are being synced concurrently' }
+router.post('/sync', jwtAuth, studyController.sync.bind(studyController));
+
+// POST /study/check
+// #swagger.tags = ['Study']
+// #swagger.description = 'Check a typed answer against a card. Returns correct, almost or wrong with a character diff.'
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   required: true,
+//   schema: {
+//     type: 'object',
+//     required: ['cardId', 'answer'],
+//     properties: {
+//       cardId: { type: 'integer' },
+//       item: { type: 'string', description: 'Item of the card from the queue entry (e.g. c2 for a cloze card, reverse for a card studied back to front). Optional for cards with a single item.' },
+//       answer: { type: 'string', description: 'Typed answer' }
+//     }
+//   }
+// }
+// #swagger.responses[200] = { description: 'Check result with result, distance, expected answer, diff and suggested grade' }
+// #swagger.responses[400] = { description: 'Invalid answer' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to the set' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.post('/check', jwtAuth, studyController.checkAnswer.bind(studyController));
+
+// GET /study/leeches
+// #swagger.tags = ['Study']
+// #swagger.description = 'Cards the current user has forgotten often enough to be flagged as leeches, most lapses first'
+// #swagger.parameters['setId'] = { in: 'query', type: 'integer', description: 'Only leeches of this set' }
+// #swagger.responses[200] = { description: 'Leech cards with their review state and the flags set by the user' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to the set' }
+router.get('/leeches', jwtAuth, studyController.getLeeches.bind(studyController));
+
+// POST /study/cards/:cardId/star
+// #swagger.tags = ['Study']
+// #swagger.description = 'Star a card for the current user. Starred cards can be studied with the filter "starred".'
+// #swagger.parameters['cardId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Flags of the current user on the card' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to the set' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.post('/cards/:cardId/star', jwtAuth, studyController.starCard.bind(studyController));
+
+// DELETE /study/cards/:cardId/star
+// #swagger.tags = ['Study']
+// #swagger.description = 'Remove the star of the current user from a card'
+// #swagger.parameters['cardId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Flags of the current user on the card' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.delete('/cards/:cardId/star', jwtAuth, studyController.unstarCard.bind(studyController));
+
+// POST /study/cards/:cardId/suspend
+// #swagger.tags = ['Study']
+// #swagger.description = 'Suspend a card for the current user only. Suspended cards are left out of every study queue and mastery count until unsuspended.'
+// #swagger.parameters['cardId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Flags of the current user on the card' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to the set' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.post('/cards/:cardId/suspend', jwtAuth, studyController.suspendCard.bind(studyController));
+
+// DELETE /study/cards/:cardId/suspend
+// #swagger.tags = ['Study']
+// #swagger.description = 'Unsuspend a card for the current user'
+// #swagger.parameters['cardId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Flags of the current user on the card' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.delete('/cards/:cardId/suspend', jwtAuth, studyController.unsuspendCard.bind(studyController));
+
+// POST /study/cards/:cardId/bury
+// #swagger.tags = ['Study']
+// #swagger.description = 'Bury a card for the current user: it is skipped until tomorrow in the time zone of the user'
+// #swagger.parameters['cardId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Flags of the current user on the card' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to the set' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.post('/cards/:cardId/bury', jwtAuth, studyController.buryCard.bind(studyController));
+
+// DELETE /study/cards/:cardId/bury
+// #swagger.tags = ['Study']
+// #swagger.description = 'Unbury a card for the current user'
+// #swagger.parameters['cardId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Flags of the current user on the card' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.delete('/cards/:cardId/bury', jwtAuth, studyController.unburyCard.bind(studyController));
+
+// GET /study/plans
+// #swagger.tags = ['Study']
+// #swagger.description = 'Study plans of the current user with progress and the new-card quota for today, nearest exam first'
+// #swagger.parameters['status'] = { in: 'query', type: 'string', enum: ['active', 'archived', 'all'], default: 'active' }
+// #swagger.responses[200] = { description: 'Study plans without their daily schedule' }
+// #swagger.responses[400] = { description: 'Invalid status' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+router.get('/plans', jwtAuth, studyController.listPlans.bind(studyController));
+
+// POST /study/plans
+// #swagger.tags = ['Study']
+// #swagger.description = 'Create a study plan: the new cards of the sets are paced so that all of them are introduced a few days before the target date, leaving the last days for reviews. The plan is recomputed on every read, so cards left over from missed days are spread over the remaining days.'
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   required: true,
+//   schema: {
+//     type: 'object',
+//     required: ['setIds', 'targetDate'],
+//     properties: {
+//       name: { type: 'string', example: 'Biology final' },
+//       setIds: { type: 'array', items: { type: 'integer' } },
+//       targetDate: { type: 'string', format: 'date', description: 'Exam day in the time zone of the streak settings', example: '2026-12-15' }
+//     }
+//   }
+// }
+// #swagger.responses[201] = { description: 'Plan with progress, the quota for today and the daily schedule' }
+// #swagger.responses[400] = { description: 'Invalid sets or target date' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to a set' }
+// #swagger.responses[409] = { description: 'Too many active plans' }
+router.post('/plans', jwtAuth, studyController.createPlan.bind(studyController));
+
+// GET /study/plans/:id
+// #swagger.tags = ['Study']
+// #swagger.description = 'Study plan with progress, the quota for today and new cards and expected reviews per day until the exam'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[200] = { description: 'Plan with its daily schedule' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Study plan not found' }
+router.get('/plans/:id', jwtAuth, studyController.getPlan.bind(studyController));
+
+// PATCH /study/plans/:id
+// #swagger.tags = ['Study']
+// #swagger.description = 'Update the name, sets, target date or status (active or archived) of a study plan'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.parameters['body'] = { in: 'body', schema: { type: 'object', properties: { name: { type: 'string' }, setIds: { type: 'array', items: { type: 'integer' } }, targetDate: { type: 'string', format: 'date' }, status: { type: 'string', enum: ['active', 'archived'] } } } }
+// #swagger.responses[200] = { description: 'Updated plan with its daily schedule' }
+// #swagger.responses[400] = { description: 'Invalid sets, target date or status' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[403] = { description: 'No access to a set' }
+// #swagger.responses[404] = { description: 'Study plan not found' }
+router.patch('/plans/:id', jwtAuth, studyController.updatePlan.bind(studyController));
+
+// DELETE /study/plans/:id
+// #swagger.tags = ['Study']
+// #swagger.description = 'Delete a study plan. Review progress is kept.'
+// #swagger.parameters['id'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.responses[204] = { description: 'Study plan deleted' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+// #swagger.responses[404] = { description: 'Study plan not found' }
+router.delete('/plans/:id', jwtAuth, studyController.deletePlan.bind(studyController));
+
+// POST /study/guest
+// #swagger.tags = ['Study']
+// #swagger.description = 'Create a guest identity for studying free sets without an account. Send the returned token in the X-Guest-Token header of the guest routes, and as guestToken when registering or logging in to merge the progress into the account.'
+// #swagger.responses[201] = { description: 'Guest ID, signed guest token and its expiry' }
+router.post('/guest', studyController.createGuest.bind(studyController));
+
+// GET /study/guest/sets/:setId/queue
+// #swagger.tags = ['Study']
+// #swagger.description = 'Ordered queue of due cards followed by new cards of a free set for the guest'
+// #swagger.parameters['X-Guest-Token'] = { in: 'header', required: true, type: 'string' }
+// #swagger.parameters['setId'] = { in: 'path', required: true, type: 'integer' }
+// #swagger.parameters['newLimit'] = { in: 'query', type: 'integer', default: 20 }
+// #swagger.responses[200] = { description: 'Queue of the set' }
+// #swagger.responses[401] = { description: 'Missing, invalid or already merged guest token' }
+// #swagger.responses[403] = { description: 'The set is not free' }
+router.get('/guest/sets/:setId/queue', guestAuth, studyController.getGuestQueue.bind(studyController));
+
+// POST /study/guest/reviews
+// #swagger.tags = ['Study']
+// #swagger.description = 'Record a graded or typed answer of the guest for a card of a free set'
+// #swagger.parameters['X-Guest-Token'] = { in: 'header', required: true, type: 'string' }
+// #swagger.parameters['body'] = {
+//   in: 'body',
+//   required: true,
+//   schema: {
+//     type: 'object',
+//     required: ['cardId'],
+//     properties: {
+//       cardId: { type: 'integer' },
+//       item: { type: 'string', description: 'Item of the card from the queue entry (e.g. c2 for a cloze card, reverse for a card studied back to front). Optional for cards with a single item.' },
+//       grade: { type: 'string', enum: ['again', 'hard', 'good', 'easy'] },
+//       typedAnswer: { type: 'string' },
+//       responseTimeMs: { type: 'integer' }
+//     }
+//   }
+// }
+// #swagger.responses[200] = { description: 'New review state of the card and the answer check, if typed' }
+// #swagger.responses[400] = { description: 'Missing card ID or invalid grade' }
+// #swagger.responses[401] = { description: 'Missing, invalid or already merged guest token' }
+// #swagger.responses[403] = { description: 'The set is not free' }
+// #swagger.responses[404] = { description: 'Card not found' }
+router.post('/guest/reviews', guestAuth, studyController.reviewGuestCard.bind(studyController));
+
+// POST /study/guest/merge
+// #swagger.tags = ['Study']
+// #swagger.description = 'Merge the progress of a guest into the current user. Cards the user has not studied take the guest state, cards studied by both keep the state reviewed last, and all guest answers are added to the review history. Register and login merge automatically when given a guestToken.'
+// #swagger.parameters['body'] = { in: 'body', schema: { type: 'object', properties: { guestToken: { type: 'string' } } } }
+// #swagger.responses[200] = { description: 'Counts of cards added, replaced and kept and of reviews imported' }
+// #swagger.responses[400] = { description: 'Missing guest token' }
+// #swagger.responses[401] = { description: 'Unauthorized or invalid guest token' }
+// #swagger.responses[409] = { description: 'The guest was already merged into another account' }
+router.post('/guest/merge', jwtAuth, studyController.mergeGuest.bind(studyController));
+
+module.exports = router;
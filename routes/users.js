@@ -5,6 +5,7 @@ const requireOwnership = require('../middleware/requireOwnership');
 const passport = require('passport');
 const AuthController = require('../controllers/AuthController');
 const uploadMiddleware = require('../middleware/upload');
+const streakService = require('../services/study/StreakService');
 
 const usersController = new UsersController();
 const router = express.Router();
@@ -62,7 +63,8 @@ router.get('/me', jwtAuth, async(req, res) => {
             bio: user.bio || null,
             role: user.UserRole ? user.UserRole.name : null,
             created_at: user.created_at,
-            updated_at: user.updated_at
+            updated_at: user.updated_at,
+            streak: await streakService.getSummary(user.id)
         };
 
         res.json(formattedUser);
@@ -72,6 +74,29 @@ router.get('/me', jwtAuth, async(req, res) => {
     }
 });
 
+// GET /users/me/streak
+// #swagger.tags = ['Users']
+// #swagger.description = 'Get the study streak, XP, daily goal progress and streak-freeze tokens of the current user'
+// #swagger.responses[200] = { description: 'Streak summary with activity for today and the last 7 days' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+router.get('/me/streak', jwtAuth, (req, res) => usersController.getStreak(req, res));
+
+// PATCH /users/me/streak
+// #swagger.tags = ['Users']
+// #swagger.description = 'Update the daily goal (cards per day) and the time zone used for streak days'
+// #swagger.parameters['body'] = { in: 'body', schema: { type: 'object', properties: { dailyGoal: { type: 'integer' }, timezone: { type: 'string', example: 'Europe/Berlin' } } } }
+// #swagger.responses[200] = { description: 'Updated streak summary' }
+// #swagger.responses[400] = { description: 'Invalid daily goal or time zone' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+router.patch('/me/streak', jwtAuth, (req, res) => usersController.updateStreakSettings(req, res));
+
+// GET /users/me/stats
+// #swagger.tags = ['Users']
+// #swagger.description = 'Get personal learning statistics: reviews per day for the last year (heatmap), retention over the last 30 days, minutes studied per day, cards learned per week and cards due per day for the next 30 days'
+// #swagger.responses[200] = { description: 'Statistics in the time zone of the streak settings' }
+// #swagger.responses[401] = { description: 'Unauthorized' }
+router.get('/me/stats', jwtAuth, (req, res) => usersController.getStats(req, res));
+
 // GET /users/:id
 // #swagger.tags = ['Users']
 // #swagger.description = 'Get a specific user by ID'
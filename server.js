@@ -47,6 +47,8 @@ const healthRouter = require('./routes/health');
 const adminRouter = require('./routes/admin');
 const stockImagesRouter = require('./routes/stock-images');
 const thumbnailRouter = require('./routes/thumbnail');
+const studyRouter = require('./routes/study');
+const examsRouter = require('./routes/exams');
 
 // Use Railway's port or fallback to 5000 for local development
 const port = process.env.RAILWAY_TCP_PROXY_PORT || process.env.PORT || 5000;
@@ -220,6 +222,16 @@ app.use('/images', express.static(path.join(__dirname, 'public/images'), {
     }
 }));
 
+// Card audio kept on disk when Cloudinary is not used (see AudioStorageService)
+app.use('/audio', express.static(path.join(__dirname, 'uploads/audio'), {
+    setHeaders: (res) => {
+        res.set({
+            'Cross-Origin-Resource-Policy': 'cross-origin',
+            'Cache-Control': 'public, max-age=31536000' // file names are never reused
+        });
+    }
+}));
+
 // Add session middleware
 app.use(session({
     secret: process.env.SESSION_SECRET || 'your-secret',
@@ -287,6 +299,8 @@ app.use('/api/health', healthRouter);
 app.use('/api/admin', adminRouter);
 app.use('/api/stock-images', stockImagesRouter);
 app.use('/api/thumbnail', thumbnailRouter);
+app.use('/api/study', studyRouter);
+app.use('/api/exams', examsRouter);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
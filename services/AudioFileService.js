@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const mm = require('music-metadata');
+
+const MIME_TYPES = {
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    wav: 'audio/wav',
+    m4a: 'audio/mp4'
+};
+// ftyp brands of MPEG-4 audio files
+const M4A_BRANDS = ['M4A ', 'M4B ', 'mp41', 'mp42', 'isom', 'iso2', 'dash'];
+
+const MIN_DURATION = 0.1;
+const MAX_DURATION = 120;
+
+// EBU R128 target, as used by most podcast and streaming platforms
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+const FFMPEG_TIMEOUT = 60 * 1000;
+
+class AudioFileError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AudioFileError';
+        this.status = status;
+    }
+}
+
+/**
+ * AudioFileService checks uploaded audio clips and can normalize their
+ * loudness. The container is read from the file contents, never from its name
+ * or the type the client sent, and the file is parsed to read its duration, so
+ * a clip that is not really mp3, ogg, wav or m4a is rejected.
+ *
+ * Normalizing re-encodes the clip to mp3 at a common loudness with ffmpeg
+ * (FFMPEG_PATH, or ffmpeg on the PATH); it is only available on servers that
+ * have ffmpeg.
+ */
+class AudioFileService {
+    static get FORMATS() {
+        return Object.keys(MIME_TYPES);
+    }
+
+    static get MAX_DURATION() {
+        return MAX_DURATION;
+    }
+
+    static mimeType(format) {
+        return MIME_TYPES[format] || null;
+    }
+
+    /**
+     * Container of an audio file from its first bytes
+     * @param {Buffer} buffer - File contents
+     * @returns {string|null} mp3, ogg, wav or m4a; null for anything else
+     */
+    static detectFormat(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+        const ascii = (start, end) => buffer.toString('latin1', start, end);
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'wav';
+        if (ascii(0, 4) === 'OggS') return 'ogg';
+        if (ascii(4, 8) === 'ftyp' && M4A_BRANDS.includes(ascii(8, 12))) return 'm4a';
+        // ID3 tag, or an MPEG audio frame header (layer bits 00 are AAC)
+        if (ascii(0, 3) === 'ID3') return 'mp3';
+        if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0) return 'mp3';
+        return null;
+    }
+
+    /**
+     * Check an audio file and read its format and duration
+     * @param {Buffer} buffer - File contents
+     * @returns {Promise<Object>} { format, mimeType, duration, sampleRate, channels }
+     */
+    static async inspect(buffer) {
+        const format = this.detectFormat(buffer);
+        if (!format) {
+            throw new AudioFileError(`Unsupported audio file. Allowed formats: ${this.FORMATS.join(', ')}`);
+        }
+
+        let metadata;
+        try {
+            metadata = await mm.parseBuffer(buffer, { mimeType: MIME_TYPES[format], size: buffer.length }, {
+                duration: true,
+                skipCovers: true
+            });
+        } catch (error) {
+            throw new AudioFileError(`The file is not a valid ${format} file`);
+        }
+
+        const { duration, sampleRate, numberOfChannels } = metadata.format;
+        if (!Number.isFinite(duration) || duration < MIN_DURATION) {
+            throw new AudioFileError('The audio file is empty or its duration cannot be read');
+        }
+        if (duration > MAX_DURATION) {
+            throw new AudioFileError(`Audio clips cannot be longer than ${MAX_DURATION} seconds`);
+        }
+
+        return {
+            format,
+            mimeType: MIME_TYPES[format],
+            duration,
+            sampleRate: sampleRate || null,
+            channels: numberOfChannels || null
+        };
+    }
+
+    /**
+     * Re-encode an audio file to mp3 with normalized loudness
+     * @param {Buffer} buffer - File contents, checked with inspect
+     * @param {string} format - Its format
+     * @returns {Promise<Buffer>} The mp3 file
+     */
+    static async normalize(buffer, format) {
+        // MPEG-4 files may keep their index at the end, so ffmpeg reads a
+        // file instead of a pipe
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'card-audio-'));
+        const input = path.join(dir, `input.${format}`);
+        const output = path.join(dir, 'output.mp3');
+        try {
+            await fs.promises.writeFile(input, buffer);
+            await this.runFfmpeg([
+                '-hide_banner', '-loglevel', 'error', '-y',
+                '-i', input,
+                '-vn', '-af', LOUDNORM_FILTER,
+                '-c:a', 'libmp3lame', '-b:a', '128k',
+                output
+            ]);
+            return await fs.promises.readFile(output);
+        } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    static runFfmpeg(args) {
+        return new Promise((resolve, reject) => {
+            const ffmpeg = spawn(process.env.FFMPEG_PATH || 'ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+            let stderr = '';
+            const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), FFMPEG_TIMEOUT);
+
+            ffmpeg.stderr.on('data', chunk => {
+                stderr = (stderr + chunk).slice(-2000);
+            });
+            ffmpeg.on('error', error => {
+                clearTimeout(timer);
+                reject(error.code === 'ENOENT' ?
+                    new AudioFileError('Audio normalization is not available on this server', 501) :
+                    error);
+            });
+            ffmpeg.on('close', (code, signal) => {
+                clearTimeout(timer);
+                if (code === 0) return resolve();
+                reject(new Error(signal ? `ffmpeg was stopped by ${signal}` : `ffmpeg failed: ${stderr.trim()}`));
+            });
+        });
+    }
+}
+
+module.exports = AudioFileService;
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { Cloudinary } = require('../db');
+const CloudinaryService = require('./CloudinaryService');
+const responseFormatter = require('./ResponseFormatter');
+
+// Local files are served by server.js under LOCAL_PATH
+const LOCAL_DIR = path.join(__dirname, '../uploads/audio');
+const LOCAL_PATH = '/audio';
+const CLOUDINARY_FOLDER = 'card-audio';
+
+/**
+ * AudioStorageService keeps the audio files of cards. Files go to Cloudinary
+ * when it is configured and to uploads/audio otherwise; AUDIO_STORAGE
+ * (cloudinary or local) overrides the choice. Either way a file is known by
+ * its public URL, which is what cards store.
+ */
+class AudioStorageService {
+    static get LOCAL_DIR() {
+        return LOCAL_DIR;
+    }
+
+    static get LOCAL_PATH() {
+        return LOCAL_PATH;
+    }
+
+    static get driver() {
+        return process.env.AUDIO_STORAGE || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+    }
+
+    /**
+     * Store an audio file
+     * @param {Buffer} buffer - File contents
+     * @param {string} format - File extension (wav, mp3, ...)
+     * @returns {Promise<string>} Public URL of the file
+     */
+    static async save(buffer, format) {
+        if (this.driver === 'cloudinary') {
+            // No image transformations; Cloudinary keeps audio as resource type video
+            const result = await CloudinaryService.uploadAndSave(buffer, {
+                folder: CLOUDINARY_FOLDER,
+                transformation: []
+            });
+            return result.secure_url;
+        }
+
+        const filename = `${uuidv4()}.${format}`;
+        await fs.promises.mkdir(LOCAL_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(LOCAL_DIR, filename), buffer);
+        return responseFormatter.convertPathToUrl(`${LOCAL_PATH}/${filename}`);
+    }
+
+    /**
+     * Delete a file saved by save. URLs of files stored elsewhere are ignored.
+     * @param {string} url - Public URL of the file
+     */
+    static async remove(url) {
+        if (!url) return;
+
+        const record = await Cloudinary.findOne({ where: { secure_url: url } });
+        if (record) {
+            await CloudinaryService.deleteAndRemove(record.public_id);
+            return;
+        }
+
+        const { pathname } = new URL(url, responseFormatter.baseUrl);
+        if (!pathname.startsWith(`${LOCAL_PATH}/`)) return;
+        try {
+            await fs.promises.unlink(path.join(LOCAL_DIR, path.basename(pathname)));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = AudioStorageService;
@@ -0,0 +1,169 @@
+const db = require('../db');
+const AudioFileService = require('./AudioFileService');
+const AudioStorageService = require('./AudioStorageService');
+
+const SIDES = ['front', 'back'];
+// Column of the clip of each face; audio_url predates back_audio and keeps
+// the front clip, so clients reading it still get it
+const AUDIO_COLUMNS = {
+    front: 'audio_url',
+    back: 'back_audio'
+};
+
+class CardAudioError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CardAudioError';
+        this.status = status;
+    }
+}
+
+/**
+ * CardAudioService manages the audio clips of card faces, kept in audio_url
+ * (front) and back_audio; has_audio is set while either face has one. Attaching a clip
+ * to a face replaces the clip of that face only and deletes its file. Clips
+ * are uploaded by the educator or generated by TtsService.
+ */
+class CardAudioService {
+    get SIDES() {
+        return SIDES;
+    }
+
+    parseSide(side) {
+        if (!SIDES.includes(side)) {
+            throw new CardAudioError('Invalid side. Must be "front" or "back"');
+        }
+        return side;
+    }
+
+    /**
+     * URL of the clip of a card face, or null when it has none
+     */
+    audioUrl(card, side) {
+        return card[AUDIO_COLUMNS[side]] || null;
+    }
+
+    /**
+     * A card the user may change, with its set
+     */
+    async findOwnCard(cardId, userId) {
+        const card = await db.Card.findByPk(cardId, {
+            include: [{
+                model: db.Set,
+                as: 'set',
+                attributes: ['id', 'educator_id']
+            }]
+        });
+        if (!card) {
+            throw new CardAudioError('Card not found', 404);
+        }
+        if (card.set.educator_id !== userId) {
+            throw new CardAudioError('Not authorized to modify this card', 403);
+        }
+        return card;
+    }
+
+    /**
+     * Store an audio file and make it the clip of a card face, replacing the
+     * previous clip of that face
+     * @param {Card} card - The card
+     * @param {string} side - front or back
+     * @param {Object} audio - { buffer, format }
+     * @returns {Promise<string>} URL of the stored file
+     */
+    async attach(card, side, audio) {
+        const url = await AudioStorageService.save(audio.buffer, audio.format);
+        const previousUrl = this.audioUrl(card, side);
+
+        await card.update({ [AUDIO_COLUMNS[side]]: url, has_audio: 1 });
+
+        if (previousUrl && previousUrl !== url) {
+            await this.deleteFile(previousUrl);
+        }
+        return url;
+    }
+
+    /**
+     * Check an uploaded clip and make it the clip of a card face
+     * @param {number} cardId - The card
+     * @param {string} side - front or back
+     * @param {number} userId - Owner of the set of the card
+     * @param {Buffer} buffer - File contents
+     * @param {Object} [options] - { normalize }: re-encode to mp3 with
+     *   normalized loudness
+     * @returns {Promise<Object>} { cardId, setId, side, url, format, duration }
+     */
+    async upload(cardId, side, userId, buffer, options = {}) {
+        this.parseSide(side);
+        const card = await this.findOwnCard(cardId, userId);
+
+        let audio = await AudioFileService.inspect(buffer);
+        let contents = buffer;
+        if (options.normalize) {
+            contents = await AudioFileService.normalize(buffer, audio.format);
+            audio = await AudioFileService.inspect(contents);
+        }
+
+        const url = await this.attach(card, side, { buffer: contents, format: audio.format });
+        return {
+            cardId: card.id,
+            setId: card.set_id,
+            side,
+            url,
+            format: audio.format,
+            duration: audio.duration
+        };
+    }
+
+    /**
+     * Remove the clip of a card face
+     * @returns {Promise<Object>} { cardId, setId, side }
+     */
+    async remove(cardId, side, userId) {
+        this.parseSide(side);
+        const card = await this.findOwnCard(cardId, userId);
+        const url = this.audioUrl(card, side);
+        if (!url) {
+            throw new CardAudioError(`No ${side} audio found`, 404);
+        }
+
+        await card.update(this.detach(card, [side]).values);
+        await this.deleteFile(url);
+
+        return { cardId: card.id, setId: card.set_id, side };
+    }
+
+    /**
+     * Column values that drop the clips of some faces of a card, and the
+     * URLs of the dropped clips, whose files are left to deleteFile
+     * @param {Card} card - The card
+     * @param {string[]} sides - Faces to drop the clips of
+     * @returns {Object} { values, urls }
+     */
+    detach(card, sides) {
+        const values = {};
+        const urls = [];
+        sides.forEach(side => {
+            const url = this.audioUrl(card, side);
+            if (url) {
+                values[AUDIO_COLUMNS[side]] = null;
+                urls.push(url);
+            }
+        });
+        if (urls.length) {
+            values.has_audio = SIDES.some(side => !sides.includes(side) && this.audioUrl(card, side)) ? 1 : 0;
+        }
+        return { values, urls };
+    }
+
+    async deleteFile(url) {
+        try {
+            await AudioStorageService.remove(url);
+        } catch (error) {
+            // The card no longer points to the file
+            console.error('CardAudioService.deleteFile - Error:', error);
+        }
+    }
+}
+
+module.exports = new CardAudioService();
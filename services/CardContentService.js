@@ -0,0 +1,176 @@
+const camelToSnakeKeys = require('../utils/camelToSnakeKeys');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const MAX_OPTION_LENGTH = 200;
+
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+/**
+ * Schema of the content of each structured card type. Every field lists its
+ * check, which returns an error message or null, and whether it is required.
+ */
+const CONTENT_SCHEMAS = {
+    multiple_choice: {
+        options: {
+            required: true,
+            check: value => {
+                if (!Array.isArray(value) || value.some(option => typeof option !== 'string' || !option.trim())) {
+                    return 'content.options must be an array of non-empty strings';
+                }
+                if (value.length < MIN_OPTIONS || value.length > MAX_OPTIONS) {
+                    return `content.options must have between ${MIN_OPTIONS} and ${MAX_OPTIONS} entries`;
+                }
+                if (value.some(option => option.trim().length > MAX_OPTION_LENGTH)) {
+                    return `content.options cannot be longer than ${MAX_OPTION_LENGTH} characters`;
+                }
+                const keys = value.map(option => option.trim().toLowerCase());
+                if (keys.some((key, index) => keys.indexOf(key) !== index)) {
+                    return 'content.options must not contain duplicates';
+                }
+                return null;
+            }
+        },
+        correct_index: {
+            required: true,
+            check: (value, content) => {
+                if (!Number.isInteger(value) || value < 0) {
+                    return 'content.correctIndex must be a non-negative integer';
+                }
+                if (Array.isArray(content.options) && value >= content.options.length) {
+                    return 'content.correctIndex must point to one of the options';
+                }
+                return null;
+            }
+        },
+        shuffle: {
+            required: false,
+            check: value => typeof value === 'boolean' ? null : 'content.shuffle must be a boolean'
+        }
+    },
+    true_false: {
+        answer: {
+            required: true,
+            check: value => typeof value === 'boolean' ? null : 'content.answer must be a boolean'
+        }
+    }
+};
+
+/**
+ * CardContentService validates and reads the structured content of
+ * multiple-choice and true/false cards, kept in the content JSON column of
+ * cards. The front of such a card holds the question or statement and the
+ * back optional extra text shown after answering:
+ *
+ *   - multiple_choice: { options, correct_index, shuffle }
+ *   - true_false: { answer }
+ *
+ * Content is stored with snake_case keys and accepted in either case, since
+ * set bodies are camelCase (correctIndex). Like ClozeService it has no
+ * database access.
+ */
+class CardContentService {
+    /**
+     * Card types that carry structured content
+     */
+    static get STRUCTURED_TYPES() {
+        return Object.keys(CONTENT_SCHEMAS);
+    }
+
+    static isStructured(type) {
+        return Object.prototype.hasOwnProperty.call(CONTENT_SCHEMAS, type);
+    }
+
+    /**
+     * Problems with the content of a card, as messages; empty when it is valid
+     * @param {string} type - Card type
+     * @param {Object} content - Content in either key case
+     */
+    static validate(type, content) {
+        if (!this.isStructured(type)) {
+            return content === undefined || content === null ?
+                [] :
+                [`content is only allowed on ${this.STRUCTURED_TYPES.join(', ')} cards`];
+        }
+        if (!content || typeof content !== 'object' || Array.isArray(content)) {
+            return [`content is required for ${type} cards`];
+        }
+
+        const schema = CONTENT_SCHEMAS[type];
+        const fields = camelToSnakeKeys(content);
+        const errors = [];
+
+        Object.keys(fields)
+            .filter(field => !schema[field])
+            .forEach(field => errors.push(`Unknown content field for ${type} cards: ${this.label(field)}`));
+
+        Object.entries(schema).forEach(([field, rule]) => {
+            if (fields[field] === undefined || fields[field] === null) {
+                if (rule.required) errors.push(`content.${this.label(field)} is required for ${type} cards`);
+                return;
+            }
+            const error = rule.check(fields[field], fields);
+            if (error) errors.push(error);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Field name as written in API bodies
+     */
+    static label(field) {
+        return field.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+    }
+
+    /**
+     * Content as stored in the content column, or null for types without
+     * content. Expects content that passed validate.
+     */
+    static normalize(type, content) {
+        if (!this.isStructured(type)) return null;
+
+        const fields = camelToSnakeKeys(content);
+        if (type === 'multiple_choice') {
+            return {
+                options: fields.options.map(option => option.trim()),
+                correct_index: fields.correct_index,
+                shuffle: fields.shuffle === true
+            };
+        }
+        return { answer: fields.answer };
+    }
+
+    /**
+     * Options to show for a card, shuffled when the card asks for it
+     */
+    static getOptions(type, content) {
+        if (type === 'true_false') return [...TRUE_FALSE_OPTIONS];
+        if (type !== 'multiple_choice' || !content) return [];
+
+        const options = [...content.options];
+        if (content.shuffle) {
+            for (let i = options.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [options[i], options[j]] = [options[j], options[i]];
+            }
+        }
+        return options;
+    }
+
+    /**
+     * Text of the correct option
+     */
+    static getAnswer(type, content) {
+        if (!content) return '';
+        if (type === 'true_false') {
+            return content.answer ? TRUE_FALSE_OPTIONS[0] : TRUE_FALSE_OPTIONS[1];
+        }
+        if (type === 'multiple_choice') {
+            return content.options[content.correct_index] || '';
+        }
+        return '';
+    }
+}
+
+module.exports = CardContentService;
@@ -0,0 +1,214 @@
+const MarkdownIt = require('markdown-it');
+const katex = require('katex');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+
+const FORMATS = ['plain', 'markdown'];
+const DEFAULT_FORMAT = 'plain';
+// Inline markdown tokens that carry text, see toText
+const TEXT_TOKENS = ['text', 'code_inline', 'math'];
+
+// Lengths and colors as written by KaTeX into style attributes
+const LENGTH_VALUE = /^-?\d*\.?\d+(em|ex|px|%)?$/;
+const COLOR_VALUE = /^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i;
+
+/**
+ * Allowed output of rendered markdown: the usual text markup, tables and
+ * images, the spans and SVG paths KaTeX draws formulas with and the classes
+ * highlight.js marks code tokens with. Anything else, including script,
+ * iframe, event handler attributes and javascript: URLs, is dropped.
+ */
+const SANITIZE_OPTIONS = {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'svg', 'path']),
+    allowedAttributes: {
+        a: ['href', 'title', 'rel', 'target'],
+        img: ['src', 'alt', 'title'],
+        span: ['class', 'style', 'aria-hidden'],
+        code: ['class'],
+        th: ['style'],
+        td: ['style'],
+        svg: ['xmlns', 'width', 'height', 'viewbox', 'preserveaspectratio', 'style'],
+        path: ['d']
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowedSchemesByTag: { img: ['http', 'https'] },
+    allowedStyles: {
+        '*': {
+            'height': [LENGTH_VALUE],
+            'width': [LENGTH_VALUE],
+            'min-width': [LENGTH_VALUE],
+            'top': [LENGTH_VALUE],
+            'bottom': [LENGTH_VALUE],
+            'vertical-align': [LENGTH_VALUE],
+            'margin-left': [LENGTH_VALUE],
+            'margin-right': [LENGTH_VALUE],
+            'padding-left': [LENGTH_VALUE],
+            'border-top-width': [LENGTH_VALUE],
+            'border-right-width': [LENGTH_VALUE],
+            'border-bottom-width': [LENGTH_VALUE],
+            'color': [COLOR_VALUE],
+            'text-align': [/^(left|right|center)$/]
+        }
+    },
+    transformTags: {
+        a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' })
+    }
+};
+
+/**
+ * markdown-it rule for $inline$ and $$display$$ math. As in pandoc, an inline
+ * formula cannot start or end with a space, so amounts like "$5 and $10" stay
+ * text. A backslash escapes the dollar sign.
+ */
+function mathPlugin(md) {
+    md.inline.ruler.after('escape', 'math', (state, silent) => {
+        const { src, pos } = state;
+        if (src[pos] !== '$') return false;
+
+        const display = src[pos + 1] === '$';
+        const marker = display ? '$$' : '$';
+        const start = pos + marker.length;
+
+        let end = src.indexOf(marker, start);
+        while (end !== -1 && src[end - 1] === '\\') {
+            end = src.indexOf(marker, end + 1);
+        }
+        if (end === -1 || end === start) return false;
+
+        const content = src.slice(start, end);
+        if (!display && (/^\s/.test(content) || /\s$/.test(content))) return false;
+
+        if (!silent) {
+            const token = state.push('math', '', 0);
+            token.content = content;
+            token.meta = { display };
+        }
+        state.pos = end + marker.length;
+        return true;
+    });
+
+    md.renderer.rules.math = (tokens, index) => {
+        const { content, meta } = tokens[index];
+        try {
+            return katex.renderToString(content, {
+                displayMode: meta.display,
+                output: 'html',
+                // Invalid formulas are shown in red instead of failing the card
+                throwOnError: false,
+                strict: 'ignore',
+                // No \href, \url or \includegraphics from card text
+                trust: false,
+                maxSize: 20,
+                maxExpand: 200
+            });
+        } catch (error) {
+            return md.utils.escapeHtml(content);
+        }
+    };
+}
+
+const markdown = new MarkdownIt({
+    // Raw HTML in card text is shown as text, never passed through
+    html: false,
+    linkify: true,
+    breaks: true,
+    highlight(code, language) {
+        if (language && hljs.getLanguage(language)) {
+            try {
+                return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+            } catch (error) {
+                console.error('CardFormatService.highlight - Error:', error);
+            }
+        }
+        // Escaped by markdown-it
+        return '';
+    }
+}).use(mathPlugin);
+
+/**
+ * CardFormatService renders the text on card faces. Every card has a format:
+ *
+ *   - plain: the text is shown as is; rendered, it is escaped with line breaks
+ *   - markdown: lists, tables, links, `code` and fenced code blocks with
+ *     syntax highlighting, and $inline$ or $$display$$ LaTeX math rendered
+ *     with KaTeX (its stylesheet is loaded by the client)
+ *
+ * Card text is always stored raw; the HTML is rendered when the card is read
+ * and passed through an allowlist sanitizer, so script injection through card
+ * text is blocked even if markdown rendering lets something through.
+ */
+class CardFormatService {
+    static get FORMATS() {
+        return FORMATS;
+    }
+
+    static get DEFAULT_FORMAT() {
+        return DEFAULT_FORMAT;
+    }
+
+    static isValid(format) {
+        return FORMATS.includes(format);
+    }
+
+    /**
+     * Safe HTML for a text in a format
+     * @param {string} text - Raw card text
+     * @param {string} [format] - plain or markdown
+     * @returns {string}
+     */
+    static render(text, format = DEFAULT_FORMAT) {
+        const source = String(text || '');
+        if (!source) return '';
+
+        if (format !== 'markdown') {
+            return this.escape(source).replace(/\n/g, '<br>');
+        }
+        return sanitizeHtml(markdown.render(source), SANITIZE_OPTIONS).trim();
+    }
+
+    /**
+     * Text of a face without markup, for reading it out. Markdown keeps the
+     * text of paragraphs, list items, code and the source of math.
+     * @param {string} text - Raw card text
+     * @param {string} [format] - plain or markdown
+     * @returns {string}
+     */
+    static toText(text, format = DEFAULT_FORMAT) {
+        const source = String(text || '');
+        if (format !== 'markdown') return source;
+
+        const blocks = markdown.parse(source, {}).map(token => {
+            if (token.type === 'fence' || token.type === 'code_block') {
+                return token.content.trim();
+            }
+            if (token.type !== 'inline') return '';
+            return token.children.map(child => {
+                if (child.type === 'softbreak' || child.type === 'hardbreak') return '\n';
+                return TEXT_TOKENS.includes(child.type) ? child.content : '';
+            }).join('');
+        });
+        return blocks.filter(block => block.trim()).join('\n');
+    }
+
+    /**
+     * Rendered front and back of a card row
+     * @returns {Object} { front, back }
+     */
+    static renderCard(card) {
+        return {
+            front: this.render(card.front, card.format),
+            back: this.render(card.back, card.format)
+        };
+    }
+
+    static escape(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+module.exports = CardFormatService;
@@ -0,0 +1,179 @@
+const { Op } = require('sequelize');
+const db = require('../db');
+
+class CardOrderError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CardOrderError';
+        this.status = status;
+    }
+}
+
+/**
+ * CardOrderService keeps the order of the cards in a set. Every card has a
+ * zero-based position and the positions of a set are always dense (0..n-1):
+ * inserting a card shifts the cards after it, deleting one closes the gap and
+ * a reorder rewrites the order from the full list of card IDs. Each change
+ * runs in a transaction holding a lock on the set row, so concurrent edits of
+ * the same set are applied one after the other.
+ */
+class CardOrderService {
+    /**
+     * Create a card at a position in its set
+     * @param {number} setId - The set
+     * @param {Object} data - Card columns (front, back, ...)
+     * @param {number} [position] - Zero-based position; appended when omitted,
+     *   positions past the end are clamped to the end
+     * @param {Object} [options] - { onWrite }: called with the card and the
+     *   transaction before it commits, to write related rows with the card
+     * @returns {Promise<Card>}
+     */
+    async insertCard(setId, data, position, options = {}) {
+        const transaction = await db.sequelize.transaction();
+        try {
+            await this.lockSet(setId, transaction);
+
+            const count = await db.Card.count({ where: { set_id: setId }, transaction });
+            const target = position === undefined || position === null ?
+                count :
+                Math.min(this.parsePosition(position), count);
+
+            if (target < count) {
+                await db.Card.increment('position', {
+                    by: 1,
+                    where: {
+                        set_id: setId,
+                        position: {
+                            [Op.gte]: target
+                        }
+                    },
+                    transaction
+                });
+            }
+
+            const card = await db.Card.create({ ...data, set_id: setId, position: target }, { transaction });
+            if (options.onWrite) {
+                await options.onWrite(card, transaction);
+            }
+
+            await transaction.commit();
+            return card;
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a card and move the cards after it up by one
+     * @param {Card} card - The card to delete
+     * @param {Object} [options] - { onWrite }: called with the card and the
+     *   transaction before the delete commits
+     */
+    async removeCard(card, options = {}) {
+        const transaction = await db.sequelize.transaction();
+        try {
+            await this.lockSet(card.set_id, transaction);
+
+            const current = await db.Card.findByPk(card.id, { attributes: ['id', 'position'], transaction });
+            if (!current) {
+                throw new CardOrderError('Card not found', 404);
+            }
+
+            await db.Card.destroy({ where: { id: card.id }, transaction });
+            if (options.onWrite) {
+                await options.onWrite(card, transaction);
+            }
+            await db.Card.decrement('position', {
+                by: 1,
+                where: {
+                    set_id: card.set_id,
+                    position: {
+                        [Op.gt]: current.position
+                    }
+                },
+                transaction
+            });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Reorder the cards of a set
+     * @param {number} setId - The set
+     * @param {number[]} cardIds - Every card ID of the set exactly once, in the new order
+     * @returns {Promise<Object[]>} [{ id, position }] in the new order
+     */
+    async reorder(setId, cardIds) {
+        if (!Array.isArray(cardIds)) {
+            throw new CardOrderError('cardIds must be an array of card IDs');
+        }
+        const ids = cardIds.map(Number);
+        if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+            throw new CardOrderError('cardIds must contain valid card IDs');
+        }
+        if (ids.some((id, index) => ids.indexOf(id) !== index)) {
+            throw new CardOrderError('cardIds must not contain duplicates');
+        }
+
+        const transaction = await db.sequelize.transaction();
+        try {
+            await this.lockSet(setId, transaction);
+
+            const cards = await db.Card.findAll({
+                where: { set_id: setId },
+                attributes: ['id', 'position'],
+                transaction
+            });
+
+            const positions = new Map(cards.map(card => [card.id, card.position]));
+            const missing = cards.filter(card => !ids.includes(card.id)).map(card => card.id);
+            const unknown = ids.filter(id => !positions.has(id));
+            if (missing.length || unknown.length) {
+                const problems = [];
+                if (missing.length) problems.push(`missing card IDs: ${missing.join(', ')}`);
+                if (unknown.length) problems.push(`card IDs not in this set: ${unknown.join(', ')}`);
+                throw new CardOrderError(`cardIds must list every card of the set exactly once (${problems.join('; ')})`);
+            }
+
+            // Only cards whose position changed are written
+            for (const [index, id] of ids.entries()) {
+                if (positions.get(id) !== index) {
+                    await db.Card.update({ position: index }, { where: { id }, transaction });
+                }
+            }
+
+            await transaction.commit();
+            return ids.map((id, index) => ({ id, position: index }));
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    async lockSet(setId, transaction) {
+        const set = await db.Set.findByPk(setId, {
+            attributes: ['id'],
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!set) {
+            throw new CardOrderError('Set not found', 404);
+        }
+        return set;
+    }
+
+    parsePosition(position) {
+        const parsed = Number(position);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            throw new CardOrderError('position must be a non-negative integer');
+        }
+        return parsed;
+    }
+}
+
+module.exports = new CardOrderService();
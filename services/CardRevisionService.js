@@ -0,0 +1,224 @@
+const _ = require('lodash');
+const db = require('../db');
+const cardOrderService = require('./CardOrderService');
+
+// Card fields kept in revisions. Audio is left out: replaced clips are
+// deleted (see CardAudioService), so an old audio URL cannot be restored.
+const REVISION_FIELDS = ['type', 'format', 'front', 'back', 'content', 'hint', 'front_image', 'back_image', 'layout_front', 'layout_back', 'accepted_answers', 'position'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+class CardRevisionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CardRevisionError';
+        this.status = status;
+    }
+}
+
+/**
+ * CardRevisionService keeps the history of every card: each create, update,
+ * delete and restore made through CardsController or SetService is recorded
+ * with the user who made it and the card fields before and after, in the
+ * transaction of the change. Updates that change nothing are not recorded.
+ *
+ * Restoring a revision brings the card back to the state the revision left it
+ * in, or for a delete to the state before it, and is itself recorded. Deleted
+ * cards are recreated with their ID at their old position. The position of a
+ * card that still exists is kept, since positions only change through the
+ * reorder endpoint. Deleting a set removes its history through the ON DELETE
+ * CASCADE foreign key on card_revisions.set_id.
+ */
+class CardRevisionService {
+    get REVISION_FIELDS() {
+        return REVISION_FIELDS;
+    }
+
+    /**
+     * Revision fields of a card row
+     */
+    snapshot(card) {
+        return REVISION_FIELDS.reduce((fields, field) => {
+            fields[field] = card[field] === undefined ? null : card[field];
+            return fields;
+        }, {});
+    }
+
+    /**
+     * Fields that differ between two snapshots. JSON columns are compared
+     * deeply, since they come back with their keys reordered.
+     */
+    changedFields(before, after) {
+        return REVISION_FIELDS.filter(field =>
+            !_.isEqual(before ? before[field] : null, after ? after[field] : null)
+        );
+    }
+
+    /**
+     * Record a change of a card
+     * @param {string} action - create, update, delete or restore
+     * @param {Card} card - The card after the change; for a delete, the
+     *   deleted card
+     * @param {Object} options - { userId, before, restoredFrom }; before is the
+     *   snapshot taken before an update or restore, null when a restore
+     *   recreated a deleted card
+     * @param {Transaction} [transaction] - Transaction of the change
+     * @returns {Promise<CardRevision|null>} null when nothing changed
+     */
+    async record(action, card, options = {}, transaction = null) {
+        const entry = this.buildEntry(action, card, options);
+        return entry ? db.CardRevision.create(entry, { transaction }) : null;
+    }
+
+    /**
+     * Record changes of several cards
+     * @param {Array<Object>} changes - [{ action, card, before }]
+     * @param {number} userId - Who made the changes
+     * @param {Transaction} [transaction] - Transaction of the changes
+     */
+    async recordMany(changes, userId, transaction = null) {
+        const entries = changes
+            .map(({ action, card, before }) => this.buildEntry(action, card, { userId, before }))
+            .filter(Boolean);
+        if (entries.length) {
+            await db.CardRevision.bulkCreate(entries, { transaction });
+        }
+    }
+
+    buildEntry(action, card, { userId = null, before, restoredFrom = null }) {
+        // A delete is recorded from the deleted card itself
+        const beforeData = action === 'create' ? null : (before === undefined ? this.snapshot(card) : before);
+        const afterData = action === 'delete' ? null : this.snapshot(card);
+        const changed = this.changedFields(beforeData, afterData);
+        if ((action === 'update' || action === 'restore') && !changed.length) {
+            return null;
+        }
+
+        return {
+            card_id: card.id,
+            set_id: card.set_id,
+            user_id: userId,
+            action,
+            before_data: beforeData,
+            after_data: afterData,
+            changed_fields: changed,
+            restored_from: restoredFrom
+        };
+    }
+
+    /**
+     * The card, when it still exists, and its set, for the owner of the set.
+     * The set of a deleted card is read from its last revision.
+     * @returns {Promise<Object>} { card, setId }
+     */
+    async findOwnCard(cardId, userId) {
+        const card = await db.Card.findByPk(cardId);
+        let setId = card ? card.set_id : null;
+        if (!card) {
+            const last = await db.CardRevision.findOne({
+                where: { card_id: cardId },
+                attributes: ['set_id'],
+                order: [
+                    ['id', 'DESC']
+                ]
+            });
+            setId = last ? last.set_id : null;
+        }
+
+        const set = setId ? await db.Set.findByPk(setId, { attributes: ['id', 'educator_id'] }) : null;
+        if (!set) {
+            throw new CardRevisionError('Card not found', 404);
+        }
+        if (set.educator_id !== userId) {
+            throw new CardRevisionError('Not authorized to access the history of this card', 403);
+        }
+        return { card, setId };
+    }
+
+    /**
+     * Revisions of a card, newest first
+     * @param {Object} [options] - { limit, offset }
+     * @returns {Promise<Object>} { cardId, deleted, total, revisions }
+     */
+    async listRevisions(cardId, userId, options = {}) {
+        const { card } = await this.findOwnCard(cardId, userId);
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+        const { count, rows } = await db.CardRevision.findAndCountAll({
+            where: { card_id: cardId },
+            include: [{
+                model: db.User,
+                as: 'user',
+                attributes: ['id', 'name']
+            }],
+            order: [
+                ['id', 'DESC']
+            ],
+            limit,
+            offset
+        });
+
+        return {
+            cardId,
+            deleted: !card,
+            total: count,
+            revisions: rows.map(revision => this.formatRevision(revision))
+        };
+    }
+
+    /**
+     * Bring a card back to the state of one of its revisions
+     * @returns {Promise<Object>} { card, revision }; revision is null when the
+     *   card already was in that state
+     */
+    async restore(cardId, revisionId, userId) {
+        const { card, setId } = await this.findOwnCard(cardId, userId);
+        const target = await db.CardRevision.findOne({ where: { id: revisionId, card_id: cardId } });
+        if (!target) {
+            throw new CardRevisionError('Revision not found', 404);
+        }
+
+        const { position, ...values } = target.after_data || target.before_data;
+        if (!card) {
+            let revision = null;
+            const restored = await cardOrderService.insertCard(setId, { ...values, id: cardId }, position, {
+                onWrite: async (created, transaction) => {
+                    revision = await this.record('restore', created, { userId, before: null, restoredFrom: target.id }, transaction);
+                }
+            });
+            return { card: restored, revision: revision && this.formatRevision(revision) };
+        }
+
+        const transaction = await db.sequelize.transaction();
+        try {
+            const before = this.snapshot(card);
+            await card.update(values, { transaction });
+            const revision = await this.record('restore', card, { userId, before, restoredFrom: target.id }, transaction);
+            await transaction.commit();
+            return { card, revision: revision && this.formatRevision(revision) };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    formatRevision(revision) {
+        return {
+            id: revision.id,
+            cardId: revision.card_id,
+            setId: revision.set_id,
+            action: revision.action,
+            userId: revision.user_id,
+            userName: revision.user ? revision.user.name : null,
+            before: revision.before_data,
+            after: revision.after_data,
+            changedFields: revision.changed_fields || [],
+            restoredFrom: revision.restored_from,
+            createdAt: revision.created_at
+        };
+    }
+}
+
+module.exports = new CardRevisionService();
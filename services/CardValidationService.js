@@ -0,0 +1,121 @@
+const CardContentService = require('./CardContentService');
+const CardFormatService = require('./CardFormatService');
+const ClozeService = require('./ClozeService');
+const cardItemService = require('./study/CardItemService');
+
+const LAYOUTS = ['default', 'two-row', 'two-col'];
+const MAX_ACCEPTED_ANSWERS = 10;
+
+/**
+ * Checks of a single card as sent by the API ({ type, format, front: { text,
+ * imageUrl, layout }, back, content, acceptedAnswers }), shared by every
+ * validator of card lists and single cards
+ */
+class CardValidationService {
+    static get LAYOUTS() {
+        return LAYOUTS;
+    }
+
+    /**
+     * Every problem of a card; callers prefix them with the card number
+     * @param {Object} card
+     * @returns {string[]}
+     */
+    static getErrors(card) {
+        const errors = [];
+
+        // Validate type
+        if (card.type !== undefined && !cardItemService.CARD_TYPES.includes(card.type)) {
+            errors.push(`Type must be one of: ${cardItemService.CARD_TYPES.join(', ')}`);
+        }
+        const type = card.type || 'basic';
+
+        // Validate format
+        if (card.format !== undefined && !CardFormatService.isValid(card.format)) {
+            errors.push(`Format must be one of: ${CardFormatService.FORMATS.join(', ')}`);
+        }
+
+        // Validate front
+        if (!card.front || typeof card.front !== 'object') {
+            errors.push('Front must be an object with text and imageUrl properties');
+        } else {
+            if (!card.front.text && !card.front.imageUrl) {
+                errors.push('Front must have either text or imageUrl');
+            }
+            errors.push(...this.faceErrors('Front', card.front));
+            if (type === 'cloze') {
+                errors.push(...ClozeService.validate(card.front.text));
+            }
+            if (CardContentService.isStructured(type) && !card.front.text) {
+                errors.push(`Front text is required for ${type} cards`);
+            }
+        }
+
+        // Validate options and answer of structured types
+        if (cardItemService.CARD_TYPES.includes(type)) {
+            errors.push(...CardContentService.validate(type, card.content));
+        }
+
+        // Validate back; on other types than basic it is optional extra text
+        const backOptional = type !== 'basic' && (card.back === undefined || card.back === null);
+        if (!backOptional && (!card.back || typeof card.back !== 'object')) {
+            errors.push('Back must be an object with text and imageUrl properties');
+        } else if (!backOptional) {
+            if (type === 'basic' && !card.back.text && !card.back.imageUrl) {
+                errors.push('Back must have either text or imageUrl');
+            }
+            errors.push(...this.faceErrors('Back', card.back));
+        }
+
+        errors.push(...this.acceptedAnswerErrors(card.acceptedAnswers));
+
+        return errors;
+    }
+
+    /**
+     * Types of the text, image and layout of a face
+     */
+    static faceErrors(label, face) {
+        const errors = [];
+        if (face.text && typeof face.text !== 'string') {
+            errors.push(`${label} text must be a string`);
+        } else if (face.text && !face.text.trim()) {
+            errors.push(`${label} text cannot be empty`);
+        }
+        if (face.imageUrl && typeof face.imageUrl !== 'string') {
+            errors.push(`${label} imageUrl must be a string`);
+        }
+        if (face.layout && !LAYOUTS.includes(face.layout)) {
+            errors.push(`${label} layout must be one of: ${LAYOUTS.join(', ')}`);
+        }
+        return errors;
+    }
+
+    /**
+     * Alternate accepted answers are optional; when given they are a short
+     * list of strings
+     */
+    static acceptedAnswerErrors(acceptedAnswers) {
+        if (acceptedAnswers === undefined || acceptedAnswers === null) return [];
+        if (!Array.isArray(acceptedAnswers) || acceptedAnswers.some(answer => typeof answer !== 'string')) {
+            return ['Accepted answers must be an array of strings'];
+        }
+        if (acceptedAnswers.length > MAX_ACCEPTED_ANSWERS) {
+            return [`At most ${MAX_ACCEPTED_ANSWERS} accepted answers are allowed`];
+        }
+        return [];
+    }
+
+    /**
+     * Trimmed, de-duplicated alternate answers, or null when there are none
+     */
+    static cleanAcceptedAnswers(acceptedAnswers) {
+        if (!Array.isArray(acceptedAnswers)) return null;
+        const answers = acceptedAnswers
+            .map(answer => answer.trim())
+            .filter((answer, index, all) => answer && all.indexOf(answer) === index);
+        return answers.length ? answers : null;
+    }
+}
+
+module.exports = CardValidationService;
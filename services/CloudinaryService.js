@@ -79,6 +79,7 @@ class CloudinaryService {
                 width: result.width,
                 height: result.height,
                 format: result.format,
+                resource_type: result.resource_type,
                 size: result.bytes
             };
         } catch (error) {
@@ -91,13 +92,14 @@ class CloudinaryService {
         }
     }
 
-    static async deleteImage(publicId) {
+    // Audio and video files are deleted with resource type 'video'
+    static async deleteImage(publicId, resourceType = 'image') {
         try {
             if (!publicId) {
                 return { success: false, message: 'No public ID provided' };
             }
 
-            const result = await cloudinary.uploader.destroy(publicId);
+            const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
 
             return {
                 success: result.result === 'ok',
@@ -147,8 +149,12 @@ class CloudinaryService {
 
     static async deleteAndRemove(publicId) {
         try {
-            // Delete from Cloudinary
-            const deleteResult = await this.deleteImage(publicId);
+            // Delete from Cloudinary, as the resource type it was stored with
+            const record = await Cloudinary.findOne({
+                where: { public_id: publicId },
+                attributes: ['resource_type']
+            });
+            const deleteResult = await this.deleteImage(publicId, record ? record.resource_type : 'image');
 
             if (deleteResult.success) {
                 // Remove from database
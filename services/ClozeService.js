@@ -0,0 +1,106 @@
+// {{c1::answer}} or {{c1::answer::hint}}
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+// Any opening marker, used to find clozes that are not closed properly
+const OPENING_PATTERN = /\{\{c\d*::/;
+
+const MAX_CLOZE_NUMBER = 20;
+const BLANK = '[...]';
+
+/**
+ * ClozeService parses cloze-deletion text such as
+ * "The capital of {{c1::France}} is {{c2::Paris::city}}". Every cloze number
+ * is a separate reviewable item: its front hides the deletions with that
+ * number (showing the hint when there is one) and reveals the others, its
+ * back reveals all of them. Several deletions may share a number to be hidden
+ * together. Like AnswerCheckService it has no database access.
+ */
+class ClozeService {
+    static get MAX_CLOZE_NUMBER() {
+        return MAX_CLOZE_NUMBER;
+    }
+
+    /**
+     * Every deletion in the text, in order
+     * @returns {Array<Object>} [{ number, answer, hint }]
+     */
+    static parse(text) {
+        const deletions = [];
+        for (const match of String(text || '').matchAll(CLOZE_PATTERN)) {
+            deletions.push({
+                number: parseInt(match[1], 10),
+                answer: match[2].trim(),
+                hint: match[3] !== undefined ? match[3].trim() : null
+            });
+        }
+        return deletions;
+    }
+
+    /**
+     * Distinct cloze numbers of the text, ascending
+     */
+    static getNumbers(text) {
+        const numbers = this.parse(text).map(deletion => deletion.number);
+        return numbers
+            .filter((number, index) => numbers.indexOf(number) === index)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Problems with a cloze text, as messages; empty when the text is valid
+     */
+    static validate(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            return ['Cloze text is required'];
+        }
+
+        const errors = [];
+        const deletions = this.parse(text);
+        if (!deletions.length) {
+            errors.push('Cloze text must contain at least one deletion like {{c1::answer}}');
+        }
+        if (OPENING_PATTERN.test(text.replace(CLOZE_PATTERN, ''))) {
+            errors.push('Cloze text contains a deletion that is not closed with }}');
+        }
+        if (deletions.some(deletion => deletion.number < 1 || deletion.number > MAX_CLOZE_NUMBER)) {
+            errors.push(`Cloze numbers must be between 1 and ${MAX_CLOZE_NUMBER}`);
+        }
+        if (deletions.some(deletion => !deletion.answer)) {
+            errors.push('Cloze deletions cannot be empty');
+        }
+        return errors;
+    }
+
+    /**
+     * Front and back of the item for a cloze number
+     * @param {string} text - Cloze text
+     * @param {number} number - Cloze number
+     * @param {string} [extra] - Extra text shown below the back
+     * @returns {Object} { front, back }
+     */
+    static render(text, number, extra = null) {
+        const source = String(text || '');
+        const front = source.replace(CLOZE_PATTERN, (match, n, answer, hint) => {
+            if (parseInt(n, 10) !== number) return answer.trim();
+            return hint !== undefined && hint.trim() ? `[${hint.trim()}]` : BLANK;
+        });
+        const revealed = source.replace(CLOZE_PATTERN, (match, n, answer) => answer.trim());
+
+        return {
+            front,
+            back: extra && extra.trim() ? `${revealed}\n\n${extra.trim()}` : revealed
+        };
+    }
+
+    /**
+     * The hidden answer of a cloze number; deletions sharing the number are
+     * joined in order
+     */
+    static getAnswer(text, number) {
+        return this.parse(text)
+            .filter(deletion => deletion.number === number)
+            .map(deletion => deletion.answer)
+            .join(' ... ');
+    }
+}
+
+module.exports = ClozeService;
@@ -1,9 +1,25 @@
+const _ = require('lodash');
 const { Set, Card, Tag, SetTag, User, Category, UserLike } = require('../db');
 const ValidationService = require('./ValidationService');
 const SetTransformer = require('./SetTransformer');
 const SetAccessService = require('./SetAccessService');
+const CardContentService = require('./CardContentService');
+const CardValidationService = require('./CardValidationService');
+const cardAudioService = require('./CardAudioService');
+const ttsService = require('./tts/TtsService');
+const cardRevisionService = require('./CardRevisionService');
 const NodeMemoryCache = require('./cache/NodeMemoryCache');
 
+// Card columns compared when syncing the cards of a set
+const CARD_SYNC_FIELDS = ['type', 'format', 'front', 'back', 'content', 'hint', 'front_image', 'back_image', 'layout_front', 'layout_back', 'accepted_answers', 'position'];
+
+class SetValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SetValidationError';
+    }
+}
+
 class SetService {
     constructor(models = null) {
         this.validationService = new ValidationService();
@@ -47,7 +63,7 @@ class SetService {
             }
 
             if (cards && cards.length > 0) {
-                promises.push(this.createCards(set.id, cards, transaction));
+                promises.push(this.createCards(set.id, cards, transaction, normalizedSetData.educator_id));
             }
 
             if (promises.length > 0) {
@@ -66,7 +82,9 @@ class SetService {
     }
 
     /**
-     * Update an existing set
+     * Update an existing set. Cards are synced by ID (see syncCards); when
+     * cards are given, the returned set carries the change summary as
+     * cardChanges.
      */
     async updateSet(setId, setData, cards, tags) {
         const transaction = await Set.sequelize.transaction();
@@ -79,8 +97,12 @@ class SetService {
             // Validate inputs
             this.validateSetInputs(normalizedSetData, cards, tags);
 
-            // Find and verify ownership
-            const existingSet = await Set.findByPk(setId, { transaction });
+            // Find and verify ownership; the lock keeps card positions
+            // consistent with concurrent reorders
+            const existingSet = await Set.findByPk(setId, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
             if (!existingSet) {
                 console.error('[SetService.updateSet] Set not found:', setId);
                 throw new Error('Set not found');
@@ -105,7 +127,9 @@ class SetService {
             }
 
             if (cards !== undefined) {
-                promises.push(this.replaceCards(setId, cards, transaction));
+                promises.push(this.syncCards(setId, cards, transaction, normalizedSetData.educator_id).then(changes => {
+                    existingSet.cardChanges = changes;
+                }));
             }
 
             if (promises.length > 0) {
@@ -140,7 +164,8 @@ class SetService {
                 throw new Error('Set not found');
             }
 
-            // Delete related data in parallel
+            // Delete related data in parallel. Card revisions are removed by the
+            // ON DELETE CASCADE foreign key on card_revisions.set_id
             await Promise.all([
                 Card.destroy({ where: { set_id: setId }, transaction }),
                 SetTag.destroy({ where: { set_id: setId }, transaction }),
@@ -178,13 +203,17 @@ class SetService {
                         },
                         {
                             model: Card,
-                            attributes: ['id', 'set_id', 'front', 'back', 'hint', 'front_image', 'back_image', 'layout_front', 'layout_back']
+                            attributes: ['id', 'set_id', 'type', 'format', 'front', 'back', 'content', 'hint', 'front_image', 'back_image', 'has_audio', 'audio_url', 'back_audio', 'layout_front', 'layout_back', 'accepted_answers', 'position']
                         },
                         {
                             model: Tag,
                             through: { attributes: [] },
                             attributes: ['id', 'name']
                         }
+                    ],
+                    order: [
+                        [Card, 'position', 'ASC'],
+                        [Card, 'id', 'ASC']
                     ]
                 });
             }
@@ -395,8 +424,9 @@ class SetService {
 
     /**
      * Create cards efficiently
+     * @param {number} userId - Who created them, recorded in their revisions
      */
-    async createCards(setId, cards, transaction) {
+    async createCards(setId, cards, transaction, userId) {
 
         if (!Array.isArray(cards) || cards.length === 0) {
             return;
@@ -413,36 +443,126 @@ class SetService {
         });
 
         // Prepare card data for bulk creation
-        const cardData = cards.map((card, index) => {
-            const cardRecord = {
-                set_id: setId,
-                front: card.front.text || '',
-                back: card.back.text || '',
-                hint: card.hint || null,
-                front_image: card.front.imageUrl || null,
-                back_image: card.back.imageUrl || null,
-                layout_front: card.front.layout || 'default',
-                layout_back: card.back.layout || 'default'
-            };
-
-
-            return cardRecord;
-        });
+        const cardData = cards.map((card, index) => this.toCardRecord(setId, card, index));
 
         const createdCards = await Card.bulkCreate(cardData, { transaction });
+        await cardRevisionService.recordMany(
+            createdCards.map(card => ({ action: 'create', card })),
+            userId,
+            transaction
+        );
+    }
+
+    /**
+     * Card columns for a card of the API shape at a position in its set
+     */
+    toCardRecord(setId, card, position) {
+        // The back is optional on every type but basic
+        const back = card.back || {};
+        const type = card.type || 'basic';
+        return {
+            set_id: setId,
+            type,
+            format: card.format || 'plain',
+            front: card.front.text || '',
+            back: back.text || '',
+            content: CardContentService.normalize(type, card.content),
+            hint: card.hint || null,
+            front_image: card.front.imageUrl || null,
+            back_image: back.imageUrl || null,
+            layout_front: card.front.layout || 'default',
+            layout_back: back.layout || 'default',
+            accepted_answers: CardValidationService.cleanAcceptedAnswers(card.acceptedAnswers),
+            position
+        };
     }
 
     /**
-     * Replace all cards for a set
+     * Sync the cards of a set with the submitted list, in its order. Cards
+     * with the ID of a card of the set update that card, so cards keep their
+     * ID and everything attached to it (reviews, flags, stats); cards without
+     * an ID are created and cards of the set missing from the list are
+     * deleted. Unchanged cards are not written. Every change is recorded as
+     * a card revision of the user. A changed card loses the audio clip of a
+     * face whose text changed; its file is deleted once the change commits.
+     * @returns {Promise<Object>} { added, updated, removed } card IDs and the unchanged count
      */
-    async replaceCards(setId, cards, transaction) {
-        // Delete existing cards
-        await Card.destroy({ where: { set_id: setId }, transaction });
+    async syncCards(setId, cards, transaction, userId) {
+        cards.forEach((card, index) => {
+            try {
+                this.validationService.validateCard(card);
+            } catch (error) {
+                throw new SetValidationError(`Card ${index + 1}: ${error.message}`);
+            }
+        });
 
-        // Create new cards if provided
-        if (cards && cards.length > 0) {
-            await this.createCards(setId, cards, transaction);
+        const existing = await Card.findAll({ where: { set_id: setId }, transaction });
+        const existingById = new Map(existing.map(card => [card.id, card]));
+
+        const seen = [];
+        cards.forEach((card, index) => {
+            if (card.id === undefined || card.id === null) return;
+            const id = Number(card.id);
+            if (!existingById.has(id)) {
+                throw new SetValidationError(`Card ${index + 1}: card ${card.id} does not belong to this set`);
+            }
+            if (seen.includes(id)) {
+                throw new SetValidationError(`Card ${index + 1}: card ${card.id} is listed more than once`);
+            }
+            seen.push(id);
+        });
+
+        const changes = { added: [], updated: [], removed: [], unchanged: 0 };
+        const revisions = [];
+
+        const removed = existing.filter(card => !seen.includes(card.id));
+        if (removed.length) {
+            await Card.destroy({ where: { id: removed.map(card => card.id) }, transaction });
+            changes.removed = removed.map(card => card.id);
+            removed.forEach(card => revisions.push({ action: 'delete', card }));
         }
+
+        const toCreate = [];
+        const staleAudioUrls = [];
+        for (const [index, card] of cards.entries()) {
+            const record = this.toCardRecord(setId, card, index);
+            const current = card.id === undefined || card.id === null ? null : existingById.get(Number(card.id));
+
+            if (!current) {
+                toCreate.push(record);
+                continue;
+            }
+
+            // Deep comparison, since JSON columns come back with their keys reordered
+            const changed = CARD_SYNC_FIELDS.filter(field =>
+                !_.isEqual(current[field] === undefined ? null : current[field], record[field])
+            );
+            if (!changed.length) {
+                changes.unchanged += 1;
+                continue;
+            }
+
+            const before = cardRevisionService.snapshot(current);
+            const values = _.pick(record, changed);
+            // A clip reads out the text of its face, so it goes when that text changes
+            const audio = cardAudioService.detach(current, ttsService.changedSides(before, { ...before, ...values }));
+            staleAudioUrls.push(...audio.urls);
+            await current.update({ ...values, ...audio.values }, { transaction });
+            changes.updated.push(current.id);
+            revisions.push({ action: 'update', card: current, before });
+        }
+
+        if (toCreate.length) {
+            const created = await Card.bulkCreate(toCreate, { transaction });
+            changes.added = created.map(card => card.id);
+            created.forEach(card => revisions.push({ action: 'create', card }));
+        }
+
+        await cardRevisionService.recordMany(revisions, userId, transaction);
+        if (staleAudioUrls.length) {
+            transaction.afterCommit(() => Promise.all(staleAudioUrls.map(url => cardAudioService.deleteFile(url))));
+        }
+        return changes;
     }
 
     /**
@@ -517,6 +637,13 @@ class SetService {
             normalizedData.hidden = !setData.isPublic; // Invert for database
         }
 
+        if (setData.studyDirection !== undefined) {
+            normalizedData.study_direction = setData.studyDirection;
+        }
+        if (setData.study_direction !== undefined) {
+            normalizedData.study_direction = setData.study_direction;
+        }
+
         // Copy other fields as-is
         if (setData.title !== undefined) normalizedData.title = setData.title;
         if (setData.description !== undefined) normalizedData.description = setData.description;
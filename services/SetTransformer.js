@@ -1,4 +1,7 @@
 const responseFormatter = require('./ResponseFormatter');
+const cardItemService = require('./study/CardItemService');
+const toCamel = require('../utils/toCamel');
+const CardFormatService = require('./CardFormatService');
 
 class SetTransformer {
     static transformSet(set, userId = null) {
@@ -21,11 +24,12 @@ class SetTransformer {
             price: set.price,
             is_subscriber_only: set.is_subscriber_only,
             hidden: Boolean(set.hidden),
+            studyDirection: set.study_direction || cardItemService.DEFAULT_DIRECTION,
             tags: Array.isArray(set.tags) ? set.tags.map(tag => {
                 const tagName = tag.name || tag;
                 return tagName;
             }) : [],
-            cards: set.cards ? set.cards.map(card => this.transformCard(card)) : [],
+            cards: set.cards ? set.cards.map(card => this.transformCard(card, set.study_direction)) : [],
             createdAt: set.created_at,
             updatedAt: set.updated_at
         };
@@ -38,25 +42,48 @@ class SetTransformer {
         return transformedSet;
     }
 
-    static transformCard(card) {
+    /**
+     * @param {Object} card - Card row
+     * @param {string} [direction] - Study direction of the set of the card
+     */
+    static transformCard(card, direction = cardItemService.DEFAULT_DIRECTION) {
         if (!card) return null;
 
-        return {
+        const format = card.format || CardFormatService.DEFAULT_FORMAT;
+        const transformed = {
             id: card.id,
+            type: card.type || 'basic',
+            format,
             front: {
                 text: card.front || '',
+                html: CardFormatService.render(card.front, format),
                 imageUrl: card.front_image || null,
+                audioUrl: card.audio_url || null,
                 layout: card.layout_front || 'default'
             },
             back: {
                 text: card.back || '',
+                html: CardFormatService.render(card.back, format),
                 imageUrl: card.back_image || null,
+                audioUrl: card.back_audio || null,
                 layout: card.layout_back || 'default'
             },
+            content: card.content ? toCamel(card.content) : null,
             hint: card.hint || null,
+            acceptedAnswers: card.accepted_answers || [],
+            position: card.position,
             createdAt: card.created_at || new Date(),
             updatedAt: card.updated_at || new Date()
         };
+
+        // Rendered front and back of every item, for cards studied as
+        // something else than their front and back (cloze, reverse, both)
+        const items = cardItemService.getItems(card, direction);
+        if (items.length > 1 || items[0] !== cardItemService.MAIN_ITEM) {
+            transformed.items = items.map(item => cardItemService.render(card, item));
+        }
+
+        return transformed;
     }
 
     static transformSetData(data) {
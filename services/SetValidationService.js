@@ -1,3 +1,5 @@
+const CardValidationService = require('./CardValidationService');
+
 class SetValidationService {
     static validateSetData(data) {
         const errors = [];
@@ -28,44 +30,8 @@ class SetValidationService {
         }
 
         const errors = [];
-        const validLayouts = ['default', 'two-row', 'two-col'];
-
         cards.forEach((card, index) => {
-            // Validate front
-            if (!card.front || typeof card.front !== 'object') {
-                errors.push(`Card ${index + 1}: Front must be an object with text and imageUrl properties`);
-            } else {
-                if (!card.front.text && !card.front.imageUrl) {
-                    errors.push(`Card ${index + 1}: Front must have either text or imageUrl`);
-                }
-                if (card.front.text && typeof card.front.text !== 'string') {
-                    errors.push(`Card ${index + 1}: Front text must be a string`);
-                }
-                if (card.front.imageUrl && typeof card.front.imageUrl !== 'string') {
-                    errors.push(`Card ${index + 1}: Front imageUrl must be a string`);
-                }
-                if (card.front.layout && !validLayouts.includes(card.front.layout)) {
-                    errors.push(`Card ${index + 1}: Front layout must be one of: ${validLayouts.join(', ')}`);
-                }
-            }
-
-            // Validate back
-            if (!card.back || typeof card.back !== 'object') {
-                errors.push(`Card ${index + 1}: Back must be an object with text and imageUrl properties`);
-            } else {
-                if (!card.back.text && !card.back.imageUrl) {
-                    errors.push(`Card ${index + 1}: Back must have either text or imageUrl`);
-                }
-                if (card.back.text && typeof card.back.text !== 'string') {
-                    errors.push(`Card ${index + 1}: Back text must be a string`);
-                }
-                if (card.back.imageUrl && typeof card.back.imageUrl !== 'string') {
-                    errors.push(`Card ${index + 1}: Back imageUrl must be a string`);
-                }
-                if (card.back.layout && !validLayouts.includes(card.back.layout)) {
-                    errors.push(`Card ${index + 1}: Back layout must be one of: ${validLayouts.join(', ')}`);
-                }
-            }
+            CardValidationService.getErrors(card).forEach(error => errors.push(`Card ${index + 1}: ${error}`));
         });
 
         if (errors.length > 0) {
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const db = require('../db');
+
+// Repeat views by the same visitor within this window count once
+const DEDUPE_WINDOW_MS = 30 * 60 * 1000;
+// Raw view events are only needed for dedupe and daily unique visitors
+const EVENT_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_VISITOR_ID_LENGTH = 64;
+
+/**
+ * SetViewService records page views of sets, separately from the learner
+ * History. Each view is stored as a SetView event keyed by a hashed visitor
+ * (user, client-provided visitor ID or IP and user agent); repeats inside the
+ * dedupe window are dropped. Counted views are rolled up per set and UTC day
+ * in SetViewDaily, which is what view counters read.
+ */
+class SetViewService {
+    constructor() {
+        this.lastPrunedAt = 0;
+    }
+
+    /**
+     * Record a view of a set
+     * @param {number} setId - The viewed set
+     * @param {Object} visitor - { userId, visitorId, ip, userAgent }
+     * @returns {Promise<Object>} { counted } false when deduplicated
+     */
+    async recordView(setId, visitor = {}) {
+        const visitorKey = this.getVisitorKey(visitor);
+        const now = new Date();
+        const viewDate = now.toISOString().slice(0, 10);
+
+        const transaction = await db.sequelize.transaction();
+        try {
+            const recent = await db.SetView.findOne({
+                where: {
+                    set_id: setId,
+                    visitor_key: visitorKey,
+                    viewed_at: {
+                        [Op.gte]: new Date(now.getTime() - DEDUPE_WINDOW_MS)
+                    }
+                },
+                attributes: ['id'],
+                transaction
+            });
+            if (recent) {
+                await transaction.commit();
+                return { counted: false };
+            }
+
+            const seenToday = await db.SetView.count({
+                where: {
+                    set_id: setId,
+                    visitor_key: visitorKey,
+                    viewed_at: {
+                        [Op.gte]: new Date(`${viewDate}T00:00:00Z`)
+                    }
+                },
+                transaction
+            });
+
+            await db.SetView.create({
+                set_id: setId,
+                user_id: visitor.userId || null,
+                visitor_key: visitorKey,
+                viewed_at: now
+            }, { transaction });
+
+            const [daily] = await db.SetViewDaily.findOrCreate({
+                where: { set_id: setId, view_date: viewDate },
+                transaction
+            });
+            await daily.increment({
+                views: 1,
+                unique_visitors: seenToday ? 0 : 1
+            }, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        this.pruneEvents(now);
+        return { counted: true };
+    }
+
+    /**
+     * Total views per set from the daily rollups
+     * @param {Array<number>} setIds - Sets to count
+     * @returns {Promise<Object>} { [setId]: views }
+     */
+    async getViewCounts(setIds) {
+        const rows = await db.SetViewDaily.findAll({
+            attributes: ['set_id', [db.sequelize.fn('SUM', db.sequelize.col('views')), 'count']],
+            where: { set_id: setIds },
+            group: ['set_id'],
+            raw: true
+        });
+
+        const counts = setIds.reduce((acc, setId) => {
+            acc[setId] = 0;
+            return acc;
+        }, {});
+        rows.forEach(row => {
+            counts[row.set_id] = parseInt(row.count, 10) || 0;
+        });
+        return counts;
+    }
+
+    async getViewCount(setId) {
+        const counts = await this.getViewCounts([setId]);
+        return counts[setId];
+    }
+
+    getVisitorKey({ userId, visitorId, ip, userAgent }) {
+        let identity;
+        if (userId) {
+            identity = `user:${userId}`;
+        } else if (typeof visitorId === 'string' && visitorId.trim() && visitorId.length <= MAX_VISITOR_ID_LENGTH) {
+            identity = `visitor:${visitorId.trim()}`;
+        } else {
+            identity = `ip:${ip || ''}|${userAgent || ''}`;
+        }
+        return crypto.createHash('sha256').update(identity).digest('hex');
+    }
+
+    /**
+     * Delete view events past their retention, at most once per interval.
+     * Runs in the background; failures are only logged.
+     */
+    pruneEvents(now = new Date()) {
+        if (now.getTime() - this.lastPrunedAt < PRUNE_INTERVAL_MS) return;
+        this.lastPrunedAt = now.getTime();
+
+        db.SetView.destroy({
+            where: {
+                viewed_at: {
+                    [Op.lt]: new Date(now.getTime() - EVENT_RETENTION_MS)
+                }
+            }
+        }).catch(error => {
+            console.error('SetViewService.pruneEvents - Error:', error.message);
+        });
+    }
+}
+
+module.exports = new SetViewService();
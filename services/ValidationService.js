@@ -1,3 +1,6 @@
+const CardValidationService = require('./CardValidationService');
+const cardItemService = require('./study/CardItemService');
+
 module.exports = class ValidationService {
     validateSet(data, isUpdate = false) {
         const errors = [];
@@ -24,6 +27,11 @@ module.exports = class ValidationService {
             errors.push('is_subscriber_only must be a boolean');
         }
 
+        // Validate study direction if provided
+        if (data.study_direction !== undefined && !cardItemService.DIRECTIONS.includes(data.study_direction)) {
+            errors.push(`Study direction must be one of: ${cardItemService.DIRECTIONS.join(', ')}`);
+        }
+
         return errors;
     }
 
@@ -34,29 +42,7 @@ module.exports = class ValidationService {
 
         const errors = [];
         cards.forEach((card, index) => {
-            // Validate front
-            if (!card.front || typeof card.front !== 'object') {
-                errors.push(`Card ${index + 1}: Front must be an object with text and imageUrl properties`);
-            } else {
-                if (!card.front.text && !card.front.imageUrl) {
-                    errors.push(`Card ${index + 1}: Front must have either text or imageUrl`);
-                }
-                if (card.front.text && !card.front.text.trim()) {
-                    errors.push(`Card ${index + 1}: Front text cannot be empty`);
-                }
-            }
-
-            // Validate back
-            if (!card.back || typeof card.back !== 'object') {
-                errors.push(`Card ${index + 1}: Back must be an object with text and imageUrl properties`);
-            } else {
-                if (!card.back.text && !card.back.imageUrl) {
-                    errors.push(`Card ${index + 1}: Back must have either text or imageUrl`);
-                }
-                if (card.back.text && !card.back.text.trim()) {
-                    errors.push(`Card ${index + 1}: Back text cannot be empty`);
-                }
-            }
+            CardValidationService.getErrors(card).forEach(error => errors.push(`Card ${index + 1}: ${error}`));
         });
 
         if (errors.length > 0) {
@@ -69,31 +55,7 @@ module.exports = class ValidationService {
             throw new Error('Card must be an object');
         }
 
-        const errors = [];
-
-        // Validate front
-        if (!card.front || typeof card.front !== 'object') {
-            errors.push('Front must be an object with text and imageUrl properties');
-        } else {
-            if (!card.front.text && !card.front.imageUrl) {
-                errors.push('Front must have either text or imageUrl');
-            }
-            if (card.front.text && !card.front.text.trim()) {
-                errors.push('Front text cannot be empty');
-            }
-        }
-
-        // Validate back
-        if (!card.back || typeof card.back !== 'object') {
-            errors.push('Back must be an object with text and imageUrl properties');
-        } else {
-            if (!card.back.text && !card.back.imageUrl) {
-                errors.push('Back must have either text or imageUrl');
-            }
-            if (card.back.text && !card.back.text.trim()) {
-                errors.push('Back text cannot be empty');
-            }
-        }
+        const errors = CardValidationService.getErrors(card);
 
         if (errors.length > 0) {
             throw new Error(errors.join(', '));
@@ -3,6 +3,7 @@ const ImageService = require('./image-tools/ImageService')
 const CloudinaryService = require('../CloudinaryService')
 const queueService = require('../QueueService')
 const FlashcardPrompts = require('./prompts/flashcardPrompts')
+const CardContentService = require('../CardContentService')
 
 class AiSetSequence {
     constructor() {
@@ -19,6 +20,23 @@ class AiSetSequence {
             return false
         }
 
+        // Multiple-choice and true/false cards need valid options and answer,
+        // their back is optional
+        const type = card.type || 'basic'
+        if (type !== 'basic' && !CardContentService.isStructured(type)) {
+            return false
+        }
+        if (CardContentService.isStructured(type)) {
+            if (CardContentService.validate(type, card.content).length) {
+                return false
+            }
+            if (!card.back) {
+                card.back = {}
+            }
+        } else if (card.content) {
+            delete card.content
+        }
+
         if (!card.front || !card.back) {
             return false
         }
@@ -53,7 +71,12 @@ class AiSetSequence {
             return false
         }
 
-        if (!hasBackContent) {
+        // The question of a structured card is text
+        if (CardContentService.isStructured(type) && !(card.front.text && card.front.text.trim())) {
+            return false
+        }
+
+        if (!hasBackContent && !CardContentService.isStructured(type)) {
             return false
         }
 
@@ -219,6 +242,8 @@ class AiSetSequence {
     async processCardImages(card, userId, generationId = null, activeGenerations = null) {
         const processedCard = {
             id: Date.now() + Math.floor(Math.random() * 1000),
+            type: card.type || 'basic',
+            content: card.content || null,
             front: {
                 text: card.front.text || '',
                 imageUrl: null,
@@ -296,7 +321,8 @@ class AiSetSequence {
             if (!processedCard.front.text && !processedCard.front.imageUrl) {
                 processedCard.front.text = 'No content available'
             }
-            if (!processedCard.back.text && !processedCard.back.imageUrl) {
+            // The back of multiple-choice and true/false cards may stay empty
+            if (processedCard.type === 'basic' && !processedCard.back.text && !processedCard.back.imageUrl) {
                 processedCard.back.text = 'No content available'
             }
 
@@ -306,7 +332,7 @@ class AiSetSequence {
             if (!processedCard.front.text && !processedCard.front.imageUrl) {
                 processedCard.front.text = 'Content generation failed'
             }
-            if (!processedCard.back.text && !processedCard.back.imageUrl) {
+            if (processedCard.type === 'basic' && !processedCard.back.text && !processedCard.back.imageUrl) {
                 processedCard.back.text = 'Content generation failed'
             }
         }
@@ -16,7 +16,9 @@ class FlashcardPrompts {
 
         If we must have both text and images, make sure the text is brief and concise and the image is relevant to the text.
         
-        Format your response as a cards array of JSON objects with 'front', 'back' properties containing the imagePrompt and text of the cards. 
+        Most cards are 'basic' cards with a question on the front and the answer on the back. When the topic suits it, some cards can be 'multiple_choice' (the question on the front, 2-6 short options and the index of the correct one in content) or 'true_false' (a statement on the front and whether it is true in content). On these cards the back is optional extra explanation.
+        
+        Format your response as a cards array of JSON objects with 'front', 'back' properties containing the imagePrompt and text of the cards, plus 'type' and 'content' for multiple_choice and true_false cards. 
         
         Always respond with valid JSON only.`
     }
@@ -56,6 +58,36 @@ class FlashcardPrompts {
                         items: {
                             type: "object",
                             properties: {
+                                type: {
+                                    type: "string",
+                                    enum: ["basic", "multiple_choice", "true_false"],
+                                    description: "Card type, basic when omitted"
+                                },
+                                content: {
+                                    type: "object",
+                                    description: "Options and answer, only for multiple_choice and true_false cards",
+                                    properties: {
+                                        options: {
+                                            type: "array",
+                                            items: { type: "string" },
+                                            minItems: 2,
+                                            maxItems: 6,
+                                            description: "multiple_choice: the options to pick from"
+                                        },
+                                        correctIndex: {
+                                            type: "integer",
+                                            description: "multiple_choice: zero-based index of the correct option"
+                                        },
+                                        shuffle: {
+                                            type: "boolean",
+                                            description: "multiple_choice: whether the options are shown in random order"
+                                        },
+                                        answer: {
+                                            type: "boolean",
+                                            description: "true_false: whether the statement on the front is true"
+                                        }
+                                    }
+                                },
                                 front: {
                                     type: "object",
                                     properties: {
@@ -74,7 +106,7 @@ class FlashcardPrompts {
                                     properties: {
                                         text: {
                                             type: "string",
-                                            description: "Optional text for the back of the card"
+                                            description: "Optional text for the back of the card; on multiple_choice and true_false cards an optional explanation"
                                         },
                                         imagePrompt: {
                                             type: "string",
@@ -0,0 +1,249 @@
+const RESULTS = ['correct', 'almost', 'wrong'];
+
+// Typed answers longer than this are rejected; longer expected answers are only
+// compared exactly, since edit distance is quadratic in the string lengths
+const MAX_ANSWER_LENGTH = 1000;
+
+// Answers up to this many characters must be typed exactly (after normalization)
+const EXACT_MATCH_LENGTH = 3;
+// Share of the answer length that may be misspelled for an "almost" result
+const TOLERANCE_RATIO = 0.2;
+
+// Punctuation and symbols that carry meaning in an answer ("C#", "50%", "x + y")
+const SIGNIFICANT_CHARACTERS = /[\p{S}#%&*@/\\]/u;
+
+const SUGGESTED_GRADES = {
+    correct: 'good',
+    almost: 'hard',
+    wrong: 'again'
+};
+
+/**
+ * AnswerCheckService grades a typed answer against the back of a card and its
+ * alternate accepted answers. Comparison ignores case, whitespace, punctuation
+ * and accents; small misspellings within a tolerance scaled to the answer length
+ * count as "almost". Answers made only of punctuation, or holding symbols that
+ * carry meaning, are compared on their case-folded text instead, so "C#" does
+ * not accept "C" and "+" is not dropped. Like SchedulerService it has no
+ * database access.
+ */
+class AnswerCheckService {
+    static get RESULTS() {
+        return RESULTS;
+    }
+
+    static get MAX_ANSWER_LENGTH() {
+        return MAX_ANSWER_LENGTH;
+    }
+
+    /**
+     * Check a typed answer
+     * @param {string} input - What the learner typed
+     * @param {Object} card - Card row with back and accepted_answers
+     * @returns {Object} { result, distance, allowedDistance, expected, diff, suggestedGrade }
+     */
+    static check(input, card) {
+        const typed = String(input || '').trim();
+        const candidates = this.getAcceptedAnswers(card);
+
+        let best = null;
+        candidates.forEach(expected => {
+            const { key: expectedKey, literal } = this.answerKey(expected);
+            const typedKey = literal ? this.foldCase(typed) : this.normalize(typed);
+            const distance = expectedKey === typedKey ? 0 : this.distance(typedKey, expectedKey);
+            if (!best || distance < best.distance) {
+                best = { expected, expectedKey, typedKey, distance };
+            }
+        });
+
+        if (!best) {
+            return this.formatResult('wrong', typed, '', Infinity, 0);
+        }
+
+        const allowedDistance = this.allowedDistance(best.expectedKey);
+        let result = 'wrong';
+        if (best.typedKey && best.distance === 0) {
+            result = 'correct';
+        } else if (best.typedKey && best.distance <= allowedDistance) {
+            result = 'almost';
+        }
+
+        return this.formatResult(result, typed, best.expected, best.distance, allowedDistance);
+    }
+
+    static formatResult(result, typed, expected, distance, allowedDistance) {
+        return {
+            result,
+            distance: Number.isFinite(distance) ? distance : null,
+            allowedDistance,
+            expected,
+            diff: this.diff(typed, expected),
+            suggestedGrade: SUGGESTED_GRADES[result]
+        };
+    }
+
+    /**
+     * Back of the card followed by its alternate accepted answers
+     */
+    static getAcceptedAnswers(card) {
+        const answers = [card.back, ...(Array.isArray(card.accepted_answers) ? card.accepted_answers : [])];
+        return answers
+            .filter(answer => typeof answer === 'string' && answer.trim())
+            .map(answer => answer.trim());
+    }
+
+    /**
+     * Lowercase, strip accents and punctuation, collapse whitespace
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[\p{P}\p{S}]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Comparison key of an expected answer. The key is the normalized answer,
+     * or its case-folded text (literal) when normalizing would empty it or drop
+     * a significant character.
+     * @returns {Object} { key, literal }
+     */
+    static answerKey(text) {
+        const key = this.normalize(text);
+        if (key && !SIGNIFICANT_CHARACTERS.test(text)) {
+            return { key, literal: false };
+        }
+        return { key: this.foldCase(text), literal: true };
+    }
+
+    /**
+     * Lowercase and collapse whitespace, keeping every other character
+     */
+    static foldCase(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Number of typos tolerated for an answer of the given normalized length
+     */
+    static allowedDistance(expectedKey) {
+        const length = expectedKey.replace(/ /g, '').length;
+        if (length <= EXACT_MATCH_LENGTH) return 0;
+        return Math.max(1, Math.floor(length * TOLERANCE_RATIO));
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     */
+    static distance(a, b) {
+        if (a.length > MAX_ANSWER_LENGTH || b.length > MAX_ANSWER_LENGTH) {
+            return Math.max(a.length, b.length);
+        }
+
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * Character diff from the typed answer to the expected one. Characters are
+     * compared case- and accent-insensitively. Segments are
+     * { type: 'equal' | 'missing' | 'extra', text }: "missing" text is in the
+     * expected answer only, "extra" text was typed but is not expected.
+     */
+    static diff(typed, expected) {
+        if (typed.length > MAX_ANSWER_LENGTH || expected.length > MAX_ANSWER_LENGTH) {
+            return null;
+        }
+
+        const a = Array.from(typed);
+        const b = Array.from(expected);
+        const fold = char => this.normalize(char) || char;
+        const same = (i, j) => fold(a[i]) === fold(b[j]);
+
+        // Full edit-distance table for the backtrace
+        const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = 0; i <= a.length; i++) table[i][0] = i;
+        for (let j = 0; j <= b.length; j++) table[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                table[i][j] = Math.min(
+                    table[i - 1][j] + 1,
+                    table[i][j - 1] + 1,
+                    table[i - 1][j - 1] + (same(i - 1, j - 1) ? 0 : 1)
+                );
+            }
+        }
+
+        const ops = [];
+        let i = a.length;
+        let j = b.length;
+        while (i > 0 || j > 0) {
+            if (i > 0 && j > 0 && same(i - 1, j - 1) && table[i][j] === table[i - 1][j - 1]) {
+                ops.push({ type: 'equal', text: b[j - 1] });
+                i--;
+                j--;
+            } else if (i > 0 && j > 0 && table[i][j] === table[i - 1][j - 1] + 1) {
+                ops.push({ type: 'missing', text: b[j - 1] });
+                ops.push({ type: 'extra', text: a[i - 1] });
+                i--;
+                j--;
+            } else if (j > 0 && table[i][j] === table[i][j - 1] + 1) {
+                ops.push({ type: 'missing', text: b[j - 1] });
+                j--;
+            } else {
+                ops.push({ type: 'extra', text: a[i - 1] });
+                i--;
+            }
+        }
+
+        // Group each run of edits as the extra text followed by the missing text
+        const segments = [];
+        let extra = '';
+        let missing = '';
+        const flush = () => {
+            if (extra) segments.push({ type: 'extra', text: extra });
+            if (missing) segments.push({ type: 'missing', text: missing });
+            extra = '';
+            missing = '';
+        };
+
+        ops.reverse().forEach(op => {
+            if (op.type === 'extra') {
+                extra += op.text;
+            } else if (op.type === 'missing') {
+                missing += op.text;
+            } else {
+                flush();
+                const last = segments[segments.length - 1];
+                if (last && last.type === 'equal') {
+                    last.text += op.text;
+                } else {
+                    segments.push({ type: 'equal', text: op.text });
+                }
+            }
+        });
+        flush();
+
+        return segments;
+    }
+
+    static suggestGrade(result) {
+        return SUGGESTED_GRADES[result];
+    }
+}
+
+module.exports = AnswerCheckService;
@@ -0,0 +1,185 @@
+const { Op } = require('sequelize');
+const db = require('../../db');
+const reviewService = require('./ReviewService');
+const streakService = require('./StreakService');
+const StudyError = require('./StudyError');
+const SetTransformer = require('../SetTransformer');
+
+/**
+ * CardFlagService keeps a learner's own flags on cards (UserCardFlag) without
+ * touching the educator's Card row. Starred cards can be studied through a
+ * filtered session (StudyFilterService). Suspended cards are left out of every
+ * queue until unsuspended; buried cards are skipped until the next day in the
+ * learner's time zone (UserStreak.timezone).
+ */
+class CardFlagService {
+    async star(userId, cardId) {
+        return this.setFlags(userId, cardId, { starred: true });
+    }
+
+    async unstar(userId, cardId) {
+        return this.setFlags(userId, cardId, { starred: false });
+    }
+
+    async suspend(userId, cardId) {
+        return this.setFlags(userId, cardId, { suspended: true });
+    }
+
+    async unsuspend(userId, cardId) {
+        return this.setFlags(userId, cardId, { suspended: false });
+    }
+
+    async bury(userId, cardId) {
+        const today = await this.getToday(userId);
+        return this.setFlags(userId, cardId, { buried_until: streakService.addDays(today, 1) });
+    }
+
+    async unbury(userId, cardId) {
+        return this.setFlags(userId, cardId, { buried_until: null });
+    }
+
+    /**
+     * Update the user's flags on a card they can access
+     * @returns {Promise<Object>} The card's flags in API shape
+     */
+    async setFlags(userId, cardId, changes) {
+        const card = await reviewService.getSchedulableCard(cardId, userId);
+
+        const [flag] = await db.UserCardFlag.findOrCreate({
+            where: { user_id: userId, card_id: card.id },
+            defaults: { set_id: card.set_id }
+        });
+        await flag.update(changes);
+
+        return this.formatFlag(flag, await this.getToday(userId));
+    }
+
+    /**
+     * IDs of the cards in the given sets that the user suspended or buried
+     * @param {number} userId - The learner
+     * @param {Array<number>} setIds - Sets to look in
+     * @returns {Promise<Array<number>>}
+     */
+    async getHiddenCardIds(userId, setIds) {
+        if (!setIds.length) return [];
+
+        const today = await this.getToday(userId);
+        const flags = await db.UserCardFlag.findAll({
+            where: {
+                user_id: userId,
+                set_id: setIds,
+                [Op.or]: [{
+                        suspended: true
+                    },
+                    {
+                        buried_until: {
+                            [Op.gt]: today
+                        }
+                    }
+                ]
+            },
+            attributes: ['card_id'],
+            raw: true
+        });
+        return flags.map(flag => flag.card_id);
+    }
+
+    /**
+     * Suspended and buried cards of the given sets, for summaries that count
+     * them separately
+     * @returns {Promise<Object>} { suspended, buried } as Maps of card ID to set ID
+     */
+    async getFlaggedCards(userId, setIds) {
+        const result = { suspended: new Map(), buried: new Map() };
+        if (!setIds.length) return result;
+
+        const today = await this.getToday(userId);
+        const flags = await db.UserCardFlag.findAll({
+            where: { user_id: userId, set_id: setIds },
+            attributes: ['card_id', 'set_id', 'suspended', 'buried_until'],
+            raw: true
+        });
+
+        flags.forEach(flag => {
+            if (flag.suspended) {
+                result.suspended.set(flag.card_id, flag.set_id);
+            } else if (this.isBuried(flag, today)) {
+                result.buried.set(flag.card_id, flag.set_id);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Cards the user keeps forgetting, most lapses first
+     * @param {number} userId - The learner
+     * @param {Object} [options]
+     * @param {number} [options.setId] - Only leeches of this set
+     * @returns {Promise<Array>}
+     */
+    async getLeeches(userId, options = {}) {
+        const where = { user_id: userId, is_leech: true };
+        if (options.setId !== undefined && options.setId !== '') {
+            const setId = Number(options.setId);
+            if (!Number.isInteger(setId) || setId <= 0) {
+                throw new StudyError('Invalid set ID');
+            }
+            await reviewService.assertSetAccess(setId, userId);
+            where.set_id = setId;
+        }
+
+        const reviews = await db.CardReview.findAll({
+            where,
+            include: [{
+                model: db.Card,
+                as: 'card',
+                required: true
+            }],
+            order: [
+                ['lapses', 'DESC'],
+                ['card_id', 'ASC']
+            ]
+        });
+
+        const today = await this.getToday(userId);
+        const flags = await db.UserCardFlag.findAll({
+            where: { user_id: userId, card_id: reviews.map(review => review.card_id) }
+        });
+        const flagsByCard = new Map(flags.map(flag => [flag.card_id, flag]));
+
+        return reviews.map(review => ({
+            card: SetTransformer.transformCard(review.card),
+            review: reviewService.formatState(review),
+            flags: this.formatFlag(flagsByCard.get(review.card_id) || { card_id: review.card_id, set_id: review.set_id }, today)
+        }));
+    }
+
+    /**
+     * Today's date (YYYY-MM-DD) in the learner's time zone
+     */
+    async getToday(userId) {
+        const streak = await db.UserStreak.findOne({
+            where: { user_id: userId },
+            attributes: ['timezone'],
+            raw: true
+        });
+        return streakService.localDate(new Date(), streak ? streak.timezone : undefined);
+    }
+
+    isBuried(flag, today) {
+        return Boolean(flag.buried_until) && flag.buried_until > today;
+    }
+
+    formatFlag(flag, today) {
+        return {
+            cardId: flag.card_id,
+            setId: flag.set_id,
+            starred: Boolean(flag.starred),
+            suspended: Boolean(flag.suspended),
+            buried: this.isBuried(flag, today),
+            buriedUntil: this.isBuried(flag, today) ? flag.buried_until : null
+        };
+    }
+}
+
+module.exports = new CardFlagService();
@@ -0,0 +1,191 @@
+const db = require('../../db');
+const CardContentService = require('../CardContentService');
+const CardFormatService = require('../CardFormatService');
+const ClozeService = require('../ClozeService');
+const StudyError = require('./StudyError');
+
+const CARD_TYPES = ['basic', 'cloze', 'multiple_choice', 'true_false'];
+// Item of a card that is reviewed as a whole
+const MAIN_ITEM = 'main';
+// Item of a basic card asking for the front from the back
+const REVERSE_ITEM = 'reverse';
+// Set option for the direction basic cards are studied in
+const DIRECTIONS = ['forward', 'reverse', 'both'];
+const DEFAULT_DIRECTION = 'forward';
+// Card columns needed to list and render the items of a card
+const ITEM_CARD_ATTRIBUTES = ['id', 'set_id', 'type', 'format', 'front', 'back', 'content'];
+
+/**
+ * CardItemService expands cards into reviewable items. Review state
+ * (CardReview) and the review log are kept per card and item, so every item
+ * is scheduled on its own:
+ *
+ *   - a basic card is a single item, "main" (front to back) or "reverse"
+ *     (back to front), or both items, following the study direction of its set
+ *   - a cloze card has one item per cloze number, "c1", "c2", ...
+ *   - a multiple-choice or true/false card is a single item whose rendering
+ *     also lists the options to pick from
+ *
+ * Each item has its own rendered front and back, as text and as HTML in the
+ * format of the card, and the answer a typed answer is checked against.
+ */
+class CardItemService {
+    get CARD_TYPES() {
+        return CARD_TYPES;
+    }
+
+    get MAIN_ITEM() {
+        return MAIN_ITEM;
+    }
+
+    get ITEM_CARD_ATTRIBUTES() {
+        return ITEM_CARD_ATTRIBUTES;
+    }
+
+    get DIRECTIONS() {
+        return DIRECTIONS;
+    }
+
+    get DEFAULT_DIRECTION() {
+        return DEFAULT_DIRECTION;
+    }
+
+    /**
+     * Item keys of a card, in study order
+     * @param {Object} card - Card row
+     * @param {string} [direction] - Study direction of the set of the card;
+     *   only applies to basic cards
+     */
+    getItems(card, direction = DEFAULT_DIRECTION) {
+        if (card.type === 'cloze') {
+            const numbers = ClozeService.getNumbers(card.front);
+            if (numbers.length) {
+                return numbers.map(number => `c${number}`);
+            }
+        }
+        if ((card.type || 'basic') === 'basic') {
+            if (direction === 'reverse') return [REVERSE_ITEM];
+            if (direction === 'both') return [MAIN_ITEM, REVERSE_ITEM];
+        }
+        return [MAIN_ITEM];
+    }
+
+    /**
+     * Every item of the cards as [{ card, item }], cards in the given order
+     * @param {Array} cards - Card rows
+     * @param {Map} [directions] - Study direction by set ID (see getDirections)
+     */
+    expand(cards, directions = null) {
+        return cards.flatMap(card =>
+            this.getItems(card, this.directionOf(card, directions)).map(item => ({ card, item }))
+        );
+    }
+
+    /**
+     * Study direction of the sets, by set ID
+     * @returns {Promise<Map>}
+     */
+    async getDirections(setIds) {
+        const ids = [...new Set(setIds)];
+        const sets = ids.length ? await db.Set.findAll({
+            where: { id: ids },
+            attributes: ['id', 'study_direction'],
+            raw: true
+        }) : [];
+        return new Map(sets.map(set => [set.id, set.study_direction || DEFAULT_DIRECTION]));
+    }
+
+    /**
+     * Study direction of a set
+     */
+    async getDirection(setId) {
+        return this.directionOf({ set_id: setId }, await this.getDirections([setId]));
+    }
+
+    /**
+     * Study direction of the set of a card in a map from getDirections
+     */
+    directionOf(card, directions) {
+        return (directions && directions.get(card.set_id)) || DEFAULT_DIRECTION;
+    }
+
+    /**
+     * Key of a card item in maps of review state
+     */
+    key(cardId, item) {
+        return `${cardId}:${item || MAIN_ITEM}`;
+    }
+
+    /**
+     * Validate the item of an answer for a card. Cards with a single item
+     * default to it.
+     * @param {string} [direction] - Study direction of the set of the card
+     * @returns {string} The item key
+     */
+    parseItem(card, item, direction = DEFAULT_DIRECTION) {
+        const items = this.getItems(card, direction);
+        if (item === undefined || item === null || item === '') {
+            if (items.length > 1) {
+                throw new StudyError(`item is required for this card. Must be one of: ${items.join(', ')}`);
+            }
+            return items[0];
+        }
+        if (!items.includes(item)) {
+            throw new StudyError(`Invalid item for this card. Must be one of: ${items.join(', ')}`);
+        }
+        return item;
+    }
+
+    /**
+     * Rendered front and back of a card item, with their HTML
+     * @returns {Object} { item, front, back, html: { front, back }, options? }
+     */
+    render(card, item = MAIN_ITEM) {
+        const rendered = this.renderText(card, item);
+        rendered.html = CardFormatService.renderCard({ ...rendered, format: card.format });
+        return rendered;
+    }
+
+    renderText(card, item) {
+        if (card.type === 'cloze' && item !== MAIN_ITEM) {
+            return { item, ...ClozeService.render(card.front, this.clozeNumber(item), card.back) };
+        }
+        if (item === REVERSE_ITEM) {
+            return { item, front: card.back || '', back: card.front || '' };
+        }
+        if (CardContentService.isStructured(card.type)) {
+            const answer = CardContentService.getAnswer(card.type, card.content);
+            return {
+                item,
+                front: card.front || '',
+                back: card.back ? `${answer}\n\n${card.back}` : answer,
+                options: CardContentService.getOptions(card.type, card.content)
+            };
+        }
+        return { item, front: card.front || '', back: card.back || '' };
+    }
+
+    /**
+     * Card fields a typed answer for the item is checked against
+     * (see AnswerCheckService.check)
+     */
+    getAnswerCard(card, item = MAIN_ITEM) {
+        if (card.type === 'cloze' && item !== MAIN_ITEM) {
+            return { back: ClozeService.getAnswer(card.front, this.clozeNumber(item)), accepted_answers: null };
+        }
+        // Alternate answers are accepted for the back only
+        if (item === REVERSE_ITEM) {
+            return { back: card.front, accepted_answers: null };
+        }
+        if (CardContentService.isStructured(card.type)) {
+            return { back: CardContentService.getAnswer(card.type, card.content), accepted_answers: null };
+        }
+        return card;
+    }
+
+    clozeNumber(item) {
+        return parseInt(String(item).slice(1), 10);
+    }
+}
+
+module.exports = new CardItemService();
@@ -0,0 +1,622 @@
+const db = require('../../db');
+const reviewService = require('./ReviewService');
+const quizService = require('./QuizService');
+const AnswerCheckService = require('./AnswerCheckService');
+const StudyError = require('./StudyError');
+const toCamel = require('../../utils/toCamel');
+
+const QUESTION_TYPES = ['multiple_choice', 'typed'];
+const MAX_SETS = 10;
+const MAX_QUESTIONS = 100;
+const MIN_CHOICES = 2;
+const MAX_CHOICES = 6;
+const MIN_TIME_LIMIT_SECONDS = 30;
+const MAX_TIME_LIMIT_SECONDS = 4 * 60 * 60;
+const MAX_ATTEMPTS = 100;
+const MAX_DESCRIPTION_LENGTH = 5000;
+// Submissions arriving this long after the deadline still count (network latency)
+const SUBMIT_GRACE_MS = 5 * 1000;
+
+/**
+ * ExamService runs timed practice tests. An exam definition draws a fixed
+ * number of questions from one or more sets; each attempt stores its own
+ * questions with the answer key (ExamAnswer), so nothing is revealed until the
+ * attempt is submitted. The time limit is enforced from the attempt's
+ * deadline: answers saved or submitted after it are ignored and an overdue
+ * attempt is graded as expired with the answers saved in time.
+ */
+class ExamService {
+    /**
+     * Create an exam definition
+     * @param {number} userId - The teacher
+     * @param {Object} data - { title, description, setIds, questionCount, questionType, choiceCount, timeLimitSeconds, maxAttempts }
+     * @returns {Promise<Object>}
+     */
+    async createExam(userId, data = {}) {
+        const values = await this.parseDefinition(userId, data, true);
+        const exam = await db.Exam.create({ ...values, creator_id: userId });
+        return this.formatExam(exam);
+    }
+
+    /**
+     * Update an exam definition. Attempts already started keep their questions.
+     */
+    async updateExam(userId, examId, data = {}) {
+        const exam = await this.findOwnExam(userId, examId);
+        const values = await this.parseDefinition(userId, data, false);
+        await exam.update(values);
+        return this.formatExam(exam);
+    }
+
+    async deleteExam(userId, examId) {
+        const exam = await this.findOwnExam(userId, examId);
+        await exam.destroy();
+    }
+
+    /**
+     * Exams created by the user, newest first
+     */
+    async listExams(userId) {
+        const exams = await db.Exam.findAll({
+            where: { creator_id: userId },
+            order: [
+                ['created_at', 'DESC']
+            ]
+        });
+        return exams.map(exam => this.formatExam(exam));
+    }
+
+    /**
+     * Exam definition with the user's attempt count
+     */
+    async getExam(userId, examId) {
+        const exam = await this.findExam(examId);
+        const attemptsUsed = await db.ExamAttempt.count({
+            where: { exam_id: exam.id, user_id: userId }
+        });
+
+        return {
+            ...this.formatExam(exam),
+            attemptsUsed,
+            attemptsRemaining: exam.max_attempts === null ? null : Math.max(0, exam.max_attempts - attemptsUsed)
+        };
+    }
+
+    /**
+     * Start an attempt, or return the attempt the user already has in progress.
+     * The user's row is locked first, so concurrent starts are serialized:
+     * each one sees the attempts of the others before checking for one in
+     * progress and counting the attempts used.
+     * @returns {Promise<Object>} { attempt, questions, created }
+     */
+    async startAttempt(userId, examId) {
+        const exam = await this.findExam(examId);
+        for (const setId of exam.set_ids) {
+            await reviewService.assertSetAccess(setId, userId);
+        }
+
+        const transaction = await db.sequelize.transaction();
+        try {
+            await db.User.findByPk(userId, {
+                attributes: ['id'],
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+
+            const current = await db.ExamAttempt.findOne({
+                where: { exam_id: exam.id, user_id: userId, status: 'in_progress' },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (current && !(await this.expireIfOverdue(current, transaction))) {
+                await transaction.commit();
+                return { ...(await this.formatAttempt(current, exam)), created: false };
+            }
+
+            if (exam.max_attempts !== null) {
+                const attemptsUsed = await db.ExamAttempt.count({
+                    where: { exam_id: exam.id, user_id: userId },
+                    transaction
+                });
+                if (attemptsUsed >= exam.max_attempts) {
+                    throw new StudyError('No attempts left for this exam', 409);
+                }
+            }
+
+            const questions = await this.drawQuestions(exam);
+            const startedAt = new Date();
+
+            const attempt = await db.ExamAttempt.create({
+                exam_id: exam.id,
+                user_id: userId,
+                status: 'in_progress',
+                question_count: questions.length,
+                started_at: startedAt,
+                deadline_at: new Date(startedAt.getTime() + exam.time_limit_seconds * 1000)
+            }, { transaction });
+
+            await db.ExamAnswer.bulkCreate(questions.map((question, position) => ({
+                ...question,
+                attempt_id: attempt.id,
+                position
+            })), { transaction });
+
+            await transaction.commit();
+            return { ...(await this.formatAttempt(attempt, exam)), created: true };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Save answers of an attempt in progress
+     * @param {Array} answers - [{ questionId, choiceId }] or [{ questionId, typedAnswer }]
+     * @returns {Promise<Object>} { saved, remainingSeconds }
+     */
+    async saveAnswers(userId, examId, attemptId, answers) {
+        const transaction = await db.sequelize.transaction();
+        let result = null;
+        try {
+            const attempt = await this.findOwnAttempt(userId, examId, attemptId, transaction);
+            if (attempt.status !== 'in_progress') {
+                throw new StudyError('This attempt has already ended', 409);
+            }
+            // An overdue attempt is graded as expired and the answers dropped
+            if (!(await this.expireIfOverdue(attempt, transaction))) {
+                const saved = await this.applyAnswers(attempt, answers, transaction);
+                result = { saved, remainingSeconds: this.remainingSeconds(attempt) };
+            }
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        if (!result) {
+            throw new StudyError('The time limit of this attempt has passed', 409);
+        }
+        return result;
+    }
+
+    /**
+     * Submit an attempt and grade it. Answers sent after the deadline are
+     * ignored and the attempt is graded as expired. The attempt stays locked
+     * from the status check to the grade, so it is graded once.
+     * @returns {Promise<Object>} Score report
+     */
+    async submitAttempt(userId, examId, attemptId, answers) {
+        const transaction = await db.sequelize.transaction();
+        try {
+            const attempt = await this.findOwnAttempt(userId, examId, attemptId, transaction);
+            if (attempt.status !== 'in_progress') {
+                throw new StudyError('This attempt has already been submitted', 409);
+            }
+
+            const submittedAt = new Date();
+            const late = this.isOverdue(attempt, submittedAt);
+            if (!late && answers !== undefined) {
+                await this.applyAnswers(attempt, answers, transaction);
+            }
+
+            await this.grade(attempt, late ? 'expired' : 'submitted', late ? attempt.deadline_at : submittedAt, transaction);
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+        return this.getAttempt(userId, examId, attemptId);
+    }
+
+    /**
+     * An attempt of the user, or any attempt of an exam the user created.
+     * Questions come without the answer key while the attempt is in progress.
+     */
+    async getAttempt(userId, examId, attemptId) {
+        const exam = await this.findExam(examId);
+        const attempt = await db.ExamAttempt.findOne({
+            where: { id: attemptId, exam_id: exam.id }
+        });
+        if (!attempt || (attempt.user_id !== userId && exam.creator_id !== userId)) {
+            throw new StudyError('Attempt not found', 404);
+        }
+
+        await this.expireIfOverdue(attempt);
+        return this.formatAttempt(attempt, exam);
+    }
+
+    /**
+     * Attempt history: every attempt for the exam's creator, otherwise the
+     * user's own attempts, newest first
+     */
+    async listAttempts(userId, examId) {
+        const exam = await this.findExam(examId);
+        const isCreator = exam.creator_id === userId;
+
+        const attempts = await db.ExamAttempt.findAll({
+            where: isCreator ? { exam_id: exam.id } : { exam_id: exam.id, user_id: userId },
+            include: isCreator ? [{
+                model: db.User,
+                as: 'user',
+                attributes: ['id', 'name']
+            }] : [],
+            order: [
+                ['started_at', 'DESC'],
+                ['id', 'DESC']
+            ]
+        });
+
+        for (const attempt of attempts) {
+            await this.expireIfOverdue(attempt);
+        }
+
+        const finished = attempts.filter(attempt => attempt.status !== 'in_progress');
+        const scores = finished.map(attempt => attempt.score_percent);
+
+        return {
+            examId: exam.id,
+            attempts: attempts.map(attempt => ({
+                ...this.formatAttemptSummary(attempt),
+                user: attempt.user ? { id: attempt.user.id, name: attempt.user.name } : undefined
+            })),
+            summary: {
+                attempts: attempts.length,
+                finished: finished.length,
+                bestScorePercent: scores.length ? Math.max(...scores) : null,
+                averageScorePercent: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null
+            }
+        };
+    }
+
+    /**
+     * Draw the questions of a new attempt from the exam's sets
+     * @returns {Promise<Array>} ExamAnswer values without attempt and position
+     */
+    async drawQuestions(exam) {
+        // Cloze cards have no single answer to pick from choices
+        const cards = (await db.Card.findAll({
+            where: { set_id: exam.set_ids, type: 'basic' },
+            attributes: ['id', 'set_id', 'front', 'back', 'front_image']
+        })).filter(card => quizService.normalize(card.back));
+
+        if (!cards.length) {
+            throw new StudyError('The sets of this exam have no cards with answers');
+        }
+
+        const picked = quizService.shuffle(cards);
+        if (exam.question_type === 'typed') {
+            return picked.slice(0, exam.question_count).map(card => this.buildQuestion(card));
+        }
+
+        const setAnswers = quizService.uniqueAnswers(cards.map(card => card.back));
+        let categoryAnswers = [];
+        if (setAnswers.length < exam.choice_count) {
+            const sets = await db.Set.findAll({
+                where: { id: exam.set_ids },
+                attributes: ['id', 'category_id']
+            });
+            const categorySet = sets.find(set => set.category_id);
+            if (categorySet) {
+                categoryAnswers = await quizService.getCategoryAnswers(categorySet);
+            }
+        }
+
+        const questions = [];
+        for (const card of picked) {
+            if (questions.length >= exam.question_count) break;
+            const question = quizService.buildQuestion(card, setAnswers, categoryAnswers, exam.choice_count);
+            if (question) {
+                questions.push({
+                    ...this.buildQuestion(card),
+                    choices: question.choices,
+                    answer_index: question.answerIndex
+                });
+            }
+        }
+
+        if (!questions.length) {
+            throw new StudyError('Not enough distinct answers to build multiple-choice questions');
+        }
+        return questions;
+    }
+
+    buildQuestion(card) {
+        return {
+            card_id: card.id,
+            prompt: card.front || '',
+            prompt_image: card.front_image || null,
+            expected_answer: card.back.trim()
+        };
+    }
+
+    /**
+     * Store answers on the attempt's questions
+     * @returns {Promise<number>} Number of answers saved
+     */
+    async applyAnswers(attempt, answers, transaction) {
+        if (!Array.isArray(answers)) {
+            throw new StudyError('Answers must be an array');
+        }
+
+        const questions = await db.ExamAnswer.findAll({ where: { attempt_id: attempt.id }, transaction });
+        const byPosition = new Map(questions.map(question => [question.position, question]));
+        const answeredAt = new Date();
+        let saved = 0;
+
+        for (const answer of answers) {
+            const question = answer ? byPosition.get(Number(answer.questionId)) : null;
+            if (!question) continue;
+
+            const values = { answered_at: answeredAt };
+            if (question.choices) {
+                const choiceId = answer.choiceId === undefined || answer.choiceId === null ? null : Number(answer.choiceId);
+                if (choiceId !== null && !(Number.isInteger(choiceId) && choiceId >= 0 && choiceId < question.choices.length)) {
+                    throw new StudyError(`Invalid choice for question ${question.position}`);
+                }
+                values.choice_index = choiceId;
+            } else {
+                const typed = answer.typedAnswer;
+                if (typed !== undefined && typed !== null &&
+                    (typeof typed !== 'string' || typed.length > AnswerCheckService.MAX_ANSWER_LENGTH)) {
+                    throw new StudyError(`Typed answer must be a string of at most ${AnswerCheckService.MAX_ANSWER_LENGTH} characters`);
+                }
+                values.typed_answer = typeof typed === 'string' ? typed.trim() : null;
+            }
+
+            await question.update(values, { transaction });
+            saved += 1;
+        }
+
+        return saved;
+    }
+
+    /**
+     * Grade every question of an attempt and close it, in the transaction
+     * that locked the attempt
+     */
+    async grade(attempt, status, submittedAt, transaction) {
+        const questions = await db.ExamAnswer.findAll({ where: { attempt_id: attempt.id }, transaction });
+
+        const typedCardIds = questions.filter(question => !question.choices && question.card_id).map(question => question.card_id);
+        const cards = typedCardIds.length ? await db.Card.findAll({
+            where: { id: typedCardIds },
+            attributes: ['id', 'accepted_answers'],
+            transaction
+        }) : [];
+        const acceptedByCard = new Map(cards.map(card => [card.id, card.accepted_answers]));
+
+        let correctCount = 0;
+        for (const question of questions) {
+            const correct = this.isCorrect(question, acceptedByCard.get(question.card_id));
+            if (correct) correctCount += 1;
+            await question.update({ correct }, { transaction });
+        }
+
+        await attempt.update({
+            status,
+            correct_count: correctCount,
+            score_percent: questions.length ? Math.round((correctCount / questions.length) * 100) : 0,
+            submitted_at: submittedAt
+        }, { transaction });
+    }
+
+    /**
+     * Typed answers pass when AnswerCheckService finds them correct or within
+     * its typo tolerance
+     */
+    isCorrect(question, acceptedAnswers) {
+        if (question.choices) {
+            return question.choice_index !== null && question.choice_index === question.answer_index;
+        }
+        if (!question.typed_answer) return false;
+
+        const check = AnswerCheckService.check(question.typed_answer, {
+            back: question.expected_answer,
+            accepted_answers: acceptedAnswers || []
+        });
+        return check.result !== 'wrong';
+    }
+
+    /**
+     * Grade an attempt whose deadline has passed. Returns true if it expired.
+     * A transaction passed in must have locked the attempt; without one the
+     * attempt is locked and read again, as a submit may have closed it since.
+     */
+    async expireIfOverdue(attempt, transaction = null) {
+        if (attempt.status !== 'in_progress' || !this.isOverdue(attempt)) return false;
+        if (transaction) {
+            await this.grade(attempt, 'expired', attempt.deadline_at, transaction);
+            return true;
+        }
+
+        transaction = await db.sequelize.transaction();
+        try {
+            await attempt.reload({ transaction, lock: transaction.LOCK.UPDATE });
+            const expired = await this.expireIfOverdue(attempt, transaction);
+            await transaction.commit();
+            return expired;
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    isOverdue(attempt, now = new Date()) {
+        return now.getTime() > new Date(attempt.deadline_at).getTime() + SUBMIT_GRACE_MS;
+    }
+
+    remainingSeconds(attempt, now = new Date()) {
+        return Math.max(0, Math.ceil((new Date(attempt.deadline_at).getTime() - now.getTime()) / 1000));
+    }
+
+    async findExam(examId) {
+        const exam = await db.Exam.findByPk(examId);
+        if (!exam) {
+            throw new StudyError('Exam not found', 404);
+        }
+        return exam;
+    }
+
+    async findOwnExam(userId, examId) {
+        const exam = await this.findExam(examId);
+        if (exam.creator_id !== userId) {
+            throw new StudyError('Only the creator can change this exam', 403);
+        }
+        return exam;
+    }
+
+    async findOwnAttempt(userId, examId, attemptId, transaction) {
+        const attempt = await db.ExamAttempt.findOne({
+            where: { id: attemptId, exam_id: examId, user_id: userId },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!attempt) {
+            throw new StudyError('Attempt not found', 404);
+        }
+        return attempt;
+    }
+
+    /**
+     * Validate definition fields; all are required when creating
+     */
+    async parseDefinition(userId, data, creating) {
+        const values = {};
+        const has = key => data[key] !== undefined;
+
+        if (creating || has('title')) {
+            if (typeof data.title !== 'string' || !data.title.trim() || data.title.trim().length > 255) {
+                throw new StudyError('title must be a string of 1 to 255 characters');
+            }
+            values.title = data.title.trim();
+        }
+
+        if (has('description')) {
+            if (data.description !== null && (typeof data.description !== 'string' || data.description.length > MAX_DESCRIPTION_LENGTH)) {
+                throw new StudyError(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+            }
+            values.description = data.description ? data.description.trim() : null;
+        }
+
+        if (creating || has('setIds')) {
+            values.set_ids = this.parseSetIds(data.setIds);
+            for (const setId of values.set_ids) {
+                await reviewService.assertSetAccess(setId, userId);
+            }
+        }
+
+        if (creating || has('questionCount')) {
+            values.question_count = this.parseInteger(data.questionCount, 1, MAX_QUESTIONS, 'questionCount');
+        }
+
+        if (has('questionType')) {
+            if (!QUESTION_TYPES.includes(data.questionType)) {
+                throw new StudyError(`questionType must be one of: ${QUESTION_TYPES.join(', ')}`);
+            }
+            values.question_type = data.questionType;
+        }
+
+        if (has('choiceCount')) {
+            values.choice_count = this.parseInteger(data.choiceCount, MIN_CHOICES, MAX_CHOICES, 'choiceCount');
+        }
+
+        if (creating || has('timeLimitSeconds')) {
+            values.time_limit_seconds = this.parseInteger(data.timeLimitSeconds, MIN_TIME_LIMIT_SECONDS, MAX_TIME_LIMIT_SECONDS, 'timeLimitSeconds');
+        }
+
+        if (has('maxAttempts')) {
+            values.max_attempts = data.maxAttempts === null ? null : this.parseInteger(data.maxAttempts, 1, MAX_ATTEMPTS, 'maxAttempts');
+        }
+
+        return values;
+    }
+
+    parseSetIds(setIds) {
+        if (!Array.isArray(setIds) || !setIds.length || setIds.length > MAX_SETS) {
+            throw new StudyError(`setIds must be an array of 1 to ${MAX_SETS} set IDs`);
+        }
+        const parsed = setIds.map(Number);
+        if (parsed.some(id => !Number.isInteger(id) || id <= 0)) {
+            throw new StudyError('setIds must contain valid set IDs');
+        }
+        return parsed.filter((id, index) => parsed.indexOf(id) === index);
+    }
+
+    parseInteger(value, min, max, name) {
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+            throw new StudyError(`${name} must be a whole number between ${min} and ${max}`);
+        }
+        return parsed;
+    }
+
+    formatExam(exam) {
+        return toCamel(exam.get({ plain: true }));
+    }
+
+    formatAttemptSummary(attempt) {
+        const startedAt = new Date(attempt.started_at);
+        const endedAt = attempt.submitted_at ? new Date(attempt.submitted_at) : null;
+        return {
+            id: attempt.id,
+            examId: attempt.exam_id,
+            userId: attempt.user_id,
+            status: attempt.status,
+            questionCount: attempt.question_count,
+            correctCount: attempt.correct_count,
+            scorePercent: attempt.score_percent,
+            startedAt: attempt.started_at,
+            deadlineAt: attempt.deadline_at,
+            submittedAt: attempt.submitted_at,
+            durationSeconds: endedAt ? Math.round((endedAt - startedAt) / 1000) : null
+        };
+    }
+
+    /**
+     * Attempt with its questions. The answer key and per-question results are
+     * only included once the attempt has ended.
+     */
+    async formatAttempt(attempt, exam) {
+        const questions = await db.ExamAnswer.findAll({
+            where: { attempt_id: attempt.id },
+            order: [
+                ['position', 'ASC']
+            ]
+        });
+        const ended = attempt.status !== 'in_progress';
+
+        return {
+            attempt: {
+                ...this.formatAttemptSummary(attempt),
+                remainingSeconds: ended ? 0 : this.remainingSeconds(attempt)
+            },
+            exam: {
+                id: exam.id,
+                title: exam.title,
+                questionType: exam.question_type,
+                timeLimitSeconds: exam.time_limit_seconds
+            },
+            questions: questions.map(question => {
+                const item = {
+                    id: question.position,
+                    prompt: {
+                        text: question.prompt,
+                        imageUrl: question.prompt_image
+                    },
+                    choices: question.choices ? question.choices.map((text, choiceId) => ({ id: choiceId, text })) : null,
+                    choiceId: question.choice_index,
+                    typedAnswer: question.typed_answer
+                };
+                if (ended) {
+                    item.cardId = question.card_id;
+                    item.correct = Boolean(question.correct);
+                    item.correctChoiceId = question.answer_index;
+                    item.expectedAnswer = question.expected_answer;
+                }
+                return item;
+            })
+        };
+    }
+}
+
+module.exports = new ExamService();
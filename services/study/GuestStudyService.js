@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../../db');
+const reviewService = require('./ReviewService');
+const SchedulerService = require('./SchedulerService');
+const streakService = require('./StreakService');
+const StudyError = require('./StudyError');
+
+const GUEST_TOKEN_TTL = '30d';
+const DEFAULT_NEW_LIMIT = 20;
+
+/**
+ * GuestStudyService lets visitors without an account study free sets. A guest
+ * is identified by a signed token (POST /study/guest) and keeps its own review
+ * state and log (GuestCardReview, GuestReviewLog), scheduled exactly like a
+ * user's. When the guest registers or logs in with the token, the progress is
+ * merged into the account:
+ *
+ *   - card items the account has not studied take the guest's state
+ *   - card items studied by both keep the state that was reviewed last
+ *   - every guest answer is added to the account's review log and daily
+ *     activity, once (the log ID is the idempotency key)
+ *
+ * A merged guest token can no longer be used to study.
+ */
+class GuestStudyService {
+    /**
+     * Create a guest identity
+     * @returns {Promise<Object>} { guestId, guestToken, expiresAt }
+     */
+    async createGuest() {
+        const guest = await db.Guest.create({
+            id: crypto.randomUUID(),
+            last_seen_at: new Date()
+        });
+
+        const guestToken = jwt.sign({ guestId: guest.id, type: 'guest' }, process.env.JWT_SECRET, {
+            expiresIn: GUEST_TOKEN_TTL
+        });
+        const { exp } = jwt.decode(guestToken);
+
+        return {
+            guestId: guest.id,
+            guestToken,
+            expiresAt: new Date(exp * 1000)
+        };
+    }
+
+    /**
+     * The guest of a token that can still be used to study
+     * @param {string} token - Guest token
+     * @returns {Promise<Guest>}
+     */
+    async resolveGuest(token) {
+        const guest = await this.findGuest(token);
+        if (guest.merged_at) {
+            throw new StudyError('This guest session was merged into an account. Sign in to continue.', 401);
+        }
+
+        await guest.update({ last_seen_at: new Date() });
+        return guest;
+    }
+
+    async findGuest(token, transaction) {
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (error) {
+            throw new StudyError('Invalid or expired guest token', 401);
+        }
+        if (!decoded || decoded.type !== 'guest' || !decoded.guestId) {
+            throw new StudyError('Invalid or expired guest token', 401);
+        }
+
+        const guest = await db.Guest.findByPk(decoded.guestId, {
+            transaction,
+            lock: transaction ? transaction.LOCK.UPDATE : undefined
+        });
+        if (!guest) {
+            throw new StudyError('Invalid or expired guest token', 401);
+        }
+        return guest;
+    }
+
+    /**
+     * Ordered queue of a free set for a guest: due cards, new cards, then cards
+     * in learning steps that become due shortly
+     * @param {Guest} guest - The guest
+     * @param {number} setId - A free set
+     * @param {Object} [options]
+     * @param {number} [options.newLimit] - Maximum new cards in the queue
+     */
+    async getQueue(guest, setId, options = {}) {
+        const parsedSetId = Number(setId);
+        if (!Number.isInteger(parsedSetId) || parsedSetId <= 0) {
+            throw new StudyError('Invalid set ID');
+        }
+        await reviewService.assertSetAccess(parsedSetId, null);
+
+        return reviewService.getSetQueue(db.GuestCardReview, { guest_id: guest.id }, parsedSetId, {
+            newLimit: reviewService.parseLimit(options.newLimit, DEFAULT_NEW_LIMIT, 'newLimit')
+        });
+    }
+
+    /**
+     * Record a guest's answer for a card item of a free set
+     * @param {Guest} guest - The guest
+     * @param {Object} answer - { cardId, item, grade, typedAnswer, responseTimeMs }
+     * @returns {Promise<Object>} { review, check }
+     */
+    async reviewCard(guest, answer = {}) {
+        if (!answer.cardId) {
+            throw new StudyError('Card ID is required');
+        }
+
+        const card = await reviewService.getSchedulableCard(answer.cardId, null, reviewService.ANSWER_CARD_ATTRIBUTES);
+        const { item, grade, typedAnswer, check } = await reviewService.gradeAnswer(card, answer);
+        const durationMs = reviewService.parseDuration(answer.responseTimeMs);
+
+        const transaction = await db.sequelize.transaction();
+        try {
+            const { review } = await reviewService.scheduleAnswer({
+                reviewModel: db.GuestCardReview,
+                logModel: db.GuestReviewLog,
+                owner: { guest_id: guest.id }
+            }, card, {
+                item,
+                grade,
+                reviewedAt: new Date(),
+                durationMs,
+                typedAnswer,
+                answerResult: check ? check.result : null
+            }, transaction);
+
+            await transaction.commit();
+            return {
+                review: reviewService.formatState({ ...SchedulerService.pickState(review), card_id: card.id, item, set_id: card.set_id }),
+                check
+            };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Merge a guest's progress into an account. Merging the same guest into
+     * the same account again is a no-op.
+     * @param {string} token - Guest token
+     * @param {number} userId - The account
+     * @returns {Promise<Object>} { guestId, cardsAdded, cardsReplaced, cardsKept, reviewsImported }
+     */
+    async mergeIntoUser(token, userId) {
+        const transaction = await db.sequelize.transaction();
+        try {
+            const guest = await this.findGuest(token, transaction);
+            const summary = { guestId: guest.id, cardsAdded: 0, cardsReplaced: 0, cardsKept: 0, reviewsImported: 0 };
+
+            if (guest.merged_at) {
+                if (guest.merged_user_id !== userId) {
+                    throw new StudyError('This guest session was already merged into another account', 409);
+                }
+                await transaction.commit();
+                return summary;
+            }
+
+            const [guestReviews, guestLogs] = await Promise.all([
+                db.GuestCardReview.findAll({ where: { guest_id: guest.id }, transaction }),
+                db.GuestReviewLog.findAll({
+                    where: { guest_id: guest.id },
+                    order: [
+                        ['reviewed_at', 'ASC'],
+                        ['id', 'ASC']
+                    ],
+                    transaction
+                })
+            ]);
+
+            const syncSeq = guestReviews.length ? await reviewService.nextSyncSeq(userId, transaction) : null;
+            for (const guestReview of guestReviews) {
+                const state = SchedulerService.pickState(guestReview);
+                const existing = await db.CardReview.findOne({
+                    where: { user_id: userId, card_id: guestReview.card_id, item: guestReview.item },
+                    transaction,
+                    lock: transaction.LOCK.UPDATE
+                });
+
+                if (!existing) {
+                    await db.CardReview.create({
+                        ...state,
+                        sync_seq: syncSeq,
+                        user_id: userId,
+                        card_id: guestReview.card_id,
+                        item: guestReview.item,
+                        set_id: guestReview.set_id
+                    }, { transaction });
+                    summary.cardsAdded += 1;
+                } else if (this.reviewedLater(guestReview, existing)) {
+                    await existing.update({ ...state, sync_seq: syncSeq }, { transaction });
+                    summary.cardsReplaced += 1;
+                } else {
+                    summary.cardsKept += 1;
+                }
+            }
+
+            for (const log of guestLogs) {
+                const [, created] = await db.ReviewLog.findOrCreate({
+                    where: { user_id: userId, client_event_id: `guest:${log.id}` },
+                    defaults: {
+                        card_id: log.card_id,
+                        item: log.item,
+                        set_id: log.set_id,
+                        grade: log.grade,
+                        state_before: log.state_before,
+                        interval_before: log.interval_before,
+                        interval_after: log.interval_after,
+                        ease_factor: log.ease_factor,
+                        due_at: log.due_at,
+                        duration_ms: log.duration_ms,
+                        typed_answer: log.typed_answer,
+                        answer_result: log.answer_result,
+                        reviewed_at: log.reviewed_at,
+                        device_id: 'guest'
+                    },
+                    transaction
+                });
+                if (!created) continue;
+
+                await streakService.recordReview(userId, {
+                    grade: log.grade,
+                    durationMs: log.duration_ms,
+                    reviewedAt: log.reviewed_at
+                }, transaction);
+                summary.reviewsImported += 1;
+            }
+
+            await db.GuestReviewLog.destroy({ where: { guest_id: guest.id }, transaction });
+            await db.GuestCardReview.destroy({ where: { guest_id: guest.id }, transaction });
+            await guest.update({ merged_user_id: userId, merged_at: new Date() }, { transaction });
+
+            await transaction.commit();
+            return summary;
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Whether the guest studied the card after the account last did
+     */
+    reviewedLater(guestReview, accountReview) {
+        if (!guestReview.last_reviewed_at) return false;
+        if (!accountReview.last_reviewed_at) return true;
+        return new Date(guestReview.last_reviewed_at) > new Date(accountReview.last_reviewed_at);
+    }
+}
+
+module.exports = new GuestStudyService();
@@ -0,0 +1,182 @@
+const { Op } = require('sequelize');
+const db = require('../../db');
+const cardFlagService = require('./CardFlagService');
+const cardItemService = require('./CardItemService');
+const reviewService = require('./ReviewService');
+
+// Review cards with an interval of at least this many days count as mastered
+const MASTERED_INTERVAL_DAYS = 21;
+// New cards introduced per day, the default new limit of a study session
+const NEW_CARDS_PER_DAY = 20;
+// A new card is answered about this many times before it leaves the learning steps
+const ANSWERS_PER_NEW_CARD = 3;
+const DEFAULT_SECONDS_PER_ANSWER = 8;
+// Answers slower than this are counted as this long when estimating
+const MAX_ANSWER_MS = 60 * 1000;
+const RESPONSE_TIME_WINDOW_DAYS = 30;
+
+/**
+ * MasteryService summarizes a learner's review state per set: how many cards
+ * are new, in learning, young or mastered, when the next card is due and how
+ * long today's reviews should take. Counts are in reviewable card items (see
+ * CardItemService), so a cloze card counts once per cloze. Cards the learner
+ * suspended are left out of every count; buried cards are not due today.
+ */
+class MasteryService {
+    /**
+     * Mastery summary for one set
+     * @param {number} userId - The learner
+     * @param {number} setId - The set
+     * @returns {Promise<Object>}
+     */
+    async getSummary(userId, setId) {
+        const summaries = await this.getSummaries(userId, [setId]);
+        return summaries[setId];
+    }
+
+    /**
+     * Mastery summaries of the sets among setIds the user can access. Other
+     * sets are left out, so the card counts of paid, subscriber-only and
+     * hidden sets are not revealed.
+     */
+    async getAccessibleSummaries(userId, setIds) {
+        const accessibleIds = await reviewService.filterAccessibleSetIds(setIds, userId);
+        return accessibleIds.length ? this.getSummaries(userId, accessibleIds) : {};
+    }
+
+    /**
+     * Mastery summaries keyed by set ID
+     * @param {number} userId - The learner
+     * @param {Array<number>} setIds - Sets to summarize
+     * @returns {Promise<Object>} { [setId]: summary }
+     */
+    async getSummaries(userId, setIds) {
+        const [cards, reviews, flagged, secondsPerAnswer, directions] = await Promise.all([
+            db.Card.findAll({
+                attributes: cardItemService.ITEM_CARD_ATTRIBUTES,
+                where: { set_id: setIds },
+                raw: true
+            }),
+            db.CardReview.findAll({
+                attributes: ['card_id', 'item', 'set_id', 'state', 'interval_days', 'is_leech', 'due_at'],
+                where: {
+                    user_id: userId,
+                    set_id: setIds
+                },
+                raw: true
+            }),
+            cardFlagService.getFlaggedCards(userId, setIds),
+            this.getSecondsPerAnswer(userId),
+            cardItemService.getDirections(setIds)
+        ]);
+
+        const itemCounts = new Map(cards.map(card =>
+            [card.id, cardItemService.getItems(card, cardItemService.directionOf(card, directions)).length]
+        ));
+        // Reviews of items a card no longer has (a removed cloze, a changed
+        // study direction) are left out
+        const itemKeys = new Set(cardItemService.expand(cards, directions).map(({ card, item }) => cardItemService.key(card.id, item)));
+        const countsBySet = new Map();
+        cards.filter(card => !flagged.suspended.has(card.id)).forEach(card => {
+            countsBySet.set(card.set_id, (countsBySet.get(card.set_id) || 0) + itemCounts.get(card.id));
+        });
+        const reviewsBySet = this.groupBySet(reviews.filter(review =>
+            itemKeys.has(cardItemService.key(review.card_id, review.item)) && !flagged.suspended.has(review.card_id)
+        ));
+        const suspendedBySet = this.groupBySet([...flagged.suspended.values()].map(setId => ({ set_id: setId })));
+
+        const now = new Date();
+        return setIds.reduce((acc, setId) => {
+            const suspended = (suspendedBySet.get(setId) || []).length;
+            const totalCards = countsBySet.get(setId) || 0;
+            acc[setId] = {
+                ...this.summarize(setId, totalCards, reviewsBySet.get(setId) || [], flagged.buried, itemCounts, secondsPerAnswer, now),
+                suspended
+            };
+            return acc;
+        }, {});
+    }
+
+    summarize(setId, totalCards, reviews, buried, itemCounts, secondsPerAnswer, now) {
+        const counts = { learning: 0, young: 0, mastered: 0 };
+        let dueNow = 0;
+        let nextDueAt = null;
+        let leeches = 0;
+
+        reviews.forEach(review => {
+            if (review.is_leech) leeches += 1;
+            if (review.state === 'new') return;
+
+            if (review.state === 'review') {
+                counts[review.interval_days >= MASTERED_INTERVAL_DAYS ? 'mastered' : 'young'] += 1;
+            } else {
+                counts.learning += 1;
+            }
+
+            if (buried.has(review.card_id)) return;
+            const dueAt = new Date(review.due_at);
+            if (dueAt <= now) dueNow += 1;
+            if (!nextDueAt || dueAt < nextDueAt) nextDueAt = dueAt;
+        });
+
+        const reviewedItems = new Map();
+        reviews.forEach(review => reviewedItems.set(review.card_id, (reviewedItems.get(review.card_id) || 0) + 1));
+        const buriedNew = [...buried.entries()]
+            .filter(([cardId, buriedSetId]) => buriedSetId === setId)
+            .reduce((sum, [cardId]) => sum + Math.max(0, (itemCounts.get(cardId) || 0) - (reviewedItems.get(cardId) || 0)), 0);
+
+        const newCount = Math.max(0, totalCards - counts.learning - counts.young - counts.mastered);
+        const newToday = Math.min(Math.max(0, newCount - buriedNew), NEW_CARDS_PER_DAY);
+        const answersToday = dueNow + newToday * ANSWERS_PER_NEW_CARD;
+
+        return {
+            setId,
+            totalCards,
+            new: newCount,
+            learning: counts.learning,
+            young: counts.young,
+            mastered: counts.mastered,
+            percentMastered: totalCards ? Math.round((counts.mastered / totalCards) * 100) : 0,
+            dueNow,
+            nextDueAt,
+            leeches,
+            estimatedMinutesToday: Math.ceil((answersToday * secondsPerAnswer) / 60)
+        };
+    }
+
+    groupBySet(rows) {
+        return rows.reduce((acc, row) => {
+            const list = acc.get(row.set_id) || [];
+            list.push(row);
+            acc.set(row.set_id, list);
+            return acc;
+        }, new Map());
+    }
+
+    /**
+     * Average time the learner takes per answer over the last 30 days
+     */
+    async getSecondsPerAnswer(userId) {
+        const since = new Date(Date.now() - RESPONSE_TIME_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const result = await db.ReviewLog.findOne({
+            attributes: [
+                [db.sequelize.fn('AVG', db.sequelize.fn('LEAST', db.sequelize.col('duration_ms'), MAX_ANSWER_MS)), 'average_ms']
+            ],
+            where: {
+                user_id: userId,
+                duration_ms: {
+                    [Op.ne]: null
+                },
+                reviewed_at: {
+                    [Op.gte]: since
+                }
+            },
+            raw: true
+        });
+
+        const averageMs = result && result.average_ms !== null ? parseFloat(result.average_ms) : NaN;
+        return isNaN(averageMs) || averageMs <= 0 ? DEFAULT_SECONDS_PER_ANSWER : averageMs / 1000;
+    }
+}
+
+module.exports = new MasteryService();
@@ -0,0 +1,273 @@
+const { Op } = require('sequelize');
+const db = require('../../db');
+const reviewService = require('./ReviewService');
+const StudyError = require('./StudyError');
+const cardItemService = require('./CardItemService');
+
+const DEFAULT_QUESTION_COUNT = 10;
+const MAX_QUESTION_COUNT = 50;
+const DEFAULT_CHOICE_COUNT = 4;
+const MIN_CHOICE_COUNT = 2;
+const MAX_CHOICE_COUNT = 6;
+// Upper bound on cards pulled from other sets of the category for distractors
+const CATEGORY_POOL_SIZE = 200;
+
+/**
+ * QuizService builds multiple-choice quizzes from the cards of a set. The
+ * answer key is stored with the quiz and grading happens on submit, so the
+ * payload sent to the client never reveals which choice is correct.
+ */
+class QuizService {
+    /**
+     * Build and store a quiz for a set
+     * @param {number} userId - The learner
+     * @param {number} setId - The set to quiz on
+     * @param {Object} [options]
+     * @param {number} [options.count] - Number of questions
+     * @param {number} [options.choices] - Number of choices per question
+     * @returns {Promise<Object>} Quiz payload without the answer key
+     */
+    async createQuiz(userId, setId, options = {}) {
+        await reviewService.assertSetAccess(setId, userId);
+
+        const count = this.parseOption(options.count, DEFAULT_QUESTION_COUNT, 1, MAX_QUESTION_COUNT, 'count');
+        const choiceCount = this.parseOption(options.choices, DEFAULT_CHOICE_COUNT, MIN_CHOICE_COUNT, MAX_CHOICE_COUNT, 'choices');
+
+        const set = await db.Set.findByPk(setId, { attributes: ['id', 'category_id', 'study_direction'] });
+        // Cloze cards have no single answer to pick from choices
+        const cards = (await db.Card.findAll({
+            where: { set_id: set.id, type: 'basic' },
+            attributes: ['id', 'set_id', 'type', 'format', 'front', 'back', 'hint', 'front_image', 'back_image']
+        })).filter(card => this.normalize(card.back));
+
+        if (!cards.length) {
+            throw new StudyError('This set has no cards with answers to quiz on');
+        }
+
+        // Cards are asked in the study direction of the set; reverse questions
+        // pick from the fronts
+        const items = cardItemService.expand(cards, new Map([[set.id, set.study_direction]]));
+        const answerPools = {};
+        for (const item of [...new Set(items.map(({ item }) => item))]) {
+            const setAnswers = this.uniqueAnswers(cards.map(card => cardItemService.getAnswerCard(card, item).back));
+            let categoryAnswers = [];
+            if (setAnswers.length < choiceCount && set.category_id) {
+                categoryAnswers = await this.getCategoryAnswers(set, item === 'reverse' ? 'front' : 'back');
+            }
+            answerPools[item] = { setAnswers, categoryAnswers };
+        }
+
+        const questions = this.shuffle(items)
+            .slice(0, count)
+            .map(({ card, item }) =>
+                this.buildQuestion(card, answerPools[item].setAnswers, answerPools[item].categoryAnswers, choiceCount, item))
+            .filter(Boolean);
+
+        if (!questions.length) {
+            throw new StudyError('Not enough distinct answers to build a multiple-choice quiz');
+        }
+
+        const quiz = await db.Quiz.create({
+            user_id: userId,
+            set_id: set.id,
+            questions: questions.map(({ card, item, choices, answerIndex }) => ({
+                cardId: card.id,
+                item,
+                choices,
+                answerIndex
+            })),
+            status: 'pending',
+            question_count: questions.length,
+            created_at: new Date()
+        });
+
+        return {
+            quizId: quiz.id,
+            setId: set.id,
+            questionCount: questions.length,
+            questions: questions.map(({ card, item, choices }, index) => {
+                const rendered = cardItemService.render(card, item);
+                const reverse = item === 'reverse';
+                return {
+                    id: index,
+                    item,
+                    prompt: {
+                        text: rendered.front,
+                        html: rendered.html.front,
+                        imageUrl: (reverse ? card.back_image : card.front_image) || null
+                    },
+                    // The hint of a card is written for its front
+                    hint: reverse ? null : card.hint || null,
+                    choices: choices.map((text, choiceId) => ({ id: choiceId, text }))
+                };
+            })
+        };
+    }
+
+    /**
+     * Grade a quiz against its stored answer key
+     * @param {number} userId - The learner
+     * @param {number} setId - Set the quiz was built from
+     * @param {number} quizId - The quiz
+     * @param {Array} answers - [{ questionId, choiceId }]
+     * @returns {Promise<Object>} Score and per-question results
+     */
+    async submitQuiz(userId, setId, quizId, answers) {
+        if (!Array.isArray(answers)) {
+            throw new StudyError('Answers must be an array');
+        }
+
+        const quiz = await db.Quiz.findOne({
+            where: { id: quizId, user_id: userId, set_id: setId }
+        });
+        if (!quiz) {
+            throw new StudyError('Quiz not found', 404);
+        }
+        if (quiz.status === 'submitted') {
+            throw new StudyError('Quiz has already been submitted', 409);
+        }
+
+        await reviewService.assertSetAccess(setId, userId);
+
+        const chosen = new Map();
+        answers.forEach(answer => {
+            if (answer && answer.questionId !== undefined) {
+                chosen.set(Number(answer.questionId), answer.choiceId === undefined || answer.choiceId === null ?
+                    null : Number(answer.choiceId));
+            }
+        });
+
+        const results = quiz.questions.map((question, questionId) => {
+            const choiceId = chosen.has(questionId) ? chosen.get(questionId) : null;
+            return {
+                questionId,
+                cardId: question.cardId,
+                item: question.item || cardItemService.MAIN_ITEM,
+                choiceId,
+                correctChoiceId: question.answerIndex,
+                correct: choiceId === question.answerIndex
+            };
+        });
+
+        const correctCount = results.filter(result => result.correct).length;
+
+        await quiz.update({
+            answers: results.map(({ questionId, choiceId, correct }) => ({ questionId, choiceId, correct })),
+            status: 'submitted',
+            correct_count: correctCount,
+            submitted_at: new Date()
+        });
+
+        return {
+            quizId: quiz.id,
+            setId: quiz.set_id,
+            score: {
+                correct: correctCount,
+                total: results.length,
+                percent: results.length ? Math.round((correctCount / results.length) * 100) : 0
+            },
+            results
+        };
+    }
+
+    /**
+     * Pick distractors for a card item, preferring answers from the same set
+     * and topping up from the category. Returns null when no distractor exists.
+     * @param {string} [item] - main asks for the back, reverse for the front
+     */
+    buildQuestion(card, setAnswers, categoryAnswers, choiceCount, item = cardItemService.MAIN_ITEM) {
+        const correct = cardItemService.getAnswerCard(card, item).back.trim();
+        const correctKey = this.normalize(correct);
+        const isDistractor = answer => this.normalize(answer) !== correctKey;
+
+        let distractors = this.shuffle(setAnswers.filter(isDistractor)).slice(0, choiceCount - 1);
+        if (distractors.length < choiceCount - 1) {
+            const taken = new Set(distractors.map(answer => this.normalize(answer)));
+            const extra = this.shuffle(categoryAnswers.filter(answer =>
+                isDistractor(answer) && !taken.has(this.normalize(answer))
+            ));
+            distractors = distractors.concat(extra.slice(0, choiceCount - 1 - distractors.length));
+        }
+
+        if (!distractors.length) return null;
+
+        const choices = this.shuffle([correct, ...distractors]);
+        return {
+            card,
+            item,
+            choices,
+            answerIndex: choices.indexOf(correct)
+        };
+    }
+
+    /**
+     * Answers from other sets in the same category. Only free, public sets are
+     * used so paid content is never exposed through distractors.
+     * @param {string} [side] - back, or front for reverse questions
+     */
+    async getCategoryAnswers(set, side = 'back') {
+        const cards = await db.Card.findAll({
+            attributes: [side],
+            where: {
+                type: 'basic',
+                [side]: {
+                    [Op.ne]: ''
+                }
+            },
+            include: [{
+                model: db.Set,
+                attributes: [],
+                required: true,
+                where: {
+                    id: {
+                        [Op.ne]: set.id
+                    },
+                    category_id: set.category_id,
+                    hidden: false,
+                    price: 0,
+                    is_subscriber_only: false
+                }
+            }],
+            order: db.sequelize.random(),
+            limit: CATEGORY_POOL_SIZE
+        });
+
+        return this.uniqueAnswers(cards.map(card => card[side]));
+    }
+
+    uniqueAnswers(answers) {
+        const seen = new Set();
+        return answers.reduce((acc, answer) => {
+            const key = this.normalize(answer);
+            if (key && !seen.has(key)) {
+                seen.add(key);
+                acc.push(answer.trim());
+            }
+            return acc;
+        }, []);
+    }
+
+    normalize(text) {
+        return (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    parseOption(value, fallback, min, max, name) {
+        if (value === undefined || value === null || value === '') return fallback;
+        const parsed = parseInt(value, 10);
+        if (isNaN(parsed) || parsed < min || parsed > max) {
+            throw new StudyError(`${name} must be a number between ${min} and ${max}`);
+        }
+        return parsed;
+    }
+}
+
+module.exports = new QuizService();
@@ -0,0 +1,411 @@
+const db = require('../../db');
+const SchedulerService = require('./SchedulerService');
+const AnswerCheckService = require('./AnswerCheckService');
+const SetTransformer = require('../SetTransformer');
+const SetAccessService = require('../SetAccessService');
+const StudyError = require('./StudyError');
+const streakService = require('./StreakService');
+const cardItemService = require('./CardItemService');
+const toCamel = require('../../utils/toCamel');
+
+const MAX_LIMIT = 500;
+// Cards in learning steps are shown early once nothing else is left
+const LEARN_AHEAD_MS = 20 * 60 * 1000;
+// Card columns needed to check a typed answer for any item of the card
+const ANSWER_CARD_ATTRIBUTES = [...cardItemService.ITEM_CARD_ATTRIBUTES, 'accepted_answers'];
+
+/**
+ * ReviewService owns the per-user review state (CardReview) and the review
+ * log, both kept per reviewable item of a card (see CardItemService). Every
+ * card of a set the user can access through SetAccessService is schedulable;
+ * items without a CardReview row are treated as new.
+ *
+ * Queue building and answer scheduling take the review and log models, so
+ * guests (GuestCardReview, GuestReviewLog) are studied by the same code.
+ */
+class ReviewService {
+    constructor() {
+        this.accessService = new SetAccessService({
+            Set: db.Set,
+            Purchase: db.Purchase,
+            Subscription: db.Subscription,
+            User: db.User
+        });
+    }
+
+    get ANSWER_CARD_ATTRIBUTES() {
+        return ANSWER_CARD_ATTRIBUTES;
+    }
+
+    get MAX_LIMIT() {
+        return MAX_LIMIT;
+    }
+
+    /**
+     * Throw a 403 StudyError unless the user can access the set
+     */
+    async assertSetAccess(setId, userId) {
+        const access = await this.accessService.checkAccess(setId, userId);
+        if (!access.hasAccess) {
+            throw new StudyError(access.message || 'Access denied', 403, {
+                reason: access.reason,
+                setId: access.setId
+            });
+        }
+        return access;
+    }
+
+    /**
+     * The sets among setIds the user can access, in the given order
+     */
+    async filterAccessibleSetIds(setIds, userId) {
+        const checked = await Promise.all(setIds.map(setId =>
+            this.accessService.checkAccess(setId, userId)
+            .then(access => access.hasAccess)
+            .catch(error => {
+                if (error.name === 'SetAccessError') return false;
+                throw error;
+            })
+        ));
+        return setIds.filter((setId, index) => checked[index]);
+    }
+
+    /**
+     * Load a card and verify the user may study it
+     */
+    async getSchedulableCard(cardId, userId, attributes = ['id', 'set_id']) {
+        const parsedCardId = Number(cardId);
+        if (!Number.isInteger(parsedCardId) || parsedCardId <= 0) {
+            throw new StudyError('Invalid card ID');
+        }
+
+        const card = await db.Card.findByPk(parsedCardId, { attributes });
+        if (!card) {
+            throw new StudyError('Card not found', 404);
+        }
+
+        await this.assertSetAccess(card.set_id, userId);
+        return card;
+    }
+
+    /**
+     * Review state of every card item in a set for a user, new items included
+     * @returns {Promise<Array>} One entry per card item, in set order
+     */
+    async getSetSchedule(userId, setId) {
+        await this.assertSetAccess(setId, userId);
+
+        const [cards, reviews, directions] = await Promise.all([
+            db.Card.findAll({
+                where: { set_id: setId },
+                attributes: cardItemService.ITEM_CARD_ATTRIBUTES,
+                order: [
+                    ['position', 'ASC'],
+                    ['id', 'ASC']
+                ]
+            }),
+            db.CardReview.findAll({
+                where: { user_id: userId, set_id: setId }
+            }),
+            cardItemService.getDirections([setId])
+        ]);
+
+        const reviewsByItem = new Map(reviews.map(review => [cardItemService.key(review.card_id, review.item), review]));
+        const now = new Date();
+
+        return cardItemService.expand(cards, directions).map(({ card, item }) => {
+            const review = reviewsByItem.get(cardItemService.key(card.id, item));
+            const state = review ? SchedulerService.pickState(review) : SchedulerService.initialState(now);
+            return this.formatState({ ...state, card_id: card.id, item, set_id: card.set_id });
+        });
+    }
+
+    /**
+     * Apply a graded answer to a card item and append it to the review log
+     * @param {number} userId - The learner
+     * @param {number} cardId - The reviewed card
+     * @param {string} grade - One of again, hard, good, easy
+     * @param {Object} [options]
+     * @param {string} [options.item] - Reviewed item of the card; required
+     *   for cards with several items
+     * @param {number} [options.durationMs] - Time the learner took to answer
+     * @param {Date} [options.reviewedAt] - When the answer was given (defaults to now)
+     * @param {number} [options.sessionId] - Study session the answer belongs to
+     * @param {string} [options.typedAnswer] - Answer typed by the learner
+     * @param {string} [options.answerResult] - AnswerCheckService result for the typed answer
+     * @returns {Promise<Object>} { review, log } as saved model instances
+     */
+    async recordReview(userId, cardId, grade, options = {}) {
+        if (!SchedulerService.isValidGrade(grade)) {
+            throw new StudyError(`Invalid grade. Must be one of: ${SchedulerService.GRADES.join(', ')}`);
+        }
+
+        const card = await this.getSchedulableCard(cardId, userId, cardItemService.ITEM_CARD_ATTRIBUTES);
+        const item = cardItemService.parseItem(card, options.item, await cardItemService.getDirection(card.set_id));
+        const reviewedAt = options.reviewedAt ? new Date(options.reviewedAt) : new Date();
+        const durationMs = this.parseDuration(options.durationMs);
+
+        const transaction = await db.sequelize.transaction();
+        try {
+            const syncSeq = await this.nextSyncSeq(userId, transaction);
+            const { review, log } = await this.scheduleAnswer({
+                reviewModel: db.CardReview,
+                logModel: db.ReviewLog,
+                owner: { user_id: userId },
+                reviewValues: { sync_seq: syncSeq },
+                logValues: { session_id: options.sessionId || null }
+            }, card, {
+                item,
+                grade,
+                reviewedAt,
+                durationMs,
+                typedAnswer: typeof options.typedAnswer === 'string' ? options.typedAnswer : null,
+                answerResult: options.answerResult || null
+            }, transaction);
+
+            await streakService.recordReview(userId, { grade, durationMs, reviewedAt }, transaction);
+
+            await transaction.commit();
+            return { review, log };
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule a graded answer for a card item from its stored state, save the
+     * new state and append the answer to the log
+     * @param {Object} store - Where the learner's reviews are kept:
+     *   { reviewModel, logModel, owner, reviewValues, logValues }; owner holds
+     *   the owner columns, e.g. { user_id }, and the values are extra columns
+     *   of the saved review and log rows
+     * @param {Card} card - The reviewed card
+     * @param {Object} answer - { item, grade, reviewedAt, durationMs, typedAnswer, answerResult }
+     * @param {Transaction} transaction - Transaction of the answer
+     * @returns {Promise<Object>} { review, log } as saved model instances
+     */
+    async scheduleAnswer(store, card, answer, transaction) {
+        const { reviewModel, logModel, owner, reviewValues = {}, logValues = {} } = store;
+        const { item, grade, reviewedAt } = answer;
+
+        const existing = await reviewModel.findOne({
+            where: { ...owner, card_id: card.id, item },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+
+        const previous = existing ? SchedulerService.pickState(existing) : SchedulerService.initialState(reviewedAt);
+        const next = SchedulerService.schedule(previous, grade, reviewedAt);
+
+        const review = existing ?
+            await existing.update({ ...next, ...reviewValues }, { transaction }) :
+            await reviewModel.create({
+                ...next,
+                ...reviewValues,
+                ...owner,
+                card_id: card.id,
+                item,
+                set_id: card.set_id
+            }, { transaction });
+
+        const log = await logModel.create({
+            ...owner,
+            ...logValues,
+            card_id: card.id,
+            item,
+            set_id: card.set_id,
+            grade,
+            state_before: previous.state,
+            interval_before: previous.interval_days,
+            interval_after: next.interval_days,
+            ease_factor: next.ease_factor,
+            due_at: next.due_at,
+            duration_ms: answer.durationMs,
+            typed_answer: answer.typedAnswer,
+            answer_result: answer.answerResult,
+            reviewed_at: reviewedAt
+        }, { transaction });
+
+        return { review, log };
+    }
+
+    /**
+     * Read the item and grade of an answer to a card. The learner either
+     * grades themselves or types the answer; a typed answer is checked and its
+     * suggested grade is used unless an explicit grade is given.
+     * @param {Card} card - The card, with ANSWER_CARD_ATTRIBUTES
+     * @param {Object} answer - { item, grade, typedAnswer }
+     * @returns {Promise<Object>} { item, grade, typedAnswer, check }
+     */
+    async gradeAnswer(card, answer) {
+        const item = cardItemService.parseItem(card, answer.item, await cardItemService.getDirection(card.set_id));
+
+        let grade = answer.grade;
+        let typedAnswer = null;
+        let check = null;
+        if (answer.typedAnswer !== undefined && answer.typedAnswer !== null) {
+            typedAnswer = this.parseTypedAnswer(answer.typedAnswer);
+            check = AnswerCheckService.check(typedAnswer, cardItemService.getAnswerCard(card, item));
+            grade = grade || check.suggestedGrade;
+        }
+        if (!SchedulerService.isValidGrade(grade)) {
+            throw new StudyError(`Invalid grade. Must be one of: ${SchedulerService.GRADES.join(', ')}`);
+        }
+
+        return { item, grade, typedAnswer, check };
+    }
+
+    /**
+     * Ordered queue of the card items of a set: due items (oldest due first),
+     * then new items in set order, then items in learning steps that become
+     * due shortly
+     * @param {Model} reviewModel - Where the learner's reviews are kept,
+     *   CardReview or GuestCardReview
+     * @param {Object} owner - Owner columns of the reviews, e.g. { user_id }
+     * @param {number} setId - The set
+     * @param {Object} [options]
+     * @param {number} [options.newLimit] - Maximum new items
+     * @param {number} [options.reviewLimit] - Maximum due items
+     * @param {Array<number>} [options.hiddenIds] - Cards left out with all
+     *   their items (suspended or buried)
+     */
+    async getSetQueue(reviewModel, owner, setId, options = {}) {
+        const now = new Date();
+
+        const [allCards, allReviews, directions] = await Promise.all([
+            db.Card.findAll({
+                where: { set_id: setId },
+                order: [
+                    ['position', 'ASC'],
+                    ['id', 'ASC']
+                ]
+            }),
+            reviewModel.findAll({
+                where: { ...owner, set_id: setId }
+            }),
+            cardItemService.getDirections([setId])
+        ]);
+
+        const hidden = new Set(options.hiddenIds || []);
+        const cards = allCards.filter(card => !hidden.has(card.id));
+        const cardsById = new Map(cards.map(card => [card.id, card]));
+        const items = cardItemService.expand(cards, directions);
+        // Reviews of items a card no longer has (a removed cloze, a changed
+        // study direction) are skipped
+        const itemKeys = new Set(items.map(({ card, item }) => cardItemService.key(card.id, item)));
+        const reviews = allReviews.filter(review => itemKeys.has(cardItemService.key(review.card_id, review.item)));
+        const reviewed = new Set(allReviews.map(review => cardItemService.key(review.card_id, review.item)));
+
+        const due = reviews
+            .filter(review => new Date(review.due_at) <= now)
+            .sort((a, b) => new Date(a.due_at) - new Date(b.due_at))
+            .slice(0, options.reviewLimit);
+
+        const fresh = items
+            .filter(({ card, item }) => !reviewed.has(cardItemService.key(card.id, item)))
+            .slice(0, options.newLimit);
+
+        const learnAheadUntil = new Date(now.getTime() + LEARN_AHEAD_MS);
+        const learning = reviews
+            .filter(review => ['learning', 'relearning'].includes(review.state))
+            .filter(review => new Date(review.due_at) > now && new Date(review.due_at) <= learnAheadUntil)
+            .sort((a, b) => new Date(a.due_at) - new Date(b.due_at));
+
+        return [
+            ...due.map(review => this.formatQueueItem(cardsById.get(review.card_id), review, now)),
+            ...fresh.map(({ card, item }) => this.formatQueueItem(card, null, now, item)),
+            ...learning.map(review => this.formatQueueItem(cardsById.get(review.card_id), review, now))
+        ].filter(Boolean);
+    }
+
+    /**
+     * Change sequence for the card reviews a transaction writes, saved in
+     * their sync_seq. The counter row stays locked until the transaction ends,
+     * so the sequences of a user become visible in the order they were given
+     * and a sync cursor never passes a change that commits later. Take it once
+     * per transaction, before locking any card review, so that every writer
+     * locks in the same order; rows of one transaction share the sequence.
+     * @param {number} userId - The learner
+     * @param {Transaction} transaction - Transaction of the review change
+     * @returns {Promise<number>}
+     */
+    async nextSyncSeq(userId, transaction) {
+        await db.sequelize.query(
+            'INSERT INTO review_sync_counters (user_id, seq) VALUES (?, 1) ON DUPLICATE KEY UPDATE seq = seq + 1', {
+                replacements: [userId],
+                transaction
+            }
+        );
+        const counter = await db.ReviewSyncCounter.findByPk(userId, { attributes: ['seq'], transaction });
+        return Number(counter.seq);
+    }
+
+    parseTypedAnswer(typedAnswer) {
+        if (typeof typedAnswer !== 'string') {
+            throw new StudyError('Typed answer must be a string');
+        }
+        if (typedAnswer.length > AnswerCheckService.MAX_ANSWER_LENGTH) {
+            throw new StudyError(`Typed answer must be at most ${AnswerCheckService.MAX_ANSWER_LENGTH} characters`);
+        }
+        return typedAnswer.trim();
+    }
+
+    /**
+     * A queue limit given by the client, between 0 and MAX_LIMIT
+     */
+    parseLimit(value, fallback, name) {
+        if (value === undefined || value === null || value === '') return fallback;
+        const parsed = parseInt(value, 10);
+        if (isNaN(parsed) || parsed < 0 || parsed > MAX_LIMIT) {
+            throw new StudyError(`${name} must be a number between 0 and ${MAX_LIMIT}`);
+        }
+        return parsed;
+    }
+
+    parseDuration(durationMs) {
+        if (durationMs === undefined || durationMs === null) return null;
+        const parsed = parseInt(durationMs, 10);
+        if (isNaN(parsed) || parsed < 0) {
+            throw new StudyError('Response time must be a non-negative number of milliseconds');
+        }
+        return parsed;
+    }
+
+    /**
+     * Queue entry for a card item: the card, the item with its rendered front
+     * and back, its review state and the interval each grade would lead to.
+     * Returns null for a missing card.
+     * @param {string} [item] - Defaults to the item of the review, or the main item
+     */
+    formatQueueItem(card, review, now = new Date(), item = null) {
+        if (!card) return null;
+        const itemKey = item || (review && review.item) || cardItemService.MAIN_ITEM;
+        const state = review ? SchedulerService.pickState(review) : SchedulerService.initialState(now);
+        return {
+            card: SetTransformer.transformCard(card),
+            item: cardItemService.render(card, itemKey),
+            review: this.formatState({ ...state, card_id: card.id, item: itemKey, set_id: card.set_id }),
+            intervals: SchedulerService.preview(review ? state : null, now)
+        };
+    }
+
+    /**
+     * Convert a review state or CardReview row to the API shape
+     */
+    formatState(review) {
+        if (!review) return null;
+        const data = review.get ? review.get({ plain: true }) : { ...review };
+        delete data.id;
+        delete data.user_id;
+        delete data.created_at;
+        delete data.updated_at;
+        delete data.sync_seq;
+        if (data.ease_factor !== undefined) {
+            data.ease_factor = parseFloat(data.ease_factor);
+        }
+        return toCamel(data);
+    }
+}
+
+module.exports = new ReviewService();
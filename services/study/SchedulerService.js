@@ -0,0 +1,237 @@
+const GRADES = ['again', 'hard', 'good', 'easy'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// SM-2 defaults with Anki-style learning steps (in minutes)
+const DEFAULT_CONFIG = {
+    learningSteps: [1, 10],
+    relearningSteps: [10],
+    graduatingInterval: 1,
+    easyInterval: 4,
+    startingEase: 2.5,
+    minimumEase: 1.3,
+    easyBonus: 1.3,
+    hardMultiplier: 1.2,
+    lapseMultiplier: 0,
+    maximumInterval: 36500,
+    // Cards forgotten this many times after graduating are flagged as leeches
+    leechThreshold: parseInt(process.env.LEECH_THRESHOLD, 10) || 8
+};
+
+/**
+ * SchedulerService computes the next review state of a card from a graded answer.
+ * It implements SM-2 with short learning/relearning steps and is free of any
+ * database access, so the same function can be used for live answers and replays.
+ *
+ * A review state has the shape of a CardReview row:
+ *   { state, step, ease_factor, interval_days, repetitions, lapses, is_leech, due_at, last_reviewed_at }
+ */
+class SchedulerService {
+    static get GRADES() {
+        return GRADES;
+    }
+
+    static get DEFAULT_CONFIG() {
+        return DEFAULT_CONFIG;
+    }
+
+    static isValidGrade(grade) {
+        return GRADES.includes(grade);
+    }
+
+    /**
+     * State of a card that has never been reviewed
+     */
+    static initialState(now = new Date(), options = {}) {
+        const config = { ...DEFAULT_CONFIG, ...options };
+        return {
+            state: 'new',
+            step: 0,
+            ease_factor: config.startingEase,
+            interval_days: 0,
+            repetitions: 0,
+            lapses: 0,
+            is_leech: false,
+            due_at: new Date(now),
+            last_reviewed_at: null
+        };
+    }
+
+    /**
+     * Compute the state that follows a graded answer
+     * @param {Object|null} current - Current review state (null for a new card)
+     * @param {string} grade - One of again, hard, good, easy
+     * @param {Date} [reviewedAt] - When the answer was given
+     * @param {Object} [options] - Overrides for DEFAULT_CONFIG
+     * @returns {Object} The next review state
+     */
+    static schedule(current, grade, reviewedAt = new Date(), options = {}) {
+        if (!this.isValidGrade(grade)) {
+            throw new Error(`Invalid grade. Must be one of: ${GRADES.join(', ')}`);
+        }
+
+        const config = { ...DEFAULT_CONFIG, ...options };
+        const now = new Date(reviewedAt);
+        const state = {
+            ...this.initialState(now, config),
+            ...this.pickState(current)
+        };
+        state.last_reviewed_at = now;
+
+        let next;
+        switch (state.state) {
+            case 'new':
+            case 'learning':
+                next = this.scheduleLearning(state, grade, now, config);
+                break;
+            case 'relearning':
+                next = this.scheduleRelearning(state, grade, now, config);
+                break;
+            default:
+                next = this.scheduleReview(state, grade, now, config);
+                break;
+        }
+
+        next.is_leech = this.isLeech(next, config);
+        return next;
+    }
+
+    /**
+     * Whether a card has lapsed often enough to be flagged as a leech
+     */
+    static isLeech(state, options = {}) {
+        const config = { ...DEFAULT_CONFIG, ...options };
+        return (state.lapses || 0) >= config.leechThreshold;
+    }
+
+    /**
+     * Due date for every grade, so clients can label their answer buttons
+     */
+    static preview(current, now = new Date(), options = {}) {
+        return GRADES.reduce((acc, grade) => {
+            acc[grade] = this.schedule(current, grade, now, options).due_at;
+            return acc;
+        }, {});
+    }
+
+    static scheduleLearning(state, grade, now, config) {
+        const steps = config.learningSteps;
+
+        switch (grade) {
+            case 'again':
+                return this.inSteps(state, 'learning', 0, steps, now);
+            case 'hard':
+                return this.inSteps(state, 'learning', Math.min(state.step, steps.length - 1), steps, now);
+            case 'good':
+                if (state.step + 1 < steps.length) {
+                    return this.inSteps(state, 'learning', state.step + 1, steps, now);
+                }
+                return this.graduate(state, config.graduatingInterval, now, config);
+            default:
+                return this.graduate(state, config.easyInterval, now, config);
+        }
+    }
+
+    static scheduleRelearning(state, grade, now, config) {
+        const steps = config.relearningSteps;
+
+        switch (grade) {
+            case 'again':
+                return this.inSteps(state, 'relearning', 0, steps, now);
+            case 'hard':
+                return this.inSteps(state, 'relearning', Math.min(state.step, steps.length - 1), steps, now);
+            case 'good':
+                if (state.step + 1 < steps.length) {
+                    return this.inSteps(state, 'relearning', state.step + 1, steps, now);
+                }
+                return this.graduate(state, Math.max(1, state.interval_days), now, config);
+            default:
+                return this.graduate(state, Math.max(1, state.interval_days) + 1, now, config);
+        }
+    }
+
+    static scheduleReview(state, grade, now, config) {
+        const interval = Math.max(1, state.interval_days);
+        let ease = state.ease_factor;
+        let nextInterval;
+
+        switch (grade) {
+            case 'again':
+                return {
+                    ...this.inSteps(state, 'relearning', 0, config.relearningSteps, now),
+                    ease_factor: this.clampEase(ease - 0.2, config),
+                    interval_days: Math.max(1, Math.round(interval * config.lapseMultiplier)),
+                    repetitions: 0,
+                    lapses: state.lapses + 1
+                };
+            case 'hard':
+                ease = this.clampEase(ease - 0.15, config);
+                nextInterval = Math.max(interval + 1, Math.round(interval * config.hardMultiplier));
+                break;
+            case 'good':
+                nextInterval = Math.max(interval + 1, Math.round(interval * ease));
+                break;
+            default:
+                nextInterval = Math.max(interval + 2, Math.round(interval * ease * config.easyBonus));
+                ease = this.clampEase(ease + 0.15, config);
+                break;
+        }
+
+        nextInterval = Math.min(nextInterval, config.maximumInterval);
+
+        return {
+            ...state,
+            state: 'review',
+            step: 0,
+            ease_factor: ease,
+            interval_days: nextInterval,
+            repetitions: state.repetitions + 1,
+            due_at: new Date(now.getTime() + nextInterval * DAY_MS)
+        };
+    }
+
+    static inSteps(state, phase, step, steps, now) {
+        return {
+            ...state,
+            state: phase,
+            step,
+            due_at: new Date(now.getTime() + steps[step] * MINUTE_MS)
+        };
+    }
+
+    static graduate(state, intervalDays, now, config) {
+        const interval = Math.min(intervalDays, config.maximumInterval);
+        return {
+            ...state,
+            state: 'review',
+            step: 0,
+            interval_days: interval,
+            repetitions: state.repetitions + 1,
+            due_at: new Date(now.getTime() + interval * DAY_MS)
+        };
+    }
+
+    static clampEase(ease, config) {
+        return Math.round(Math.max(config.minimumEase, ease) * 100) / 100;
+    }
+
+    static pickState(current) {
+        if (!current) return {};
+
+        const source = current.get ? current.get({ plain: true }) : current;
+        const picked = {};
+        ['state', 'step', 'ease_factor', 'interval_days', 'repetitions', 'lapses', 'is_leech', 'due_at', 'last_reviewed_at']
+        .forEach(key => {
+            if (source[key] !== undefined && source[key] !== null) {
+                picked[key] = source[key];
+            }
+        });
+        if (picked.ease_factor !== undefined) {
+            picked.ease_factor = parseFloat(picked.ease_factor);
+        }
+        return picked;
+    }
+}
+
+module.exports = SchedulerService;
@@ -0,0 +1,247 @@
+const { Op } = require('sequelize');
+const db = require('../../db');
+const streakService = require('./StreakService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HEATMAP_DAYS = 365;
+const TIME_STUDIED_DAYS = 30;
+const RETENTION_DAYS = 30;
+const LEARNED_WEEKS = 12;
+const FORECAST_DAYS = 30;
+
+/**
+ * StatsService builds a learner's personal statistics from the study data:
+ * daily activity (DailyActivity) for the heatmap and time studied, the
+ * review log (ReviewLog) for retention and newly learned cards, and the
+ * scheduling state (CardReview) for the forecast. Days and weeks follow the
+ * learner's time zone (UserStreak.timezone); weeks start on Monday.
+ */
+class StatsService {
+    /**
+     * @param {number} userId - The learner
+     * @returns {Promise<Object>} { timezone, today, heatmap, retention, timeStudied, cardsLearned, forecast }
+     */
+    async getStats(userId) {
+        const streak = await db.UserStreak.findOne({
+            where: { user_id: userId },
+            attributes: ['timezone'],
+            raw: true
+        });
+        const timezone = streak ? streak.timezone : 'UTC';
+        const now = new Date();
+        const today = streakService.localDate(now, timezone);
+
+        const [heatmap, timeStudied, retention, cardsLearned, forecast] = await Promise.all([
+            this.getHeatmap(userId, today),
+            this.getTimeStudied(userId, today),
+            this.getRetention(userId, now),
+            this.getCardsLearned(userId, today, timezone, now),
+            this.getForecast(userId, today, timezone, now)
+        ]);
+
+        return { timezone, today, heatmap, retention, timeStudied, cardsLearned, forecast };
+    }
+
+    /**
+     * Reviews per day over the last year, oldest first
+     */
+    async getHeatmap(userId, today) {
+        const firstDay = streakService.addDays(today, -(HEATMAP_DAYS - 1));
+        const days = await this.getActivity(userId, firstDay, today);
+
+        const counts = this.fillDays(firstDay, HEATMAP_DAYS, date => {
+            const day = days.get(date);
+            return { date, reviews: day ? day.cards_reviewed : 0 };
+        });
+
+        return {
+            from: firstDay,
+            to: today,
+            totalReviews: counts.reduce((sum, day) => sum + day.reviews, 0),
+            activeDays: counts.filter(day => day.reviews > 0).length,
+            days: counts
+        };
+    }
+
+    /**
+     * Minutes studied per day over the last month, oldest first
+     */
+    async getTimeStudied(userId, today) {
+        const firstDay = streakService.addDays(today, -(TIME_STUDIED_DAYS - 1));
+        const days = await this.getActivity(userId, firstDay, today);
+
+        const minutes = this.fillDays(firstDay, TIME_STUDIED_DAYS, date => {
+            const day = days.get(date);
+            return { date, minutes: day ? Math.round(day.study_ms / 60000) : 0 };
+        });
+        const total = minutes.reduce((sum, day) => sum + day.minutes, 0);
+
+        return {
+            totalMinutes: total,
+            averageMinutes: Math.round(total / TIME_STUDIED_DAYS),
+            days: minutes
+        };
+    }
+
+    /**
+     * Share of reviews of learned cards (not new or still in learning) that
+     * were remembered, over the last month
+     */
+    async getRetention(userId, now) {
+        const [row] = await db.ReviewLog.findAll({
+            attributes: [
+                [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'reviews'],
+                [db.sequelize.literal("SUM(CASE WHEN grade = 'again' THEN 0 ELSE 1 END)"), 'recalled']
+            ],
+            where: {
+                user_id: userId,
+                state_before: 'review',
+                reviewed_at: {
+                    [Op.gte]: new Date(now.getTime() - RETENTION_DAYS * DAY_MS)
+                }
+            },
+            raw: true
+        });
+
+        const reviews = row ? parseInt(row.reviews, 10) || 0 : 0;
+        const recalled = row ? parseInt(row.recalled, 10) || 0 : 0;
+        return {
+            days: RETENTION_DAYS,
+            reviews,
+            recalled,
+            rate: reviews ? Math.round((recalled / reviews) * 1000) / 1000 : null
+        };
+    }
+
+    /**
+     * Cards studied for the first time per week, oldest week first
+     */
+    async getCardsLearned(userId, today, timezone, now) {
+        const thisWeek = this.weekStart(today);
+        const firstWeek = streakService.addDays(thisWeek, -7 * (LEARNED_WEEKS - 1));
+
+        // One extra day on each side covers the time zone offset; rows
+        // outside the weeks are dropped when bucketing
+        const logs = await db.ReviewLog.findAll({
+            attributes: ['card_id', 'reviewed_at'],
+            where: {
+                user_id: userId,
+                state_before: 'new',
+                reviewed_at: {
+                    [Op.gte]: new Date(Date.parse(`${firstWeek}T00:00:00Z`) - DAY_MS),
+                    [Op.lte]: new Date(now.getTime() + DAY_MS)
+                }
+            },
+            raw: true
+        });
+
+        const cardsByWeek = new Map();
+        logs.forEach(log => {
+            const week = this.weekStart(streakService.localDate(log.reviewed_at, timezone));
+            if (week < firstWeek) return;
+            if (!cardsByWeek.has(week)) cardsByWeek.set(week, new Set());
+            cardsByWeek.get(week).add(log.card_id);
+        });
+
+        const weeks = [];
+        for (let i = 0; i < LEARNED_WEEKS; i++) {
+            const weekStart = streakService.addDays(firstWeek, 7 * i);
+            const cards = cardsByWeek.get(weekStart);
+            weeks.push({ weekStart, cards: cards ? cards.size : 0 });
+        }
+
+        return {
+            total: weeks.reduce((sum, week) => sum + week.cards, 0),
+            weeks
+        };
+    }
+
+    /**
+     * Cards coming due per day over the next month. Overdue cards count
+     * towards today; suspended cards are left out.
+     */
+    async getForecast(userId, today, timezone, now) {
+        const lastDay = streakService.addDays(today, FORECAST_DAYS - 1);
+
+        const suspended = await db.UserCardFlag.findAll({
+            where: { user_id: userId, suspended: true },
+            attributes: ['card_id'],
+            raw: true
+        });
+
+        const where = {
+            user_id: userId,
+            due_at: {
+                [Op.lt]: new Date(now.getTime() + (FORECAST_DAYS + 1) * DAY_MS)
+            }
+        };
+        if (suspended.length) {
+            where.card_id = {
+                [Op.notIn]: suspended.map(flag => flag.card_id)
+            };
+        }
+
+        const reviews = await db.CardReview.findAll({
+            attributes: ['due_at'],
+            where,
+            raw: true
+        });
+
+        const dueByDate = new Map();
+        let overdue = 0;
+        reviews.forEach(review => {
+            let date = streakService.localDate(review.due_at, timezone);
+            if (date > lastDay) return;
+            if (date < today) {
+                overdue += 1;
+                date = today;
+            }
+            dueByDate.set(date, (dueByDate.get(date) || 0) + 1);
+        });
+
+        const days = this.fillDays(today, FORECAST_DAYS, date => ({
+            date,
+            due: dueByDate.get(date) || 0
+        }));
+
+        return {
+            overdue,
+            total: days.reduce((sum, day) => sum + day.due, 0),
+            days
+        };
+    }
+
+    /**
+     * DailyActivity rows between two dates, keyed by date
+     */
+    async getActivity(userId, firstDay, lastDay) {
+        const days = await db.DailyActivity.findAll({
+            where: {
+                user_id: userId,
+                activity_date: {
+                    [Op.between]: [firstDay, lastDay]
+                }
+            },
+            attributes: ['activity_date', 'cards_reviewed', 'study_ms']
+        });
+        return new Map(days.map(day => [day.activity_date, day]));
+    }
+
+    fillDays(firstDay, count, build) {
+        const days = [];
+        for (let i = 0; i < count; i++) {
+            days.push(build(streakService.addDays(firstDay, i)));
+        }
+        return days;
+    }
+
+    /**
+     * Monday of the week of a YYYY-MM-DD date
+     */
+    weekStart(date) {
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        return streakService.addDays(date, -((weekday + 6) % 7));
+    }
+}
+
+module.exports = new StatsService();
@@ -0,0 +1,286 @@
+const { Op } = require('sequelize');
+const db = require('../../db');
+const StudyError = require('./StudyError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const XP = {
+    review: 10,
+    reviewAgain: 5,
+    setCompleted: 50,
+    dailyGoal: 25
+};
+
+// A freeze token is earned for every STREAK_FREEZE_EVERY days of streak
+const STREAK_FREEZE_EVERY = 7;
+const MAX_FREEZE_TOKENS = 2;
+const MAX_DAILY_GOAL = 1000;
+// Longer answers count as this long towards minutes studied (learner stepped away)
+const MAX_REVIEW_MS = 5 * 60 * 1000;
+const RECENT_DAYS = 7;
+
+const dateFormatters = new Map();
+
+/**
+ * StreakService aggregates study activity per user and calendar day
+ * (DailyActivity) and keeps the streak, XP, daily goal and streak-freeze
+ * tokens (UserStreak). A day extends the streak once the daily goal of
+ * reviewed cards is met; missed days are bridged by freeze tokens if enough
+ * are available when the streak is next extended.
+ */
+class StreakService {
+    /**
+     * Count a graded answer towards the day's activity
+     * @param {number} userId - The learner
+     * @param {Object} review - { grade, durationMs, reviewedAt }
+     * @param {Transaction} [transaction] - Transaction of the review being recorded
+     */
+    async recordReview(userId, review, transaction) {
+        const durationMs = Math.min(review.durationMs || 0, MAX_REVIEW_MS);
+        return this.recordActivity(userId, review.reviewedAt || new Date(), {
+            cards_reviewed: 1,
+            study_ms: durationMs,
+            xp: review.grade === 'again' ? XP.reviewAgain : XP.review
+        }, transaction);
+    }
+
+    /**
+     * Count a completed set towards the day's activity
+     */
+    async recordSetCompleted(userId, completedAt = new Date(), transaction) {
+        return this.recordActivity(userId, completedAt, {
+            sets_completed: 1,
+            xp: XP.setCompleted
+        }, transaction);
+    }
+
+    /**
+     * Add counters to the user's DailyActivity row for the day of `at` and
+     * extend the streak when the daily goal is reached. Both rows are locked
+     * until the transaction ends, since live answers, syncs and guest merges
+     * of the same user may add to them at the same time.
+     */
+    async recordActivity(userId, at, counters, transaction) {
+        if (!transaction) {
+            const ownTransaction = await db.sequelize.transaction();
+            try {
+                const day = await this.recordActivity(userId, at, counters, ownTransaction);
+                await ownTransaction.commit();
+                return day;
+            } catch (error) {
+                await ownTransaction.rollback();
+                throw error;
+            }
+        }
+
+        const streak = await this.findOrCreateStreak(userId, transaction, transaction.LOCK.UPDATE);
+        const date = this.localDate(at, streak.timezone);
+
+        const [day] = await db.DailyActivity.findOrCreate({
+            where: { user_id: userId, activity_date: date },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+
+        let xp = counters.xp || 0;
+        day.cards_reviewed += counters.cards_reviewed || 0;
+        day.study_ms += counters.study_ms || 0;
+        day.sets_completed += counters.sets_completed || 0;
+
+        if (!day.goal_met && day.cards_reviewed >= streak.daily_goal) {
+            day.goal_met = true;
+            xp += XP.dailyGoal;
+            await this.extendStreak(streak, date, transaction);
+        }
+
+        day.xp += xp;
+        streak.total_xp += xp;
+
+        await day.save({ transaction });
+        await streak.save({ transaction });
+        return day;
+    }
+
+    /**
+     * Extend the streak with a day on which the goal was met. Days met out of
+     * order (e.g. replayed offline reviews) do not change the streak.
+     */
+    async extendStreak(streak, date, transaction) {
+        const last = streak.last_goal_date;
+        if (last && date <= last) return;
+
+        if (!last) {
+            streak.current_streak = 1;
+        } else {
+            const missed = this.daysBetween(last, date) - 1;
+            if (missed === 0) {
+                streak.current_streak += 1;
+            } else if (missed <= streak.freeze_tokens) {
+                streak.freeze_tokens -= missed;
+                await this.markFrozenDays(streak.user_id, last, missed, transaction);
+                streak.current_streak += 1;
+            } else {
+                streak.current_streak = 1;
+            }
+        }
+
+        streak.longest_streak = Math.max(streak.longest_streak, streak.current_streak);
+        streak.last_goal_date = date;
+
+        if (streak.current_streak % STREAK_FREEZE_EVERY === 0 && streak.freeze_tokens < MAX_FREEZE_TOKENS) {
+            streak.freeze_tokens += 1;
+        }
+    }
+
+    async markFrozenDays(userId, lastGoalDate, missed, transaction) {
+        for (let i = 1; i <= missed; i++) {
+            const [day] = await db.DailyActivity.findOrCreate({
+                where: { user_id: userId, activity_date: this.addDays(lastGoalDate, i) },
+                transaction
+            });
+            await day.update({ freeze_used: true }, { transaction });
+        }
+    }
+
+    /**
+     * Streak, goal and XP summary with today's progress and the last days
+     * @param {number} userId - The learner
+     * @returns {Promise<Object>}
+     */
+    async getSummary(userId) {
+        const streak = await db.UserStreak.findOne({ where: { user_id: userId } });
+        const settings = streak || db.UserStreak.build({ user_id: userId });
+
+        const today = this.localDate(new Date(), settings.timezone);
+        const firstDay = this.addDays(today, -(RECENT_DAYS - 1));
+        const days = await db.DailyActivity.findAll({
+            where: {
+                user_id: userId,
+                activity_date: {
+                    [Op.between]: [firstDay, today]
+                }
+            }
+        });
+        const daysByDate = new Map(days.map(day => [day.activity_date, day]));
+
+        // Days missed since the goal was last met; the streak survives while
+        // the freeze tokens can cover them
+        let currentStreak = 0;
+        let freezesPending = 0;
+        if (settings.last_goal_date) {
+            const missed = Math.max(0, this.daysBetween(settings.last_goal_date, today) - 1);
+            if (missed <= settings.freeze_tokens) {
+                currentStreak = settings.current_streak;
+                freezesPending = missed;
+            }
+        }
+
+        const recentDays = [];
+        for (let i = 0; i < RECENT_DAYS; i++) {
+            const date = this.addDays(firstDay, i);
+            recentDays.push(this.formatDay(date, daysByDate.get(date), settings.daily_goal));
+        }
+
+        return {
+            currentStreak,
+            longestStreak: settings.longest_streak,
+            lastGoalDate: settings.last_goal_date,
+            dailyGoal: settings.daily_goal,
+            timezone: settings.timezone,
+            freezeTokens: settings.freeze_tokens,
+            freezesPending,
+            totalXp: settings.total_xp,
+            today: recentDays[recentDays.length - 1],
+            recentDays
+        };
+    }
+
+    /**
+     * Update the daily goal and/or time zone
+     * @param {number} userId - The learner
+     * @param {Object} settings - { dailyGoal, timezone }
+     */
+    async updateSettings(userId, settings = {}) {
+        const updateData = {};
+
+        if (settings.dailyGoal !== undefined) {
+            const dailyGoal = parseInt(settings.dailyGoal, 10);
+            if (isNaN(dailyGoal) || dailyGoal < 1 || dailyGoal > MAX_DAILY_GOAL) {
+                throw new StudyError(`dailyGoal must be a number between 1 and ${MAX_DAILY_GOAL}`);
+            }
+            updateData.daily_goal = dailyGoal;
+        }
+
+        if (settings.timezone !== undefined) {
+            if (!this.isValidTimezone(settings.timezone)) {
+                throw new StudyError('timezone must be a valid IANA time zone');
+            }
+            updateData.timezone = settings.timezone;
+        }
+
+        const streak = await this.findOrCreateStreak(userId);
+        await streak.update(updateData);
+        return this.getSummary(userId);
+    }
+
+    async findOrCreateStreak(userId, transaction, lock) {
+        const [streak] = await db.UserStreak.findOrCreate({
+            where: { user_id: userId },
+            transaction,
+            lock
+        });
+        return streak;
+    }
+
+    formatDay(date, day, dailyGoal) {
+        const cardsReviewed = day ? day.cards_reviewed : 0;
+        return {
+            date,
+            cardsReviewed,
+            minutesStudied: day ? Math.round(day.study_ms / 60000) : 0,
+            setsCompleted: day ? day.sets_completed : 0,
+            xp: day ? day.xp : 0,
+            goalMet: day ? day.goal_met : false,
+            freezeUsed: day ? day.freeze_used : false,
+            goalProgress: Math.min(1, cardsReviewed / dailyGoal)
+        };
+    }
+
+    /**
+     * YYYY-MM-DD of a moment in the given time zone
+     */
+    localDate(at, timezone = 'UTC') {
+        // Formatters are costly to build and stats bucket many rows at once
+        let formatter = dateFormatters.get(timezone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-CA', {
+                timeZone: timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit'
+            });
+            dateFormatters.set(timezone, formatter);
+        }
+        return formatter.format(new Date(at));
+    }
+
+    addDays(date, days) {
+        return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    daysBetween(from, to) {
+        return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+    }
+
+    isValidTimezone(timezone) {
+        if (typeof timezone !== 'string' || !timezone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = new StreakService();
@@ -0,0 +1,10 @@
+class StudyError extends Error {
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'StudyError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = StudyError;
@@ -0,0 +1,201 @@
+const { Op } = require('sequelize');
+const db = require('../../db');
+const reviewService = require('./ReviewService');
+const studyQueueService = require('./StudyQueueService');
+const cardFlagService = require('./CardFlagService');
+const StudyError = require('./StudyError');
+
+const MAX_FILTER_LENGTH = 500;
+const MAX_MISSED_DAYS = 365;
+// Most cards a filtered session can hold
+const MAX_FILTERED_CARDS = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TERMS = ['starred', 'missed', 'tag', 'category', 'set', 'random'];
+// Terms that pick cards; random only limits how many are taken
+const SELECTING_TERMS = ['starred', 'missed', 'tag', 'category', 'set'];
+
+/**
+ * StudyFilterService picks the cards of a custom study session from a small
+ * filter language. A filter is a space-separated list of terms that must all
+ * match; values containing spaces are quoted:
+ *
+ *   starred                   cards the learner starred
+ *   missed:7                  cards answered "again" in the last 7 days
+ *   tag:"spanish verbs"       cards from sets with this tag
+ *   category:Languages        cards from sets in this category (name or ID)
+ *   set:42                    cards from this set
+ *   random:20                 20 random cards in random order instead of all
+ *
+ * Cards come from the learner's library (see StudyQueueService) unless a set
+ * is given; suspended and buried cards are left out.
+ */
+class StudyFilterService {
+    /**
+     * Parse a filter expression
+     * @param {string} filter - e.g. 'category:Languages random:20'
+     * @returns {Object} { starred, missedDays, tag, category, setId, random }
+     */
+    parse(filter) {
+        if (typeof filter !== 'string' || !filter.trim()) {
+            throw new StudyError('filter must be a non-empty string');
+        }
+        if (filter.length > MAX_FILTER_LENGTH) {
+            throw new StudyError(`filter must be at most ${MAX_FILTER_LENGTH} characters`);
+        }
+
+        const criteria = {};
+        const seen = [];
+        const pattern = /\s*([a-z]+)(?::(?:"([^"]*)"|(\S+)))?\s*/gy;
+        let match;
+        let position = 0;
+
+        while (position < filter.length && (match = pattern.exec(filter)) !== null) {
+            position = pattern.lastIndex;
+            const term = match[1];
+            const value = match[2] !== undefined ? match[2] : match[3];
+
+            if (!TERMS.includes(term)) {
+                throw new StudyError(`Unknown filter term "${term}". Supported terms: ${TERMS.join(', ')}`);
+            }
+            if (seen.includes(term)) {
+                throw new StudyError(`Filter term "${term}" can only be used once`);
+            }
+            seen.push(term);
+
+            this.parseTerm(criteria, term, value);
+        }
+
+        if (position < filter.length) {
+            throw new StudyError(`Invalid filter near "${filter.slice(position).trim()}"`);
+        }
+        if (!seen.some(term => SELECTING_TERMS.includes(term))) {
+            throw new StudyError(`filter needs at least one of: ${SELECTING_TERMS.join(', ')}`);
+        }
+
+        return criteria;
+    }
+
+    parseTerm(criteria, term, value) {
+        switch (term) {
+            case 'starred':
+                if (value !== undefined) {
+                    throw new StudyError('starred does not take a value');
+                }
+                criteria.starred = true;
+                break;
+            case 'missed':
+                criteria.missedDays = this.parseNumber(term, value, MAX_MISSED_DAYS);
+                break;
+            case 'set':
+                criteria.setId = this.parseNumber(term, value, Number.MAX_SAFE_INTEGER);
+                break;
+            case 'random':
+                criteria.random = this.parseNumber(term, value, MAX_FILTERED_CARDS);
+                break;
+            default:
+                if (value === undefined || !value.trim()) {
+                    throw new StudyError(`${term} needs a value, e.g. ${term}:"name"`);
+                }
+                criteria[term] = value.trim();
+        }
+    }
+
+    parseNumber(term, value, max) {
+        const parsed = Number(value);
+        if (!Number.isInteger(parsed) || parsed < 1 || parsed > max) {
+            throw new StudyError(`${term} must be a whole number between 1 and ${max}`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Cards matching the parsed filter that the user can study
+     * @param {number} userId - The learner
+     * @param {Object} criteria - Result of parse()
+     * @returns {Promise<Array>} Card rows in queue order
+     */
+    async selectCards(userId, criteria) {
+        let setIds;
+        if (criteria.setId) {
+            await reviewService.assertSetAccess(criteria.setId, userId);
+            setIds = [criteria.setId];
+        } else {
+            setIds = await studyQueueService.getLibrarySetIds(userId);
+        }
+
+        const filters = { tag: criteria.tag };
+        if (criteria.category) {
+            filters.categoryId = await this.findCategoryId(criteria.category);
+        }
+
+        const sets = await studyQueueService.getAccessibleSets(userId, setIds, filters);
+        if (!sets.length) return [];
+
+        const accessibleIds = sets.map(set => set.id);
+        const conditions = [];
+
+        const hiddenIds = await cardFlagService.getHiddenCardIds(userId, accessibleIds);
+        if (hiddenIds.length) {
+            conditions.push({
+                id: {
+                    [Op.notIn]: hiddenIds
+                }
+            });
+        }
+
+        if (criteria.starred) {
+            const starred = await db.UserCardFlag.findAll({
+                where: { user_id: userId, set_id: accessibleIds, starred: true },
+                attributes: ['card_id'],
+                raw: true
+            });
+            conditions.push({ id: starred.map(flag => flag.card_id) });
+        }
+
+        if (criteria.missedDays) {
+            const missed = await db.ReviewLog.findAll({
+                where: {
+                    user_id: userId,
+                    set_id: accessibleIds,
+                    grade: 'again',
+                    reviewed_at: {
+                        [Op.gte]: new Date(Date.now() - criteria.missedDays * DAY_MS)
+                    }
+                },
+                attributes: [
+                    [db.sequelize.fn('DISTINCT', db.sequelize.col('card_id')), 'card_id']
+                ],
+                raw: true
+            });
+            conditions.push({ id: missed.map(log => log.card_id) });
+        }
+
+        return db.Card.findAll({
+            where: {
+                set_id: accessibleIds,
+                [Op.and]: conditions
+            },
+            order: criteria.random ? db.sequelize.random() : [
+                ['set_id', 'ASC'],
+                ['position', 'ASC'],
+                ['id', 'ASC']
+            ],
+            limit: criteria.random || MAX_FILTERED_CARDS
+        });
+    }
+
+    /**
+     * Category ID from a category name or ID, as used by the set listing
+     */
+    async findCategoryId(category) {
+        const where = /^\d+$/.test(category) ? { id: parseInt(category, 10) } : { name: category };
+        const found = await db.Category.findOne({ where, attributes: ['id'] });
+        if (!found) {
+            throw new StudyError(`Category not found: ${category}`, 404);
+        }
+        return found.id;
+    }
+}
+
+module.exports = new StudyFilterService();
@@ -0,0 +1,370 @@
+const { Op } = require('sequelize');
+const db = require('../../db');
+const reviewService = require('./ReviewService');
+const streakService = require('./StreakService');
+const cardFlagService = require('./CardFlagService');
+const studyQueueService = require('./StudyQueueService');
+const cardItemService = require('./CardItemService');
+const StudyError = require('./StudyError');
+const toCamel = require('../../utils/toCamel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SETS = 20;
+const MAX_ACTIVE_PLANS = 10;
+const MAX_PLAN_DAYS = 365;
+// The last days before the exam are kept free of new cards for reviews
+const MAX_BUFFER_DAYS = 3;
+// Days after its introduction a new card is expected back for review
+const NEW_CARD_REVIEW_OFFSETS = [1, 3, 7, 16];
+
+/**
+ * StudyPlanService paces a learner towards an exam date. A plan covers one or
+ * more sets and a target date; the daily plan is computed from the current
+ * review state every time it is read, so it rebalances by itself: new cards
+ * left over from missed days are spread over the days that remain. New cards
+ * are introduced until a few days before the exam, which are left for
+ * reviews. Expected reviews add the cards already scheduled to the estimated
+ * reviews of the new cards still to come. Days follow the learner's time zone
+ * (UserStreak.timezone); suspended cards are left out.
+ */
+class StudyPlanService {
+    /**
+     * Create a plan
+     * @param {number} userId - The learner
+     * @param {Object} data - { name, setIds, targetDate }
+     * @returns {Promise<Object>} The plan with its daily schedule
+     */
+    async createPlan(userId, data = {}) {
+        await this.assertActivePlanSlot(userId);
+
+        const values = await this.parsePlan(userId, data, true);
+        const plan = await db.StudyPlan.create({ ...values, user_id: userId });
+        return this.getPlan(userId, plan.id);
+    }
+
+    /**
+     * Update the name, sets, target date or status of a plan
+     */
+    async updatePlan(userId, planId, data = {}) {
+        const plan = await this.findPlan(userId, planId);
+        const values = await this.parsePlan(userId, data, false);
+        if (values.status === 'active' && plan.status !== 'active') {
+            await this.assertActivePlanSlot(userId);
+        }
+        await plan.update(values);
+        return this.getPlan(userId, plan.id);
+    }
+
+    async deletePlan(userId, planId) {
+        const plan = await this.findPlan(userId, planId);
+        await plan.destroy();
+    }
+
+    /**
+     * The user's plans with today's quota, nearest target date first
+     * @param {number} userId - The learner
+     * @param {Object} [options]
+     * @param {string} [options.status] - active (default), archived or all
+     */
+    async listPlans(userId, options = {}) {
+        const status = options.status || 'active';
+        if (!['active', 'archived', 'all'].includes(status)) {
+            throw new StudyError('status must be one of: active, archived, all');
+        }
+
+        const where = { user_id: userId };
+        if (status !== 'all') {
+            where.status = status;
+        }
+
+        const plans = await db.StudyPlan.findAll({
+            where,
+            order: [
+                ['target_date', 'ASC'],
+                ['id', 'ASC']
+            ]
+        });
+
+        const timezone = await this.getTimezone(userId);
+        return Promise.all(plans.map(async plan => {
+            const { days, ...summary } = await this.computePlan(userId, plan, timezone);
+            return summary;
+        }));
+    }
+
+    /**
+     * A plan with its progress, today's quota and the daily schedule
+     */
+    async getPlan(userId, planId) {
+        const plan = await this.findPlan(userId, planId);
+        return this.computePlan(userId, plan, await this.getTimezone(userId));
+    }
+
+    /**
+     * New cards still to introduce today for a set, from the active plan
+     * with the nearest target date that covers it
+     * @returns {Promise<Object|null>} { plan, newCards } or null without a plan
+     */
+    async getTodayQuota(userId, setId) {
+        const plans = await db.StudyPlan.findAll({
+            where: { user_id: userId, status: 'active' },
+            order: [
+                ['target_date', 'ASC'],
+                ['id', 'ASC']
+            ]
+        });
+
+        const timezone = await this.getTimezone(userId);
+        const today = streakService.localDate(new Date(), timezone);
+        const plan = plans.find(candidate =>
+            candidate.set_ids.includes(setId) && candidate.target_date >= today
+        );
+        if (!plan) return null;
+
+        const { days, ...summary } = await this.computePlan(userId, plan, timezone);
+        return { plan: summary, newCards: summary.today.newCardsRemaining };
+    }
+
+    /**
+     * Progress and schedule of a plan from the current review state
+     */
+    async computePlan(userId, plan, timezone) {
+        const now = new Date();
+        const today = streakService.localDate(now, timezone);
+
+        const sets = await studyQueueService.getAccessibleSets(userId, plan.set_ids, {});
+        const setIds = sets.map(set => set.id);
+        const directions = new Map(sets.map(set => [set.id, set.study_direction]));
+
+        const [cards, reviews, flagged, introducedToday] = await Promise.all([
+            setIds.length ? db.Card.findAll({
+                where: { set_id: setIds },
+                attributes: cardItemService.ITEM_CARD_ATTRIBUTES,
+                raw: true
+            }) : [],
+            setIds.length ? db.CardReview.findAll({
+                where: { user_id: userId, set_id: setIds },
+                attributes: ['card_id', 'item', 'state', 'due_at'],
+                raw: true
+            }) : [],
+            cardFlagService.getFlaggedCards(userId, setIds),
+            this.countIntroducedToday(userId, setIds, today, timezone, now)
+        ]);
+
+        // New cards and the quota are counted in card items (see CardItemService);
+        // reviews of items a card no longer has are left out
+        const items = cardItemService.expand(cards, directions);
+        const itemKeys = new Set(items.map(({ card, item }) => cardItemService.key(card.id, item)));
+        const activeReviews = reviews.filter(review =>
+            itemKeys.has(cardItemService.key(review.card_id, review.item)) && !flagged.suspended.has(review.card_id)
+        );
+        const reviewed = new Set(reviews.map(review => cardItemService.key(review.card_id, review.item)));
+        const newCards = items.filter(({ card, item }) =>
+            !reviewed.has(cardItemService.key(card.id, item)) && !flagged.suspended.has(card.id)
+        ).length;
+
+        // Study days run from today to the day before the exam
+        const studyDays = Math.max(0, streakService.daysBetween(today, plan.target_date));
+        const expired = studyDays === 0 && plan.target_date < today;
+        const bufferDays = Math.min(MAX_BUFFER_DAYS, Math.floor(studyDays / 4));
+        const introductionDays = Math.max(1, studyDays - bufferDays);
+
+        // Today's quota counts the cards already introduced today, so it does
+        // not grow again as they are studied
+        const quotaToday = expired ? 0 : Math.ceil((newCards + introducedToday) / introductionDays);
+        const remainingToday = Math.min(newCards, Math.max(0, quotaToday - introducedToday));
+
+        const newPerDay = this.spreadNewCards(newCards - remainingToday, introductionDays - 1);
+        newPerDay.unshift(remainingToday);
+
+        const days = expired ? [] : this.buildDays(today, Math.max(1, studyDays), newPerDay, activeReviews, timezone);
+
+        return {
+            ...this.formatPlan(plan),
+            today: {
+                date: today,
+                newCardsQuota: quotaToday,
+                newCardsIntroduced: introducedToday,
+                newCardsRemaining: remainingToday,
+                reviewsDue: days.length ? days[0].expectedReviews : 0
+            },
+            progress: {
+                totalCards: newCards + activeReviews.length,
+                newCards,
+                learning: activeReviews.filter(review => ['learning', 'relearning'].includes(review.state)).length,
+                review: activeReviews.filter(review => review.state === 'review').length,
+                percentIntroduced: newCards + activeReviews.length ?
+                    Math.round((activeReviews.length / (newCards + activeReviews.length)) * 100) : 100
+            },
+            daysLeft: studyDays,
+            expired,
+            sets: sets.map(set => ({ id: set.id, title: set.title })),
+            days
+        };
+    }
+
+    /**
+     * Daily schedule: new cards per day and the reviews expected on that day
+     */
+    buildDays(today, count, newPerDay, reviews, timezone) {
+        const lastDay = streakService.addDays(today, count - 1);
+        const dueByDate = new Map();
+        reviews.forEach(review => {
+            let date = streakService.localDate(review.due_at, timezone);
+            if (date > lastDay) return;
+            if (date < today) date = today;
+            dueByDate.set(date, (dueByDate.get(date) || 0) + 1);
+        });
+
+        const expected = new Array(count).fill(0);
+        newPerDay.forEach((introduced, dayIndex) => {
+            NEW_CARD_REVIEW_OFFSETS.forEach(offset => {
+                if (dayIndex + offset < count) {
+                    expected[dayIndex + offset] += introduced;
+                }
+            });
+        });
+
+        const days = [];
+        for (let i = 0; i < count; i++) {
+            const date = streakService.addDays(today, i);
+            days.push({
+                date,
+                newCards: newPerDay[i] || 0,
+                expectedReviews: (dueByDate.get(date) || 0) + expected[i]
+            });
+        }
+        return days;
+    }
+
+    /**
+     * Split cards as evenly as possible over days, earlier days first
+     */
+    spreadNewCards(cards, days) {
+        if (days <= 0) return [];
+        const base = Math.floor(cards / days);
+        const extra = cards % days;
+        return Array.from({ length: days }, (value, index) => base + (index < extra ? 1 : 0));
+    }
+
+    /**
+     * Card items of the sets first studied today in the learner's time zone
+     */
+    async countIntroducedToday(userId, setIds, today, timezone, now) {
+        if (!setIds.length) return 0;
+
+        // Two days back covers every time zone offset; older rows are dropped
+        const logs = await db.ReviewLog.findAll({
+            where: {
+                user_id: userId,
+                set_id: setIds,
+                state_before: 'new',
+                reviewed_at: {
+                    [Op.gte]: new Date(now.getTime() - 2 * DAY_MS)
+                }
+            },
+            attributes: ['card_id', 'item', 'reviewed_at'],
+            raw: true
+        });
+
+        const items = new Set(logs
+            .filter(log => streakService.localDate(log.reviewed_at, timezone) === today)
+            .map(log => cardItemService.key(log.card_id, log.item)));
+        return items.size;
+    }
+
+    async parsePlan(userId, data, creating) {
+        const values = {};
+        const has = key => data[key] !== undefined;
+
+        if (has('name')) {
+            if (data.name !== null && (typeof data.name !== 'string' || data.name.trim().length > 255)) {
+                throw new StudyError('name must be a string of at most 255 characters');
+            }
+            values.name = data.name ? data.name.trim() : null;
+        }
+
+        if (creating || has('setIds')) {
+            values.set_ids = this.parseSetIds(data.setIds);
+            for (const setId of values.set_ids) {
+                await reviewService.assertSetAccess(setId, userId);
+            }
+        }
+
+        if (creating || has('targetDate')) {
+            const today = streakService.localDate(new Date(), await this.getTimezone(userId));
+            values.target_date = this.parseTargetDate(data.targetDate, today);
+        }
+
+        if (has('status')) {
+            if (!['active', 'archived'].includes(data.status)) {
+                throw new StudyError('status must be one of: active, archived');
+            }
+            values.status = data.status;
+        }
+
+        return values;
+    }
+
+    parseSetIds(setIds) {
+        if (!Array.isArray(setIds) || !setIds.length || setIds.length > MAX_SETS) {
+            throw new StudyError(`setIds must be an array of 1 to ${MAX_SETS} set IDs`);
+        }
+        const parsed = setIds.map(Number);
+        if (parsed.some(id => !Number.isInteger(id) || id <= 0)) {
+            throw new StudyError('setIds must contain valid set IDs');
+        }
+        return parsed.filter((id, index) => parsed.indexOf(id) === index);
+    }
+
+    parseTargetDate(targetDate, today) {
+        if (typeof targetDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(targetDate) ||
+            isNaN(Date.parse(`${targetDate}T00:00:00Z`)) ||
+            new Date(`${targetDate}T00:00:00Z`).toISOString().slice(0, 10) !== targetDate) {
+            throw new StudyError('targetDate must be a date in the format YYYY-MM-DD');
+        }
+
+        const days = streakService.daysBetween(today, targetDate);
+        if (days < 1 || days > MAX_PLAN_DAYS) {
+            throw new StudyError(`targetDate must be between tomorrow and ${MAX_PLAN_DAYS} days from today`);
+        }
+        return targetDate;
+    }
+
+    /**
+     * Throw unless the user can have one more active plan
+     */
+    async assertActivePlanSlot(userId) {
+        const activePlans = await db.StudyPlan.count({
+            where: { user_id: userId, status: 'active' }
+        });
+        if (activePlans >= MAX_ACTIVE_PLANS) {
+            throw new StudyError(`A user can have at most ${MAX_ACTIVE_PLANS} active study plans`, 409);
+        }
+    }
+
+    async findPlan(userId, planId) {
+        const plan = await db.StudyPlan.findOne({
+            where: { id: planId, user_id: userId }
+        });
+        if (!plan) {
+            throw new StudyError('Study plan not found', 404);
+        }
+        return plan;
+    }
+
+    async getTimezone(userId) {
+        const streak = await db.UserStreak.findOne({
+            where: { user_id: userId },
+            attributes: ['timezone'],
+            raw: true
+        });
+        return streak ? streak.timezone : 'UTC';
+    }
+
+    formatPlan(plan) {
+        return toCamel(plan.get({ plain: true }));
+    }
+}
+
+module.exports = new StudyPlanService();
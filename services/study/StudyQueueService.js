@@ -0,0 +1,330 @@
+const { Op } = require('sequelize');
+const db = require('../../db');
+const reviewService = require('./ReviewService');
+const cardItemService = require('./CardItemService');
+const cardFlagService = require('./CardFlagService');
+const StudyError = require('./StudyError');
+
+const DEFAULT_MAX_REVIEWS = 200;
+const DEFAULT_MAX_NEW = 20;
+
+/**
+ * StudyQueueService builds the cross-library "review everything due" queue.
+ * The library is every set the user owns, bought, liked, studied or gets
+ * through a subscription; each set is re-checked with SetAccessService so
+ * sets the user lost access to (e.g. a lapsed subscription) drop out. Cards
+ * the user suspended or buried are left out.
+ */
+class StudyQueueService {
+    /**
+     * Interleaved queue of due reviews and new cards across the library
+     * @param {number} userId - The learner
+     * @param {Object} [options]
+     * @param {number} [options.maxReviews] - Maximum due reviews in the queue
+     * @param {number} [options.maxNew] - Maximum new card items in the queue
+     * @param {number} [options.categoryId] - Only sets in this category
+     * @param {string} [options.tag] - Only sets with this tag
+     * @returns {Promise<Object>} { queue, counts, sets }
+     */
+    async getDueQueue(userId, options = {}) {
+        const maxReviews = reviewService.parseLimit(options.maxReviews, DEFAULT_MAX_REVIEWS, 'maxReviews');
+        const maxNew = reviewService.parseLimit(options.maxNew, DEFAULT_MAX_NEW, 'maxNew');
+        const filters = this.parseFilters(options);
+
+        const libraryIds = await this.getLibrarySetIds(userId);
+        const sets = await this.getAccessibleSets(userId, libraryIds, filters);
+        if (!sets.length) {
+            return { queue: [], counts: { reviews: 0, new: 0 }, sets: [] };
+        }
+
+        const setIds = sets.map(set => set.id);
+        const directions = new Map(sets.map(set => [set.id, set.study_direction]));
+        const now = new Date();
+        const hiddenIds = await cardFlagService.getHiddenCardIds(userId, setIds);
+
+        const reviewWhere = {
+            user_id: userId,
+            set_id: setIds,
+            state: {
+                [Op.ne]: 'new'
+            },
+            due_at: {
+                [Op.lte]: now
+            }
+        };
+        if (hiddenIds.length) {
+            reviewWhere.card_id = {
+                [Op.notIn]: hiddenIds
+            };
+        }
+
+        const [reviews, freshBySet] = await Promise.all([
+            db.CardReview.findAll({
+                where: reviewWhere,
+                include: [{
+                    model: db.Card,
+                    as: 'card',
+                    required: true
+                }],
+                order: [
+                    ['due_at', 'ASC']
+                ],
+                limit: maxReviews
+            }),
+            maxNew > 0 ? Promise.all(setIds.map(setId => this.getNewCards(userId, setId, maxNew, hiddenIds, directions))) : []
+        ]);
+
+        // Reviews of items a card no longer has (a removed cloze, a changed
+        // study direction) are skipped
+        const dueItems = this.roundRobin(this.groupBySet(reviews
+            .filter(review => cardItemService.getItems(review.card, directions.get(review.set_id)).includes(review.item))
+            .map(review => reviewService.formatQueueItem(review.card, review, now))));
+        const newItems = this.roundRobin(freshBySet.map(items =>
+            items.map(({ card, item }) => reviewService.formatQueueItem(card, null, now, item))
+        )).slice(0, maxNew);
+
+        const setsById = new Map(sets.map(set => [set.id, set]));
+        const queue = this.mix(dueItems, newItems).map(item => {
+            const set = setsById.get(item.review.setId);
+            return {
+                ...item,
+                set: { id: set.id, title: set.title }
+            };
+        });
+
+        return {
+            queue,
+            counts: {
+                reviews: dueItems.length,
+                new: newItems.length
+            },
+            sets: sets.map(set => ({
+                id: set.id,
+                title: set.title,
+                due: dueItems.filter(item => item.review.setId === set.id).length,
+                new: newItems.filter(item => item.review.setId === set.id).length
+            })).filter(set => set.due || set.new)
+        };
+    }
+
+    /**
+     * IDs of every set in the user's library, before access checks
+     */
+    async getLibrarySetIds(userId) {
+        const [owned, purchases, likes, subscriptions, studied, history] = await Promise.all([
+            db.Set.findAll({ where: { educator_id: userId }, attributes: ['id'], raw: true }),
+            db.Purchase.findAll({ where: { user_id: userId }, attributes: ['set_id'], raw: true }),
+            db.UserLike.findAll({ where: { user_id: userId }, attributes: ['set_id'], raw: true }),
+            db.Subscription.findAll({ where: { user_id: userId }, attributes: ['educator_id'], raw: true }),
+            db.CardReview.findAll({
+                where: { user_id: userId },
+                attributes: [
+                    [db.sequelize.fn('DISTINCT', db.sequelize.col('set_id')), 'set_id']
+                ],
+                raw: true
+            }),
+            db.History.unscoped().findAll({ where: { user_id: userId }, attributes: ['set_id'], raw: true })
+        ]);
+
+        let subscribed = [];
+        if (subscriptions.length) {
+            subscribed = await db.Set.findAll({
+                where: {
+                    educator_id: subscriptions.map(subscription => subscription.educator_id),
+                    is_subscriber_only: true
+                },
+                attributes: ['id'],
+                raw: true
+            });
+        }
+
+        const ids = [
+            ...owned.map(set => set.id),
+            ...subscribed.map(set => set.id),
+            ...[...purchases, ...likes, ...studied, ...history].map(row => row.set_id)
+        ];
+        return [...new Set(ids.filter(Boolean))];
+    }
+
+    /**
+     * Library sets matching the filters that the user can access right now
+     */
+    async getAccessibleSets(userId, setIds, filters) {
+        if (!setIds.length) return [];
+
+        const where = { id: setIds, hidden: false };
+        if (filters.categoryId) {
+            where.category_id = filters.categoryId;
+        }
+
+        const include = [];
+        if (filters.tag) {
+            include.push({
+                model: db.Tag,
+                as: 'tags',
+                attributes: [],
+                through: { attributes: [] },
+                where: { name: filters.tag },
+                required: true
+            });
+        }
+
+        const sets = await db.Set.findAll({
+            where,
+            include,
+            attributes: ['id', 'title', 'study_direction'],
+            order: [
+                ['id', 'ASC']
+            ]
+        });
+
+        const accessibleIds = new Set(await reviewService.filterAccessibleSetIds(sets.map(set => set.id), userId));
+        return sets.filter(set => accessibleIds.has(set.id));
+    }
+
+    /**
+     * Card items of a set the user has never reviewed, in set order. Hidden
+     * cards and cards whose every item is reviewed are skipped by the query;
+     * the items of cloze cards are only known once read, so cards are read a
+     * page at a time until the limit is reached.
+     * @param {Map} [directions] - Study direction by set ID
+     * @returns {Promise<Array>} [{ card, item }]
+     */
+    async getNewCards(userId, setId, limit, excludeIds = [], directions = null) {
+        const basicItems = cardItemService.getItems({ type: 'basic' }, cardItemService.directionOf({ set_id: setId }, directions));
+        const conditions = [{
+            [Op.or]: [
+                { type: 'cloze' },
+                {
+                    type: 'basic',
+                    id: {
+                        [Op.notIn]: this.reviewedCardIds(userId, setId, basicItems)
+                    }
+                },
+                {
+                    type: {
+                        [Op.notIn]: ['basic', 'cloze']
+                    },
+                    id: {
+                        [Op.notIn]: this.reviewedCardIds(userId, setId, [cardItemService.MAIN_ITEM])
+                    }
+                }
+            ]
+        }];
+        if (excludeIds.length) {
+            conditions.push({
+                id: {
+                    [Op.notIn]: excludeIds
+                }
+            });
+        }
+
+        const items = [];
+        for (let offset = 0; items.length < limit; offset += limit) {
+            const cards = await db.Card.findAll({
+                where: { set_id: setId, [Op.and]: conditions },
+                order: [
+                    ['position', 'ASC'],
+                    ['id', 'ASC']
+                ],
+                limit,
+                offset
+            });
+            if (!cards.length) break;
+
+            const reviews = await db.CardReview.findAll({
+                where: { user_id: userId, card_id: cards.map(card => card.id) },
+                attributes: ['card_id', 'item'],
+                raw: true
+            });
+            const reviewed = new Set(reviews.map(review => cardItemService.key(review.card_id, review.item)));
+            items.push(...cardItemService.expand(cards, directions)
+                .filter(({ card, item }) => !reviewed.has(cardItemService.key(card.id, item))));
+
+            if (cards.length < limit) break;
+        }
+        return items.slice(0, limit);
+    }
+
+    /**
+     * Subquery of the cards of a set the user has reviewed every given item of
+     */
+    reviewedCardIds(userId, setId, items) {
+        const { sequelize } = db;
+        return sequelize.literal(`(
+            SELECT card_id FROM card_reviews
+            WHERE user_id = ${sequelize.escape(userId)} AND set_id = ${sequelize.escape(setId)}
+                AND item IN (${items.map(item => sequelize.escape(item)).join(', ')})
+            GROUP BY card_id
+            HAVING COUNT(*) >= ${items.length}
+        )`);
+    }
+
+    groupBySet(items) {
+        const groups = new Map();
+        items.filter(Boolean).forEach(item => {
+            const list = groups.get(item.review.setId) || [];
+            list.push(item);
+            groups.set(item.review.setId, list);
+        });
+        return [...groups.values()];
+    }
+
+    /**
+     * Take one item from each list in turn, keeping each list's order
+     */
+    roundRobin(lists) {
+        const result = [];
+        const queues = lists.map(list => list.filter(Boolean));
+        let index = 0;
+        while (queues.some(list => index < list.length)) {
+            queues.forEach(list => {
+                if (index < list.length) result.push(list[index]);
+            });
+            index++;
+        }
+        return result;
+    }
+
+    /**
+     * Spread new cards evenly between due reviews
+     */
+    mix(reviews, fresh) {
+        if (!fresh.length) return reviews;
+        if (!reviews.length) return fresh;
+
+        const every = Math.max(1, Math.floor(reviews.length / fresh.length));
+        const result = [];
+        let next = 0;
+        reviews.forEach((item, index) => {
+            result.push(item);
+            if ((index + 1) % every === 0 && next < fresh.length) {
+                result.push(fresh[next++]);
+            }
+        });
+        return result.concat(fresh.slice(next));
+    }
+
+    parseFilters(options) {
+        const filters = {};
+
+        if (options.categoryId !== undefined && options.categoryId !== '') {
+            const categoryId = parseInt(options.categoryId, 10);
+            if (isNaN(categoryId) || categoryId <= 0) {
+                throw new StudyError('categoryId must be a positive number');
+            }
+            filters.categoryId = categoryId;
+        }
+
+        if (options.tag !== undefined && options.tag !== '') {
+            if (typeof options.tag !== 'string' || !options.tag.trim()) {
+                throw new StudyError('tag must be a non-empty string');
+            }
+            filters.tag = options.tag.trim();
+        }
+
+        return filters;
+    }
+}
+
+module.exports = new StudyQueueService();
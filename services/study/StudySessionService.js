@@ -0,0 +1,390 @@
+const db = require('../../db');
+const reviewService = require('./ReviewService');
+const AnswerCheckService = require('./AnswerCheckService');
+const StudyError = require('./StudyError');
+const streakService = require('./StreakService');
+const cardFlagService = require('./CardFlagService');
+const studyFilterService = require('./StudyFilterService');
+const studyPlanService = require('./StudyPlanService');
+const cardItemService = require('./CardItemService');
+const toCamel = require('../../utils/toCamel');
+
+const DEFAULT_NEW_LIMIT = 20;
+const DEFAULT_REVIEW_LIMIT = 200;
+
+/**
+ * StudySessionService runs a study session for one set: it serves the ordered
+ * queue of due and new cards, records graded answers through ReviewService and
+ * keeps the learner's History row in sync for the existing dashboards.
+ * A filtered session instead runs through the cards a StudyFilterService
+ * filter picked when it started, whether they are due or not.
+ */
+class StudySessionService {
+    /**
+     * Start a session for a set
+     * @param {number} userId - The learner
+     * @param {number} setId - The set to study
+     * @param {Object} [options]
+     * @param {number} [options.newLimit] - Maximum new cards in the queue.
+     *   Defaults to what is left of today's quota when a study plan covers
+     *   the set (see StudyPlanService).
+     * @param {number} [options.reviewLimit] - Maximum due cards in the queue
+     * @returns {Promise<Object>} { session, queue, plan }
+     */
+    async startSession(userId, setId, options = {}) {
+        const parsedSetId = Number(setId);
+        if (!Number.isInteger(parsedSetId) || parsedSetId <= 0) {
+            throw new StudyError('Invalid set ID');
+        }
+
+        await reviewService.assertSetAccess(parsedSetId, userId);
+
+        let newLimit = reviewService.parseLimit(options.newLimit, DEFAULT_NEW_LIMIT, 'newLimit');
+        let plan = null;
+        if (options.newLimit === undefined || options.newLimit === null || options.newLimit === '') {
+            const quota = await studyPlanService.getTodayQuota(userId, parsedSetId);
+            if (quota) {
+                newLimit = Math.min(quota.newCards, reviewService.MAX_LIMIT);
+                plan = quota.plan;
+            }
+        }
+        const reviewLimit = reviewService.parseLimit(options.reviewLimit, DEFAULT_REVIEW_LIMIT, 'reviewLimit');
+
+        const session = await db.StudySession.create({
+            user_id: userId,
+            set_id: parsedSetId,
+            status: 'active',
+            new_limit: newLimit,
+            review_limit: reviewLimit,
+            started_at: new Date()
+        });
+
+        await this.touchHistory(userId, parsedSetId);
+
+        const queue = await this.buildQueue(session);
+        return { session: this.formatSession(session), queue, plan };
+    }
+
+    /**
+     * Start a custom study session over the cards matching a filter
+     * @param {number} userId - The learner
+     * @param {string} filter - Filter expression, e.g. 'starred missed:7'
+     * @param {Object} [options]
+     * @param {number} [options.setId] - Only cards of this set
+     * @returns {Promise<Object>} { session, queue }
+     */
+    async startFilteredSession(userId, filter, options = {}) {
+        const criteria = studyFilterService.parse(filter);
+
+        if (options.setId !== undefined && options.setId !== null) {
+            const setId = Number(options.setId);
+            if (!Number.isInteger(setId) || setId <= 0) {
+                throw new StudyError('Invalid set ID');
+            }
+            if (criteria.setId && criteria.setId !== setId) {
+                throw new StudyError('Set ID does not match the set of the filter');
+            }
+            criteria.setId = setId;
+        }
+
+        const cards = await studyFilterService.selectCards(userId, criteria);
+        if (!cards.length) {
+            throw new StudyError('No cards match this filter', 404);
+        }
+
+        const session = await db.StudySession.create({
+            user_id: userId,
+            set_id: criteria.setId || null,
+            filter: filter.trim(),
+            card_ids: cards.map(card => card.id),
+            status: 'active',
+            started_at: new Date()
+        });
+
+        const queue = await this.buildQueue(session);
+        return { session: this.formatSession(session), queue };
+    }
+
+    /**
+     * Current state of a session with its remaining queue
+     */
+    async getSession(userId, sessionId) {
+        const session = await this.findSession(userId, sessionId);
+        const queue = session.status === 'active' ? await this.buildQueue(session) : [];
+        return { session: this.formatSession(session), queue };
+    }
+
+    /**
+     * Record an answer for a card item of the session. The learner either
+     * grades themselves or types the answer; a typed answer is checked on the
+     * server and its suggested grade is used unless an explicit grade is given.
+     * @param {number} userId - The learner
+     * @param {number} sessionId - The session
+     * @param {Object} answer - { cardId, item, grade, typedAnswer, responseTimeMs }
+     * @returns {Promise<Object>} { session, review, check, remaining }
+     */
+    async answer(userId, sessionId, answer = {}) {
+        const session = await this.findSession(userId, sessionId);
+        if (session.status !== 'active') {
+            throw new StudyError('Study session has already ended', 409);
+        }
+
+        const { cardId } = answer;
+        if (!cardId) {
+            throw new StudyError('Card ID is required');
+        }
+
+        const card = await db.Card.findByPk(cardId, { attributes: reviewService.ANSWER_CARD_ATTRIBUTES });
+        if (!card || !this.includesCard(session, card)) {
+            throw new StudyError('Card does not belong to this study session', 404);
+        }
+
+        const { review, check, grade } = await this.recordAnswer(userId, card, answer, session.id);
+
+        // Counted in SQL so concurrent answers do not overwrite each other;
+        // MySQL returns no row from an UPDATE, so the counts are read back
+        await session.increment({
+            cards_reviewed: 1,
+            cards_correct: grade === 'again' ? 0 : 1
+        });
+        await session.reload();
+
+        const queue = await this.buildQueue(session);
+        return {
+            session: this.formatSession(session),
+            review: reviewService.formatState(review),
+            check,
+            remaining: queue.length
+        };
+    }
+
+    /**
+     * Record an answer for any card the user can access, outside of a session
+     * (e.g. from the cross-library due queue)
+     * @param {number} userId - The learner
+     * @param {Object} answer - { cardId, item, grade, typedAnswer, responseTimeMs }
+     * @returns {Promise<Object>} { review, check }
+     */
+    async reviewCard(userId, answer = {}) {
+        if (!answer.cardId) {
+            throw new StudyError('Card ID is required');
+        }
+
+        const card = await reviewService.getSchedulableCard(answer.cardId, userId, reviewService.ANSWER_CARD_ATTRIBUTES);
+        const { review, check } = await this.recordAnswer(userId, card, answer);
+        return {
+            review: reviewService.formatState(review),
+            check
+        };
+    }
+
+    /**
+     * Grade an answer, checking the typed answer if one is given, and record
+     * the review. The suggested grade of a typed answer is used unless an
+     * explicit grade is given.
+     * @returns {Promise<Object>} { review, check, grade }
+     */
+    async recordAnswer(userId, card, answer, sessionId = null) {
+        const { item, grade, typedAnswer, check } = await reviewService.gradeAnswer(card, answer);
+
+        const { review } = await reviewService.recordReview(userId, card.id, grade, {
+            item,
+            durationMs: answer.responseTimeMs,
+            sessionId,
+            typedAnswer,
+            answerResult: check ? check.result : null
+        });
+
+        return { review, check, grade };
+    }
+
+    /**
+     * Check a typed answer without recording a review
+     * @param {string} [item] - Item of the card; required for cards with several items
+     * @returns {Promise<Object>} AnswerCheckService result for the card item
+     */
+    async checkAnswer(userId, cardId, typedAnswer, item) {
+        const card = await reviewService.getSchedulableCard(cardId, userId, reviewService.ANSWER_CARD_ATTRIBUTES);
+        const parsedItem = cardItemService.parseItem(card, item, await cardItemService.getDirection(card.set_id));
+        return {
+            cardId: card.id,
+            item: parsedItem,
+            ...AnswerCheckService.check(reviewService.parseTypedAnswer(typedAnswer), cardItemService.getAnswerCard(card, parsedItem))
+        };
+    }
+
+    /**
+     * End a session and update the learner's History row
+     */
+    async endSession(userId, sessionId) {
+        const session = await this.findSession(userId, sessionId);
+        if (session.status !== 'active') {
+            throw new StudyError('Study session has already ended', 409);
+        }
+
+        await session.update({
+            status: 'completed',
+            ended_at: new Date()
+        });
+
+        const history = this.isFiltered(session) ? null : await this.syncHistory(userId, session.set_id);
+
+        return {
+            session: this.formatSession(session),
+            history: history ? toCamel(history.get({ plain: true })) : null
+        };
+    }
+
+    /**
+     * Ordered queue of card items to study: due items (oldest due first), then
+     * new items, then items in learning steps that become due shortly. Cards
+     * the learner suspended or buried are left out with all their items.
+     */
+    async buildQueue(session) {
+        if (this.isFiltered(session)) {
+            return this.buildFilteredQueue(session);
+        }
+
+        const [hiddenIds, newCardsStudied] = await Promise.all([
+            cardFlagService.getHiddenCardIds(session.user_id, [session.set_id]),
+            this.countNewCardsStudied(session)
+        ]);
+
+        return reviewService.getSetQueue(db.CardReview, { user_id: session.user_id }, session.set_id, {
+            newLimit: Math.max(0, session.new_limit - newCardsStudied),
+            reviewLimit: session.review_limit,
+            hiddenIds
+        });
+    }
+
+    /**
+     * Queue of a filtered session: the items of the picked cards not yet
+     * answered, then the ones last answered "again". Cards suspended or buried
+     * since the session started are left out.
+     */
+    async buildFilteredQueue(session) {
+        const now = new Date();
+
+        const [allCards, logs] = await Promise.all([
+            db.Card.findAll({ where: { id: session.card_ids } }),
+            db.ReviewLog.findAll({
+                where: { session_id: session.id },
+                attributes: ['card_id', 'item', 'grade'],
+                order: [
+                    ['reviewed_at', 'ASC'],
+                    ['id', 'ASC']
+                ],
+                raw: true
+            })
+        ]);
+
+        const lastGrades = new Map(logs.map(log => [cardItemService.key(log.card_id, log.item), log.grade]));
+        const setIds = [...new Set(allCards.map(card => card.set_id))];
+
+        const [reviews, hiddenIds, directions] = await Promise.all([
+            db.CardReview.findAll({
+                where: { user_id: session.user_id, card_id: allCards.map(card => card.id) }
+            }),
+            cardFlagService.getHiddenCardIds(session.user_id, setIds),
+            cardItemService.getDirections(setIds)
+        ]);
+
+        const hidden = new Set(hiddenIds);
+        const cardsById = new Map(allCards.map(card => [card.id, card]));
+        const reviewsByItem = new Map(reviews.map(review => [cardItemService.key(review.card_id, review.item), review]));
+        const remaining = cardItemService.expand(session.card_ids
+            .filter(id => cardsById.has(id) && !hidden.has(id))
+            .map(id => cardsById.get(id)), directions);
+        const lastGrade = ({ card, item }) => lastGrades.get(cardItemService.key(card.id, item));
+
+        return [
+            ...remaining.filter(entry => !lastGrade(entry)),
+            ...remaining.filter(entry => lastGrade(entry) === 'again')
+        ].map(({ card, item }) =>
+            reviewService.formatQueueItem(card, reviewsByItem.get(cardItemService.key(card.id, item)) || null, now, item)
+        );
+    }
+
+    isFiltered(session) {
+        return Array.isArray(session.card_ids);
+    }
+
+    includesCard(session, card) {
+        return this.isFiltered(session) ? session.card_ids.includes(card.id) : card.set_id === session.set_id;
+    }
+
+    /**
+     * Number of card items first seen during this session
+     */
+    async countNewCardsStudied(session) {
+        const logs = await db.ReviewLog.findAll({
+            where: {
+                session_id: session.id,
+                state_before: 'new'
+            },
+            attributes: ['card_id', 'item'],
+            raw: true
+        });
+        return new Set(logs.map(log => cardItemService.key(log.card_id, log.item))).size;
+    }
+
+    async findSession(userId, sessionId) {
+        const session = await db.StudySession.findOne({
+            where: { id: sessionId, user_id: userId }
+        });
+        if (!session) {
+            throw new StudyError('Study session not found', 404);
+        }
+        return session;
+    }
+
+    /**
+     * Make sure the learner has a History row for the set. Unlike
+     * HistoryController.startViewing this is idempotent, so repeated study runs
+     * reuse the row guarded by the user_set_unique index.
+     */
+    async touchHistory(userId, setId) {
+        const [history] = await db.History.unscoped().findOrCreate({
+            where: { user_id: userId, set_id: setId },
+            defaults: {
+                num_cards_viewed: 0,
+                completed: false,
+                started_at: new Date()
+            }
+        });
+        return history;
+    }
+
+    /**
+     * Update History from the review state: num_cards_viewed counts the cards
+     * studied at least once, and the set is completed once no card item is new.
+     */
+    async syncHistory(userId, setId) {
+        const history = await this.touchHistory(userId, setId);
+
+        const [cards, reviews, directions] = await Promise.all([
+            db.Card.findAll({ where: { set_id: setId }, attributes: cardItemService.ITEM_CARD_ATTRIBUTES }),
+            db.CardReview.findAll({ where: { user_id: userId, set_id: setId }, attributes: ['card_id', 'item'], raw: true }),
+            cardItemService.getDirections([setId])
+        ]);
+
+        const reviewed = new Set(reviews.map(review => cardItemService.key(review.card_id, review.item)));
+        const items = cardItemService.expand(cards, directions);
+        const studiedCount = new Set(reviews.map(review => review.card_id)).size;
+
+        const updateData = { num_cards_viewed: studiedCount };
+        if (items.length > 0 && items.every(({ card, item }) => reviewed.has(cardItemService.key(card.id, item))) && !history.completed) {
+            updateData.completed = true;
+            updateData.completed_at = new Date();
+            await streakService.recordSetCompleted(userId, updateData.completed_at);
+        }
+
+        return history.update(updateData);
+    }
+
+    formatSession(session) {
+        return toCamel(session.get({ plain: true }));
+    }
+}
+
+module.exports = new StudySessionService();
@@ -0,0 +1,430 @@
+const { Op } = require('sequelize');
+const db = require('../../db');
+const reviewService = require('./ReviewService');
+const cardItemService = require('./CardItemService');
+const SchedulerService = require('./SchedulerService');
+const AnswerCheckService = require('./AnswerCheckService');
+const StudyError = require('./StudyError');
+const streakService = require('./StreakService');
+
+const MAX_EVENTS = 500;
+const MAX_EVENT_ID_LENGTH = 64;
+// Client clocks ahead of the server by more than this are clamped to server time
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_CHANGES = 1000;
+
+/**
+ * SyncService ingests review events recorded offline. Events carry a
+ * client-generated idempotency key and the time the answer was given. Each
+ * card's events are applied in review order; when an event predates answers
+ * already on the server (another device synced first), the card's whole
+ * review log is replayed through the scheduler so every device converges on
+ * the same state. Clients pull state changes incrementally with a cursor
+ * holding the sync sequence of the last change they received.
+ */
+class SyncService {
+    /**
+     * Apply a batch of review events and return the authoritative state
+     * @param {number} userId - The learner
+     * @param {Object} payload
+     * @param {Array} [payload.events] - [{ eventId, cardId, item, grade, reviewedAt, responseTimeMs, typedAnswer }]
+     * @param {string} [payload.cursor] - Cursor returned by the previous sync
+     * @param {string} [payload.deviceId] - Device the events were recorded on
+     * @returns {Promise<Object>} { results, cards, changes, cursor, hasMore }
+     */
+    async sync(userId, payload = {}) {
+        const events = payload.events === undefined ? [] : payload.events;
+        if (!Array.isArray(events)) {
+            throw new StudyError('events must be an array');
+        }
+        if (events.length > MAX_EVENTS) {
+            throw new StudyError(`Too many events. Maximum per sync: ${MAX_EVENTS}`);
+        }
+
+        const since = this.decodeCursor(payload.cursor);
+        const deviceId = this.parseDeviceId(payload.deviceId);
+
+        const results = new Map();
+        const accepted = await this.acceptEvents(userId, events, results);
+        const cards = await this.applyEvents(userId, accepted, deviceId);
+        const { changes, cursor, hasMore } = await this.getChanges(userId, since);
+
+        return {
+            results: events.map((event, index) => results.get(index)),
+            cards: cards.map(review => reviewService.formatState(review)),
+            changes,
+            cursor,
+            hasMore
+        };
+    }
+
+    /**
+     * Validate, dedupe and access-check the events. Fills `results` for every
+     * event that is not applied and returns the rest with their cards.
+     */
+    async acceptEvents(userId, events, results) {
+        const now = Date.now();
+        const parsed = [];
+        const seen = new Set();
+
+        events.forEach((event, index) => {
+            const eventId = event && event.eventId;
+            try {
+                const item = this.parseEvent(event, now);
+                if (seen.has(item.eventId)) {
+                    results.set(index, { eventId, status: 'duplicate' });
+                    return;
+                }
+                seen.add(item.eventId);
+                parsed.push({ ...item, index });
+            } catch (error) {
+                results.set(index, { eventId, status: 'rejected', error: error.message });
+            }
+        });
+
+        if (!parsed.length) return [];
+
+        const [existing, cards] = await Promise.all([
+            db.ReviewLog.findAll({
+                where: {
+                    user_id: userId,
+                    client_event_id: parsed.map(item => item.eventId)
+                },
+                attributes: ['client_event_id'],
+                raw: true
+            }),
+            db.Card.findAll({
+                where: { id: [...new Set(parsed.map(item => item.cardId))] },
+                attributes: [...cardItemService.ITEM_CARD_ATTRIBUTES, 'accepted_answers']
+            })
+        ]);
+
+        const synced = new Set(existing.map(row => row.client_event_id));
+        const cardsById = new Map(cards.map(card => [card.id, card]));
+        const directions = await cardItemService.getDirections(cards.map(card => card.set_id));
+        const accessBySet = new Map();
+
+        const accepted = [];
+        for (const item of parsed) {
+            if (synced.has(item.eventId)) {
+                results.set(item.index, { eventId: item.eventId, status: 'duplicate' });
+                continue;
+            }
+
+            const card = cardsById.get(item.cardId);
+            if (!card) {
+                results.set(item.index, { eventId: item.eventId, status: 'rejected', error: 'Card not found' });
+                continue;
+            }
+
+            let cardItem;
+            try {
+                cardItem = cardItemService.parseItem(card, item.item, cardItemService.directionOf(card, directions));
+            } catch (error) {
+                results.set(item.index, { eventId: item.eventId, status: 'rejected', error: error.message });
+                continue;
+            }
+
+            if (!accessBySet.has(card.set_id)) {
+                accessBySet.set(card.set_id, await this.canAccess(card.set_id, userId));
+            }
+            if (!accessBySet.get(card.set_id)) {
+                results.set(item.index, { eventId: item.eventId, status: 'rejected', error: 'Access denied' });
+                continue;
+            }
+
+            results.set(item.index, { eventId: item.eventId, status: 'applied' });
+            accepted.push({ ...item, item: cardItem, card });
+        }
+
+        return accepted;
+    }
+
+    /**
+     * Apply accepted events card item by card item in one transaction
+     * @returns {Promise<Array>} Updated CardReview rows
+     */
+    async applyEvents(userId, accepted, deviceId) {
+        if (!accepted.length) return [];
+
+        const byItem = new Map();
+        accepted
+            .sort((a, b) => a.reviewedAt - b.reviewedAt || a.index - b.index)
+            .forEach(event => {
+                const key = cardItemService.key(event.cardId, event.item);
+                const list = byItem.get(key) || [];
+                list.push(event);
+                byItem.set(key, list);
+            });
+
+        const transaction = await db.sequelize.transaction();
+        try {
+            const syncSeq = await reviewService.nextSyncSeq(userId, transaction);
+            const reviews = [];
+            for (const itemEvents of byItem.values()) {
+                const { card, item } = itemEvents[0];
+                reviews.push(await this.applyCardEvents(userId, card, item, itemEvents, deviceId, syncSeq, transaction));
+            }
+
+            for (const event of accepted) {
+                await streakService.recordReview(userId, event, transaction);
+            }
+
+            await transaction.commit();
+            return reviews;
+        } catch (error) {
+            await transaction.rollback();
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new StudyError('These events are being synced by another request. Retry the sync.', 409);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Apply the events of one card item (sorted by review time). Events newer
+     * than the item's last answer continue from the current state; older
+     * events trigger a replay of the item's full review log in review order.
+     */
+    async applyCardEvents(userId, card, item, events, deviceId, syncSeq, transaction) {
+        const existing = await db.CardReview.findOne({
+            where: { user_id: userId, card_id: card.id, item },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+
+        const lastLog = await db.ReviewLog.findOne({
+            where: { user_id: userId, card_id: card.id, item },
+            attributes: ['reviewed_at'],
+            order: [
+                ['reviewed_at', 'DESC'],
+                ['id', 'DESC']
+            ],
+            transaction
+        });
+
+        let state;
+        if (!lastLog || events[0].reviewedAt >= new Date(lastLog.reviewed_at)) {
+            state = existing ? SchedulerService.pickState(existing) : null;
+            for (const event of events) {
+                state = await this.applyEvent(userId, card, state, event, deviceId, transaction);
+            }
+        } else {
+            state = await this.replay(userId, card, item, events, deviceId, transaction);
+        }
+
+        if (existing) {
+            return existing.update({ ...state, sync_seq: syncSeq }, { transaction });
+        }
+        return db.CardReview.create({
+            ...state,
+            sync_seq: syncSeq,
+            user_id: userId,
+            card_id: card.id,
+            item,
+            set_id: card.set_id
+        }, { transaction });
+    }
+
+    /**
+     * Rebuild a card item's state from its stored log merged with the new
+     * events, correcting the stored log rows whose scheduling changed
+     */
+    async replay(userId, card, item, events, deviceId, transaction) {
+        const logs = await db.ReviewLog.findAll({
+            where: { user_id: userId, card_id: card.id, item },
+            order: [
+                ['reviewed_at', 'ASC'],
+                ['id', 'ASC']
+            ],
+            transaction
+        });
+
+        const timeline = [
+            ...logs.map(log => ({ log, reviewedAt: new Date(log.reviewed_at) })),
+            ...events.map(event => ({ event, reviewedAt: event.reviewedAt }))
+        ].sort((a, b) => a.reviewedAt - b.reviewedAt || (a.log ? -1 : 0) - (b.log ? -1 : 0));
+
+        let state = null;
+        for (const entry of timeline) {
+            if (entry.event) {
+                state = await this.applyEvent(userId, card, state, entry.event, deviceId, transaction);
+                continue;
+            }
+
+            const previous = state || SchedulerService.initialState(entry.reviewedAt);
+            const next = SchedulerService.schedule(previous, entry.log.grade, entry.reviewedAt);
+            await entry.log.update({
+                state_before: previous.state,
+                interval_before: previous.interval_days,
+                interval_after: next.interval_days,
+                ease_factor: next.ease_factor,
+                due_at: next.due_at
+            }, { transaction });
+            state = next;
+        }
+
+        return state;
+    }
+
+    /**
+     * Schedule one event from the given state and append it to the review log
+     * @returns {Promise<Object>} The state after the event
+     */
+    async applyEvent(userId, card, state, event, deviceId, transaction) {
+        const previous = state || SchedulerService.initialState(event.reviewedAt);
+        const next = SchedulerService.schedule(previous, event.grade, event.reviewedAt);
+        const check = event.typedAnswer !== null ?
+            AnswerCheckService.check(event.typedAnswer, cardItemService.getAnswerCard(card, event.item)) :
+            null;
+
+        await db.ReviewLog.create({
+            user_id: userId,
+            card_id: card.id,
+            item: event.item,
+            set_id: card.set_id,
+            grade: event.grade,
+            state_before: previous.state,
+            interval_before: previous.interval_days,
+            interval_after: next.interval_days,
+            ease_factor: next.ease_factor,
+            due_at: next.due_at,
+            duration_ms: event.durationMs,
+            typed_answer: event.typedAnswer,
+            answer_result: check ? check.result : null,
+            reviewed_at: event.reviewedAt,
+            client_event_id: event.eventId,
+            device_id: deviceId
+        }, { transaction });
+
+        return next;
+    }
+
+    /**
+     * Review states changed after the cursor, oldest change first. Changes are
+     * read by their sync sequence (see ReviewService.nextSyncSeq), which a
+     * user's writes take in commit order; a timestamp cursor would skip rows
+     * written in the same second or committed late. Rows written by one
+     * transaction share a sequence and are told apart by ID.
+     * @param {Object} since - { seq, id } of the cursor
+     */
+    async getChanges(userId, since) {
+        const rows = await db.CardReview.findAll({
+            where: {
+                user_id: userId,
+                [Op.or]: [{
+                        sync_seq: {
+                            [Op.gt]: since.seq
+                        }
+                    },
+                    {
+                        sync_seq: since.seq,
+                        id: {
+                            [Op.gt]: since.id
+                        }
+                    }
+                ]
+            },
+            order: [
+                ['sync_seq', 'ASC'],
+                ['id', 'ASC']
+            ],
+            limit: MAX_CHANGES + 1
+        });
+
+        const hasMore = rows.length > MAX_CHANGES;
+        const page = rows.slice(0, MAX_CHANGES);
+        const last = page[page.length - 1];
+
+        return {
+            changes: page.map(review => reviewService.formatState(review)),
+            cursor: last ? this.encodeCursor(Number(last.sync_seq), last.id) : this.encodeCursor(since.seq, since.id),
+            hasMore
+        };
+    }
+
+    parseEvent(event, now) {
+        if (!event || typeof event !== 'object') {
+            throw new Error('Event must be an object');
+        }
+
+        const { eventId, cardId, item, grade, reviewedAt, responseTimeMs, typedAnswer } = event;
+        if (typeof eventId !== 'string' || !eventId.trim() || eventId.length > MAX_EVENT_ID_LENGTH) {
+            throw new Error(`eventId must be a string of 1 to ${MAX_EVENT_ID_LENGTH} characters`);
+        }
+
+        const parsedCardId = Number(cardId);
+        if (!Number.isInteger(parsedCardId) || parsedCardId <= 0) {
+            throw new Error('Invalid card ID');
+        }
+
+        if (item !== undefined && item !== null && typeof item !== 'string') {
+            throw new Error('item must be a string');
+        }
+
+        if (!SchedulerService.isValidGrade(grade)) {
+            throw new Error(`Invalid grade. Must be one of: ${SchedulerService.GRADES.join(', ')}`);
+        }
+
+        const time = new Date(reviewedAt);
+        if (reviewedAt === undefined || reviewedAt === null || isNaN(time.getTime())) {
+            throw new Error('reviewedAt must be a valid date');
+        }
+
+        if (typedAnswer !== undefined && typedAnswer !== null &&
+            (typeof typedAnswer !== 'string' || typedAnswer.length > AnswerCheckService.MAX_ANSWER_LENGTH)) {
+            throw new Error(`typedAnswer must be a string of at most ${AnswerCheckService.MAX_ANSWER_LENGTH} characters`);
+        }
+
+        return {
+            eventId: eventId.trim(),
+            cardId: parsedCardId,
+            item,
+            grade,
+            reviewedAt: time.getTime() > now + MAX_CLOCK_SKEW_MS ? new Date(now) : time,
+            durationMs: reviewService.parseDuration(responseTimeMs),
+            typedAnswer: typeof typedAnswer === 'string' ? typedAnswer.trim() : null
+        };
+    }
+
+    parseDeviceId(deviceId) {
+        if (deviceId === undefined || deviceId === null) return null;
+        if (typeof deviceId !== 'string' || deviceId.length > MAX_EVENT_ID_LENGTH) {
+            throw new StudyError(`deviceId must be a string of at most ${MAX_EVENT_ID_LENGTH} characters`);
+        }
+        return deviceId;
+    }
+
+    async canAccess(setId, userId) {
+        try {
+            await reviewService.assertSetAccess(setId, userId);
+            return true;
+        } catch (error) {
+            if (error.status === 403) return false;
+            throw error;
+        }
+    }
+
+    encodeCursor(seq, id) {
+        return Buffer.from(JSON.stringify({ s: seq, id })).toString('base64url');
+    }
+
+    /**
+     * { seq, id } of a cursor; the start, a full pull, when there is none
+     */
+    decodeCursor(cursor) {
+        if (cursor === undefined || cursor === null || cursor === '') return { seq: 0, id: 0 };
+        let decoded;
+        try {
+            decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new StudyError('Invalid sync cursor');
+        }
+        if (!decoded || !Number.isInteger(decoded.s) || decoded.s < 0 || !Number.isInteger(decoded.id) || decoded.id < 0) {
+            throw new StudyError('Invalid sync cursor');
+        }
+        return { seq: decoded.s, id: decoded.id };
+    }
+}
+
+module.exports = new SyncService();
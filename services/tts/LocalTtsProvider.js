@@ -0,0 +1,97 @@
+const TtsProvider = require('./TtsProvider');
+
+const SAMPLE_RATE = 8000;
+// Length of the tone for a letter or digit and of the pause for anything else
+const CHARACTER_SECONDS = 0.06;
+const PAUSE_SECONDS = 0.12;
+// Fade at both ends of a tone, so tones do not click
+const FADE_SECONDS = 0.005;
+const AMPLITUDE = 0.3 * 32767;
+
+const VOICES = [
+    { id: 'standard', name: 'Standard', locales: ['*'], pitch: 220 },
+    { id: 'low', name: 'Low', locales: ['*'], pitch: 140 },
+    { id: 'high', name: 'High', locales: ['*'], pitch: 330 }
+];
+
+/**
+ * Offline stand-in for a real speech engine, for development and tests. It
+ * needs no network or API key and always returns the same WAV file for the
+ * same text and voice: a short tone per letter or digit, pitched from the
+ * character and the voice, and a pause for spaces and punctuation. It reads
+ * every locale the same way.
+ */
+class LocalTtsProvider extends TtsProvider {
+    get name() {
+        return 'local';
+    }
+
+    getVoices() {
+        return VOICES.map(({ id, name, locales }) => ({ id, name, locales }));
+    }
+
+    async synthesize(text, options = {}) {
+        const voice = VOICES.find(entry => entry.id === options.voice) || VOICES[0];
+        const samples = this.renderSamples(text, voice.pitch);
+
+        return {
+            buffer: this.encodeWav(samples),
+            format: 'wav',
+            mimeType: 'audio/wav',
+            duration: samples.length / SAMPLE_RATE
+        };
+    }
+
+    renderSamples(text, pitch) {
+        const toneLength = Math.round(CHARACTER_SECONDS * SAMPLE_RATE);
+        const pauseLength = Math.round(PAUSE_SECONDS * SAMPLE_RATE);
+        const fadeLength = Math.round(FADE_SECONDS * SAMPLE_RATE);
+
+        const characters = [...text];
+        const spoken = characters.filter(character => /[\p{L}\p{N}]/u.test(character)).length;
+        const samples = new Int16Array(spoken * toneLength + (characters.length - spoken) * pauseLength);
+
+        let offset = 0;
+        characters.forEach(character => {
+            if (!/[\p{L}\p{N}]/u.test(character)) {
+                offset += pauseLength;
+                return;
+            }
+            // Twelve steps of a semitone above the voice pitch
+            const frequency = pitch * Math.pow(2, (character.toLowerCase().codePointAt(0) % 12) / 12);
+            for (let i = 0; i < toneLength; i++) {
+                const fade = Math.min(1, i / fadeLength, (toneLength - 1 - i) / fadeLength);
+                samples[offset + i] = Math.round(AMPLITUDE * fade * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+            }
+            offset += toneLength;
+        });
+        return samples;
+    }
+
+    /**
+     * 16-bit mono PCM WAV file of the samples
+     */
+    encodeWav(samples) {
+        const dataLength = samples.length * 2;
+        const buffer = Buffer.alloc(44 + dataLength);
+
+        buffer.write('RIFF', 0, 'ascii');
+        buffer.writeUInt32LE(36 + dataLength, 4);
+        buffer.write('WAVE', 8, 'ascii');
+        buffer.write('fmt ', 12, 'ascii');
+        buffer.writeUInt32LE(16, 16);
+        buffer.writeUInt16LE(1, 20); // PCM
+        buffer.writeUInt16LE(1, 22); // mono
+        buffer.writeUInt32LE(SAMPLE_RATE, 24);
+        buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+        buffer.writeUInt16LE(2, 32);
+        buffer.writeUInt16LE(16, 34);
+        buffer.write('data', 36, 'ascii');
+        buffer.writeUInt32LE(dataLength, 40);
+
+        samples.forEach((sample, index) => buffer.writeInt16LE(sample, 44 + index * 2));
+        return buffer;
+    }
+}
+
+module.exports = LocalTtsProvider;
@@ -0,0 +1,46 @@
+const TtsProvider = require('./TtsProvider');
+const queueService = require('../QueueService');
+
+const VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+const DEFAULT_MODEL = 'tts-1';
+
+/**
+ * OpenAI speech endpoint. Its voices read any language, so the locale is not
+ * sent. Requests go through the shared OpenAI queue.
+ */
+class OpenAiTtsProvider extends TtsProvider {
+    get name() {
+        return 'openai';
+    }
+
+    getVoices() {
+        return VOICES.map(id => ({
+            id,
+            name: id.charAt(0).toUpperCase() + id.slice(1),
+            locales: ['*']
+        }));
+    }
+
+    async synthesize(text, options = {}) {
+        // Loaded on first use: the client cannot be created without an API key
+        const openai = require('../../config/openai');
+
+        const response = await queueService.addToQueue(() =>
+            openai.audio.speech.create({
+                model: process.env.OPENAI_TTS_MODEL || DEFAULT_MODEL,
+                voice: options.voice || VOICES[0],
+                input: text,
+                response_format: 'mp3'
+            })
+        );
+
+        return {
+            buffer: Buffer.from(await response.arrayBuffer()),
+            format: 'mp3',
+            mimeType: 'audio/mpeg',
+            duration: null
+        };
+    }
+}
+
+module.exports = OpenAiTtsProvider;
@@ -0,0 +1,37 @@
+/**
+ * Interface of the text-to-speech engines TtsService reads cards with. A
+ * provider has a name it is selected by (TTS_PROVIDER), lists its voices and
+ * turns a text into one audio file. Register new engines with
+ * TtsService.registerProvider.
+ */
+class TtsProvider {
+    /**
+     * Key the provider is selected by
+     * @returns {string}
+     */
+    get name() {
+        throw new Error(`${this.constructor.name} must implement name`);
+    }
+
+    /**
+     * Voices of the provider. locales lists the BCP 47 language tags a voice
+     * speaks, ['*'] for a voice that reads any language.
+     * @returns {Array<Object>} [{ id, name, locales }]
+     */
+    getVoices() {
+        throw new Error(`${this.constructor.name} must implement getVoices`);
+    }
+
+    /**
+     * Speak a text
+     * @param {string} text - Plain text to read
+     * @param {Object} options - { voice, locale }, already checked against getVoices
+     * @returns {Promise<Object>} { buffer, format, mimeType, duration }; the
+     *   duration in seconds, null when the provider does not know it
+     */
+    async synthesize(text, options) {
+        throw new Error(`${this.constructor.name} must implement synthesize`);
+    }
+}
+
+module.exports = TtsProvider;
@@ -0,0 +1,310 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../db');
+const cardAudioService = require('../CardAudioService');
+const CardContentService = require('../CardContentService');
+const CardFormatService = require('../CardFormatService');
+const ClozeService = require('../ClozeService');
+const TtsProvider = require('./TtsProvider');
+const LocalTtsProvider = require('./LocalTtsProvider');
+const OpenAiTtsProvider = require('./OpenAiTtsProvider');
+
+const DEFAULT_PROVIDER = 'local';
+const DEFAULT_LOCALE = 'en-US';
+const MAX_TEXT_LENGTH = 1000;
+// BCP 47 language tag such as en, en-US or zh-Hant-TW
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+// Finished jobs are kept this long for their status to be read
+const JOB_TTL = 60 * 60 * 1000;
+// Card errors kept on a job
+const MAX_JOB_ERRORS = 20;
+
+class TtsError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'TtsError';
+        this.status = status;
+    }
+}
+
+/**
+ * TtsService reads card faces out loud. The speech engine is a TtsProvider
+ * picked by TTS_PROVIDER: "local", an offline stand-in that needs no API key
+ * and is the default, or "openai". Other engines plug in with
+ * registerProvider.
+ *
+ * Generating audio for a face replaces the audio clip of that face (see
+ * CardAudioService). The spoken text is the face without markup; the front
+ * of a cloze card is read with its deletions filled in and the back of a
+ * multiple-choice or true/false card starts with the correct answer.
+ *
+ * Audio for a whole set is generated by a background job. Jobs live in memory
+ * and are lost on restart; their status can be read for an hour after they
+ * finish.
+ */
+class TtsService {
+    constructor() {
+        this.providers = new Map();
+        this.jobs = new Map();
+        this.registerProvider(new LocalTtsProvider());
+        this.registerProvider(new OpenAiTtsProvider());
+    }
+
+    /**
+     * Add a speech engine, or replace the one with the same name
+     * @param {TtsProvider} provider
+     */
+    registerProvider(provider) {
+        if (!(provider instanceof TtsProvider)) {
+            throw new Error('TTS providers must extend TtsProvider');
+        }
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * The configured provider, or the named one
+     */
+    getProvider(name = process.env.TTS_PROVIDER || DEFAULT_PROVIDER) {
+        const provider = this.providers.get(name);
+        if (!provider) {
+            throw new TtsError(`Unknown TTS provider: ${name}`, 500);
+        }
+        return provider;
+    }
+
+    /**
+     * Voices of the configured provider
+     * @param {string} [locale] - Only voices that speak this locale
+     */
+    getVoices(locale) {
+        const provider = this.getProvider();
+        const voices = provider.getVoices();
+        return {
+            provider: provider.name,
+            voices: locale ? voices.filter(voice => this.speaks(voice, locale)) : voices
+        };
+    }
+
+    /**
+     * Check a voice and locale against the provider. The locale defaults to
+     * en-US and the voice to the first one that speaks the locale.
+     * @returns {Object} { voice, locale }
+     */
+    resolveOptions(provider, options = {}) {
+        const locale = options.locale || DEFAULT_LOCALE;
+        if (typeof locale !== 'string' || !LOCALE_PATTERN.test(locale)) {
+            throw new TtsError('locale must be a language tag such as en or en-US');
+        }
+
+        const voices = provider.getVoices();
+        if (options.voice === undefined || options.voice === null || options.voice === '') {
+            const voice = voices.find(entry => this.speaks(entry, locale));
+            if (!voice) {
+                throw new TtsError(`No voice speaks ${locale}`);
+            }
+            return { voice: voice.id, locale };
+        }
+
+        const voice = voices.find(entry => entry.id === options.voice);
+        if (!voice) {
+            throw new TtsError(`voice must be one of: ${voices.map(entry => entry.id).join(', ')}`);
+        }
+        if (!this.speaks(voice, locale)) {
+            throw new TtsError(`Voice ${voice.id} does not speak ${locale}`);
+        }
+        return { voice: voice.id, locale };
+    }
+
+    speaks(voice, locale) {
+        const language = locale.split('-')[0].toLowerCase();
+        return voice.locales.some(entry =>
+            entry === '*' || entry.toLowerCase() === locale.toLowerCase() || entry.toLowerCase() === language
+        );
+    }
+
+    /**
+     * Text read out for a face of a card, trimmed
+     */
+    getText(card, side) {
+        let text = card[side] || '';
+        if (side === 'front' && card.type === 'cloze') {
+            // No deletion has number 0, so every deletion is filled in
+            text = ClozeService.render(text, 0).back;
+        }
+        if (side === 'back' && CardContentService.isStructured(card.type)) {
+            const answer = CardContentService.getAnswer(card.type, card.content);
+            text = text ? `${answer}\n\n${text}` : answer;
+        }
+        return CardFormatService.toText(text, card.format).trim();
+    }
+
+    /**
+     * Faces whose text read out differs between two versions of a card
+     */
+    changedSides(before, after) {
+        return cardAudioService.SIDES.filter(side => this.getText(before, side) !== this.getText(after, side));
+    }
+
+    /**
+     * Generate the audio of a card face, replacing the clip of that face
+     * @param {number} cardId - The card
+     * @param {string} side - front or back
+     * @param {number} userId - Owner of the set of the card
+     * @param {Object} [options] - { voice, locale }
+     * @returns {Promise<Object>} { cardId, setId, side, url, format, duration, voice, locale }
+     */
+    async generateForCard(cardId, side, userId, options = {}) {
+        cardAudioService.parseSide(side);
+        const provider = this.getProvider();
+        const resolved = this.resolveOptions(provider, options);
+        const card = await cardAudioService.findOwnCard(cardId, userId);
+
+        return this.speakCard(card, side, provider, resolved);
+    }
+
+    async speakCard(card, side, provider, options) {
+        const text = this.getText(card, side);
+        if (!text) {
+            throw new TtsError(`The ${side} of the card has no text to read`);
+        }
+        if (text.length > MAX_TEXT_LENGTH) {
+            throw new TtsError(`The ${side} of the card is longer than ${MAX_TEXT_LENGTH} characters`);
+        }
+
+        const audio = await provider.synthesize(text, options);
+        const url = await cardAudioService.attach(card, side, audio);
+
+        return {
+            cardId: card.id,
+            setId: card.set_id,
+            side,
+            url,
+            format: audio.format,
+            duration: audio.duration,
+            voice: options.voice,
+            locale: options.locale
+        };
+    }
+
+    /**
+     * Start generating audio for the cards of a set
+     * @param {number} setId - The set, owned by the user
+     * @param {number} userId - The user starting the job
+     * @param {Object} [options] - { side, voice, locale, overwrite }; side
+     *   defaults to front, cards whose face already has audio are skipped
+     *   unless overwrite is true
+     * @returns {Promise<Object>} The job, see formatJob
+     */
+    async startSetJob(setId, userId, options = {}) {
+        const side = cardAudioService.parseSide(options.side || 'front');
+        const provider = this.getProvider();
+        const resolved = this.resolveOptions(provider, options);
+
+        const running = [...this.jobs.values()].find(job =>
+            job.setId === setId && (job.status === 'queued' || job.status === 'running')
+        );
+        if (running) {
+            throw new TtsError(`Audio is already being generated for this set (job ${running.id})`, 409);
+        }
+
+        const cards = await db.Card.findAll({
+            where: { set_id: setId },
+            attributes: ['id'],
+            order: [
+                ['position', 'ASC'],
+                ['id', 'ASC']
+            ],
+            raw: true
+        });
+        if (!cards.length) {
+            throw new TtsError('The set has no cards');
+        }
+
+        this.pruneJobs();
+        const job = {
+            id: uuidv4(),
+            setId,
+            userId,
+            status: 'queued',
+            side,
+            voice: resolved.voice,
+            locale: resolved.locale,
+            overwrite: options.overwrite === true,
+            total: cards.length,
+            processed: 0,
+            generated: 0,
+            skipped: 0,
+            failed: 0,
+            errors: [],
+            createdAt: new Date(),
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+
+        setImmediate(() => {
+            this.runJob(job, cards.map(card => card.id), provider).catch(error => {
+                console.error('TtsService.runJob - Error:', error);
+                this.finishJob(job, 'failed');
+            });
+        });
+        return this.formatJob(job);
+    }
+
+    async runJob(job, cardIds, provider) {
+        job.status = 'running';
+        const options = { voice: job.voice, locale: job.locale };
+
+        for (const cardId of cardIds) {
+            try {
+                // Cards are read one at a time, since they may change while the job runs
+                const card = await db.Card.findOne({ where: { id: cardId, set_id: job.setId } });
+                if (!card || (cardAudioService.audioUrl(card, job.side) && !job.overwrite) || !this.getText(card, job.side)) {
+                    job.skipped++;
+                } else {
+                    await this.speakCard(card, job.side, provider, options);
+                    job.generated++;
+                }
+            } catch (error) {
+                console.error(`TtsService.runJob - Error on card ${cardId}:`, error);
+                job.failed++;
+                if (job.errors.length < MAX_JOB_ERRORS) {
+                    job.errors.push({ cardId, message: error.message });
+                }
+            }
+            job.processed++;
+        }
+
+        this.finishJob(job, job.failed && !job.generated ? 'failed' : 'completed');
+    }
+
+    finishJob(job, status) {
+        job.status = status;
+        job.finishedAt = new Date();
+    }
+
+    /**
+     * A job of a set, for the user who started it
+     */
+    getJob(jobId, setId, userId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.setId !== setId || job.userId !== userId) {
+            throw new TtsError('Audio job not found', 404);
+        }
+        return this.formatJob(job);
+    }
+
+    formatJob(job) {
+        const { userId, ...fields } = job;
+        return { ...fields, errors: [...job.errors] };
+    }
+
+    pruneJobs() {
+        const cutoff = Date.now() - JOB_TTL;
+        this.jobs.forEach((job, id) => {
+            if (job.finishedAt && job.finishedAt.getTime() < cutoff) {
+                this.jobs.delete(id);
+            }
+        });
+    }
+}
+
+module.exports = new TtsService();
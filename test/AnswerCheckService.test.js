@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnswerCheckService = require('../services/study/AnswerCheckService');
+
+function check(typed, back, acceptedAnswers = null) {
+    return AnswerCheckService.check(typed, { back, accepted_answers: acceptedAnswers });
+}
+
+test('case, accents, punctuation and whitespace are ignored', () => {
+    const result = check('  cafe   au lait ', 'Café au lait!');
+
+    assert.equal(result.result, 'correct');
+    assert.equal(result.distance, 0);
+    assert.equal(result.suggestedGrade, 'good');
+});
+
+test('a small misspelling is almost correct', () => {
+    const result = check('elephnt', 'elephant');
+
+    assert.equal(result.result, 'almost');
+    assert.equal(result.distance, 1);
+    assert.equal(result.allowedDistance, 1);
+    assert.equal(result.suggestedGrade, 'hard');
+});
+
+test('short answers must be typed exactly', () => {
+    assert.equal(check('cot', 'cat').result, 'wrong');
+});
+
+test('an answer too far from the expected one is wrong', () => {
+    const result = check('elefant', 'elephant');
+
+    assert.equal(result.result, 'wrong');
+    assert.equal(result.suggestedGrade, 'again');
+});
+
+test('an empty answer is wrong', () => {
+    assert.equal(check('', 'elephant').result, 'wrong');
+    assert.equal(check(null, 'elephant').result, 'wrong');
+});
+
+test('alternate accepted answers are accepted', () => {
+    const result = check('automobile', 'car', ['automobile', 'auto']);
+
+    assert.equal(result.result, 'correct');
+    assert.equal(result.expected, 'automobile');
+});
+
+test('answers made only of symbols are compared as typed', () => {
+    assert.equal(check('+', '+').result, 'correct');
+    assert.equal(check('-', '+').result, 'wrong');
+    assert.equal(check('%', '%').result, 'correct');
+    assert.equal(check('', '=').result, 'wrong');
+});
+
+test('significant symbols in an answer must be typed', () => {
+    assert.equal(check('c#', 'C#').result, 'correct');
+    assert.equal(check('c', 'C#').result, 'wrong');
+    assert.equal(check('50', '50%').result, 'wrong');
+});
+
+test('symbol-only answers are kept among the accepted answers', () => {
+    const answers = AnswerCheckService.getAcceptedAnswers({ back: '+', accepted_answers: ['plus', '  ', 7] });
+
+    assert.deepEqual(answers, ['+', 'plus']);
+});
+
+test('a card without any answer is wrong', () => {
+    const result = check('anything', '');
+
+    assert.equal(result.result, 'wrong');
+    assert.equal(result.distance, null);
+});
+
+test('the diff marks extra and missing characters', () => {
+    const { diff } = check('helo wrld', 'hello world');
+
+    assert.deepEqual(diff, [
+        { type: 'equal', text: 'he' },
+        { type: 'missing', text: 'l' },
+        { type: 'equal', text: 'lo w' },
+        { type: 'missing', text: 'o' },
+        { type: 'equal', text: 'rld' }
+    ]);
+});
+
+test('the diff compares characters without case or accents', () => {
+    const { diff } = check('Cafe', 'café');
+
+    assert.deepEqual(diff, [{ type: 'equal', text: 'café' }]);
+});
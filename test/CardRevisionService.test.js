@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, createTransaction } = require('./support/fakeDb');
+const cardRevisionService = require('../services/CardRevisionService');
+const cardOrderService = require('../services/CardOrderService');
+
+const OWNER_ID = 9;
+const SET_ID = 3;
+const CARD_ID = 12;
+
+function snapshot(overrides = {}) {
+    return {
+        ...Object.fromEntries(cardRevisionService.REVISION_FIELDS.map(field => [field, null])),
+        type: 'basic',
+        format: 'plain',
+        front: 'Front',
+        back: 'Back',
+        layout_front: 'default',
+        layout_back: 'default',
+        position: 4,
+        ...overrides
+    };
+}
+
+function cardRow(overrides = {}) {
+    const row = { id: CARD_ID, set_id: SET_ID, ...snapshot(overrides) };
+    row.update = async values => {
+        Object.assign(row, values);
+        return row;
+    };
+    return row;
+}
+
+/**
+ * Stub the card (null when deleted), its revisions and its set; returns the
+ * recorded revisions and the transactions opened
+ */
+function stubHistory(t, card, revisions) {
+    const calls = { recorded: [], transactions: [] };
+    t.mock.method(db.Card, 'findByPk', async () => card);
+    t.mock.method(db.Set, 'findByPk', async id => id === SET_ID ? { id, educator_id: OWNER_ID } : null);
+    t.mock.method(db.CardRevision, 'findOne', async ({ where, order }) => {
+        if (order) return revisions[revisions.length - 1];
+        return revisions.find(revision => revision.id === where.id && revision.card_id === where.card_id) || null;
+    });
+    t.mock.method(db.CardRevision, 'create', async entry => {
+        const revision = { id: 100 + calls.recorded.length, ...entry };
+        calls.recorded.push(revision);
+        return revision;
+    });
+    t.mock.method(db.sequelize, 'transaction', async () => {
+        const transaction = createTransaction();
+        calls.transactions.push(transaction);
+        return transaction;
+    });
+    return calls;
+}
+
+function revision(id, action, before, after) {
+    return { id, card_id: CARD_ID, set_id: SET_ID, action, before_data: before, after_data: after };
+}
+
+test('restore brings a card back to the state a revision left it in', async t => {
+    const card = cardRow({ front: 'Edited front', position: 7 });
+    const calls = stubHistory(t, card, [
+        revision(1, 'create', null, snapshot()),
+        revision(2, 'update', snapshot(), snapshot({ front: 'Edited front' }))
+    ]);
+
+    const result = await cardRevisionService.restore(CARD_ID, 1, OWNER_ID);
+
+    assert.equal(card.front, 'Front');
+    assert.equal(card.position, 7, 'the position of an existing card is kept');
+    assert.equal(result.card, card);
+    assert.equal(result.revision.action, 'restore');
+    assert.equal(result.revision.restoredFrom, 1);
+    assert.deepEqual(result.revision.changedFields, ['front']);
+    assert.equal(result.revision.before.front, 'Edited front');
+    assert.equal(result.revision.userId, OWNER_ID);
+    assert.equal(calls.transactions[0].committed, true);
+});
+
+test('restoring a delete revision brings back the state before the delete', async t => {
+    const card = cardRow({ back: 'Other back' });
+    stubHistory(t, card, [revision(1, 'delete', snapshot({ back: 'Deleted back' }), null)]);
+
+    const result = await cardRevisionService.restore(CARD_ID, 1, OWNER_ID);
+
+    assert.equal(card.back, 'Deleted back');
+    assert.deepEqual(result.revision.changedFields, ['back']);
+});
+
+test('restoring the current state records nothing', async t => {
+    const card = cardRow();
+    const calls = stubHistory(t, card, [revision(1, 'create', null, snapshot({ position: 0 }))]);
+
+    const result = await cardRevisionService.restore(CARD_ID, 1, OWNER_ID);
+
+    assert.equal(result.revision, null);
+    assert.deepEqual(calls.recorded, []);
+    assert.equal(calls.transactions[0].committed, true);
+});
+
+test('a deleted card is recreated with its ID at its old position', async t => {
+    const calls = stubHistory(t, null, [
+        revision(1, 'create', null, snapshot()),
+        revision(2, 'delete', snapshot(), null)
+    ]);
+    const insertCard = t.mock.method(cardOrderService, 'insertCard', async (setId, data, position, options) => {
+        const created = { set_id: setId, ...data };
+        await options.onWrite(created, createTransaction());
+        return created;
+    });
+
+    const result = await cardRevisionService.restore(CARD_ID, 2, OWNER_ID);
+
+    const [setId, data, position] = insertCard.mock.calls[0].arguments;
+    assert.equal(setId, SET_ID);
+    assert.equal(data.id, CARD_ID);
+    assert.equal(data.front, 'Front');
+    assert.equal(data.position, undefined);
+    assert.equal(position, 4);
+    assert.equal(result.revision.action, 'restore');
+    assert.equal(result.revision.before, null);
+    assert.equal(calls.recorded.length, 1);
+});
+
+test('only the owner of the set can restore', async t => {
+    stubHistory(t, cardRow(), [revision(1, 'create', null, snapshot())]);
+
+    await assert.rejects(cardRevisionService.restore(CARD_ID, 1, OWNER_ID + 1), {
+        name: 'CardRevisionError',
+        status: 403
+    });
+});
+
+test('a revision of another card is not found', async t => {
+    stubHistory(t, cardRow(), [{ ...revision(1, 'create', null, snapshot()), card_id: CARD_ID + 1 }]);
+
+    await assert.rejects(cardRevisionService.restore(CARD_ID, 1, OWNER_ID), {
+        name: 'CardRevisionError',
+        status: 404,
+        message: 'Revision not found'
+    });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('./support/fakeDb');
+const CardValidationService = require('../services/CardValidationService');
+const ValidationService = require('../services/ValidationService');
+const SetValidationService = require('../services/SetValidationService');
+
+test('a complete basic card has no errors', () => {
+    assert.deepEqual(CardValidationService.getErrors({
+        front: { text: 'Front', layout: 'two-row' },
+        back: { imageUrl: 'https://example.com/back.png' },
+        acceptedAnswers: ['Back']
+    }), []);
+});
+
+test('faces are checked for text, types and layout', () => {
+    assert.deepEqual(CardValidationService.getErrors({
+        front: { text: '  ', layout: 'sideways' },
+        back: { text: 42 }
+    }), [
+        'Front text cannot be empty',
+        'Front layout must be one of: default, two-row, two-col',
+        'Back text must be a string'
+    ]);
+});
+
+test('accepted answers are a short list of strings', () => {
+    assert.deepEqual(CardValidationService.acceptedAnswerErrors(undefined), []);
+    assert.deepEqual(CardValidationService.acceptedAnswerErrors('car'), ['Accepted answers must be an array of strings']);
+    assert.deepEqual(CardValidationService.acceptedAnswerErrors(['car', 1]), ['Accepted answers must be an array of strings']);
+    assert.deepEqual(CardValidationService.acceptedAnswerErrors(Array(11).fill('car')), [
+        'At most 10 accepted answers are allowed'
+    ]);
+});
+
+test('card list and single card validators report the same errors', () => {
+    const card = { front: { text: 'Front' }, back: {}, acceptedAnswers: 'car' };
+
+    assert.throws(() => new ValidationService().validateCard(card), {
+        message: 'Back must have either text or imageUrl, Accepted answers must be an array of strings'
+    });
+    for (const validate of [cards => new ValidationService().validateCards(cards), SetValidationService.validateCards]) {
+        assert.throws(() => validate([card]), {
+            message: 'Card 1: Back must have either text or imageUrl, Card 1: Accepted answers must be an array of strings'
+        });
+    }
+});
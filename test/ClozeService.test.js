@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ClozeService = require('../services/ClozeService');
+
+const TEXT = 'The capital of {{c1::France}} is {{c2::Paris::city}}';
+
+test('parse lists every deletion with its number, answer and hint', () => {
+    assert.deepEqual(ClozeService.parse(TEXT), [
+        { number: 1, answer: 'France', hint: null },
+        { number: 2, answer: 'Paris', hint: 'city' }
+    ]);
+});
+
+test('parse returns nothing for text without deletions', () => {
+    assert.deepEqual(ClozeService.parse('No clozes here'), []);
+    assert.deepEqual(ClozeService.parse(null), []);
+});
+
+test('getNumbers lists each cloze number once, ascending', () => {
+    assert.deepEqual(ClozeService.getNumbers('{{c3::a}} {{c1::b}} {{c3::c}}'), [1, 3]);
+});
+
+test('render hides the deletions of the number and reveals the others', () => {
+    assert.deepEqual(ClozeService.render(TEXT, 1), {
+        front: 'The capital of [...] is Paris',
+        back: 'The capital of France is Paris'
+    });
+    assert.deepEqual(ClozeService.render(TEXT, 2, 'In Europe'), {
+        front: 'The capital of France is [city]',
+        back: 'The capital of France is Paris\n\nIn Europe'
+    });
+});
+
+test('deletions sharing a number are hidden together', () => {
+    const text = '{{c1::Oxygen}} and {{c1::hydrogen}} make {{c2::water}}';
+
+    assert.equal(ClozeService.render(text, 1).front, '[...] and [...] make water');
+    assert.equal(ClozeService.getAnswer(text, 1), 'Oxygen ... hydrogen');
+});
+
+test('validate accepts well-formed cloze text', () => {
+    assert.deepEqual(ClozeService.validate(TEXT), []);
+});
+
+test('validate reports text without deletions', () => {
+    assert.deepEqual(ClozeService.validate('Plain text'), [
+        'Cloze text must contain at least one deletion like {{c1::answer}}'
+    ]);
+    assert.deepEqual(ClozeService.validate('  '), ['Cloze text is required']);
+});
+
+test('validate reports unclosed, empty and out-of-range deletions', () => {
+    assert.ok(ClozeService.validate('{{c1::France}} and {{c2::Paris').includes(
+        'Cloze text contains a deletion that is not closed with }}'
+    ));
+    assert.ok(ClozeService.validate('{{c1:: }}').includes('Cloze deletions cannot be empty'));
+    assert.ok(ClozeService.validate('{{c21::France}}').includes(
+        `Cloze numbers must be between 1 and ${ClozeService.MAX_CLOZE_NUMBER}`
+    ));
+});
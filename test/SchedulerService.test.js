@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SchedulerService = require('../services/study/SchedulerService');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const NOW = new Date('2026-01-10T12:00:00Z');
+
+function after(ms) {
+    return new Date(NOW.getTime() + ms);
+}
+
+function reviewState(overrides = {}) {
+    return {
+        state: 'review',
+        step: 0,
+        ease_factor: 2.5,
+        interval_days: 10,
+        repetitions: 3,
+        lapses: 0,
+        is_leech: false,
+        due_at: NOW,
+        last_reviewed_at: new Date(NOW.getTime() - 10 * DAY_MS),
+        ...overrides
+    };
+}
+
+test('a new card answered good enters the second learning step', () => {
+    const next = SchedulerService.schedule(null, 'good', NOW);
+
+    assert.equal(next.state, 'learning');
+    assert.equal(next.step, 1);
+    assert.deepEqual(next.due_at, after(10 * MINUTE_MS));
+    assert.deepEqual(next.last_reviewed_at, NOW);
+});
+
+test('a new card answered again restarts the learning steps', () => {
+    const learning = SchedulerService.schedule(null, 'good', NOW);
+    const next = SchedulerService.schedule(learning, 'again', NOW);
+
+    assert.equal(next.state, 'learning');
+    assert.equal(next.step, 0);
+    assert.deepEqual(next.due_at, after(MINUTE_MS));
+});
+
+test('a learning card graduates after its last step', () => {
+    const learning = SchedulerService.schedule(null, 'good', NOW);
+    const next = SchedulerService.schedule(learning, 'good', NOW);
+
+    assert.equal(next.state, 'review');
+    assert.equal(next.interval_days, 1);
+    assert.equal(next.repetitions, 1);
+    assert.deepEqual(next.due_at, after(DAY_MS));
+});
+
+test('a new card answered easy graduates with the easy interval', () => {
+    const next = SchedulerService.schedule(null, 'easy', NOW);
+
+    assert.equal(next.state, 'review');
+    assert.equal(next.interval_days, 4);
+    assert.equal(next.ease_factor, 2.5);
+});
+
+test('a review answered good multiplies the interval by the ease', () => {
+    const next = SchedulerService.schedule(reviewState(), 'good', NOW);
+
+    assert.equal(next.interval_days, 25);
+    assert.equal(next.ease_factor, 2.5);
+    assert.equal(next.repetitions, 4);
+    assert.deepEqual(next.due_at, after(25 * DAY_MS));
+});
+
+test('a review answered hard lowers the ease and grows the interval slowly', () => {
+    const next = SchedulerService.schedule(reviewState(), 'hard', NOW);
+
+    assert.equal(next.interval_days, 12);
+    assert.equal(next.ease_factor, 2.35);
+});
+
+test('a review answered easy raises the ease and applies the easy bonus', () => {
+    const next = SchedulerService.schedule(reviewState(), 'easy', NOW);
+
+    assert.equal(next.interval_days, 33);
+    assert.equal(next.ease_factor, 2.65);
+});
+
+test('a review answered again lapses into relearning', () => {
+    const next = SchedulerService.schedule(reviewState(), 'again', NOW);
+
+    assert.equal(next.state, 'relearning');
+    assert.equal(next.step, 0);
+    assert.equal(next.lapses, 1);
+    assert.equal(next.repetitions, 0);
+    assert.equal(next.interval_days, 1);
+    assert.equal(next.ease_factor, 2.3);
+    assert.deepEqual(next.due_at, after(10 * MINUTE_MS));
+});
+
+test('a relearning card returns to review with its reduced interval', () => {
+    const relearning = SchedulerService.schedule(reviewState({ interval_days: 3 }), 'again', NOW);
+    const next = SchedulerService.schedule(relearning, 'good', NOW);
+
+    assert.equal(next.state, 'review');
+    assert.equal(next.interval_days, 1);
+    assert.equal(next.lapses, 1);
+});
+
+test('the ease never drops below the minimum', () => {
+    const next = SchedulerService.schedule(reviewState({ ease_factor: 1.4 }), 'again', NOW);
+
+    assert.equal(next.ease_factor, 1.3);
+});
+
+test('intervals are capped at the maximum interval', () => {
+    const next = SchedulerService.schedule(reviewState({ interval_days: 300 }), 'good', NOW, { maximumInterval: 365 });
+
+    assert.equal(next.interval_days, 365);
+});
+
+test('a card is flagged as a leech once its lapses reach the threshold', () => {
+    const options = { leechThreshold: 2 };
+    const once = SchedulerService.schedule(reviewState({ lapses: 0 }), 'again', NOW, options);
+    const twice = SchedulerService.schedule(reviewState({ lapses: 1 }), 'again', NOW, options);
+
+    assert.equal(once.is_leech, false);
+    assert.equal(twice.is_leech, true);
+});
+
+test('ease factors read as strings from the database are parsed', () => {
+    const next = SchedulerService.schedule(reviewState({ ease_factor: '2.50' }), 'good', NOW);
+
+    assert.equal(next.interval_days, 25);
+});
+
+test('preview gives the due date of every grade', () => {
+    const preview = SchedulerService.preview(reviewState(), NOW);
+
+    assert.deepEqual(Object.keys(preview), SchedulerService.GRADES);
+    assert.deepEqual(preview.good, after(25 * DAY_MS));
+});
+
+test('an unknown grade is rejected', () => {
+    assert.throws(() => SchedulerService.schedule(null, 'perfect', NOW), /Invalid grade/);
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, createTransaction } = require('./support/fakeDb');
+const SetService = require('../services/SetService');
+const cardAudioService = require('../services/CardAudioService');
+
+const SET_ID = 3;
+const USER_ID = 9;
+// Revision fields a basic card of cardRow() fills in
+const FILLED_FIELDS = ['type', 'format', 'front', 'back', 'layout_front', 'layout_back', 'position'];
+
+const setService = new SetService();
+
+function cardRow(id, position, overrides = {}) {
+    const row = {
+        id,
+        set_id: SET_ID,
+        type: 'basic',
+        format: 'plain',
+        front: `Front ${id}`,
+        back: `Back ${id}`,
+        content: null,
+        hint: null,
+        front_image: null,
+        back_image: null,
+        layout_front: 'default',
+        layout_back: 'default',
+        accepted_answers: null,
+        position,
+        ...overrides
+    };
+    row.updates = [];
+    row.update = async values => {
+        row.updates.push(values);
+        Object.assign(row, values);
+        return row;
+    };
+    return row;
+}
+
+function apiCard(row, overrides = {}) {
+    return {
+        id: row.id,
+        front: { text: row.front },
+        back: { text: row.back },
+        ...overrides
+    };
+}
+
+function stubCards(t, rows) {
+    const calls = { destroyed: [], created: [], revisions: [] };
+    t.mock.method(db.Card, 'findAll', async ({ where }) => rows.filter(row => row.set_id === where.set_id));
+    t.mock.method(db.Card, 'destroy', async ({ where }) => {
+        calls.destroyed.push(...where.id);
+    });
+    t.mock.method(db.Card, 'bulkCreate', async records => {
+        const created = records.map((record, index) => ({ ...record, id: 100 + index }));
+        calls.created.push(...created);
+        return created;
+    });
+    t.mock.method(db.CardRevision, 'bulkCreate', async entries => {
+        calls.revisions.push(...entries);
+    });
+    return calls;
+}
+
+test('syncCards updates, creates and deletes cards by ID', async t => {
+    const unchanged = cardRow(1, 0);
+    const edited = cardRow(2, 2);
+    const removed = cardRow(3, 1);
+    const calls = stubCards(t, [unchanged, edited, removed]);
+
+    const changes = await setService.syncCards(SET_ID, [
+        apiCard(unchanged),
+        { front: { text: 'New front' }, back: { text: 'New back' } },
+        apiCard(edited, { front: { text: 'Edited front' } })
+    ], createTransaction(), USER_ID);
+
+    assert.deepEqual(changes, { added: [100], updated: [2], removed: [3], unchanged: 1 });
+    assert.deepEqual(unchanged.updates, []);
+    assert.deepEqual(edited.updates, [{ front: 'Edited front' }]);
+    assert.deepEqual(calls.destroyed, [3]);
+    assert.equal(calls.created[0].front, 'New front');
+    assert.equal(calls.created[0].position, 1);
+});
+
+test('syncCards records a revision of every change', async t => {
+    const edited = cardRow(2, 0);
+    const removed = cardRow(3, 1);
+    const calls = stubCards(t, [edited, removed]);
+
+    await setService.syncCards(SET_ID, [
+        apiCard(edited, { back: { text: 'Edited back' } }),
+        { front: { text: 'New front' }, back: { text: 'New back' } }
+    ], createTransaction(), USER_ID);
+
+    assert.deepEqual(calls.revisions.map(entry => [entry.action, entry.card_id, entry.changed_fields]), [
+        ['delete', 3, FILLED_FIELDS],
+        ['update', 2, ['back']],
+        ['create', 100, FILLED_FIELDS]
+    ]);
+    assert.ok(calls.revisions.every(entry => entry.user_id === USER_ID && entry.set_id === SET_ID));
+
+    const update = calls.revisions[1];
+    assert.equal(update.before_data.back, 'Back 2');
+    assert.equal(update.after_data.back, 'Edited back');
+});
+
+test('syncCards drops the audio of a face whose text changed once committed', async t => {
+    const row = cardRow(1, 0, { has_audio: 1, audio_url: '/audio/front.mp3', back_audio: '/audio/back.mp3' });
+    stubCards(t, [row]);
+    const deleteFile = t.mock.method(cardAudioService, 'deleteFile', async () => {});
+    const transaction = createTransaction();
+
+    await setService.syncCards(SET_ID, [
+        apiCard(row, { front: { text: 'Edited front' }, hint: 'A hint' })
+    ], transaction, USER_ID);
+
+    assert.deepEqual(row.updates, [{ front: 'Edited front', hint: 'A hint', audio_url: null, has_audio: 1 }]);
+    assert.equal(row.back_audio, '/audio/back.mp3');
+    assert.equal(deleteFile.mock.callCount(), 0);
+
+    await transaction.commit();
+    assert.deepEqual(deleteFile.mock.calls.map(call => call.arguments[0]), ['/audio/front.mp3']);
+});
+
+test('syncCards treats JSON columns with reordered keys as unchanged', async t => {
+    const content = { options: ['a', 'b'], correctIndex: 1 };
+    const row = cardRow(1, 0, {
+        type: 'multiple_choice',
+        back: '',
+        content: { shuffle: false, correct_index: 1, options: ['a', 'b'] }
+    });
+    const calls = stubCards(t, [row]);
+
+    const changes = await setService.syncCards(SET_ID, [{
+        id: 1,
+        type: 'multiple_choice',
+        front: { text: row.front },
+        content
+    }], createTransaction(), USER_ID);
+
+    assert.deepEqual(changes, { added: [], updated: [], removed: [], unchanged: 1 });
+    assert.deepEqual(calls.revisions, []);
+});
+
+test('syncCards rejects cards of another set and repeated IDs', async t => {
+    const row = cardRow(1, 0);
+    const calls = stubCards(t, [row, cardRow(5, 0, { set_id: SET_ID + 1 })]);
+
+    await assert.rejects(
+        setService.syncCards(SET_ID, [apiCard(row), apiCard(cardRow(5, 1))], createTransaction(), USER_ID),
+        { name: 'SetValidationError', message: 'Card 2: card 5 does not belong to this set' }
+    );
+    await assert.rejects(
+        setService.syncCards(SET_ID, [apiCard(row), apiCard(row)], createTransaction(), USER_ID),
+        { name: 'SetValidationError', message: 'Card 2: card 1 is listed more than once' }
+    );
+    assert.deepEqual(calls.destroyed, []);
+    assert.deepEqual(row.updates, []);
+});
+
+test('syncCards rejects invalid cards before writing', async t => {
+    const calls = stubCards(t, [cardRow(1, 0)]);
+
+    await assert.rejects(
+        setService.syncCards(SET_ID, [{ front: { text: 'Only a front' } }], createTransaction(), USER_ID),
+        { name: 'SetValidationError' }
+    );
+    assert.deepEqual(calls.destroyed, []);
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { db, matches } = require('./support/fakeDb');
+const syncService = require('../services/study/SyncService');
+const reviewService = require('../services/study/ReviewService');
+
+const USER_ID = 7;
+
+function reviewRow(id, syncSeq, overrides = {}) {
+    return {
+        id,
+        user_id: USER_ID,
+        card_id: id * 10,
+        item: 'main',
+        set_id: 3,
+        state: 'review',
+        ease_factor: '2.50',
+        interval_days: 4,
+        sync_seq: syncSeq,
+        ...overrides
+    };
+}
+
+function stubReviews(t, rows) {
+    t.mock.method(db.CardReview, 'findAll', async ({ where, order, limit }) => {
+        assert.deepEqual(order, [
+            ['sync_seq', 'ASC'],
+            ['id', 'ASC']
+        ]);
+        return rows
+            .filter(row => matches(row, where))
+            .sort((a, b) => a.sync_seq - b.sync_seq || a.id - b.id)
+            .slice(0, limit);
+    });
+}
+
+function event(eventId, overrides = {}) {
+    return {
+        eventId,
+        cardId: 1,
+        grade: 'good',
+        reviewedAt: '2026-01-10T12:00:00Z',
+        ...overrides
+    };
+}
+
+test('a cursor decodes to the sequence and ID it was encoded from', () => {
+    const cursor = syncService.encodeCursor(42, 1001);
+
+    assert.deepEqual(syncService.decodeCursor(cursor), { seq: 42, id: 1001 });
+});
+
+test('a missing cursor starts from the beginning', () => {
+    assert.deepEqual(syncService.decodeCursor(undefined), { seq: 0, id: 0 });
+    assert.deepEqual(syncService.decodeCursor(''), { seq: 0, id: 0 });
+});
+
+test('a malformed cursor is rejected', () => {
+    const negative = Buffer.from(JSON.stringify({ s: -1, id: 0 })).toString('base64url');
+    const timestamp = Buffer.from(JSON.stringify({ t: Date.now(), id: 5 })).toString('base64url');
+
+    for (const cursor of ['not a cursor', negative, timestamp]) {
+        assert.throws(() => syncService.decodeCursor(cursor), error =>
+            error.name === 'StudyError' && error.status === 400 && error.message === 'Invalid sync cursor'
+        );
+    }
+});
+
+test('changes are read in sequence order after the cursor', async t => {
+    // Row 4 was written after rows 5 and 6 but committed in a later
+    // transaction, so it has the higher sequence despite its lower ID
+    stubReviews(t, [reviewRow(5, 3), reviewRow(6, 3), reviewRow(4, 4), reviewRow(2, 1)]);
+
+    const first = await syncService.getChanges(USER_ID, { seq: 3, id: 5 });
+
+    assert.deepEqual(first.changes.map(change => change.cardId), [60, 40]);
+    assert.equal(first.hasMore, false);
+    assert.deepEqual(syncService.decodeCursor(first.cursor), { seq: 4, id: 4 });
+    assert.equal(first.changes[0].syncSeq, undefined);
+    assert.equal(first.changes[0].easeFactor, 2.5);
+
+    const second = await syncService.getChanges(USER_ID, syncService.decodeCursor(first.cursor));
+
+    assert.deepEqual(second.changes, []);
+    assert.equal(second.cursor, first.cursor);
+});
+
+test('changes of other users are not returned', async t => {
+    stubReviews(t, [reviewRow(1, 1), reviewRow(2, 1, { user_id: USER_ID + 1 })]);
+
+    const { changes } = await syncService.getChanges(USER_ID, { seq: 0, id: 0 });
+
+    assert.deepEqual(changes.map(change => change.cardId), [10]);
+});
+
+test('changes are paged', async t => {
+    const rows = Array.from({ length: 1001 }, (_, index) => reviewRow(index + 1, 1));
+    stubReviews(t, rows);
+
+    const first = await syncService.getChanges(USER_ID, { seq: 0, id: 0 });
+    const second = await syncService.getChanges(USER_ID, syncService.decodeCursor(first.cursor));
+
+    assert.equal(first.changes.length, 1000);
+    assert.equal(first.hasMore, true);
+    assert.deepEqual(second.changes.map(change => change.cardId), [10010]);
+    assert.equal(second.hasMore, false);
+});
+
+test('events are deduplicated within a batch and against synced events', async t => {
+    t.mock.method(db.ReviewLog, 'findAll', async ({ where }) =>
+        where.client_event_id.filter(id => id === 'synced').map(id => ({ client_event_id: id }))
+    );
+    t.mock.method(db.Card, 'findAll', async () => [{ id: 1, set_id: 3, type: 'basic', front: 'a', back: 'b' }]);
+    t.mock.method(db.Set, 'findAll', async () => [{ id: 3, study_direction: 'forward' }]);
+    t.mock.method(reviewService, 'assertSetAccess', async () => {});
+
+    const results = new Map();
+    const accepted = await syncService.acceptEvents(USER_ID, [
+        event('first'),
+        event('first', { grade: 'again' }),
+        event('synced'),
+        event(' second ', { grade: 'easy' })
+    ], results);
+
+    assert.deepEqual([...results.keys()].sort().map(index => results.get(index)), [
+        { eventId: 'first', status: 'applied' },
+        { eventId: 'first', status: 'duplicate' },
+        { eventId: 'synced', status: 'duplicate' },
+        { eventId: 'second', status: 'applied' }
+    ]);
+    assert.deepEqual(accepted.map(item => [item.eventId, item.grade]), [
+        ['first', 'good'],
+        ['second', 'easy']
+    ]);
+});
+
+test('invalid events, unknown cards and inaccessible sets are rejected', async t => {
+    t.mock.method(db.ReviewLog, 'findAll', async () => []);
+    t.mock.method(db.Card, 'findAll', async () => [{ id: 2, set_id: 4, type: 'basic', front: 'a', back: 'b' }]);
+    t.mock.method(db.Set, 'findAll', async () => []);
+    t.mock.method(reviewService, 'assertSetAccess', async () => {
+        throw Object.assign(new Error('Access denied'), { status: 403 });
+    });
+
+    const results = new Map();
+    const accepted = await syncService.acceptEvents(USER_ID, [
+        event('bad-grade', { grade: 'perfect' }),
+        event('bad-date', { reviewedAt: 'yesterday' }),
+        event('missing-card', { cardId: 1 }),
+        event('locked-set', { cardId: 2 })
+    ], results);
+
+    assert.deepEqual(accepted, []);
+    assert.deepEqual([0, 1, 2, 3].map(index => results.get(index).status), ['rejected', 'rejected', 'rejected', 'rejected']);
+    assert.equal(results.get(2).error, 'Card not found');
+    assert.equal(results.get(3).error, 'Access denied');
+});
+
+test('events from clocks running ahead are clamped to the server time', () => {
+    const now = Date.parse('2026-01-10T12:00:00Z');
+    const parsed = syncService.parseEvent(event('ahead', { reviewedAt: '2026-01-11T12:00:00Z' }), now);
+
+    assert.deepEqual(parsed.reviewedAt, new Date(now));
+});
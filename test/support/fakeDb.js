@@ -0,0 +1,102 @@
+const path = require('path');
+const { Sequelize, Op } = require('sequelize');
+
+/**
+ * Stand-in for db/index.js, so services load without a database. Requiring
+ * this module puts it in the require cache under the path of db/index.js; it
+ * must be required before any service.
+ *
+ * Every model is a plain object whose query methods throw until a test
+ * replaces them, e.g. t.mock.method(db.Card, 'findAll', async () => [...]).
+ * The sequelize instance is a real one that never connects, so literals and
+ * escaping work, with transactions replaced by createTransaction().
+ */
+const MODEL_METHODS = ['findAll', 'findOne', 'findByPk', 'findOrCreate', 'findAndCountAll', 'count', 'create', 'bulkCreate', 'update', 'destroy'];
+
+const sequelize = new Sequelize({ dialect: 'mysql', logging: false });
+sequelize.transaction = async () => createTransaction();
+
+function createTransaction() {
+    return {
+        LOCK: { UPDATE: 'UPDATE' },
+        committed: false,
+        rolledBack: false,
+        afterCommitHooks: [],
+        afterCommit(hook) {
+            this.afterCommitHooks.push(hook);
+        },
+        async commit() {
+            this.committed = true;
+            for (const hook of this.afterCommitHooks) {
+                await hook(this);
+            }
+        },
+        async rollback() {
+            this.rolledBack = true;
+        }
+    };
+}
+
+function createModel(name) {
+    const model = { name, sequelize };
+    MODEL_METHODS.forEach(method => {
+        model[method] = async () => {
+            throw new Error(`${name}.${method} is not stubbed`);
+        };
+    });
+    return model;
+}
+
+const models = new Map();
+const db = new Proxy({ sequelize, Sequelize }, {
+    get(target, key) {
+        if (key in target || typeof key !== 'string' || !/^[A-Z]/.test(key)) {
+            return target[key];
+        }
+        if (!models.has(key)) models.set(key, createModel(key));
+        return models.get(key);
+    }
+});
+
+/**
+ * Whether a plain row satisfies a Sequelize where clause. Supports equality,
+ * arrays as IN, Op.or, Op.and and the comparison operators.
+ */
+function matches(row, where = {}) {
+    const conditions = [
+        ...Object.entries(where),
+        ...Object.getOwnPropertySymbols(where).map(symbol => [symbol, where[symbol]])
+    ];
+    return conditions.every(([key, value]) => {
+        if (key === Op.or) return value.some(clause => matches(row, clause));
+        if (key === Op.and) return value.every(clause => matches(row, clause));
+        return matchesValue(row[key], value);
+    });
+}
+
+function matchesValue(actual, expected) {
+    if (Array.isArray(expected)) return expected.includes(actual);
+    if (!expected || typeof expected !== 'object' || expected instanceof Date) {
+        return actual === expected;
+    }
+
+    const operators = {
+        [Op.eq]: value => actual === value,
+        [Op.ne]: value => actual !== value,
+        [Op.gt]: value => actual > value,
+        [Op.gte]: value => actual >= value,
+        [Op.lt]: value => actual < value,
+        [Op.lte]: value => actual <= value,
+        [Op.in]: value => value.includes(actual),
+        [Op.notIn]: value => !value.includes(actual)
+    };
+    return Object.getOwnPropertySymbols(expected).every(symbol => {
+        if (!operators[symbol]) throw new Error(`Unsupported operator ${String(symbol)}`);
+        return operators[symbol](expected[symbol]);
+    });
+}
+
+const dbPath = path.resolve(__dirname, '../../db/index.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: db };
+
+module.exports = { db, createTransaction, matches };